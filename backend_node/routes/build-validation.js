@@ -2,6 +2,10 @@ const express = require("express");
 const path = require("path");
 const fs = require("fs/promises");
 const LLMBuildValidator = require("../services/llm-build-validator");
+const { isLLMConfigured } = require("../services/llm-provider");
+const { trySnapshot } = require("../services/snapshot-store");
+const { tryRecordUpdate } = require("../services/history-store");
+const { isValidProjectName, resolveProjectPath } = require("../utils/safe-path");
 require("dotenv").config();
 
 const router = express.Router();
@@ -19,8 +23,11 @@ router.post("/validate-build", async (req, res) => {
   const io = req.app.get('io');
   const socket = socketId && io ? io.sockets.sockets.get(socketId) : null;
 
-  const baseDir = path.join(__dirname, "../../client/user-projects");
-  const projectPath = path.join(baseDir, projectName);
+  if (!isValidProjectName(projectName)) {
+    return res.status(400).json({ error: "Invalid project name" });
+  }
+
+  const projectPath = resolveProjectPath(projectName);
   const prdPath = path.join(projectPath, "PRD.md");
 
   try {
@@ -45,13 +52,13 @@ router.post("/validate-build", async (req, res) => {
     }
     
     // Check API key
-    if (!process.env.OPENROUTER_API_KEY) {
-      console.error("OPENROUTER_API_KEY not found in environment");
+    if (!isLLMConfigured("buildFix")) {
+      console.error("LLM provider API key not found in environment");
       return res.status(500).json({ error: "API key not configured" });
     }
     
     // Initialize validator
-    const validator = new LLMBuildValidator(process.env.OPENROUTER_API_KEY);
+    const validator = new LLMBuildValidator();
     
     // Notify start
     if (socket) {
@@ -60,9 +67,22 @@ router.post("/validate-build", async (req, res) => {
       console.log("No socket connection available for real-time updates");
     }
 
-    // Run validation and fixes
+    // Run validation and fixes; the snapshot lets the history show what the fixes changed
+    const snapshot = await trySnapshot(projectPath, "build-validation", "Before build validation");
     const result = await validator.validateAndFix(projectPath, prd, socket);
     
+    await tryRecordUpdate(projectPath, {
+      source: "build-validation",
+      prompt: "Validate and fix the build",
+      explanation: result.message || "",
+      snapshotId: snapshot?.id || null,
+      build: {
+        success: result.success,
+        attempts: result.attempts,
+        errors: result.success ? 0 : result.best?.errors ?? null
+      }
+    });
+    
     if (result.success) {
       if (socket) {
         socket.emit('output', '\n\x1b[1;32m✓ Build validation completed successfully!\x1b[0m\n');
@@ -71,7 +91,9 @@ router.post("/validate-build", async (req, res) => {
       return res.json({
         success: true,
         message: "Build validation completed successfully",
-        attempts: result.attempts
+        attempts: result.attempts,
+        rejectedFiles: result.rejectedFiles,
+        report: result.report
       });
     } else {
       if (socket) {
@@ -81,7 +103,10 @@ router.post("/validate-build", async (req, res) => {
       return res.json({
         success: false,
         message: result.message || "Build validation failed",
-        attempts: result.attempts
+        attempts: result.attempts,
+        rejectedFiles: result.rejectedFiles,
+        report: result.report,
+        best: result.best
       });
     }
 
@@ -1,6 +1,8 @@
 const express = require("express");
-const path = require("path");
 const CompilationChecker = require("../services/compilation-checker");
+const { trySnapshot } = require("../services/snapshot-store");
+const { tryRecordUpdate } = require("../services/history-store");
+const { isValidProjectName, resolveProjectPath } = require("../utils/safe-path");
 
 const router = express.Router();
 
@@ -12,19 +14,35 @@ router.post("/api/check-compilation", async (req, res) => {
     return res.status(400).json({ error: "projectName is required" });
   }
 
+  if (!isValidProjectName(projectName)) {
+    return res.status(400).json({ error: "Invalid project name" });
+  }
+
   const io = req.app.get('io');
   const socket = socketId && io ? io.sockets.sockets.get(socketId) : null;
 
-  const baseDir = path.join(__dirname, "../../client/user-projects");
-  const projectPath = path.join(baseDir, projectName);
+  const projectPath = resolveProjectPath(projectName);
 
   try {
     const checker = new CompilationChecker();
     
     if (autoFix) {
       // Run check and auto-fix
+      const snapshot = await trySnapshot(projectPath, "compilation-fix", "Before compilation check");
       const result = await checker.checkAndFix(projectPath, socket);
       
+      await tryRecordUpdate(projectPath, {
+        source: "compilation-check",
+        prompt: "Check compilation and fix errors automatically",
+        explanation: result.message || "",
+        snapshotId: snapshot?.id || null,
+        build: {
+          success: result.success,
+          attempts: result.attempts,
+          errors: result.success ? 0 : result.best?.errors ?? result.errors?.length ?? null
+        }
+      });
+      
       return res.json({
         message: result.success 
           ? "Compilation check passed" 
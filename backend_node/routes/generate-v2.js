@@ -1,12 +1,8 @@
 const express = require("express");
 const router = express.Router();
-const path = require("path");
-const fs = require("fs/promises");
 const { randomUUID } = require("crypto");
-const { spawn } = require("child_process");
-const TaskBasedGenerator = require("../services/task-based-generator");
-const LLMBuildValidator = require("../services/llm-build-validator");
-const projectManager = require("../services/project-manager");
+const jobQueue = require("../services/job-queue");
+const generationPipeline = require("../services/generation-pipeline");
 require("dotenv").config();
 
 /**
@@ -15,135 +11,59 @@ require("dotenv").config();
  * 2. Generate PRD
  * 3. Use task-based generation for code
  * 4. Validate and fix if needed
+ *
+ * The work runs as a generate job (see routes/jobs.js); this endpoint
+ * queues it and holds the request open until the job finishes. If the
+ * job fails, the project is left in place so the job can be resumed.
  */
 router.post("/generate-v2", async (req, res) => {
-  const { requirement, socketId } = req.body;
+  const { requirement, socketId, title, tags } = req.body;
   
   if (!requirement) {
     return res.status(400).json({ error: "Requirement is required" });
   }
 
-  const io = req.app.get('io');
-  const socket = socketId && io ? io.sockets.sockets.get(socketId) : null;
   const projectName = `project-${randomUUID().slice(0, 8)}`;
-  const baseDir = path.join(__dirname, "../../client/user-projects");
-  const projectPath = path.join(baseDir, projectName);
 
   try {
-    // Step 1: Initialize project with create-next-app
-    if (socket) {
-      socket.emit("output", `\n🚀 Starting modern project generation...\n`);
-      socket.emit("output", `📁 Project: ${projectName}\n\n`);
-      socket.emit("output", `> Step 1: Initializing Next.js project...\n`);
-    }
-
-    await fs.mkdir(baseDir, { recursive: true });
-
-    // Create project with create-next-app
-    const createNextAppSuccess = await new Promise((resolve) => {
-      const childProcess = spawn(
-        "npx",
-        [
-          "create-next-app@latest",
-          projectName,
-          "--tailwind",
-          "--eslint",
-          "--app",
-          "--src-dir",
-          "--ts",
-          "--yes",
-        ],
-        {
-          cwd: baseDir,
-          shell: true,
-          env: {
-            ...process.env,
-            CI: "true",
-            FORCE_COLOR: "0",
-            DISABLE_OPENCOLLECTIVE: "1",
-            ADBLOCK: "1"
-          }
-        }
-      );
-
-      childProcess.stdout.on("data", (data) => {
-        if (socket) socket.emit("output", data.toString());
-      });
-
-      childProcess.stderr.on("data", (data) => {
-        if (socket) socket.emit("output", data.toString());
-      });
+    const queued = await jobQueue.enqueue(
+      generationPipeline.type,
+      generationPipeline.createJobData(requirement, projectName, { title, tags }),
+      { socketId }
+    );
+
+    const job = await jobQueue.waitForJob(queued.id);
+
+    if (job.status !== "completed") {
+      const io = req.app.get('io');
+      const socket = socketId && io ? io.sockets.sockets.get(socketId) : null;
+      if (socket) {
+        socket.emit("output", `\n❌ Error: ${job.error || `Job ${job.status}`}\n`);
+      }
 
-      childProcess.on("close", (code) => {
-        resolve(code === 0);
+      return res.status(500).json({
+        error: job.error || `Job ${job.status}`,
+        projectName,
+        jobId: job.id
       });
-    });
-
-    if (!createNextAppSuccess) {
-      throw new Error("Failed to create Next.js project");
-    }
-
-    // Step 2: Generate PRD using task-based generator
-    if (socket) {
-      socket.emit("output", `\n> Step 2: Generating PRD from requirements...\n`);
-    }
-
-    const generator = new TaskBasedGenerator(process.env.OPENROUTER_API_KEY);
-    const prd = await generator.generatePRD(requirement);
-    
-    // Save PRD
-    await fs.writeFile(path.join(projectPath, "PRD.md"), prd);
-    
-    if (socket) {
-      socket.emit("output", `✓ PRD generated successfully\n`);
-    }
-
-    // Step 3: Generate code using task-based approach
-    if (socket) {
-      socket.emit("output", `\n> Step 3: Generating code based on PRD...\n`);
     }
 
-    const result = await generator.generateProject(prd, projectPath, socket);
-
-    // Step 4: Validate build
-    if (socket) {
-      socket.emit("output", `\n> Step 4: Validating project build...\n`);
-    }
-
-    const validator = new LLMBuildValidator(process.env.OPENROUTER_API_KEY);
-    const validationResult = await validator.validateAndFix(projectPath, prd, socket);
-
-    // Step 5: Start dev server
-    if (socket) {
-      socket.emit("output", `\n> Step 5: Starting development server...\n`);
-    }
-
-    const port = await projectManager.startProject(projectPath, projectName, socket);
-
     // Return success response
     res.json({
       success: true,
+      jobId: job.id,
       projectName,
-      projectPath,
-      port,
-      prd,
-      tasks: result.tasks,
-      validationResult
+      projectPath: job.data.projectPath,
+      port: job.data.port,
+      url: job.data.url,
+      previewUrl: job.data.previewUrl,
+      prd: job.data.prd,
+      tasks: job.data.tasks,
+      validationResult: job.data.validationResult
     });
 
   } catch (error) {
     console.error("Error in generate-v2:", error);
-    
-    if (socket) {
-      socket.emit("output", `\n❌ Error: ${error.message}\n`);
-    }
-
-    // Clean up on error
-    try {
-      await fs.rm(projectPath, { recursive: true, force: true });
-    } catch (cleanupError) {
-      console.error("Cleanup error:", cleanupError);
-    }
 
     res.status(500).json({
       error: error.message,
@@ -152,47 +72,4 @@ router.post("/generate-v2", async (req, res) => {
   }
 });
 
-// Get project list (for UI)
-router.get("/projects", async (req, res) => {
-  try {
-    const baseDir = path.join(__dirname, "../../client/user-projects");
-    const projects = [];
-    
-    try {
-      const dirs = await fs.readdir(baseDir);
-      
-      for (const dir of dirs) {
-        if (dir.startsWith('project-')) {
-          const projectPath = path.join(baseDir, dir);
-          const stat = await fs.stat(projectPath);
-          
-          if (stat.isDirectory()) {
-            // Check if it has a PRD
-            let hasPRD = false;
-            try {
-              await fs.access(path.join(projectPath, 'PRD.md'));
-              hasPRD = true;
-            } catch {}
-            
-            projects.push({
-              name: dir,
-              path: projectPath,
-              createdAt: stat.birthtime,
-              hasPRD,
-              isRunning: projectManager.isProjectRunning(dir)
-            });
-          }
-        }
-      }
-    } catch (error) {
-      console.error("Error reading projects:", error);
-    }
-    
-    res.json({ projects });
-  } catch (error) {
-    console.error("Error getting projects:", error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
 module.exports = router;
\ No newline at end of file
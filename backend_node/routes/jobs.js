@@ -0,0 +1,79 @@
+const express = require("express");
+const { randomUUID } = require("crypto");
+const jobQueue = require("../services/job-queue");
+const generationPipeline = require("../services/generation-pipeline");
+
+const router = express.Router();
+
+// POST /jobs/generate - Queue a project generation job
+router.post("/jobs/generate", async (req, res) => {
+  const { requirement, socketId } = req.body;
+
+  if (!requirement) {
+    return res.status(400).json({ error: "Requirement is required" });
+  }
+
+  try {
+    const projectName = `project-${randomUUID().slice(0, 8)}`;
+    const job = await jobQueue.enqueue(
+      generationPipeline.type,
+      generationPipeline.createJobData(requirement, projectName),
+      { socketId }
+    );
+
+    res.status(202).json({ jobId: job.id, projectName, status: job.status });
+  } catch (error) {
+    console.error("Error queueing generation job:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /jobs - List all jobs, newest first
+router.get("/jobs", (req, res) => {
+  res.json({ jobs: jobQueue.listJobs() });
+});
+
+// GET /jobs/:jobId - Poll a job's status and step states
+router.get("/jobs/:jobId", (req, res) => {
+  const job = jobQueue.getJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  res.json(job);
+});
+
+// POST /jobs/:jobId/cancel - Cancel a queued or running job
+router.post("/jobs/:jobId/cancel", async (req, res) => {
+  try {
+    const job = await jobQueue.cancel(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error("Error cancelling job:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /jobs/:jobId/resume - Resume a failed or cancelled job from its first incomplete step
+router.post("/jobs/:jobId/resume", async (req, res) => {
+  try {
+    const job = await jobQueue.resume(req.params.jobId, { socketId: req.body?.socketId });
+
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    res.status(202).json(job);
+  } catch (error) {
+    console.error("Error resuming job:", error);
+    res.status(409).json({ error: error.message });
+  }
+});
+
+module.exports = router;
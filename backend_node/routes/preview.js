@@ -0,0 +1,44 @@
+const express = require("express");
+const {
+  PreviewError,
+  findPreviewProject,
+  ensurePreviewServer,
+  proxyRequest
+} = require("../services/preview-proxy");
+
+const router = express.Router();
+
+/**
+ * Proxy a request to a project's dev server, starting it first if needed
+ */
+async function sendToPreview(req, res, projectName) {
+  let port;
+  try {
+    port = await ensurePreviewServer(projectName);
+  } catch (error) {
+    if (!(error instanceof PreviewError)) {
+      console.error("Error starting preview:", error);
+      return res.status(500).json({ error: error.message });
+    }
+    if (error.statusCode === 503) {
+      res.set("Retry-After", "5");
+    }
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+
+  proxyRequest(req, res, { projectName, port });
+}
+
+// ALL * on <projectName>.<PREVIEW_HOST> - A project's dev server, proxied
+// on the preview listener; see services/preview-proxy.js. Nothing parses
+// request bodies there, so they reach the dev server untouched.
+router.use(async (req, res) => {
+  const projectName = await findPreviewProject(req.headers.host);
+  if (!projectName) {
+    return res.status(404).json({ error: `No project's preview is served at ${req.headers.host}` });
+  }
+
+  return sendToPreview(req, res, projectName);
+});
+
+module.exports = router;
@@ -1,9 +1,11 @@
 const express = require("express");
+const path = require("path");
 const projectManager = require("../services/project-manager");
+const { findProjectPath } = require("../utils/safe-path");
 
 const router = express.Router();
 
-// Get all running projects
+// Get all running projects with their dev server status (starting/ready/crashed)
 router.get("/api/running-projects", (req, res) => {
   try {
     const projects = projectManager.getAllRunningProjects();
@@ -39,12 +41,18 @@ router.post("/api/stop-project", (req, res) => {
 // Start a project (useful for restarting)
 router.post("/api/start-project", async (req, res) => {
   try {
-    const { projectPath, socketId } = req.body;
+    const { projectPath: requestedPath, socketId } = req.body;
     
-    if (!projectPath) {
+    if (!requestedPath) {
       return res.status(400).json({ error: "Project path is required" });
     }
     
+    // Only projects directly inside the user projects directory may be started
+    const projectPath = await findProjectPath(path.basename(requestedPath));
+    if (!projectPath || path.resolve(requestedPath) !== projectPath) {
+      return res.status(400).json({ error: "Project path must point to an existing user project" });
+    }
+    
     // Get socket if provided
     const io = req.app.get('io');
     const socket = socketId && io ? io.sockets.sockets.get(socketId) : null;
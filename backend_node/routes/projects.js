@@ -0,0 +1,221 @@
+const express = require("express");
+const { isValidProjectName, findProjectPath } = require("../utils/safe-path");
+const projectManager = require("../services/project-manager");
+const projectManifest = require("../services/project-manifest");
+const logStore = require("../services/log-store");
+const { CatalogQueryError, parseCatalogQuery, queryCatalog } = require("../services/project-catalog");
+const {
+  ProjectConflictError,
+  deleteProject,
+  duplicateProject,
+  renameProject
+} = require("../services/project-lifecycle");
+
+const router = express.Router();
+
+/**
+ * Send a page of the project catalog for the request's query string
+ * @param {Object} [options]
+ * @param {boolean} [options.paged=true] - false sends every matching project,
+ *   ignoring offset and limit
+ */
+async function sendCatalog(req, res, { paged = true } = {}) {
+  let options;
+  try {
+    options = paged
+      ? parseCatalogQuery(req.query)
+      : { ...parseCatalogQuery({ ...req.query, offset: undefined, limit: undefined }), limit: null };
+  } catch (error) {
+    if (!(error instanceof CatalogQueryError)) throw error;
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    res.json(await queryCatalog(options));
+  } catch (error) {
+    console.error("Error listing projects:", error);
+    res.status(500).json({ error: "Failed to list projects", details: error.message });
+  }
+}
+
+// GET /projects?q=&tag=&running=&status=&sort=&order=&offset=&limit= - The project
+// catalog, see services/project-catalog.js for the options.
+router.get("/projects", (req, res) => sendCatalog(req, res));
+
+// GET /list-projects - The same listing under its old name, which has always
+// returned every project, so it isn't paged
+router.get("/list-projects", (req, res) => sendCatalog(req, res, { paged: false }));
+
+// GET /projects/search?q=<text>&tag=<tag> - Catalog listing that requires a search term
+router.get("/projects/search", (req, res) => {
+  const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+  const tag = typeof req.query.tag === "string" ? req.query.tag.trim() : "";
+
+  if (!q && !tag) {
+    return res.status(400).json({ error: "q or tag is required" });
+  }
+  return sendCatalog(req, res);
+});
+
+// GET /projects/:projectName - Project manifest
+router.get("/projects/:projectName", async (req, res) => {
+  const projectPath = await findProjectPath(req.params.projectName);
+  if (!projectPath) {
+    return res.status(404).json({ error: "Project not found" });
+  }
+
+  try {
+    const manifest = await projectManifest.loadManifest(projectPath);
+    res.json({
+      ...manifest,
+      isRunning: projectManager.isProjectRunning(manifest.name),
+      serverStatus: projectManager.getProjectStatus(manifest.name)
+    });
+  } catch (error) {
+    console.error("Error reading project manifest:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /projects/:projectName/logs?since=<seq or date> - Buffered dev server output,
+// oldest first; pass the returned lastSeq as since to get only newer entries.
+// The project's socket.io room streams the same log live (see server.js)
+router.get("/projects/:projectName/logs", async (req, res) => {
+  let since;
+  try {
+    since = logStore.parseSince(req.query.since);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const projectPath = await findProjectPath(req.params.projectName);
+  if (!projectPath) {
+    return res.status(404).json({ error: "Project not found" });
+  }
+
+  res.json({
+    projectName: req.params.projectName,
+    serverStatus: projectManager.getProjectStatus(req.params.projectName),
+    ...logStore.getLogs(req.params.projectName, { since })
+  });
+});
+
+/**
+ * Check an optional title from a request body
+ * @returns {string|null} Error message, null if it's fine
+ */
+function validateTitle(title) {
+  if (title === undefined) return null;
+  if (typeof title !== "string" || !title.trim()) {
+    return "title must be a non-empty string";
+  }
+  if (title.trim().length > projectManifest.TITLE_MAX_LENGTH) {
+    return `title must be at most ${projectManifest.TITLE_MAX_LENGTH} characters`;
+  }
+  return null;
+}
+
+function getSocket(req, socketId) {
+  const io = req.app.get("io");
+  return socketId && io ? io.sockets.sockets.get(socketId) : null;
+}
+
+// DELETE /projects/:projectName - Stop a project's dev server and remove the project
+router.delete("/projects/:projectName", async (req, res) => {
+  const projectPath = await findProjectPath(req.params.projectName);
+  if (!projectPath) {
+    return res.status(404).json({ error: "Project not found" });
+  }
+
+  try {
+    const { stopped } = await deleteProject(projectPath);
+    res.json({ message: `Project ${req.params.projectName} deleted`, stopped });
+  } catch (error) {
+    if (error instanceof ProjectConflictError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error("Error deleting project:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /projects/:projectName/duplicate - Copy a project under a new name
+// Body: {name?, title?, reinstall?, socketId?}; node_modules is hard-linked
+// from the original unless reinstall is set or linking fails
+router.post("/projects/:projectName/duplicate", async (req, res) => {
+  const { name, title, reinstall = false, socketId } = req.body || {};
+
+  if (name !== undefined && !isValidProjectName(name)) {
+    return res.status(400).json({ error: "Invalid project name" });
+  }
+  const titleError = validateTitle(title);
+  if (titleError) {
+    return res.status(400).json({ error: titleError });
+  }
+
+  const sourcePath = await findProjectPath(req.params.projectName);
+  if (!sourcePath) {
+    return res.status(404).json({ error: "Project not found" });
+  }
+
+  try {
+    const { manifest, dependencies } = await duplicateProject(sourcePath, {
+      name,
+      title,
+      reinstall: !!reinstall,
+      socket: getSocket(req, socketId)
+    });
+    res.status(201).json({ ...manifest, duplicatedFrom: req.params.projectName, dependencies });
+  } catch (error) {
+    if (error instanceof ProjectConflictError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error("Error duplicating project:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /projects/:projectName/rename - Change a project's title and/or directory name
+// Body: {title?, name?, socketId?}; a running dev server is restarted under the new name
+router.post("/projects/:projectName/rename", async (req, res) => {
+  const { title, name, socketId } = req.body || {};
+
+  if (title === undefined && name === undefined) {
+    return res.status(400).json({ error: "title or name is required" });
+  }
+  if (name !== undefined && !isValidProjectName(name)) {
+    return res.status(400).json({ error: "Invalid project name" });
+  }
+  const titleError = validateTitle(title);
+  if (titleError) {
+    return res.status(400).json({ error: titleError });
+  }
+
+  let projectPath = await findProjectPath(req.params.projectName);
+  if (!projectPath) {
+    return res.status(404).json({ error: "Project not found" });
+  }
+
+  try {
+    let server = {};
+    if (name !== undefined) {
+      ({ projectPath, ...server } = await renameProject(projectPath, name, {
+        socket: getSocket(req, socketId)
+      }));
+    }
+
+    const manifest = title !== undefined
+      ? await projectManifest.setTitle(projectPath, title)
+      : await projectManifest.loadManifest(projectPath);
+
+    res.json({ ...manifest, ...server });
+  } catch (error) {
+    if (error instanceof ProjectConflictError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error("Error renaming project:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+const express = require("express");
+const { findProjectPath, UnsafePathError } = require("../utils/safe-path");
+const proposalStore = require("../services/proposal-store");
+const { tryRecordUpdate } = require("../services/history-store");
+
+const router = express.Router();
+
+// GET /projects/:projectName/proposals/:proposalId - Review a dry-run proposal
+router.get("/projects/:projectName/proposals/:proposalId", async (req, res) => {
+  const projectPath = await findProjectPath(req.params.projectName);
+  if (!projectPath) {
+    return res.status(404).json({ error: "Project not found" });
+  }
+
+  try {
+    const proposal = await proposalStore.getProposal(projectPath, req.params.proposalId);
+
+    if (!proposal) {
+      return res.status(404).json({ error: "Proposal not found" });
+    }
+
+    res.json(proposalStore.summarizeProposal(proposal));
+  } catch (error) {
+    console.error("Error reading proposal:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /projects/:projectName/proposals/:proposalId/apply - Apply accepted files of a proposal
+// Body: {files?: string[] (defaults to all), force?: boolean}
+router.post("/projects/:projectName/proposals/:proposalId/apply", async (req, res) => {
+  const { files, force = false } = req.body || {};
+
+  if (files !== undefined && !Array.isArray(files)) {
+    return res.status(400).json({ error: "files must be an array of paths" });
+  }
+
+  const projectPath = await findProjectPath(req.params.projectName);
+  if (!projectPath) {
+    return res.status(404).json({ error: "Project not found" });
+  }
+
+  try {
+    const result = await proposalStore.applyProposal(projectPath, req.params.proposalId, files, { force });
+
+    if (!result) {
+      return res.status(404).json({ error: "Proposal not found" });
+    }
+
+    if (result.conflicts.length > 0 && result.applied.length === 0) {
+      return res.status(409).json({
+        error: "Files changed since the proposal was made; pass force: true to overwrite",
+        conflicts: result.conflicts
+      });
+    }
+
+    if (result.applied.length > 0) {
+      await tryRecordUpdate(projectPath, {
+        source: "apply-proposal",
+        prompt: `Apply ${result.proposal.source} proposal ${result.proposal.id}`,
+        explanation: result.proposal.explanation,
+        snapshotId: result.snapshotId,
+        files: result.applied.map(({ path, action }) => ({
+          path,
+          status: action === "delete" ? "deleted" : action === "create" ? "added" : "modified"
+        }))
+      });
+    }
+
+    res.json({
+      message: `Applied ${result.applied.length} of ${result.proposal.files.length} proposed file(s)`,
+      proposalId: result.proposal.id,
+      applied: result.applied,
+      rejected: result.rejected,
+      conflicts: result.conflicts,
+      snapshotId: result.snapshotId
+    });
+  } catch (error) {
+    if (error instanceof proposalStore.ProposalError || error instanceof UnsafePathError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error applying proposal:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const express = require("express");
+const { findProjectPath } = require("../utils/safe-path");
+const snapshotStore = require("../services/snapshot-store");
+
+const router = express.Router();
+
+/**
+ * Resolve a project directory, or send a 404 and return null
+ */
+async function findProject(req, res) {
+  const projectPath = await findProjectPath(req.params.projectName);
+
+  if (!projectPath) {
+    res.status(404).json({ error: "Project not found" });
+  }
+  return projectPath;
+}
+
+// GET /projects/:projectName/snapshots - List snapshots, newest first
+router.get("/projects/:projectName/snapshots", async (req, res) => {
+  const projectPath = await findProject(req, res);
+  if (!projectPath) return;
+
+  try {
+    res.json({ snapshots: await snapshotStore.listSnapshots(projectPath) });
+  } catch (error) {
+    console.error("Error listing snapshots:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /projects/:projectName/snapshots - Take a manual snapshot
+router.post("/projects/:projectName/snapshots", async (req, res) => {
+  const projectPath = await findProject(req, res);
+  if (!projectPath) return;
+
+  try {
+    const { files, ...snapshot } = await snapshotStore.createSnapshot(
+      projectPath,
+      "manual",
+      req.body?.description
+    );
+    res.status(201).json({ ...snapshot, fileCount: Object.keys(files).length });
+  } catch (error) {
+    console.error("Error creating snapshot:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /projects/:projectName/snapshots/diff?from=<id>&to=<id|current> - Unified diff between snapshots
+router.get("/projects/:projectName/snapshots/diff", async (req, res) => {
+  const { from, to = "current" } = req.query;
+
+  if (!from) {
+    return res.status(400).json({ error: "from is required" });
+  }
+
+  const projectPath = await findProject(req, res);
+  if (!projectPath) return;
+
+  try {
+    const changes = await snapshotStore.diffSnapshots(projectPath, from, to);
+
+    if (!changes) {
+      return res.status(404).json({ error: "Snapshot not found" });
+    }
+
+    res.json({ from, to, changes });
+  } catch (error) {
+    console.error("Error diffing snapshots:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /projects/:projectName/snapshots/:snapshotId/restore - Roll the project back to a snapshot
+router.post("/projects/:projectName/snapshots/:snapshotId/restore", async (req, res) => {
+  const projectPath = await findProject(req, res);
+  if (!projectPath) return;
+
+  try {
+    const result = await snapshotStore.restoreSnapshot(projectPath, req.params.snapshotId);
+
+    if (!result) {
+      return res.status(404).json({ error: "Snapshot not found" });
+    }
+
+    res.json({
+      message: `Restored snapshot ${result.restored.id}`,
+      restoredSnapshotId: result.restored.id,
+      // Restoring is itself undoable by restoring this one
+      backupSnapshotId: result.backup.id,
+      written: result.written,
+      deleted: result.deleted
+    });
+  } catch (error) {
+    console.error("Error restoring snapshot:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -12,18 +12,35 @@ const generateV2Router = require("./routes/generate-v2");
 const prdRouter = require("./routes/prd");
 const projectControlRouter = require("./routes/project-control");
 const compilationCheckRouter = require("./routes/compilation-check");
+const jobsRouter = require("./routes/jobs");
+const snapshotsRouter = require("./routes/snapshots");
+const proposalsRouter = require("./routes/proposals");
+const projectsRouter = require("./routes/projects");
+const previewRouter = require("./routes/preview");
+const { attachPreviewUpgrades } = require("./services/preview-proxy");
+const jobQueue = require("./services/job-queue");
+const projectManager = require("./services/project-manager");
+const logStore = require("./services/log-store");
+const { isValidProjectName } = require("./utils/safe-path");
+const { PREVIEW_PORT, isPreviewRequest } = require("./utils/preview-origin");
 
 //
 const initializeProjectRouterBuilder = require("./services/initialize-project");
 const updateProjectRouter = require("./services/update-project");
 const updateProjectV2Router = require("./services/update-project-v2");
-const listProjectsRouter = require("./services/list-projects");
 const fixPageIntegrationRouter = require("./services/fix-page-integration");
 const buildValidationRouter = require("./routes/build-validation");
 
 require("dotenv").config(); // Load environment variables
 
 const app = express();
+// Pages served from a preview run generated code; they must not reach the API
+app.use((req, res, next) => {
+  if (isPreviewRequest(req)) {
+    return res.status(403).json({ error: "Previews cannot call the backend API" });
+  }
+  next();
+});
 // Increase payload size limits first before other middleware
 app.use(express.json({ limit: "50mb" }));
 app.use(express.urlencoded({ extended: true, limit: "50mb" }));
@@ -31,7 +48,7 @@ app.use(express.urlencoded({ extended: true, limit: "50mb" }));
 app.use(
   cors({
     origin: ["http://localhost:3000", "http://localhost:3001"], // Allow multiple origins
-    methods: ["GET", "POST"],
+    methods: ["GET", "POST", "DELETE"],
     credentials: true,
   })
 );
@@ -44,8 +61,17 @@ const io = new Server(server, {
     methods: ["GET", "POST"],
     credentials: true,
   },
+  // The terminal runs a shell, so previews must not connect to it either
+  allowRequest: (req, callback) => callback(null, !isPreviewRequest(req)),
 });
 
+// Previews are served on a listener of their own, one origin per project
+// (see utils/preview-origin.js), with request bodies passed on unparsed
+const previewApp = express();
+previewApp.use(previewRouter);
+const previewServer = http.createServer(previewApp);
+attachPreviewUpgrades(previewServer);
+
 // Include routers
 app.use(generateRouter);
 app.use("/api", generateV2Router);
@@ -57,13 +83,40 @@ const initializeProjectRouter = initializeProjectRouterBuilder(io);
 app.use("/api", initializeProjectRouter);
 app.use("/api", updateProjectRouter);
 app.use("/api", updateProjectV2Router);
-app.use("/api", listProjectsRouter);
 app.use("/api", fixPageIntegrationRouter);
 app.use("/api", buildValidationRouter);
+app.use("/api", jobsRouter);
+app.use("/api", snapshotsRouter);
+app.use("/api", proposalsRouter);
+app.use("/api", projectsRouter);
 
 // Store io reference for other routes
 app.set('io', io);
 
+// Push dev server status changes (starting/ready/crashed/stopped) to every client
+projectManager.on("status", (status) => {
+  io.emit("project-status", status);
+});
+
+// Each project's dev server log goes to the clients in its room; they join
+// with "subscribe-project-logs" (below)
+const logRoom = (projectName) => `project-logs:${projectName}`;
+logStore.on("log", (projectName, entry) => {
+  io.to(logRoom(projectName)).emit("project-log", { projectName, ...entry });
+});
+
+// Adopt dev servers still running from before a restart, then resume
+// generation jobs that were queued or running (their start_server step
+// finds an adopted server instead of starting a second one)
+projectManager.restore()
+  .catch((error) => {
+    console.error("Failed to restore running projects:", error);
+  })
+  .then(() => jobQueue.start(io))
+  .catch((error) => {
+    console.error("Failed to start job queue:", error);
+  });
+
 // Proxy endpoint for OpenRouter API
 app.post("/api/proxy/openrouter", async (req, res) => {
   try {
@@ -187,6 +240,35 @@ io.on("connection", (socket) => {
     ptyProcess.resize(size.cols, size.rows);
   });
 
+  // Follow a project's dev server log: the buffered entries after `since`
+  // come back as one "project-logs" message, then every new entry as a
+  // "project-log" message until "unsubscribe-project-logs"
+  socket.on("subscribe-project-logs", ({ projectName, since } = {}) => {
+    if (!isValidProjectName(projectName)) {
+      return socket.emit("project-logs-error", { projectName, error: "Invalid project name" });
+    }
+    let parsedSince;
+    try {
+      parsedSince = logStore.parseSince(since);
+    } catch (error) {
+      return socket.emit("project-logs-error", { projectName, error: error.message });
+    }
+
+    // Joining and sending the backlog in the same tick means no entry is missed or sent twice
+    socket.join(logRoom(projectName));
+    socket.emit("project-logs", {
+      projectName,
+      serverStatus: projectManager.getProjectStatus(projectName),
+      ...logStore.getLogs(projectName, { since: parsedSince }),
+    });
+  });
+
+  socket.on("unsubscribe-project-logs", ({ projectName } = {}) => {
+    if (isValidProjectName(projectName)) {
+      socket.leave(logRoom(projectName));
+    }
+  });
+
   // Clean up on disconnect
   socket.on("disconnect", () => {
     console.log("Client disconnected");
@@ -207,3 +289,6 @@ const PORT = process.env.PORT || 5001;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
+previewServer.listen(PREVIEW_PORT, () => {
+  console.log(`Previews served on port ${PREVIEW_PORT}`);
+});
@@ -0,0 +1,581 @@
+/**
+ * Turns `next build` / `next dev` / `tsc` / ESLint output into diagnostic records.
+ *
+ * A diagnostic looks like:
+ *   {
+ *     code: 'TS2322' | 'MODULE_NOT_FOUND' | ...,   // stable; see CODES
+ *     category: 'type' | 'syntax' | 'module' | 'client-boundary' | 'css' | 'config' | 'lint' | 'runtime' | 'build',
+ *     severity: 'error' | 'warning',
+ *     source: 'typescript' | 'swc' | 'webpack' | 'postcss' | 'eslint' | 'next',
+ *     file: 'src/app/page.tsx' | null,            // relative to the project
+ *     line: 14 | null,
+ *     column: 27 | null,
+ *     message: "Type '\"decrease\"' is not assignable to type ...",
+ *     frames: [{ file, line, column }],           // related locations, e.g. the import trace
+ *     excerpt: '> 14 | ...',                       // code frame printed with the error, if any
+ *     data: {}                                     // code-specific values, e.g. { request } for MODULE_NOT_FOUND
+ *   }
+ *
+ * Fixers match on `code`/`category` instead of searching the raw output, and
+ * the build-fix prompt is written from these records.
+ */
+
+const CODES = {
+  TYPE_ERROR: 'TYPE_ERROR',
+  SYNTAX_ERROR: 'SYNTAX_ERROR',
+  MODULE_NOT_FOUND: 'MODULE_NOT_FOUND',
+  MODULE_PARSE_FAILED: 'MODULE_PARSE_FAILED',
+  CLIENT_COMPONENT_REQUIRED: 'CLIENT_COMPONENT_REQUIRED',
+  USE_CLIENT_MISPLACED: 'USE_CLIENT_MISPLACED',
+  SERVER_IMPORT_IN_CLIENT: 'SERVER_IMPORT_IN_CLIENT',
+  CSS_UNKNOWN_UTILITY: 'CSS_UNKNOWN_UTILITY',
+  CSS_SYNTAX_ERROR: 'CSS_SYNTAX_ERROR',
+  POSTCSS_PLUGIN_MOVED: 'POSTCSS_PLUGIN_MOVED',
+  NEXT_CONFIG_UNSUPPORTED: 'NEXT_CONFIG_UNSUPPORTED',
+  FONT_FETCH_FAILED: 'FONT_FETCH_FAILED',
+  LINT_ERROR: 'LINT_ERROR',
+  PRERENDER_ERROR: 'PRERENDER_ERROR',
+  MISSING_BUILD_FILES: 'MISSING_BUILD_FILES',
+  BUILD_TIMEOUT: 'BUILD_TIMEOUT',
+  UNKNOWN_ERROR: 'UNKNOWN_ERROR'
+};
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*[A-Za-z]/g;
+
+// Source file extensions we report locations for
+const FILE_PATTERN = String.raw`[^\s:()'"\[\]]+\.(?:tsx?|jsx?|mjs|cjs|css|scss|json)`;
+
+// "./src/app/page.tsx" or "./src/app/page.tsx:14:27" on a line of its own
+const LOCATION_LINE = new RegExp(`^((?:\\.?/)?${FILE_PATTERN})(?::(\\d+):(\\d+))?$`);
+// tsc --pretty false: "src/app/page.tsx(14,27): error TS2322: ..."
+const TSC_LINE = new RegExp(`^(${FILE_PATTERN})\\((\\d+),(\\d+)\\): (error|warning) (TS\\d+): (.*)$`);
+// tsc --pretty: "src/app/page.tsx:14:27 - error TS2322: ..."
+const TSC_PRETTY_LINE = new RegExp(`^(${FILE_PATTERN}):(\\d+):(\\d+) - (error|warning) (TS\\d+): (.*)$`);
+// SWC frame header: ",-[/abs/src/app/page.tsx:12:1]" or "╭─[/abs/src/app/page.tsx:12:1]"
+const SWC_FRAME = new RegExp(`^\\s*(?:,-|╭─)\\[(${FILE_PATTERN}):(\\d+):(\\d+)\\]`);
+// tsc errors that aren't tied to a file, e.g. "error TS5023: Unknown compiler option 'foo'."
+const TSC_GLOBAL_LINE = /^(error|warning) (TS\d+): (.*)$/;
+// ESLint inside next build: "12:7  Error: 'x' is defined but never used.  no-unused-vars"
+// and the stylish formatter: "12:7  error  'x' is defined but never used  no-unused-vars"
+// (parsing errors have no rule)
+const ESLINT_LINE = /^(\d+):(\d+)\s+(Error|Warning|error|warning):?\s+(.*?)(?:\s{2,}(\S+))?$/;
+// Code frame lines: "> 14 |   code", "  12 | code", "     |     ^"
+const CODE_FRAME_LINE = /^\s*>?\s*\d*\s*[|:│·]/;
+// Code frames printed under type and module errors: "> 14 | code", "  12 | code", "     |     ^"
+const PLAIN_CODE_FRAME_LINE = /^\s*(?:>\s*\d+\s*\||\d+\s*\||\|\s*\^)/;
+
+/**
+ * Recognized error messages; the first match wins. `match` runs against the
+ * message with any "Error:", "x" or "Type error:" prefix removed.
+ */
+const MESSAGE_RULES = [
+  {
+    code: CODES.CLIENT_COMPONENT_REQUIRED,
+    category: 'client-boundary',
+    source: 'swc',
+    match: /only works in a Client Component|needs `?\w+`?\. (?:This|It) .* Client Component|Event handlers cannot be passed to Client Component props|none of its parents are marked with "use client"/,
+    data: (message) => {
+      const hook = message.match(/needs `?(\w+)`?/);
+      return hook ? { api: hook[1] } : {};
+    }
+  },
+  {
+    code: CODES.USE_CLIENT_MISPLACED,
+    category: 'client-boundary',
+    source: 'swc',
+    match: /"use client" directive must be placed before other expressions/
+  },
+  {
+    code: CODES.SERVER_IMPORT_IN_CLIENT,
+    category: 'client-boundary',
+    source: 'swc',
+    match: /You're importing a component that needs "?(?:next\/headers|server-only)"?|only works in a Server Component/
+  },
+  {
+    code: CODES.MODULE_NOT_FOUND,
+    category: 'module',
+    source: 'webpack',
+    match: /Module not found|Cannot find module '[^']+'|Can't resolve '[^']+'/,
+    data: (message) => {
+      const request = message.match(/(?:Can't resolve|Cannot find module) '([^']+)'/);
+      return request ? { request: request[1] } : {};
+    }
+  },
+  {
+    code: CODES.MODULE_PARSE_FAILED,
+    category: 'syntax',
+    source: 'webpack',
+    match: /Module parse failed/
+  },
+  {
+    code: CODES.POSTCSS_PLUGIN_MOVED,
+    category: 'css',
+    source: 'postcss',
+    match: /trying to use `tailwindcss` directly as a PostCSS plugin/
+  },
+  {
+    code: CODES.CSS_UNKNOWN_UTILITY,
+    category: 'css',
+    source: 'postcss',
+    match: /Cannot apply unknown utility class|The `[^`]+` class does not exist/,
+    data: (message) => {
+      const utility = message.match(/unknown utility class:? `?([^\s`]+)`?|The `([^`]+)` class does not exist/);
+      return utility ? { utility: utility[1] || utility[2] } : {};
+    }
+  },
+  {
+    code: CODES.CSS_SYNTAX_ERROR,
+    category: 'css',
+    source: 'postcss',
+    match: /CssSyntaxError|Unknown word|Unclosed (?:block|bracket|string)/
+  },
+  {
+    code: CODES.NEXT_CONFIG_UNSUPPORTED,
+    category: 'config',
+    source: 'next',
+    match: /Configuring Next\.js via '[^']+' is not supported/
+  },
+  {
+    code: CODES.FONT_FETCH_FAILED,
+    category: 'config',
+    source: 'next',
+    match: /Failed to fetch (?:font|`[^`]+`) from Google Fonts|Failed to fetch font/
+  },
+  {
+    code: CODES.MISSING_BUILD_FILES,
+    category: 'build',
+    source: 'next',
+    match: /ENOENT: no such file or directory.*\.next/
+  },
+  {
+    code: CODES.BUILD_TIMEOUT,
+    category: 'build',
+    source: 'next',
+    match: /Build timed out after/
+  },
+  {
+    code: CODES.SYNTAX_ERROR,
+    category: 'syntax',
+    source: 'swc',
+    match: /^(?:Expected|Unexpected|Unterminated|Expression expected|Syntax Error)|Unexpected token|Unexpected eof/
+  }
+];
+
+function createDiagnostic(fields) {
+  return {
+    code: CODES.UNKNOWN_ERROR,
+    category: 'build',
+    severity: 'error',
+    source: 'next',
+    file: null,
+    line: null,
+    column: null,
+    message: '',
+    frames: [],
+    excerpt: '',
+    data: {},
+    ...fields
+  };
+}
+
+/**
+ * Project-relative form of a path from build output: "./src/x.tsx",
+ * "/abs/.../project/src/x.tsx" and "src/x.tsx" all become "src/x.tsx"
+ */
+function normalizeFile(filePath, projectPath) {
+  if (!filePath) return null;
+  const normalized = filePath.replace(/\\/g, '/');
+
+  if (projectPath) {
+    const root = projectPath.replace(/\\/g, '/').replace(/\/$/, '') + '/';
+    if (normalized.startsWith(root)) return normalized.slice(root.length);
+  }
+
+  if (normalized.startsWith('/')) {
+    // Absolute path outside a known root: keep the part from the source directory on
+    const sourceRoot = normalized.search(/\/(src|app|pages|components|lib)\//);
+    if (sourceRoot !== -1) return normalized.slice(sourceRoot + 1);
+  }
+
+  return normalized.replace(/^\.\//, '');
+}
+
+function classify(message) {
+  for (const rule of MESSAGE_RULES) {
+    if (rule.match.test(message)) {
+      return {
+        code: rule.code,
+        category: rule.category,
+        source: rule.source,
+        data: rule.data ? rule.data(message) : {}
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Message text after the prefixes Next.js, SWC and webpack put in front of it
+ */
+function stripPrefixes(text) {
+  return text
+    .replace(/^(?:Error|error|Syntax error|SyntaxError|TypeError|ReferenceError):\s*/, '')
+    .replace(/^[x×]\s+/, '')
+    // PostCSS puts the absolute file path in front of the message
+    .replace(new RegExp(`^/${FILE_PATTERN}(?::\\d+:\\d+)?:?\\s+`), '')
+    .trim();
+}
+
+/**
+ * Parse build output into diagnostics
+ * @param {string} output - Raw stdout + stderr
+ * @param {Object} options
+ * @param {string} options.projectPath - Used to make absolute file paths project-relative
+ * @returns {Array<Object>} Diagnostics in the order they appear, without duplicates
+ */
+function parseDiagnostics(output, { projectPath } = {}) {
+  const lines = String(output || '')
+    .replace(ANSI_PATTERN, '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    // Next.js dev marks errors with "⨯ "
+    .map(line => line.replace(/^\s*⨯\s+/, ''))
+    // Webpack prints loader chains ("./x.css.webpack[...]!=!...!./src/app/globals.css"); the file is the last part
+    .map(line => /^\.\/\S*!\.\/\S+$/.test(line.trim()) ? line.trim().slice(line.trim().lastIndexOf('!') + 1) : line);
+
+  const diagnostics = [];
+  let location = null;     // Last "./file:line:col" line, for the message that follows it
+  let current = null;      // Diagnostic that frames, traces and continuation lines belong to
+  let mode = null;         // 'trace' | 'frame' | 'tsc' | 'stack' | 'prerender'
+
+  const push = (diagnostic) => {
+    diagnostics.push(diagnostic);
+    current = diagnostic;
+    mode = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    // Import trace entries belong to the diagnostic above them
+    if (/^Import trace for requested module:?$/.test(trimmed)) {
+      mode = 'trace';
+      continue;
+    }
+    if (mode === 'trace') {
+      const entry = trimmed.match(LOCATION_LINE);
+      if (entry && current) {
+        // The trace starts with the failing file itself
+        const file = normalizeFile(entry[1], projectPath);
+        if (file !== current.file) {
+          current.frames.push({ file, line: null, column: null });
+        }
+        continue;
+      }
+      mode = null;
+    }
+
+    // tsc continuation lines are indented under the error
+    if (mode === 'tsc' && /^\s{2,}\S/.test(line) && current) {
+      current.message += `\n${trimmed}`;
+      continue;
+    }
+    if (mode === 'tsc') mode = null;
+
+    // Stack frames of runtime errors during prerendering
+    if (mode === 'stack') {
+      const frame = trimmed.match(new RegExp(`^at .*?\\(?(${FILE_PATTERN}):(\\d+):(\\d+)\\)?$`));
+      if (frame) {
+        if (!frame[1].includes('/.next/') && !frame[1].includes('node_modules')) {
+          const position = { file: normalizeFile(frame[1], projectPath), line: Number(frame[2]), column: Number(frame[3]) };
+          // The first frame in the project's own code is where the error is reported
+          if (current.file) {
+            current.frames.push(position);
+          } else {
+            Object.assign(current, position);
+          }
+        }
+        continue;
+      }
+      if (trimmed.startsWith('at ')) continue;
+      mode = null;
+    }
+
+    if (mode === 'prerender') {
+      if (trimmed) {
+        current.message = trimmed;
+        mode = 'stack';
+      }
+      continue;
+    }
+
+    // SWC code frames: the header carries the exact position
+    const swcFrame = line.match(SWC_FRAME);
+    if (swcFrame && current) {
+      const file = normalizeFile(swcFrame[1], projectPath);
+      if (!current.file || current.file === file) {
+        current.file = file;
+        if (!current.line || current.line === 1) {
+          current.line = Number(swcFrame[2]);
+          current.column = Number(swcFrame[3]);
+        }
+      } else {
+        current.frames.push({ file, line: Number(swcFrame[2]), column: Number(swcFrame[3]) });
+      }
+      mode = 'frame';
+      continue;
+    }
+    if (mode === 'frame') {
+      if (/^\s*(`-+|╰─+)/.test(line)) {
+        mode = null;
+        continue;
+      }
+      if (CODE_FRAME_LINE.test(line)) {
+        current.excerpt += `${line}\n`;
+        continue;
+      }
+      mode = null;
+    }
+
+    // Plain code frames after a type error: "> 14 | code"
+    if (current && PLAIN_CODE_FRAME_LINE.test(line)) {
+      current.excerpt += `${line}\n`;
+      continue;
+    }
+
+    // A location line only applies to the messages directly below it
+    if (!trimmed) {
+      location = null;
+      continue;
+    }
+
+    let match;
+
+    if ((match = trimmed.match(TSC_LINE)) || (match = trimmed.match(TSC_PRETTY_LINE))) {
+      const [, file, lineNumber, column, severity, code, message] = match;
+      push(createDiagnostic({
+        code,
+        category: 'type',
+        severity,
+        source: 'typescript',
+        file: normalizeFile(file, projectPath),
+        line: Number(lineNumber),
+        column: Number(column),
+        message,
+        // "Cannot find module 'x'": keep the request so missing packages can be installed
+        data: code === 'TS2307' ? (classify(message) || {}).data || {} : {}
+      }));
+      mode = 'tsc';
+      location = null;
+      continue;
+    }
+
+    if ((match = trimmed.match(TSC_GLOBAL_LINE))) {
+      const [, severity, code, message] = match;
+      push(createDiagnostic({ code, category: 'config', severity, source: 'typescript', message }));
+      mode = 'tsc';
+      location = null;
+      continue;
+    }
+
+    if ((match = trimmed.match(LOCATION_LINE))) {
+      location = {
+        file: normalizeFile(match[1], projectPath),
+        line: match[2] ? Number(match[2]) : null,
+        column: match[3] ? Number(match[3]) : null
+      };
+      current = null;
+      continue;
+    }
+
+    if ((match = trimmed.match(ESLINT_LINE)) && location) {
+      const [, lineNumber, column, severity, message, rule] = match;
+      push(createDiagnostic({
+        code: CODES.LINT_ERROR,
+        category: 'lint',
+        severity: severity.toLowerCase(),
+        source: 'eslint',
+        file: location.file,
+        line: Number(lineNumber),
+        column: Number(column),
+        message,
+        data: rule ? { rule } : {}
+      }));
+      continue;
+    }
+
+    if ((match = trimmed.match(/^Type error: (.*)$/))) {
+      const tsCode = match[1].match(/^(TS\d+): /);
+      push(createDiagnostic({
+        code: tsCode ? tsCode[1] : CODES.TYPE_ERROR,
+        category: 'type',
+        source: 'typescript',
+        ...location,
+        message: tsCode ? match[1].slice(tsCode[0].length) : match[1]
+      }));
+      continue;
+    }
+
+    if ((match = trimmed.match(/^Error occurred prerendering page "([^"]+)"/))) {
+      push(createDiagnostic({
+        code: CODES.PRERENDER_ERROR,
+        category: 'runtime',
+        source: 'next',
+        message: `Prerendering ${match[1]} failed`,
+        data: { page: match[1] }
+      }));
+      mode = 'prerender';
+      continue;
+    }
+
+    // CSS errors name their file inline: "CssSyntaxError: /abs/src/app/globals.css:5:3: Unknown word"
+    if ((match = trimmed.match(new RegExp(`^(?:\\w*Error|Syntax error): (${FILE_PATTERN}):(\\d+):(\\d+):? (.*)$`)))) {
+      const classified = classify(trimmed) || { code: CODES.CSS_SYNTAX_ERROR, category: 'css', source: 'postcss', data: {} };
+      push(createDiagnostic({
+        ...classified,
+        file: normalizeFile(match[1], projectPath),
+        line: Number(match[2]),
+        column: Number(match[3]),
+        message: match[4]
+      }));
+      continue;
+    }
+
+    const isErrorLine = /^(?:Error|error|Syntax error|\w+Error):/.test(trimmed) ||
+      (location && /^[x×]\s/.test(trimmed));
+    const message = stripPrefixes(trimmed);
+    const classified = classify(message);
+
+    // Bare syntax-ish phrases only count when they're reported as errors
+    if (classified && (isErrorLine || location || classified.code !== CODES.SYNTAX_ERROR)) {
+      push(createDiagnostic({
+        ...classified,
+        ...(location || {}),
+        message: message.replace(/^Module not found: (?=Can't resolve|Cannot find module)/, '')
+      }));
+      continue;
+    }
+
+    if (isErrorLine && !/^Error: Command failed|^error Command failed|^npm (?:ERR|error)/.test(trimmed)) {
+      push(createDiagnostic({
+        ...(location || {}),
+        message
+      }));
+      continue;
+    }
+
+    // Message continuation right after a located error, e.g. SWC's "Caused by:" block
+    if (current && /^Caused by:$/.test(trimmed)) {
+      const cause = lines[i + 1]?.trim();
+      if (cause && current.code === CODES.UNKNOWN_ERROR) {
+        Object.assign(current, classify(cause) || {});
+      }
+      i++;
+    }
+  }
+
+  return dedupe(diagnostics);
+}
+
+function dedupe(diagnostics) {
+  const seen = new Map();
+
+  for (const diagnostic of diagnostics) {
+    const key = [diagnostic.code, diagnostic.file, diagnostic.line, diagnostic.column, diagnostic.message].join('\0');
+    const existing = seen.get(key);
+    if (existing) {
+      // Keep whichever copy has more context
+      if (!existing.excerpt && diagnostic.excerpt) existing.excerpt = diagnostic.excerpt;
+      if (existing.frames.length === 0) existing.frames = diagnostic.frames;
+    } else {
+      seen.set(key, diagnostic);
+    }
+  }
+
+  return [...seen.values()];
+}
+
+/**
+ * Errors only (warnings left out)
+ */
+function errorsOnly(diagnostics) {
+  return diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+}
+
+/**
+ * Files the diagnostics point at, including related frames
+ * @param {Array<Object>} diagnostics
+ * @param {Object} options
+ * @param {boolean} options.includeFrames - Also list files from import traces and stack frames
+ * @returns {Array<string>}
+ */
+function affectedFiles(diagnostics, { includeFrames = false } = {}) {
+  const files = new Set();
+
+  for (const diagnostic of diagnostics) {
+    if (diagnostic.file) files.add(diagnostic.file);
+    if (includeFrames) {
+      diagnostic.frames.forEach(frame => frame.file && files.add(frame.file));
+    }
+  }
+
+  return [...files];
+}
+
+/**
+ * "src/app/page.tsx:14:27"
+ */
+function formatLocation({ file, line, column }) {
+  if (!file) return '(no file)';
+  return [file, line, line && column].filter(Boolean).join(':');
+}
+
+/**
+ * Render diagnostics for logs and LLM prompts, one block per diagnostic.
+ * The same error reported at several places (e.g. a missing package imported
+ * from many files) becomes one block that lists the other locations.
+ * @param {Array<Object>} diagnostics
+ * @param {Object} options
+ * @param {number} options.max - Blocks to include before summarizing the rest
+ * @param {boolean} options.excerpts - Include code frames
+ * @returns {string}
+ */
+function formatDiagnostics(diagnostics, { max = 10, excerpts = true } = {}) {
+  const groups = new Map();
+  for (const diagnostic of diagnostics) {
+    const key = `${diagnostic.code}\0${diagnostic.message}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(diagnostic);
+  }
+
+  const blocks = [...groups.values()].slice(0, max).map(([diagnostic, ...repeats]) => {
+    const lines = [`[${diagnostic.code}] ${formatLocation(diagnostic)}: ${diagnostic.message}`];
+
+    if (excerpts && diagnostic.excerpt) {
+      lines.push(diagnostic.excerpt.replace(/\n$/, ''));
+    }
+    if (diagnostic.frames.length > 0) {
+      lines.push(`  via ${diagnostic.frames.map(formatLocation).join(' <- ')}`);
+    }
+    if (repeats.length > 0) {
+      lines.push(`  also at ${repeats.map(formatLocation).join(', ')}`);
+    }
+    return lines.join('\n');
+  });
+
+  if (groups.size > max) {
+    blocks.push(`... and ${groups.size - max} more`);
+  }
+
+  return blocks.join('\n\n');
+}
+
+module.exports = {
+  CODES,
+  parseDiagnostics,
+  errorsOnly,
+  affectedFiles,
+  formatDiagnostics,
+  formatLocation
+};
@@ -0,0 +1,598 @@
+const { parse: babelParse } = require('@babel/parser');
+
+/**
+ * Source-to-source edits on generated TS/TSX files, driven by a real parser.
+ *
+ * Every operation takes source code and returns the edited source code
+ * (the same string when there's nothing to do). Edits are spliced into the
+ * original text at node positions, so formatting and comments outside the
+ * edited nodes are left exactly as they were.
+ *
+ * Operations throw a TransformError when the code doesn't parse; callers
+ * should leave such files alone rather than fall back to text rewrites.
+ */
+
+class TransformError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'TransformError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Parse TS/TSX (or plain JS) into a Babel AST
+ * @param {string} code - Source code
+ * @param {Object} options
+ * @param {string} options.filename - Used to pick the grammar; ".ts" files are parsed without JSX
+ *   so that `<T>value` casts work
+ */
+function parse(code, { filename = 'file.tsx' } = {}) {
+  const plugins = /\.[cm]?ts$/.test(filename) ? ['typescript'] : ['typescript', 'jsx'];
+
+  try {
+    return babelParse(code, {
+      sourceType: 'module',
+      plugins,
+      allowReturnOutsideFunction: true
+    });
+  } catch (error) {
+    throw new TransformError(`Could not parse ${filename}: ${error.message}`, error);
+  }
+}
+
+/**
+ * Visit every node depth-first. Returning false from the visitor skips the node's children.
+ */
+function walk(node, visitor, parent = null) {
+  if (!node || typeof node.type !== 'string') return;
+  if (visitor(node, parent) === false) return;
+
+  for (const key of Object.keys(node)) {
+    if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments' || key === 'innerComments') continue;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      value.forEach(child => walk(child, visitor, node));
+    } else if (value && typeof value.type === 'string') {
+      walk(value, visitor, node);
+    }
+  }
+}
+
+/**
+ * Apply {start, end, text} replacements to the original code
+ */
+function applyEdits(code, edits) {
+  return [...edits]
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), code);
+}
+
+/**
+ * Range covering a whole statement, its indentation and the rest of its line,
+ * so removing it doesn't leave an empty line behind
+ */
+function statementRange(code, node) {
+  let start = node.start;
+  while (start > 0 && (code[start - 1] === ' ' || code[start - 1] === '\t')) start--;
+
+  let end = node.end;
+  while (end < code.length && (code[end] === ' ' || code[end] === '\t')) end++;
+  if (code[end] === '\r') end++;
+  if (code[end] === '\n') end++;
+
+  // Don't leave two blank lines where the statement was
+  const blankBefore = start === 0 || code.slice(0, start).endsWith('\n\n');
+  if (blankBefore && code[end] === '\n') end++;
+
+  return { start, end };
+}
+
+/**
+ * Range of one item in a comma-separated list (specifiers, declarators,
+ * properties), including the comma and whitespace that separate it from a neighbour
+ */
+function listItemRange(items, index) {
+  const item = items[index];
+  if (items.length === 1) return { start: item.start, end: item.end };
+  if (index < items.length - 1) return { start: item.start, end: items[index + 1].start };
+  return { start: items[index - 1].end, end: item.end };
+}
+
+function propertyKeyName(property) {
+  if (property.type !== 'ObjectProperty' && property.type !== 'ObjectMethod') return null;
+  if (property.computed) return null;
+  if (property.key.type === 'Identifier') return property.key.name;
+  if (property.key.type === 'StringLiteral') return property.key.value;
+  return null;
+}
+
+function isFunction(node) {
+  return node && (
+    node.type === 'FunctionDeclaration' ||
+    node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression'
+  );
+}
+
+/**
+ * Functions declared in the module, by name: `function x() {}`, `const x = () => {}`,
+ * `const x = function () {}`, exported or not
+ */
+function findFunctions(ast) {
+  const functions = [];
+
+  walk(ast.program, (node) => {
+    if (node.type === 'FunctionDeclaration' && node.id) {
+      functions.push({ name: node.id.name, node });
+    } else if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && isFunction(node.init)) {
+      functions.push({ name: node.id.name, node: node.init });
+    } else if (node.type === 'ExportDefaultDeclaration' && isFunction(node.declaration) && !node.declaration.id) {
+      functions.push({ name: 'default', node: node.declaration });
+    }
+  });
+
+  return functions;
+}
+
+/**
+ * Return statements that belong to a function itself, not to functions nested in it
+ */
+function ownReturnStatements(fn) {
+  const returns = [];
+
+  walk(fn.body, (node) => {
+    if (isFunction(node)) return false;
+    if (node.type === 'ReturnStatement') returns.push(node);
+  });
+
+  return returns;
+}
+
+function isDirectiveStatement(statement, directive) {
+  return statement.type === 'ExpressionStatement' &&
+    statement.expression.type === 'StringLiteral' &&
+    statement.expression.value === directive;
+}
+
+/**
+ * Whether the module starts with a directive (in the directive prologue, where it has an effect)
+ * @param {string} code - Source code
+ * @param {string} directive - e.g. "use client"
+ */
+function hasDirective(code, directive, options = {}) {
+  const ast = parse(code, options);
+  return ast.program.directives.some(node => node.value.value === directive);
+}
+
+/**
+ * Add a directive such as 'use client' at the top of a module. A copy of the
+ * directive that sits below imports or other statements (where it's ignored)
+ * is moved to the top.
+ * @param {string} code - Source code
+ * @param {string} directive - e.g. "use client"
+ */
+function addDirective(code, directive, options = {}) {
+  const ast = parse(code, options);
+
+  if (ast.program.directives.some(node => node.value.value === directive)) {
+    return code;
+  }
+
+  const edits = ast.program.body
+    .filter(statement => isDirectiveStatement(statement, directive))
+    .map(statement => ({ ...statementRange(code, statement), text: '' }));
+
+  // Directives may only be preceded by comments, so the very top is always valid
+  edits.push({ start: 0, end: 0, text: `'${directive}';\n\n` });
+
+  return applyEdits(code, edits).replace(/^('[^'\n]+';\n\n)\n+/, '$1');
+}
+
+/**
+ * Imports of a module
+ * @param {string} code - Source code
+ * @returns {Array<{source: string, specifiers: Array<{imported: string, local: string, type: string}>}>}
+ *   type is "default", "namespace" or "named"
+ */
+function getImports(code, options = {}) {
+  const ast = parse(code, options);
+
+  return ast.program.body
+    .filter(statement => statement.type === 'ImportDeclaration')
+    .map(statement => ({
+      source: statement.source.value,
+      specifiers: statement.specifiers.map(specifier => ({
+        type: specifier.type === 'ImportDefaultSpecifier' ? 'default'
+          : specifier.type === 'ImportNamespaceSpecifier' ? 'namespace'
+            : 'named',
+        imported: specifier.type === 'ImportSpecifier'
+          ? specifier.imported.name || specifier.imported.value
+          : specifier.local.name,
+        local: specifier.local.name
+      }))
+    }));
+}
+
+/**
+ * Remove one imported name from an import declaration; the whole declaration
+ * goes when it was the last name imported from there
+ * @param {string} code - Source code
+ * @param {string} source - Module specifier, e.g. "next/font/google"
+ * @param {string} name - Local name of the specifier to remove
+ */
+function removeImportSpecifier(code, source, name, options = {}) {
+  const ast = parse(code, options);
+  const edits = [];
+
+  for (const statement of ast.program.body) {
+    if (statement.type !== 'ImportDeclaration' || statement.source.value !== source) continue;
+
+    const specifiers = statement.specifiers;
+    const index = specifiers.findIndex(specifier => specifier.local.name === name);
+    if (index === -1) continue;
+
+    if (specifiers.length === 1) {
+      edits.push({ ...statementRange(code, statement), text: '' });
+      continue;
+    }
+
+    const specifier = specifiers[index];
+    const named = specifiers.filter(item => item.type === 'ImportSpecifier');
+
+    if (specifier.type === 'ImportDefaultSpecifier') {
+      // `import Default, { a } from ...` -> `import { a } from ...`
+      const next = specifiers[index + 1];
+      const end = next.type === 'ImportSpecifier' ? code.indexOf('{', specifier.end) : next.start;
+      edits.push({ start: specifier.start, end, text: '' });
+    } else if (specifier.type === 'ImportNamespaceSpecifier') {
+      edits.push({ start: specifiers[index - 1].end, end: specifier.end, text: '' });
+    } else if (named.length === 1) {
+      // `import Default, { name } from ...` -> `import Default from ...`
+      const closingBrace = code.indexOf('}', specifier.end);
+      edits.push({ start: specifiers[index - 1].end, end: closingBrace + 1, text: '' });
+    } else {
+      edits.push({ ...listItemRange(named, named.indexOf(specifier)), text: '' });
+    }
+  }
+
+  return applyEdits(code, edits);
+}
+
+/**
+ * Remove variable declarations by name, e.g. `const geistSans = Geist({...});`
+ * @param {string} code - Source code
+ * @param {Array<string>} names - Declared identifiers to remove
+ */
+function removeDeclarations(code, names, options = {}) {
+  const ast = parse(code, options);
+  const edits = [];
+
+  walk(ast.program, (node) => {
+    if (node.type !== 'VariableDeclaration') return;
+
+    const removed = node.declarations.filter(
+      declarator => declarator.id.type === 'Identifier' && names.includes(declarator.id.name)
+    );
+    if (removed.length === 0) return;
+
+    if (removed.length === node.declarations.length) {
+      edits.push({ ...statementRange(code, node), text: '' });
+    } else {
+      removed.forEach(declarator => {
+        edits.push({ ...listItemRange(node.declarations, node.declarations.indexOf(declarator)), text: '' });
+      });
+    }
+    return false;
+  });
+
+  return applyEdits(code, edits);
+}
+
+/**
+ * Names of variables initialized by calling one of the given functions,
+ * e.g. geistSans for `const geistSans = Geist({...})`
+ * @param {string} code - Source code
+ * @param {Array<string>} calleeNames - Function names
+ * @returns {Array<string>}
+ */
+function findDeclarationsCalling(code, calleeNames, options = {}) {
+  const ast = parse(code, options);
+  const names = [];
+
+  walk(ast.program, (node) => {
+    if (node.type === 'VariableDeclarator' &&
+        node.id.type === 'Identifier' &&
+        node.init?.type === 'CallExpression' &&
+        node.init.callee.type === 'Identifier' &&
+        calleeNames.includes(node.init.callee.name)) {
+      names.push(node.id.name);
+    }
+  });
+
+  return names;
+}
+
+function referencesAny(node, names) {
+  let found = false;
+  walk(node, (child) => {
+    if (child.type === 'Identifier' && names.includes(child.name)) found = true;
+  });
+  return found;
+}
+
+/**
+ * Remove expressions that use the given variables from className attributes:
+ * `${geistSans.variable}` is dropped from template literals, a template left
+ * without expressions becomes a plain string, and an attribute left empty is removed
+ * @param {string} code - Source code
+ * @param {Array<string>} names - Variables whose uses should go
+ */
+function removeClassNameReferences(code, names, options = {}) {
+  const ast = parse(code, options);
+  const edits = [];
+
+  walk(ast.program, (node) => {
+    if (node.type !== 'JSXAttribute' || node.name.name !== 'className') return;
+    if (node.value?.type !== 'JSXExpressionContainer') return;
+
+    const expression = node.value.expression;
+    if (expression.type !== 'TemplateLiteral') {
+      if (referencesAny(expression, names)) {
+        edits.push({ ...attributeRange(code, node), text: '' });
+      }
+      return false;
+    }
+
+    const kept = expression.expressions.filter(part => !referencesAny(part, names));
+    if (kept.length === expression.expressions.length) return false;
+
+    // Rebuild the template text from the quasis and the expressions that stay,
+    // collapsing the whitespace left where expressions were removed
+    let text = '';
+    let pendingText = '';
+    expression.quasis.forEach((quasi, index) => {
+      pendingText += quasi.value.raw;
+      const part = expression.expressions[index];
+      if (part && kept.includes(part)) {
+        text += `${pendingText.replace(/\s+/g, ' ')}\${${code.slice(part.start, part.end)}}`;
+        pendingText = '';
+      }
+    });
+    text = (text + pendingText.replace(/\s+/g, ' ')).trim();
+
+    if (kept.length > 0) {
+      edits.push({ start: node.value.start, end: node.value.end, text: `{\`${text}\`}` });
+    } else if (text) {
+      edits.push({ start: node.value.start, end: node.value.end, text: JSON.stringify(text) });
+    } else {
+      edits.push({ ...attributeRange(code, node), text: '' });
+    }
+    return false;
+  });
+
+  return applyEdits(code, edits);
+}
+
+/**
+ * Range of a JSX attribute including the whitespace before it
+ */
+function attributeRange(code, node) {
+  let start = node.start;
+  while (start > 0 && /\s/.test(code[start - 1])) start--;
+  return { start, end: node.end };
+}
+
+/**
+ * Add properties to the object a function returns, e.g. a hook's
+ * `return { count, increment }`. Properties that are already there are skipped.
+ * @param {string} code - Source code
+ * @param {string|null} functionName - Function to edit; when null, the first
+ *   function that returns an object literal
+ * @param {Array<string|{key: string, value: string}>} properties - Names to add as
+ *   shorthand properties, or key/value pairs where value is source code
+ */
+function addPropertyToReturnedObject(code, functionName, properties, options = {}) {
+  const ast = parse(code, options);
+
+  const candidates = findFunctions(ast)
+    .filter(fn => !functionName || fn.name === functionName)
+    .map(fn => {
+      const returns = fn.node.body.type === 'ObjectExpression'
+        ? [{ argument: fn.node.body }]
+        : ownReturnStatements(fn.node).filter(statement => statement.argument?.type === 'ObjectExpression');
+      return returns.length > 0 ? returns[returns.length - 1].argument : null;
+    })
+    .filter(Boolean);
+
+  if (candidates.length === 0) return code;
+  const object = candidates[0];
+
+  const existing = new Set(object.properties.map(propertyKeyName).filter(Boolean));
+  const additions = properties
+    .map(property => typeof property === 'string' ? { key: property } : property)
+    .filter(property => !existing.has(property.key) && existing.add(property.key))
+    .map(property => property.value === undefined || property.value === property.key
+      ? property.key
+      : `${property.key}: ${property.value}`);
+
+  if (additions.length === 0) return code;
+
+  const last = object.properties[object.properties.length - 1];
+  if (!last) {
+    return applyEdits(code, [{ start: object.start, end: object.end, text: `{ ${additions.join(', ')} }` }]);
+  }
+
+  const multiline = object.loc.start.line !== object.loc.end.line;
+  const afterLast = code.slice(last.end, object.end - 1);
+  const trailingComma = afterLast.trimStart().startsWith(',');
+
+  if (!multiline) {
+    return applyEdits(code, [{ start: last.end, end: last.end, text: `, ${additions.join(', ')}` }]);
+  }
+
+  const lineStart = code.lastIndexOf('\n', last.start) + 1;
+  const indent = code.slice(lineStart, last.start).match(/^\s*/)[0];
+
+  if (trailingComma) {
+    const commaEnd = last.end + afterLast.indexOf(',') + 1;
+    const text = additions.map(addition => `\n${indent}${addition},`).join('');
+    return applyEdits(code, [{ start: commaEnd, end: commaEnd, text }]);
+  }
+
+  const text = additions.map(addition => `,\n${indent}${addition}`).join('');
+  return applyEdits(code, [{ start: last.end, end: last.end, text }]);
+}
+
+/**
+ * Replace the body of a function declared in the module (see findFunctions),
+ * e.g. `const reset = () => {...}`, keeping its parameters. Returns the code
+ * as is when there's no such function.
+ * @param {string} code - Source code
+ * @param {string} functionName
+ * @param {string[]} statements - New body, one statement per line
+ */
+function replaceFunctionBody(code, functionName, statements, options = {}) {
+  const fn = findFunctions(parse(code, options)).find(candidate => candidate.name === functionName);
+  if (!fn) return code;
+
+  const { body } = fn.node;
+  const lineStart = code.lastIndexOf('\n', fn.node.start) + 1;
+  const indent = code.slice(lineStart, fn.node.start).match(/^\s*/)[0];
+  const text = `{\n${statements.map(statement => `${indent}  ${statement}\n`).join('')}${indent}}`;
+
+  return applyEdits(code, [{ start: body.start, end: body.end, text }]);
+}
+
+/**
+ * Replace a string literal's value, keeping its quotes. Covers values,
+ * JSX attribute strings and string literal types.
+ * @param {string} code - Source code
+ * @param {string} from - Current value
+ * @param {string} to - New value
+ * @param {Object} options
+ * @param {number} options.line - Only rename literals on this (1-based) line
+ * @param {number} options.column - With line: only the first literal at or after
+ *   this (1-based) column, which is where compilers point for the error
+ */
+function renameLiteral(code, from, to, options = {}) {
+  const ast = parse(code, options);
+  let literals = [];
+
+  walk(ast.program, (node) => {
+    if (node.type !== 'StringLiteral' || node.value !== from) return;
+    if (options.line && node.loc.start.line !== options.line) return;
+    literals.push(node);
+  });
+
+  if (options.line && options.column) {
+    literals = literals
+      .filter(node => node.loc.start.column >= options.column - 1)
+      .sort((a, b) => a.start - b.start)
+      .slice(0, 1);
+  }
+
+  return applyEdits(code, literals.map(node => {
+    const quote = code[node.start];
+    const escaped = to.replace(/\\/g, '\\\\').split(quote).join(`\\${quote}`);
+    return { start: node.start + 1, end: node.end - 1, text: escaped };
+  }));
+}
+
+/**
+ * End of an expression including its closing parenthesis, if it's wrapped in one
+ */
+function expressionEnd(code, node) {
+  return node.extra?.parenthesized ? code.indexOf(')', node.end) + 1 : node.end;
+}
+
+/**
+ * Turn TypeScript into plain JavaScript for config files: type-only imports,
+ * interfaces, type aliases, annotations and `as`/`satisfies`/`!` wrappers are removed
+ * @param {string} code - Source code
+ */
+function stripTypes(code, options = {}) {
+  const ast = parse(code, { filename: 'file.ts', ...options });
+  const edits = [];
+
+  const visit = (node) => {
+    switch (node.type) {
+      case 'ImportDeclaration':
+        if (node.importKind === 'type' ||
+            (node.specifiers.length > 0 && node.specifiers.every(specifier => specifier.importKind === 'type'))) {
+          edits.push({ ...statementRange(code, node), text: '' });
+        } else {
+          node.specifiers
+            .filter(specifier => specifier.importKind === 'type')
+            .forEach(specifier => {
+              edits.push({ ...listItemRange(node.specifiers, node.specifiers.indexOf(specifier)), text: '' });
+            });
+        }
+        return false;
+      case 'TSInterfaceDeclaration':
+      case 'TSTypeAliasDeclaration':
+        edits.push({ ...statementRange(code, node), text: '' });
+        return false;
+      case 'ExportNamedDeclaration':
+        if (node.exportKind === 'type' ||
+            node.declaration?.type === 'TSInterfaceDeclaration' ||
+            node.declaration?.type === 'TSTypeAliasDeclaration') {
+          edits.push({ ...statementRange(code, node), text: '' });
+          return false;
+        }
+        return;
+      case 'TSTypeAnnotation':
+      case 'TSTypeParameterDeclaration':
+      case 'TSTypeParameterInstantiation':
+        edits.push({ start: node.start, end: node.end, text: '' });
+        return false;
+      case 'TSAsExpression':
+      case 'TSSatisfiesExpression':
+      case 'TSNonNullExpression':
+        edits.push({ start: expressionEnd(code, node.expression), end: node.end, text: '' });
+        // The type being removed mustn't produce edits of its own
+        walk(node.expression, visit);
+        return false;
+      default:
+        return;
+    }
+  };
+
+  walk(ast.program, visit);
+
+  return applyEdits(code, edits);
+}
+
+/**
+ * Replace `export default <value>` with `module.exports = <value>`
+ * @param {string} code - Source code
+ */
+function exportDefaultToCommonJS(code, options = {}) {
+  const ast = parse(code, options);
+  const exportDefault = ast.program.body.find(statement => statement.type === 'ExportDefaultDeclaration');
+  if (!exportDefault) return code;
+
+  return applyEdits(code, [{
+    start: exportDefault.start,
+    end: exportDefault.declaration.start,
+    text: 'module.exports = '
+  }]);
+}
+
+module.exports = {
+  TransformError,
+  parse,
+  walk,
+  hasDirective,
+  addDirective,
+  getImports,
+  removeImportSpecifier,
+  removeDeclarations,
+  findDeclarationsCalling,
+  removeClassNameReferences,
+  addPropertyToReturnedObject,
+  replaceFunctionBody,
+  renameLiteral,
+  stripTypes,
+  exportDefaultToCommonJS
+};
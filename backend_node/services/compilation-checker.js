@@ -1,15 +1,20 @@
-const { spawn } = require('child_process');
 const fs = require('fs/promises');
 const path = require('path');
 const TypeScriptHelper = require('./typescript-helper');
 const StructuralFixer = require('./structural-fixer');
 const TypeErrorFixer = require('./type-error-fixer');
+const projectRunner = require('./project-runner');
+const codeTransform = require('./code-transform');
+const FastChecker = require('./fast-check');
+const RegressionGuard = require('./regression-guard');
+const { CODES, parseDiagnostics, errorsOnly } = require('./build-diagnostics');
 
 class CompilationChecker {
   constructor() {
     this.typescriptHelper = new TypeScriptHelper();
     this.structuralFixer = new StructuralFixer();
     this.typeErrorFixer = new TypeErrorFixer();
+    this.fastChecker = new FastChecker();
     this.commonFixes = {
       'useClient': {
         pattern: /You're importing a component that needs.*This React Hook only works in a Client Component/,
@@ -39,30 +44,21 @@ class CompilationChecker {
     }
 
     return new Promise((resolve) => {
-      const buildProcess = spawn('npm', ['run', 'build'], {
-        cwd: projectPath,
+      const buildProcess = projectRunner.spawn(projectPath, 'npm', ['run', 'build'], {
         env: {
-          ...process.env,
           CI: 'true',
           FORCE_COLOR: '0'
         },
-        shell: true
+        kind: 'build'
       });
 
       let stdout = '';
       let stderr = '';
-      let hasErrors = false;
-      const errors = [];
 
       buildProcess.stdout.on('data', (data) => {
         const output = data.toString();
         stdout += output;
         
-        // Check for compilation errors
-        if (output.includes('Error:') || output.includes('Failed to compile')) {
-          hasErrors = true;
-        }
-        
         if (socket) {
           socket.emit('output', output);
         }
@@ -71,7 +67,6 @@ class CompilationChecker {
       buildProcess.stderr.on('data', (data) => {
         const output = data.toString();
         stderr += output;
-        hasErrors = true;
         
         if (socket) {
           socket.emit('output', `\x1b[31m${output}\x1b[0m`);
@@ -79,11 +74,12 @@ class CompilationChecker {
       });
 
       buildProcess.on('close', (code) => {
+        const errors = this.parseErrors(stdout + stderr, projectPath);
         resolve({
-          success: code === 0 && !hasErrors,
+          success: code === 0 && errors.length === 0 && !buildProcess.timedOut,
           stdout,
           stderr,
-          errors: this.parseErrors(stdout + stderr)
+          errors
         });
       });
     });
@@ -91,52 +87,10 @@ class CompilationChecker {
 
   /**
    * Parse compilation errors from output
+   * @returns {Array<Object>} Error diagnostics (see build-diagnostics)
    */
-  parseErrors(output) {
-    const errors = [];
-    const lines = output.split('\n');
-    
-    let currentError = null;
-    let inError = false;
-    
-    for (const line of lines) {
-      if (line.includes('Error:') || line.includes('⨯') || line.includes('Type error:')) {
-        inError = true;
-        currentError = {
-          type: 'compilation',
-          message: '',
-          file: null,
-          line: null
-        };
-      }
-      
-      if (inError && currentError) {
-        currentError.message += line + '\n';
-        
-        // Extract file path
-        const fileMatch = line.match(/[./]*(src\/[^:]+\.(ts|tsx|js|jsx))(?::(\d+):(\d+))?/);
-        if (fileMatch) {
-          currentError.file = fileMatch[1];
-          currentError.line = fileMatch[3] ? parseInt(fileMatch[3]) : null;
-        }
-        
-        // Also check for TypeScript error format
-        const tsMatch = line.match(/(.+\.tsx?)\((\d+),(\d+)\)/);
-        if (tsMatch && !currentError.file) {
-          currentError.file = tsMatch[1];
-          currentError.line = parseInt(tsMatch[2]);
-        }
-        
-        // Check if error is complete
-        if (line.includes('`----') || (line.trim() === '' && currentError.message.length > 100)) {
-          errors.push(currentError);
-          currentError = null;
-          inError = false;
-        }
-      }
-    }
-    
-    return errors;
+  parseErrors(output, projectPath) {
+    return errorsOnly(parseDiagnostics(output, { projectPath }));
   }
 
   /**
@@ -151,7 +105,7 @@ class CompilationChecker {
       }
       
       // Check for use client directive issue
-      if (error.message.includes('This React Hook only works in a Client Component')) {
+      if (error.code === CODES.CLIENT_COMPONENT_REQUIRED || error.code === CODES.USE_CLIENT_MISPLACED) {
         const fixed = await this.addUseClientDirective(projectPath, error);
         if (fixed) {
           fixes.push({
@@ -163,15 +117,16 @@ class CompilationChecker {
       }
       
       // Check for missing package errors
-      const packageMatch = error.message.match(/Can't resolve '([^'\/]+)'/) || 
-                          error.message.match(/Cannot find module '([^'\/]+)'/);
-      if (packageMatch && !packageMatch[1].startsWith('.') && !packageMatch[1].startsWith('@/')) {
-        const fixed = await this.installMissingPackage(projectPath, packageMatch[1], socket);
+      const packageName = error.code === CODES.MODULE_NOT_FOUND || error.code === 'TS2307'
+        ? this.getPackageName(error.data.request)
+        : null;
+      if (packageName) {
+        const fixed = await this.installMissingPackage(projectPath, packageName, socket);
         if (fixed) {
           fixes.push({
             file: error.file,
             type: 'package_install',
-            package: packageMatch[1],
+            package: packageName,
             success: true
           });
           continue; // Skip other checks if package was installed
@@ -179,7 +134,7 @@ class CompilationChecker {
       }
       
       // Check for TypeScript type errors
-      if (error.message.includes('Type error:') || error.message.includes('TS')) {
+      if (error.category === 'type') {
         // Try the enhanced type error fixer first
         const fixed = await this.typeErrorFixer.fixTypeError(projectPath, error, socket) || 
                       await this.fixTypeError(projectPath, error);
@@ -193,7 +148,7 @@ class CompilationChecker {
       }
       
       // Check for import errors
-      if (error.message.includes('Module not found') || error.message.includes('Cannot find module')) {
+      if (error.code === CODES.MODULE_NOT_FOUND) {
         const fixed = await this.fixImportPath(projectPath, error);
         if (fixed) {
           fixes.push({
@@ -208,6 +163,18 @@ class CompilationChecker {
     return fixes;
   }
 
+  /**
+   * npm package an import refers to, or null for relative and alias imports
+   * ("date-fns/format" -> "date-fns", "@scope/pkg/sub" -> "@scope/pkg")
+   */
+  getPackageName(request) {
+    if (!request || request.startsWith('.') || request.startsWith('/') || request.startsWith('@/')) {
+      return null;
+    }
+    const parts = request.split('/');
+    return request.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+  }
+
   /**
    * Add 'use client' directive to files that need it
    */
@@ -218,14 +185,13 @@ class CompilationChecker {
     
     try {
       const content = await fs.readFile(filePath, 'utf-8');
+      const newContent = codeTransform.addDirective(content, 'use client', { filename: filePath });
       
-      // Check if already has 'use client'
-      if (content.startsWith("'use client'") || content.startsWith('"use client"')) {
+      // Already has 'use client'
+      if (newContent === content) {
         return false;
       }
       
-      // Add 'use client' at the beginning
-      const newContent = `'use client';\n\n${content}`;
       await fs.writeFile(filePath, newContent, 'utf-8');
       
       console.log(`Added 'use client' directive to ${error.file}`);
@@ -247,11 +213,9 @@ class CompilationChecker {
     try {
       const content = await fs.readFile(filePath, 'utf-8');
       
-      // Extract the problematic import
-      const importMatch = error.message.match(/Cannot find module '([^']+)'/);
-      if (!importMatch) return false;
-      
-      const badImport = importMatch[1];
+      // The import that couldn't be resolved
+      const badImport = error.data?.request;
+      if (!badImport) return false;
       
       // Try to fix common import issues
       let newContent = content;
@@ -321,10 +285,6 @@ class CompilationChecker {
         if (literalMatch) {
           const [, wrongValue, expectedType] = literalMatch;
           
-          // Extract the line number from error
-          const lineMatch = error.message.match(/>(\s*\d+)\s*\|/);
-          const lineNumber = lineMatch ? parseInt(lineMatch[1].trim()) : error.line;
-          
           // Fix common variant/type mismatches
           if (expectedType.includes('|')) {
             // This is a union type, extract valid values
@@ -448,13 +408,11 @@ class CompilationChecker {
       const installCommand = hasYarnLock ? 'add' : 'install';
       
       return new Promise((resolve) => {
-        const installProcess = spawn(packageManager, [installCommand, packageName], {
-          cwd: projectPath,
-          shell: true,
+        const installProcess = projectRunner.spawn(projectPath, packageManager, [installCommand, packageName], {
           env: {
-            ...process.env,
             CI: 'false' // Allow interactive install
-          }
+          },
+          kind: 'install'
         });
         
         installProcess.stdout.on('data', (data) => {
@@ -496,7 +454,6 @@ class CompilationChecker {
    */
   async checkAndFix(projectPath, socket, maxAttempts = 3) {
     let attempt = 0;
-    let lastResult = null;
     
     // First, clean up any incomplete builds
     await this.cleanupBuildArtifacts(projectPath, socket);
@@ -508,6 +465,11 @@ class CompilationChecker {
     await this.typescriptHelper.ensureStrictTypeChecking(projectPath);
     await this.typescriptHelper.createTypeDeclarations(projectPath);
     
+    // Reverts rounds of fixes that make things worse
+    const guard = new RegressionGuard(projectPath, { reason: 'compilation-fix' });
+    // Whether fixes were written since the last check
+    let unchecked = false;
+    
     while (attempt < maxAttempts) {
       attempt++;
       
@@ -515,24 +477,26 @@ class CompilationChecker {
         socket.emit('output', `\n\x1b[1;34m> Compilation check attempt ${attempt}/${maxAttempts}...\x1b[0m\n`);
       }
       
-      // Run compilation check
-      const result = await this.checkCompilation(projectPath, socket);
-      lastResult = result;
+      const checked = await this.runChecks(projectPath, socket);
+      unchecked = false;
+      
+      if (checked.success) {
+        return this.finishSuccess(projectPath, socket, attempt);
+      }
+      
+      const round = await guard.record(checked, `attempt ${attempt}`);
+      const result = round.result;
+      
+      if (round.verdict === 'reverted' && socket) {
+        const best = guard.best();
+        socket.emit('output', `\n\x1b[33m⚠ The last fixes made things worse (${checked.errors.length} errors); reverted to ${best.label} (${best.errors} errors)\x1b[0m\n`);
+      }
       
-      if (result.success) {
+      if (round.oscillating) {
         if (socket) {
-          socket.emit('output', '\n\x1b[1;32m✓ Compilation successful! No errors found.\x1b[0m\n');
-          socket.emit('output', '\n\x1b[36m> Running development server preparation...\x1b[0m\n');
+          socket.emit('output', '\n\x1b[33m⚠ Same errors as an earlier attempt; stopping automatic fixes.\x1b[0m\n');
         }
-        
-        // Ensure development server can start properly
-        await this.prepareDevServer(projectPath, socket);
-        
-        return {
-          success: true,
-          attempts: attempt,
-          fixes: []
-        };
+        break;
       }
       
       // Try to fix errors
@@ -547,6 +511,7 @@ class CompilationChecker {
           // No fixes could be applied
           break;
         }
+        unchecked = true;
         
         if (socket) {
           socket.emit('output', `\n\x1b[32m✓ Applied ${fixes.length} fixes. Rechecking...\x1b[0m\n`);
@@ -560,14 +525,58 @@ class CompilationChecker {
       }
     }
     
-    // Failed after all attempts
+    // The last round of fixes still needs checking before it can count as the best state
+    if (unchecked) {
+      const checked = await this.runChecks(projectPath, socket);
+      if (checked.success) {
+        return this.finishSuccess(projectPath, socket, attempt);
+      }
+      await guard.record(checked, 'final check');
+    }
+    
+    // Failed after all attempts; the project is left at the best state reached
     return {
       success: false,
       attempts: attempt,
-      errors: lastResult?.errors || [],
+      errors: guard.bestResult()?.errors || [],
+      best: guard.best(),
       message: 'Compilation failed after automatic fix attempts'
     };
   }
+
+  /**
+   * Type check and lint, then the full build once those are clean
+   * @returns {Promise<Object>} checkCompilation's result plus `stage` and `diagnostics`
+   *   ('fast-check' | 'build') for the regression guard
+   */
+  async runChecks(projectPath, socket) {
+    const fastResult = await this.fastChecker.check(projectPath, socket);
+    const result = fastResult.success
+      ? await this.checkCompilation(projectPath, socket)
+      : { success: false, stdout: fastResult.output, stderr: '', errors: fastResult.diagnostics };
+    
+    return {
+      ...result,
+      stage: fastResult.success ? 'build' : 'fast-check',
+      diagnostics: result.errors
+    };
+  }
+
+  async finishSuccess(projectPath, socket, attempts) {
+    if (socket) {
+      socket.emit('output', '\n\x1b[1;32m✓ Compilation successful! No errors found.\x1b[0m\n');
+      socket.emit('output', '\n\x1b[36m> Running development server preparation...\x1b[0m\n');
+    }
+    
+    // Ensure development server can start properly
+    await this.prepareDevServer(projectPath, socket);
+    
+    return {
+      success: true,
+      attempts,
+      fixes: []
+    };
+  }
   
   /**
    * Fix structural mismatches between hooks and components
@@ -601,21 +610,21 @@ class CompilationChecker {
           
           updatedHookContent = hookContent.slice(0, lineEnd) + modalStateCode + hookContent.slice(lineEnd);
           
-          // Update the reset function to remove window.confirm
-          updatedHookContent = updatedHookContent.replace(
-            /const reset = \(\) => {[\s\S]*?};/,
-            `const reset = () => {\n    setCount(0);\n    closeResetModal();\n  };`
-          );
-          
-          // Update the return statement
-          const returnMatch = updatedHookContent.match(/return\s*{([^}]+)}/s);
-          if (returnMatch) {
-            const currentReturns = returnMatch[1].trim();
-            const newReturns = currentReturns + `,\n    isResetModalOpen,\n    openResetModal,\n    closeResetModal`;
-            updatedHookContent = updatedHookContent.replace(
-              /return\s*{[^}]+}/s,
-              `return {\n    ${newReturns}\n  }`
-            );
+          try {
+            // Reset through the modal instead of window.confirm
+            updatedHookContent = codeTransform.replaceFunctionBody(updatedHookContent, 'reset', [
+              'setCount(0);',
+              'closeResetModal();'
+            ], { filename: hookFile });
+            updatedHookContent = codeTransform.addPropertyToReturnedObject(updatedHookContent, hookName, [
+              'isResetModalOpen',
+              'openResetModal',
+              'closeResetModal'
+            ], { filename: hookFile });
+          } catch (err) {
+            if (!(err instanceof codeTransform.TransformError)) throw err;
+            console.error(`Leaving ${hookFile} alone:`, err.message);
+            return false;
           }
           
           await fs.writeFile(hookPath, updatedHookContent, 'utf-8');
@@ -733,13 +742,11 @@ class CompilationChecker {
   async prepareDevServer(projectPath, socket) {
     // Run a quick dev build to generate necessary files
     return new Promise((resolve) => {
-      const prepProcess = spawn('npm', ['run', 'dev'], {
-        cwd: projectPath,
+      const prepProcess = projectRunner.spawn(projectPath, 'npm', ['run', 'dev'], {
+        kind: 'dev',
         env: {
-          ...process.env,
           NODE_ENV: 'development'
-        },
-        shell: true
+        }
       });
       
       let outputBuffer = '';
@@ -1,5 +1,14 @@
 const fs = require('fs/promises');
 const path = require('path');
+const codeTransform = require('./code-transform');
+
+const DEFAULT_CONFIG = `/** @type {import('next').NextConfig} */
+const nextConfig = {
+  reactStrictMode: true,
+}
+
+module.exports = nextConfig
+`;
 
 class ConfigFileFixer {
   /**
@@ -24,39 +33,23 @@ class ConfigFileFixer {
       const content = await fs.readFile(tsConfigPath, 'utf-8');
       
       // Convert TypeScript to JavaScript
-      let jsContent = content
-        // Remove type imports
-        .replace(/import\s+type\s*{[^}]+}\s*from\s*['"][^'"]+['"];?\s*\n?/g, '')
-        // Remove type annotations
-        .replace(/:\s*NextConfig/g, '')
-        // Convert export
-        .replace(/export\s+default/, 'module.exports =')
-        // Remove const with type annotation
-        .replace(/const\s+(\w+)\s*:\s*\w+\s*=/, 'const $1 =');
-      
-      // If it's a simple config, create a basic one
-      if (!jsContent.includes('module.exports')) {
-        jsContent = `/** @type {import('next').NextConfig} */
-const nextConfig = {
-  reactStrictMode: true,
-}
-
-module.exports = nextConfig
-`;
-      }
+      const { fileName, content: jsContent } = this.convertTypeScriptConfig(content);
       
-      // Write as .js file
-      await fs.writeFile(jsConfigPath, jsContent, 'utf-8');
+      await fs.writeFile(path.join(projectPath, fileName), jsContent, 'utf-8');
       
       // Remove the .ts file
       await fs.unlink(tsConfigPath);
       
       if (socket) {
-        socket.emit('output', '  ✓ Converted next.config.ts to next.config.js\n');
+        socket.emit('output', `  ✓ Converted next.config.ts to ${fileName}\n`);
       }
       
       fixes.push('next.config');
     } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('Error converting next.config.ts:', err.message);
+      }
+      
       // No next.config.ts found, check if we need to create a config
       try {
         await fs.access(jsConfigPath);
@@ -65,14 +58,7 @@ module.exports = nextConfig
           await fs.access(mjsConfigPath);
         } catch {
           // No config file exists, create a simple one
-          const defaultConfig = `/** @type {import('next').NextConfig} */
-const nextConfig = {
-  reactStrictMode: true,
-}
-
-module.exports = nextConfig
-`;
-          await fs.writeFile(jsConfigPath, defaultConfig, 'utf-8');
+          await fs.writeFile(jsConfigPath, DEFAULT_CONFIG, 'utf-8');
           
           if (socket) {
             socket.emit('output', '  ✓ Created next.config.js\n');
@@ -86,6 +72,36 @@ module.exports = nextConfig
     return fixes;
   }
   
+  /**
+   * Turn next.config.ts into JavaScript. Configs that import other modules stay
+   * ES modules (next.config.mjs); the rest become CommonJS next.config.js.
+   * @returns {{fileName: string, content: string}}
+   */
+  convertTypeScriptConfig(content) {
+    let jsContent;
+    try {
+      jsContent = codeTransform.stripTypes(content, { filename: 'next.config.ts' });
+    } catch (err) {
+      console.error('Could not parse next.config.ts, replacing it with a default config:', err.message);
+      return { fileName: 'next.config.js', content: DEFAULT_CONFIG };
+    }
+    
+    const hasExport = codeTransform.parse(jsContent, { filename: 'next.config.mjs' }).program.body
+      .some(statement => statement.type === 'ExportDefaultDeclaration');
+    if (!hasExport) {
+      return { fileName: 'next.config.js', content: DEFAULT_CONFIG };
+    }
+    
+    if (codeTransform.getImports(jsContent, { filename: 'next.config.mjs' }).length > 0) {
+      return { fileName: 'next.config.mjs', content: jsContent };
+    }
+    
+    return {
+      fileName: 'next.config.js',
+      content: codeTransform.exportDefaultToCommonJS(jsContent, { filename: 'next.config.js' })
+    };
+  }
+  
   /**
    * Ensure tsconfig.json is properly configured
    */
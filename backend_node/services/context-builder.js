@@ -0,0 +1,211 @@
+/**
+ * Builds the "existing code" section of LLM prompts from real file contents.
+ *
+ * Files are added in priority order until the token budget runs out. A
+ * priority file that's too large for the remaining budget is reduced to its
+ * export, prop and type signatures; everything else contributes signatures
+ * only. Files that don't fit at all are still listed by name.
+ */
+
+// Rough token estimate (~4 characters per token for code)
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Index of the character after the block that opens at `start`
+ * (`start` must point at an opening bracket). Skips over strings and comments.
+ */
+function findBlockEnd(content, start) {
+  const open = content[start];
+  const close = { "{": "}", "(": ")" }[open];
+  let depth = 0;
+
+  for (let i = start; i < content.length; i++) {
+    const char = content[i];
+
+    if (char === "/" && (content[i + 1] === "/" || content[i + 1] === "*")) {
+      const end = content[i + 1] === "/" ? content.indexOf("\n", i) : content.indexOf("*/", i + 2) + 1;
+      if (end <= 0) return content.length;
+      i = end;
+      continue;
+    }
+
+    if (char === '"' || char === "'" || char === "`") {
+      const end = content.indexOf(char, i + 1);
+      if (end === -1) return content.length;
+      i = end;
+      continue;
+    }
+
+    if (char === open) depth++;
+    if (char === close) {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+
+  return content.length;
+}
+
+/**
+ * The header of a function-like declaration starting at `start`: everything
+ * up to the body, with the body replaced by "{ ... }"
+ */
+function functionHeader(content, start) {
+  const paramsStart = content.indexOf("(", start);
+  if (paramsStart === -1) return null;
+  let signatureEnd = findBlockEnd(content, paramsStart);
+
+  // An object-literal return type would otherwise be mistaken for the body
+  const objectReturnType = content.slice(signatureEnd).match(/^\s*:\s*\{/);
+  if (objectReturnType) {
+    signatureEnd = findBlockEnd(content, signatureEnd + objectReturnType[0].length - 1);
+  }
+
+  // Return type annotation runs until the body (or arrow)
+  const rest = content.slice(signatureEnd);
+  const bodyMatch = rest.match(/^[^{;=]*?(=>\s*)?\{/) || rest.match(/^[^;\n]*?=>/);
+  if (!bodyMatch) {
+    return content.slice(start, signatureEnd).trim();
+  }
+
+  const header = content.slice(start, signatureEnd) + bodyMatch[0].replace(/\{$/, "");
+  return `${header.trim()} { ... }`;
+}
+
+/**
+ * Extract the public surface of a source file: the 'use client' directive,
+ * type/interface declarations, and exported functions, components and
+ * constants without their bodies.
+ * @param {string} content - File content
+ * @returns {string} One declaration per entry, separated by blank lines
+ */
+function extractSignatures(content) {
+  const signatures = [];
+
+  if (/^\s*['"]use client['"]/.test(content)) {
+    signatures.push("'use client';");
+  }
+
+  const declaration = /^(export\s+)?(default\s+)?(declare\s+)?(async\s+)?(function\*?|const|let|class|interface|type|enum)\s+([A-Za-z_$][\w$]*)/gm;
+  let match;
+
+  while ((match = declaration.exec(content)) !== null) {
+    const [text, exported, , , , kind] = match;
+    const start = match.index;
+
+    // Types and interfaces describe props even when they aren't exported
+    if (kind === "interface" || kind === "enum") {
+      const braceStart = content.indexOf("{", start);
+      signatures.push(content.slice(start, findBlockEnd(content, braceStart)).trim());
+      continue;
+    }
+
+    if (kind === "type") {
+      const end = content.indexOf(";", start);
+      const nextDeclaration = content.slice(start + text.length).search(/\n(export\s|const\s|function\s|interface\s|type\s)/);
+      const stop = nextDeclaration === -1 ? content.length : start + text.length + nextDeclaration;
+      signatures.push(content.slice(start, end === -1 ? stop : Math.min(end + 1, stop)).trim());
+      continue;
+    }
+
+    if (!exported) continue;
+
+    if (kind.startsWith("function")) {
+      signatures.push(functionHeader(content, start) || text);
+    } else if (kind === "class") {
+      const braceStart = content.indexOf("{", start);
+      signatures.push(`${content.slice(start, braceStart).trim()} { ... }`);
+    } else {
+      // const/let: arrow functions get their parameter list, everything else its first line
+      const lineEnd = content.indexOf("\n", start);
+      const line = content.slice(start, lineEnd === -1 ? content.length : lineEnd);
+      const initializer = line.replace(/^[^=]*=/, "");
+      const isArrow = /^\s*(async\s+)?(\(|<[^>]*>\s*\(|[A-Za-z_$][\w$]*\s*=>)/.test(initializer);
+      const arrowHeader = isArrow && functionHeader(content, start + line.length - initializer.length);
+
+      signatures.push(arrowHeader ? `${line.slice(0, line.length - initializer.length)} ${arrowHeader}` : line.trim());
+    }
+  }
+
+  // Re-exports and default exports of an existing binding
+  const exportLines = content.match(/^export\s+(default\s+[A-Za-z_$][\w$]*;?|\{[^}]*\}.*|\*.*)$/gm) || [];
+  signatures.push(...exportLines.map(line => line.trim()));
+
+  return signatures.join("\n\n");
+}
+
+function languageFor(filePath) {
+  const ext = filePath.split(".").pop();
+  return { ts: "ts", tsx: "tsx", js: "js", jsx: "jsx", css: "css" }[ext] || "";
+}
+
+class ContextBuilder {
+  /**
+   * @param {Object} options
+   * @param {number} options.tokenBudget - Approximate token budget for file contents
+   */
+  constructor({ tokenBudget } = {}) {
+    this.tokenBudget = tokenBudget || parseInt(process.env.LLM_CONTEXT_TOKEN_BUDGET, 10) || 12000;
+  }
+
+  /**
+   * Select and format file context for a prompt
+   * @param {Object} files - Map of path -> content
+   * @param {Array<string>} priorityPaths - Most relevant files first; included in full when they fit
+   * @returns {{text: string, included: Array<{path: string, mode: string}>, omitted: Array<string>}}
+   */
+  build(files, priorityPaths = []) {
+    const priority = [...new Set(priorityPaths)].filter(filePath => filePath in files);
+    const others = Object.keys(files).filter(filePath => !priority.includes(filePath)).sort();
+
+    let remaining = this.tokenBudget;
+    const sections = [];
+    const included = [];
+    const omitted = [];
+
+    const add = (filePath, mode, body) => {
+      const label = mode === "signatures" ? `${filePath} (signatures only)` : filePath;
+      const section = `--- ${label} ---\n\`\`\`${languageFor(filePath)}\n${body}\n\`\`\``;
+      const cost = estimateTokens(section);
+      if (cost > remaining) return false;
+
+      remaining -= cost;
+      sections.push(section);
+      included.push({ path: filePath, mode });
+      return true;
+    };
+
+    for (const filePath of priority) {
+      const content = files[filePath];
+      if (add(filePath, "full", content)) continue;
+
+      const signatures = extractSignatures(content);
+      if (!signatures || !add(filePath, "signatures", signatures)) {
+        omitted.push(filePath);
+      }
+    }
+
+    for (const filePath of others) {
+      // Stylesheets have no signatures worth sending
+      if (filePath.endsWith(".css")) {
+        omitted.push(filePath);
+        continue;
+      }
+
+      const signatures = extractSignatures(files[filePath]);
+      if (!signatures || !add(filePath, "signatures", signatures)) {
+        omitted.push(filePath);
+      }
+    }
+
+    return { text: sections.join("\n\n"), included, omitted };
+  }
+}
+
+module.exports = {
+  ContextBuilder,
+  extractSignatures,
+  estimateTokens
+};
@@ -1,6 +1,7 @@
 const fs = require('fs/promises');
 const path = require('path');
 const TailwindVersionDetector = require('./tailwind-version-detector');
+const projectRunner = require('./project-runner');
 
 class CSSConfigValidator {
   constructor() {
@@ -45,8 +46,6 @@ class CSSConfigValidator {
     
     // Install required packages if needed
     if (result.requiredPackages?.length > 0) {
-      const { spawn } = require('child_process');
-      
       for (const pkg of result.requiredPackages) {
         try {
           const packageJsonPath = path.join(projectPath, 'package.json');
@@ -63,9 +62,8 @@ class CSSConfigValidator {
             }
             
             await new Promise((resolve, reject) => {
-              const installProcess = spawn('npm', ['install', '--save-dev', pkg], {
-                cwd: projectPath,
-                shell: true
+              const installProcess = projectRunner.spawn(projectPath, 'npm', ['install', '--save-dev', pkg], {
+                kind: 'install'
               });
               
               installProcess.on('close', (code) => {
@@ -216,12 +214,9 @@ module.exports = {
         }
         
         // Install missing dependencies
-        const { spawn } = require('child_process');
-        
         return new Promise((resolve) => {
-          const installProcess = spawn('npm', ['install', '--save-dev', ...missingDeps], {
-            cwd: projectPath,
-            shell: true
+          const installProcess = projectRunner.spawn(projectPath, 'npm', ['install', '--save-dev', ...missingDeps], {
+            kind: 'install'
           });
           
           installProcess.on('close', (code) => {
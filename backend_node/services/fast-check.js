@@ -0,0 +1,172 @@
+const fs = require('fs/promises');
+const path = require('path');
+const projectRunner = require('./project-runner');
+const { getStatePath } = require('../utils/project-paths');
+const { parseDiagnostics, errorsOnly, affectedFiles } = require('./build-diagnostics');
+
+/**
+ * Fast pre-build check: `tsc --noEmit` and the project's ESLint config.
+ *
+ * Both report every error across the project in one pass and take seconds
+ * instead of the minute a `next build` can take, so the fix loops run on
+ * this until it's clean and only then pay for a full build. Incremental
+ * state (tsc build info, ESLint cache) lives under .nocode/ so repeated
+ * checks only look at what changed.
+ *
+ * A tool that isn't installed, or that fails without reporting anything we
+ * can parse (bad config, crash, timeout), is skipped; the full build still
+ * catches whatever it would have.
+ */
+
+const ESLINT_CONFIGS = [
+  'eslint.config.js',
+  'eslint.config.mjs',
+  'eslint.config.cjs',
+  'eslint.config.ts',
+  '.eslintrc',
+  '.eslintrc.js',
+  '.eslintrc.cjs',
+  '.eslintrc.json',
+  '.eslintrc.yml',
+  '.eslintrc.yaml'
+];
+
+// Relative, so the path also works inside a container runner
+function statePath(projectPath, name) {
+  return path.relative(projectPath, getStatePath(projectPath, name));
+}
+
+async function exists(filePath) {
+  return fs.access(filePath).then(() => true).catch(() => false);
+}
+
+class FastChecker {
+  constructor() {
+    this.checks = [
+      {
+        name: 'typescript',
+        label: 'tsc --noEmit',
+        bin: 'tsc',
+        isConfigured: (projectPath) => exists(path.join(projectPath, 'tsconfig.json')),
+        args: (projectPath) => [
+          '--noEmit',
+          '--pretty', 'false',
+          '--incremental',
+          '--tsBuildInfoFile', statePath(projectPath, 'tsc.tsbuildinfo')
+        ]
+      },
+      {
+        name: 'eslint',
+        label: 'eslint',
+        bin: 'eslint',
+        isConfigured: async (projectPath) => {
+          for (const config of ESLINT_CONFIGS) {
+            if (await exists(path.join(projectPath, config))) return true;
+          }
+          return false;
+        },
+        args: async (projectPath) => [
+          // Default (stylish) output, which build-diagnostics parses
+          (await exists(path.join(projectPath, 'src'))) ? 'src' : '.',
+          '--cache',
+          '--cache-location', statePath(projectPath, 'eslintcache'),
+          '--ignore-pattern', '.next/',
+          '--ignore-pattern', '.nocode/',
+          '--no-error-on-unmatched-pattern'
+        ]
+      }
+    ];
+  }
+
+  /**
+   * Run every available check and collect their errors
+   * @returns {Promise<{success: boolean, skipped: boolean, diagnostics: Array<Object>, output: string, tools: Object}>}
+   *   `tools` maps each check to 'passed' | 'failed' | 'skipped'; `skipped` is
+   *   true when no check could run, so nothing is known about the project
+   */
+  async check(projectPath, socket) {
+    if (socket) {
+      socket.emit('output', '\n\x1b[36m> Running fast check (type check and lint)...\x1b[0m\n');
+    }
+
+    const tools = {};
+    const diagnostics = [];
+    let output = '';
+
+    // One at a time; both are CPU-bound
+    for (const check of this.checks) {
+      const result = await this.runCheck(projectPath, check);
+      tools[check.name] = result.status;
+
+      if (result.status === 'skipped') {
+        if (socket && result.reason) {
+          socket.emit('output', `\x1b[33m⚠ Skipped ${check.label}: ${result.reason}\x1b[0m\n`);
+        }
+        continue;
+      }
+
+      output += result.output;
+      diagnostics.push(...result.diagnostics);
+    }
+
+    const skipped = Object.values(tools).every(status => status === 'skipped');
+
+    if (socket && !skipped) {
+      if (diagnostics.length === 0) {
+        socket.emit('output', '\x1b[32m✓ Fast check passed\x1b[0m\n');
+      } else {
+        const files = affectedFiles(diagnostics).length;
+        socket.emit('output', `\x1b[31m✗ Fast check found ${diagnostics.length} errors in ${files} files\x1b[0m\n`);
+        socket.emit('output', output);
+      }
+    }
+
+    return {
+      success: diagnostics.length === 0,
+      skipped,
+      diagnostics,
+      output,
+      tools
+    };
+  }
+
+  /**
+   * @returns {Promise<{status: string, diagnostics: Array<Object>, output: string, reason: string}>}
+   */
+  async runCheck(projectPath, check) {
+    const bin = path.join('node_modules', '.bin', check.bin);
+
+    if (!(await check.isConfigured(projectPath))) {
+      return { status: 'skipped', diagnostics: [], output: '', reason: null };
+    }
+    if (!(await exists(path.join(projectPath, bin)))) {
+      return { status: 'skipped', diagnostics: [], output: '', reason: `${check.bin} is not installed` };
+    }
+
+    const result = await projectRunner.run(projectPath, bin, await check.args(projectPath), {
+      env: { FORCE_COLOR: '0' },
+      kind: 'check'
+    });
+
+    if (result.timedOut) {
+      return { status: 'skipped', diagnostics: [], output: '', reason: 'timed out' };
+    }
+
+    const diagnostics = errorsOnly(parseDiagnostics(result.output, { projectPath }));
+
+    if (result.code !== 0 && diagnostics.length === 0) {
+      // Failed without telling us what's wrong with the code, e.g. a broken config
+      console.error(`${check.label} failed in ${projectPath} (exit ${result.code}):\n${result.output}`);
+      return { status: 'skipped', diagnostics: [], output: '', reason: `exited with code ${result.code}` };
+    }
+
+    return {
+      status: diagnostics.length === 0 ? 'passed' : 'failed',
+      diagnostics,
+      output: result.output,
+      reason: null
+    };
+  }
+}
+
+module.exports = FastChecker;
@@ -0,0 +1,174 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { parsePatch, applyPatch, createTwoFilesPatch } = require('diff');
+const { partitionSafeFiles } = require('../utils/safe-path');
+
+/**
+ * Applies LLM fixes as targeted edits instead of whole-file rewrites.
+ *
+ * An edit is one of:
+ *   { path, search, replace }   replace the one exact occurrence of `search`
+ *   { path, diff }              unified diff against the file ("@@" hunks, headers optional)
+ *   { path, content }           full content, only for files that don't exist yet
+ *
+ * Edits to the same file apply in order and all-or-nothing: if one of them
+ * doesn't apply, the file is left alone and the reason is reported so the
+ * model can retry against the current content.
+ */
+
+class PatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PatchError';
+  }
+}
+
+// A line that is only the directive, wherever it is
+const USE_CLIENT_LINE = /^\s*(['"])use client\1;?\s*$/m;
+
+function applySearchReplace(content, search, replace) {
+  if (typeof search !== 'string' || search === '') {
+    throw new PatchError('search text is empty');
+  }
+
+  const index = content.indexOf(search);
+  if (index === -1) {
+    throw new PatchError('search text was not found in the current file');
+  }
+  if (content.indexOf(search, index + 1) !== -1) {
+    throw new PatchError('search text matches more than once; include more surrounding lines');
+  }
+
+  return content.slice(0, index) + String(replace ?? '') + content.slice(index + search.length);
+}
+
+function applyDiff(content, diffText) {
+  let patches;
+  try {
+    patches = parsePatch(String(diffText));
+  } catch (error) {
+    throw new PatchError(`diff could not be parsed: ${error.message}`);
+  }
+
+  if (patches.length !== 1) {
+    throw new PatchError('diff must change exactly one file');
+  }
+  if (patches[0].hunks.length === 0) {
+    throw new PatchError('diff has no hunks');
+  }
+
+  const result = applyPatch(content, patches[0]);
+  if (result === false) {
+    throw new PatchError('diff hunks do not match the current file');
+  }
+  return result;
+}
+
+/**
+ * Apply one edit to a file's content
+ * @param {string|null} current - Current content, null if the file doesn't exist
+ * @param {Object} edit
+ * @returns {string} New content
+ * @throws {PatchError}
+ */
+function applyEdit(current, edit) {
+  if (edit.content !== undefined && edit.search === undefined && edit.diff === undefined) {
+    if (current !== null) {
+      throw new PatchError('file already exists; send search/replace edits instead of its full content');
+    }
+    return String(edit.content);
+  }
+
+  if (current === null) {
+    throw new PatchError('file does not exist; send its full content to create it');
+  }
+  if (edit.diff !== undefined) {
+    return applyDiff(current, edit.diff);
+  }
+  if (edit.search !== undefined) {
+    return applySearchReplace(current, edit.search, edit.replace);
+  }
+  throw new PatchError('edit has no search/replace, diff or content');
+}
+
+async function readCurrent(absolutePath) {
+  try {
+    return await fs.readFile(absolutePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Apply LLM edits to a project
+ * @param {string} projectPath - Project root
+ * @param {Array<Object>} edits - Edits as described above
+ * @returns {Promise<{applied: Array, rejected: Array, unsafe: Array}>}
+ *   applied: { path, action: 'create'|'update', description, diff } per changed file
+ *   rejected: { path, reason } per file whose edits didn't apply
+ *   unsafe: { path, reason } per path outside the project or off-limits
+ */
+async function applyEdits(projectPath, edits) {
+  const { accepted, rejected: unsafe } = await partitionSafeFiles(projectPath, edits);
+  const applied = [];
+  const rejected = [];
+
+  const byFile = new Map();
+  for (const edit of accepted) {
+    if (!byFile.has(edit.path)) byFile.set(edit.path, []);
+    byFile.get(edit.path).push(edit);
+  }
+
+  for (const [filePath, fileEdits] of byFile) {
+    const { absolutePath } = fileEdits[0];
+    const original = await readCurrent(absolutePath);
+    let content = original;
+
+    try {
+      fileEdits.forEach((edit, index) => {
+        try {
+          content = applyEdit(content, edit);
+        } catch (error) {
+          if (error instanceof PatchError && fileEdits.length > 1) {
+            throw new PatchError(`edit ${index + 1} of ${fileEdits.length}: ${error.message}`);
+          }
+          throw error;
+        }
+      });
+
+      if (original !== null && USE_CLIENT_LINE.test(original) && !USE_CLIENT_LINE.test(content)) {
+        throw new PatchError("edits would remove the 'use client' directive");
+      }
+    } catch (error) {
+      if (!(error instanceof PatchError)) throw error;
+      rejected.push({ path: filePath, reason: error.message });
+      continue;
+    }
+
+    if (content === original) continue;
+
+    await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+    await fs.writeFile(absolutePath, content, 'utf-8');
+
+    applied.push({
+      path: filePath,
+      action: original === null ? 'create' : 'update',
+      description: fileEdits.map(edit => edit.description).filter(Boolean).join('; '),
+      diff: createTwoFilesPatch(
+        original === null ? '/dev/null' : `a/${filePath}`,
+        `b/${filePath}`,
+        original || '',
+        content
+      )
+    });
+  }
+
+  return { applied, rejected, unsafe };
+}
+
+module.exports = {
+  PatchError,
+  applyEdit,
+  applyEdits
+};
@@ -1,7 +1,10 @@
 const express = require("express");
 const fs = require("fs/promises");
 const path = require("path");
-const axios = require("axios");
+const { createLLMProvider } = require("./llm-provider");
+const { trySnapshot } = require("./snapshot-store");
+const { tryRecordUpdate } = require("./history-store");
+const { isValidProjectName, resolveProjectPath } = require("../utils/safe-path");
 require("dotenv").config();
 
 const router = express.Router();
@@ -14,8 +17,11 @@ router.post("/fix-page-integration", async (req, res) => {
     return res.status(400).json({ error: "projectName is required" });
   }
 
-  const baseDir = path.join(__dirname, "../../client/user-projects");
-  const projectPath = path.join(baseDir, projectName);
+  if (!isValidProjectName(projectName)) {
+    return res.status(400).json({ error: "Invalid project name" });
+  }
+
+  const projectPath = resolveProjectPath(projectName);
   const pagePath = path.join(projectPath, "src/app/page.tsx");
   const prdPath = path.join(projectPath, "PRD.md");
 
@@ -58,29 +64,12 @@ Generate ONLY the complete page.tsx file content. The file should:
 
 Return ONLY the code, no markdown or explanations.`;
 
-      const response = await axios.post(
-        "https://openrouter.ai/api/v1/chat/completions",
-        {
-          model: "anthropic/claude-3.5-sonnet",
-          messages: [
-            {
-              role: "user",
-              content: prompt
-            }
-          ],
-          max_tokens: 2000,
-          temperature: 0.7
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${process.env.OPENROUTER_API_KEY}`,
-            "Content-Type": "application/json"
-          },
-          timeout: 30000
-        }
-      );
-
-      const newPageContent = response.data.choices?.[0]?.message?.content;
+      const newPageContent = await createLLMProvider("pageFix").complete({
+        prompt,
+        maxTokens: 2000,
+        temperature: 0.7,
+        timeout: 30000
+      });
       
       if (!newPageContent) {
         throw new Error("Failed to generate page content");
@@ -92,12 +81,23 @@ Return ONLY the code, no markdown or explanations.`;
         .replace(/```/g, '')
         .trim();
 
+      // Snapshot first so the rewrite can be rolled back
+      const snapshot = await trySnapshot(projectPath, "fix-page-integration");
+
       // Write the new page.tsx
       await fs.writeFile(pagePath, cleanedContent, 'utf-8');
 
+      await tryRecordUpdate(projectPath, {
+        source: "fix-page-integration",
+        prompt: "Replace the default page with the generated components",
+        snapshotId: snapshot?.id || null,
+        files: [{ path: "src/app/page.tsx", status: "modified" }]
+      });
+
       return res.json({
         message: "Successfully updated page.tsx to use the generated components",
-        projectName
+        projectName,
+        snapshotId: snapshot?.id || null
       });
     } else {
       return res.json({
@@ -1,5 +1,6 @@
 const fs = require('fs/promises');
 const path = require('path');
+const codeTransform = require('./code-transform');
 
 class FontFixer {
   /**
@@ -9,47 +10,14 @@ class FontFixer {
     const layoutPath = path.join(projectPath, 'src/app/layout.tsx');
     
     try {
-      let content = await fs.readFile(layoutPath, 'utf-8');
-      let modified = false;
+      const content = await fs.readFile(layoutPath, 'utf-8');
+      const updatedContent = this.removeGoogleFonts(content);
       
-      // Check if using Geist fonts
-      if (content.includes('Geist') && content.includes('next/font/google')) {
+      if (updatedContent !== content) {
         if (socket) {
-          socket.emit('output', '  ✓ Removing Geist font references...\n');
+          socket.emit('output', '  ✓ Removing Google font references...\n');
         }
-        
-        // Remove font imports
-        content = content.replace(/import\s*{\s*Geist[^}]*}\s*from\s*["']next\/font\/google["'];?\s*\n?/g, '');
-        
-        // Remove font variable declarations
-        content = content.replace(/const\s+geist\w+\s*=\s*Geist[^;]+;\s*\n?/g, '');
-        
-        // Remove font class applications
-        content = content.replace(/\${geistSans\.variable}\s*/g, '');
-        content = content.replace(/\${geistMono\.variable}\s*/g, '');
-        content = content.replace(/className=\{`\s*`\}/g, '');
-        content = content.replace(/className=\{`([^`]*)`\}/g, (match, classes) => {
-          const cleaned = classes.trim();
-          return cleaned ? `className="${cleaned}"` : '';
-        });
-        
-        modified = true;
-      }
-      
-      // Also check for Inter font (another common issue)
-      if (content.includes('Inter') && content.includes('next/font/google')) {
-        content = content.replace(/import\s*{\s*Inter[^}]*}\s*from\s*["']next\/font\/google["'];?\s*\n?/g, '');
-        content = content.replace(/const\s+inter\s*=\s*Inter[^;]+;\s*\n?/g, '');
-        content = content.replace(/\${inter\.variable}\s*/g, '');
-        modified = true;
-      }
-      
-      // Clean up empty className attributes
-      content = content.replace(/className=""\s*/g, '');
-      content = content.replace(/className=\{\s*\}\s*/g, '');
-      
-      if (modified) {
-        await fs.writeFile(layoutPath, content, 'utf-8');
+        await fs.writeFile(layoutPath, updatedContent, 'utf-8');
         return true;
       }
       
@@ -60,6 +28,30 @@ class FontFixer {
     }
   }
   
+  /**
+   * Remove Geist/Inter fonts from a layout: their imports from next/font/google,
+   * the variables created from them and their uses in className attributes
+   */
+  removeGoogleFonts(content) {
+    const fontImports = codeTransform.getImports(content)
+      .filter(declaration => declaration.source === 'next/font/google')
+      .flatMap(declaration => declaration.specifiers)
+      .filter(specifier => specifier.imported.startsWith('Geist') || specifier.imported === 'Inter');
+    
+    if (fontImports.length === 0) return content;
+    
+    const fontFunctions = fontImports.map(specifier => specifier.local);
+    const fontVariables = codeTransform.findDeclarationsCalling(content, fontFunctions);
+    
+    let updatedContent = codeTransform.removeClassNameReferences(content, fontVariables);
+    updatedContent = codeTransform.removeDeclarations(updatedContent, fontVariables);
+    for (const fontFunction of fontFunctions) {
+      updatedContent = codeTransform.removeImportSpecifier(updatedContent, 'next/font/google', fontFunction);
+    }
+    
+    return updatedContent;
+  }
+  
   /**
    * Create a simple layout without fonts
    */
@@ -0,0 +1,210 @@
+const fs = require("fs/promises");
+const path = require("path");
+const TaskBasedGenerator = require("./task-based-generator");
+const LLMBuildValidator = require("./llm-build-validator");
+const { PRDService } = require("./prd-service");
+const projectManager = require("./project-manager");
+const projectRunner = require("./project-runner");
+const jobQueue = require("./job-queue");
+const {
+  CREATE_NEXT_APP_FLAGS,
+  tryCreateManifest,
+  tryRecordBuild,
+  describeModels,
+  invalidateProject
+} = require("./project-manifest");
+const { USER_PROJECTS_DIR: BASE_DIR } = require("../utils/project-paths");
+
+/**
+ * Run create-next-app for a project, killing it if the job is cancelled
+ */
+async function createNextApp(projectName, socket, context) {
+  const stateDir = await projectRunner.createScratchStateDir(projectName);
+  const success = await new Promise((resolve) => {
+    // create-next-app runs npm install, so it gets the runner's environment
+    // (no API keys) and limits like any other install
+    const childProcess = projectRunner.spawn(
+      BASE_DIR,
+      "npx",
+      ["create-next-app@latest", projectName, ...CREATE_NEXT_APP_FLAGS],
+      {
+        kind: "install",
+        stateDir,
+        env: {
+          CI: "true",
+          FORCE_COLOR: "0",
+          DISABLE_OPENCOLLECTIVE: "1",
+          ADBLOCK: "1"
+        }
+      }
+    );
+
+    context.onCancel(() => childProcess.kill());
+
+    childProcess.stdout.on("data", (data) => {
+      if (socket) socket.emit("output", data.toString());
+    });
+
+    childProcess.stderr.on("data", (data) => {
+      if (socket) socket.emit("output", data.toString());
+    });
+
+    childProcess.on("close", (code) => {
+      resolve(code === 0);
+    });
+  });
+
+  await projectRunner.moveStateDir(stateDir, path.join(BASE_DIR, projectName));
+  return success;
+}
+
+/**
+ * Steps of the generate job. Each step stores its output on job.data so
+ * that later steps (and a resumed job) can use it without redoing work.
+ *
+ * job.data: {requirement, projectName, projectPath, title, tags, prd, tasks, taskSummary, validationResult, port, url}
+ */
+const steps = [
+  {
+    name: "create_app",
+    async run(job, { socket, onCancel }) {
+      const { projectName, projectPath } = job.data;
+
+      if (socket) {
+        socket.emit("output", `\n🚀 Starting modern project generation...\n`);
+        socket.emit("output", `📁 Project: ${projectName}\n\n`);
+        socket.emit("output", `> Step 1: Initializing Next.js project...\n`);
+      }
+
+      await fs.mkdir(BASE_DIR, { recursive: true });
+
+      // A previous attempt of this step may have left a partial project behind,
+      // and create-next-app refuses to run in a non-empty directory
+      await fs.rm(projectPath, { recursive: true, force: true });
+
+      const success = await createNextApp(projectName, socket, { onCancel });
+      if (!success) {
+        throw new Error("Failed to create Next.js project");
+      }
+
+      await tryCreateManifest(projectPath, {
+        source: "generate-v2",
+        requirement: job.data.requirement,
+        title: job.data.title,
+        tags: job.data.tags,
+        template: { name: "create-next-app@latest", flags: CREATE_NEXT_APP_FLAGS },
+        // Stages the rest of the job uses
+        models: describeModels(["ui", "tasks", "buildFix"])
+      });
+    }
+  },
+  {
+    name: "prd",
+    async run(job, { socket }) {
+      if (socket) {
+        socket.emit("output", `\n> Step 2: Generating PRD from requirements...\n`);
+      }
+
+      const prd = await new PRDService().generatePRD(job.data.requirement);
+
+      await fs.writeFile(path.join(job.data.projectPath, "PRD.md"), prd);
+      invalidateProject(job.data.projectPath);
+      job.data.prd = prd;
+
+      if (socket) {
+        socket.emit("output", `✓ PRD generated successfully\n`);
+      }
+    }
+  },
+  {
+    name: "tasks",
+    async run(job, { socket }) {
+      if (socket) {
+        socket.emit("output", `\n> Step 3: Generating code based on PRD...\n`);
+      }
+
+      const generator = new TaskBasedGenerator();
+      const taskResult = await generator.createTaskList(job.data.prd);
+      job.data.tasks = taskResult.tasks;
+
+      if (socket) {
+        socket.emit("output", `✓ Created ${job.data.tasks.length} tasks\n`);
+      }
+    }
+  },
+  {
+    name: "code",
+    async run(job, { socket }) {
+      const generator = new TaskBasedGenerator();
+      const result = await generator.executeTasks(
+        job.data.tasks,
+        job.data.prd,
+        job.data.projectPath,
+        (progress) => {
+          if (!socket || progress.status === "generating") return;
+          if (progress.status === "skipped") {
+            socket.emit("output", `  - ${progress.taskName} (${progress.error})\n`);
+          } else {
+            socket.emit("output", `  ${progress.status === "completed" ? "✓" : "✗"} ${progress.taskName}\n`);
+          }
+        }
+      );
+      job.data.taskSummary = result.summary;
+    }
+  },
+  {
+    name: "validate",
+    async run(job, { socket }) {
+      if (socket) {
+        socket.emit("output", `\n> Step 4: Validating project build...\n`);
+      }
+
+      const validator = new LLMBuildValidator();
+      const result = await validator.validateAndFix(job.data.projectPath, job.data.prd, socket);
+      job.data.validationResult = result;
+
+      await tryRecordBuild(job.data.projectPath, {
+        success: result.success,
+        attempts: result.attempts,
+        errors: result.success ? 0 : result.best?.errors ?? null
+      });
+    }
+  },
+  {
+    name: "start_server",
+    async run(job, { socket }) {
+      if (socket) {
+        socket.emit("output", `\n> Step 5: Starting development server...\n`);
+      }
+
+      const { port, url, previewUrl } = await projectManager.startProject(job.data.projectPath, socket);
+      job.data.port = port;
+      job.data.url = url;
+      job.data.previewUrl = previewUrl;
+    }
+  }
+];
+
+/**
+ * Initial job data for a new generation
+ * @param {string} requirement - What the user asked for
+ * @param {string} projectName - Directory name for the new project
+ * @param {Object} [manifest] - Optional {title, tags} for the project manifest
+ */
+function createJobData(requirement, projectName, { title, tags } = {}) {
+  return {
+    requirement,
+    projectName,
+    projectPath: path.join(BASE_DIR, projectName),
+    title: title || null,
+    tags: tags || []
+  };
+}
+
+jobQueue.register("generate", steps);
+
+module.exports = {
+  type: "generate",
+  steps,
+  createJobData
+};
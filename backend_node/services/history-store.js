@@ -0,0 +1,143 @@
+const { randomUUID } = require('crypto');
+const { readJSON, writeJSON } = require('../utils/json-store');
+const { getStatePath } = require('../utils/project-paths');
+const { diffSnapshots } = require('./snapshot-store');
+const { tryRecordBuild } = require('./project-manifest');
+
+/**
+ * Per-project history of updates, stored at .nocode/history.json:
+ *   {updates: [{id, source, prompt, explanation, files, build, snapshotId, createdAt}]}
+ * oldest first. Every endpoint that changes a project's files records one entry.
+ * Entries with a build outcome also update the last build status in the
+ * project manifest.
+ */
+
+const HISTORY_LIMIT = parseInt(process.env.HISTORY_LIMIT, 10) || 500;
+
+// Serialize writes per project so concurrent updates don't drop each other's entries
+const updateChains = new Map();
+
+function getHistoryPath(projectPath) {
+  return getStatePath(projectPath, 'history.json');
+}
+
+async function loadHistory(projectPath) {
+  return readJSON(getHistoryPath(projectPath), { updates: [] });
+}
+
+function updateHistory(projectPath, mutator) {
+  const previous = updateChains.get(projectPath) || Promise.resolve();
+
+  const next = previous.catch(() => {}).then(async () => {
+    const history = await loadHistory(projectPath);
+    const result = mutator(history);
+    await writeJSON(getHistoryPath(projectPath), history);
+    return result;
+  });
+
+  updateChains.set(projectPath, next);
+  next.finally(() => {
+    if (updateChains.get(projectPath) === next) {
+      updateChains.delete(projectPath);
+    }
+  }).catch(() => {});
+
+  return next;
+}
+
+/**
+ * Record an update to a project
+ * @param {string} projectPath - Path to the project
+ * @param {Object} update
+ * @param {string} update.source - Endpoint that made it, e.g. "update-project", "build-validation"
+ * @param {string} [update.prompt] - What was asked for
+ * @param {string} [update.explanation] - LLM's description of the change
+ * @param {string} [update.snapshotId] - Snapshot taken before the update
+ * @param {Array<{path: string, status: string}>} [update.files] - Changed files; worked out from
+ *   the snapshot when omitted
+ * @param {Object} [update.build] - Build outcome ({success, attempts, errors, ...}), null if not checked
+ * @returns {Promise<Object>} The stored entry
+ */
+async function recordUpdate(projectPath, { source, prompt = '', explanation = '', snapshotId = null, files, build = null }) {
+  let changedFiles = files;
+  if (!changedFiles && snapshotId) {
+    const changes = await diffSnapshots(projectPath, snapshotId);
+    changedFiles = (changes || []).map(change => ({ path: change.path, status: change.status }));
+  }
+
+  const entry = {
+    id: randomUUID(),
+    source,
+    prompt,
+    explanation,
+    files: changedFiles || [],
+    build,
+    snapshotId,
+    createdAt: new Date().toISOString()
+  };
+
+  await updateHistory(projectPath, (history) => {
+    history.updates.push(entry);
+    if (history.updates.length > HISTORY_LIMIT) {
+      history.updates.splice(0, history.updates.length - HISTORY_LIMIT);
+    }
+  });
+
+  if (build) {
+    await tryRecordBuild(projectPath, build);
+  }
+
+  return entry;
+}
+
+/**
+ * Like recordUpdate, but logs and swallows errors so a history failure
+ * never fails the update it describes
+ */
+async function tryRecordUpdate(projectPath, update) {
+  try {
+    return await recordUpdate(projectPath, update);
+  } catch (error) {
+    console.error(`Failed to record ${update.source} in the history of ${projectPath}:`, error);
+    return null;
+  }
+}
+
+/**
+ * A page of a project's history, newest first
+ * @param {string} projectPath - Path to the project
+ * @param {Object} options
+ * @param {number} options.offset - Entries to skip
+ * @param {number} options.limit - Entries to return
+ * @returns {Promise<{updates: Array, total: number, offset: number, limit: number}>}
+ */
+async function listHistory(projectPath, { offset = 0, limit = 20 } = {}) {
+  const { updates } = await loadHistory(projectPath);
+  const newestFirst = [...updates].reverse();
+
+  return {
+    updates: newestFirst.slice(offset, offset + limit),
+    total: updates.length,
+    offset,
+    limit
+  };
+}
+
+/**
+ * Remove every entry from a project's history
+ * @returns {Promise<number>} Number of entries removed
+ */
+function clearHistory(projectPath) {
+  return updateHistory(projectPath, (history) => {
+    const removed = history.updates.length;
+    history.updates = [];
+    return removed;
+  });
+}
+
+module.exports = {
+  recordUpdate,
+  tryRecordUpdate,
+  listHistory,
+  clearHistory
+};
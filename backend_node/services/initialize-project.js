@@ -1,9 +1,11 @@
 const express = require("express");
-const { spawn } = require("child_process");
 const fs = require("fs/promises");
 const path = require("path");
 const { randomUUID } = require("crypto");
 const projectManager = require("./project-manager");
+const projectRunner = require("./project-runner");
+const { USER_PROJECTS_DIR } = require("../utils/project-paths");
+const { tryCreateManifest, CREATE_NEXT_APP_FLAGS } = require("./project-manifest");
 
 let io;
 const router = express.Router();
@@ -13,7 +15,7 @@ module.exports = (socketIo) => {
   io = socketIo;
 
   router.post("/initialize-project", async (req, res) => {
-    const { prd, socketId } = req.body;
+    const { prd, socketId, title, tags } = req.body;
 
     if (!prd || typeof prd !== "string") {
       return res.status(400).json({ error: "PRD is required as a string" });
@@ -29,7 +31,7 @@ module.exports = (socketIo) => {
       const projectName = `project-${randomUUID().slice(0, 8)}`;
       console.log("Generated project name:", projectName);
 
-      const baseDir = path.join(__dirname, "../../client/user-projects");
+      const baseDir = USER_PROJECTS_DIR;
       console.log("Base directory:", baseDir);
 
       const projectPath = path.join(baseDir, projectName);
@@ -40,7 +42,7 @@ module.exports = (socketIo) => {
       console.log("Ensured user-projects directory exists");
 
       // Run create-next-app command
-      const commandString = `npx create-next-app@latest ${projectName} --tailwind --eslint --app --src-dir --ts --yes`;
+      const commandString = `npx create-next-app@latest ${projectName} ${CREATE_NEXT_APP_FLAGS.join(" ")}`;
       console.log("Running command:", commandString);
 
       // Emit initial message to the terminal
@@ -51,25 +53,17 @@ module.exports = (socketIo) => {
         );
       }
 
-      // Use spawn to capture real-time output
-      // Set environment variables to force non-interactive mode
-      const childProcess = spawn(
+      // create-next-app runs npm install, so it gets the runner's environment
+      // (no API keys) and limits like any other install
+      const stateDir = await projectRunner.createScratchStateDir(projectName);
+      const childProcess = projectRunner.spawn(
+        baseDir,
         "npx",
-        [
-          "create-next-app@latest",
-          projectName,
-          "--tailwind",
-          "--eslint",
-          "--app",
-          "--src-dir",
-          "--ts",
-          "--yes",
-        ],
+        ["create-next-app@latest", projectName, ...CREATE_NEXT_APP_FLAGS],
         {
-          cwd: baseDir,
-          shell: true,
+          kind: "install",
+          stateDir,
           env: {
-            ...process.env,
             // Force non-interactive mode
             CI: "true",
             FORCE_COLOR: "0",
@@ -119,6 +113,7 @@ module.exports = (socketIo) => {
           resolve(code);
         });
       });
+      await projectRunner.moveStateDir(stateDir, projectPath);
 
       if (exitCode !== 0) {
         throw new Error(`Command failed with exit code ${exitCode}`);
@@ -129,6 +124,15 @@ module.exports = (socketIo) => {
       await fs.writeFile(prdPath, prd, "utf-8");
       console.log("Saved PRD to:", prdPath);
 
+      // The PRD is written by the user here, so no models are involved
+      await tryCreateManifest(projectPath, {
+        source: "initialize-project",
+        requirement: prd,
+        title,
+        tags,
+        template: { name: "create-next-app@latest", flags: CREATE_NEXT_APP_FLAGS }
+      });
+
       if (socket) {
         socket.emit(
           "output",
@@ -145,6 +149,7 @@ module.exports = (socketIo) => {
           projectPath,
           port: projectInfo.port,
           url: projectInfo.url,
+          previewUrl: projectInfo.previewUrl,
           message: "Project initialized and started successfully",
         });
       } catch (startError) {
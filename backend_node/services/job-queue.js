@@ -0,0 +1,298 @@
+const fs = require('fs/promises');
+const path = require('path');
+const EventEmitter = require('events');
+const { randomUUID } = require('crypto');
+const { readJSON, writeJSON } = require('../utils/json-store');
+
+const JOBS_DIR = path.join(__dirname, '../.data/jobs');
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job was cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * Persistent job queue with a per-step state machine.
+ *
+ * Each job type registers an ordered list of steps. A job's state (status,
+ * per-step status and the data the steps produced so far) is written to
+ * .data/jobs/<id>.json after every transition, so a restarted process can
+ * pick up queued or in-flight jobs from the first step that didn't complete.
+ *
+ * Job status: queued -> running -> completed | failed | cancelled
+ * Step status: pending -> running -> completed | failed
+ */
+class JobQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.handlers = new Map();
+    this.jobs = new Map();
+    this.pending = [];
+    this.active = new Map();
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY, 10) || 1;
+    this.io = null;
+  }
+
+  /**
+   * Register the steps for a job type
+   * @param {string} type - Job type
+   * @param {Array<{name: string, run: Function}>} steps - Ordered steps; each run(job, context) may mutate job.data
+   */
+  register(type, steps) {
+    this.handlers.set(type, steps);
+  }
+
+  /**
+   * Load persisted jobs and resume any that were queued or running
+   * @param {Server} io - socket.io server used to reach a job's socket
+   */
+  async start(io) {
+    this.io = io;
+    await fs.mkdir(JOBS_DIR, { recursive: true });
+
+    const files = await fs.readdir(JOBS_DIR);
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const job = await readJSON(path.join(JOBS_DIR, file));
+      if (!job) continue;
+
+      this.jobs.set(job.id, job);
+
+      if (job.status === 'running' || job.status === 'queued') {
+        console.log(`Resuming job ${job.id} (${job.type}) after restart`);
+        for (const step of job.steps) {
+          if (step.status === 'running') step.status = 'pending';
+        }
+        job.status = 'queued';
+        await this.save(job);
+        this.pending.push(job.id);
+      }
+    }
+
+    this.drain();
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Registered job type
+   * @param {Object} data - Initial job data
+   * @param {Object} options - {socketId}
+   */
+  async enqueue(type, data, { socketId } = {}) {
+    const steps = this.handlers.get(type);
+    if (!steps) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: randomUUID(),
+      type,
+      status: 'queued',
+      steps: steps.map(step => ({ name: step.name, status: 'pending' })),
+      data,
+      error: null,
+      socketId: socketId || null,
+      cancelRequested: false,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.jobs.set(job.id, job);
+    await this.save(job);
+
+    this.pending.push(job.id);
+    this.drain();
+
+    return job;
+  }
+
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  listJobs() {
+    return [...this.jobs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Request cancellation. Queued jobs are cancelled immediately;
+   * running jobs stop at the next step boundary or cancellation check.
+   */
+  async cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    if (job.status === 'queued') {
+      this.pending = this.pending.filter(jobId => jobId !== id);
+      job.status = 'cancelled';
+      await this.save(job);
+      this.emit('finished', job);
+    } else if (job.status === 'running') {
+      job.cancelRequested = true;
+      await this.save(job);
+
+      const active = this.active.get(id);
+      if (active) {
+        active.cancelHandlers.forEach(handler => handler());
+      }
+    }
+
+    return job;
+  }
+
+  /**
+   * Re-queue a failed or cancelled job from its first incomplete step
+   */
+  async resume(id, { socketId } = {}) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    if (job.status !== 'failed' && job.status !== 'cancelled') {
+      throw new Error(`Job ${id} is ${job.status} and cannot be resumed`);
+    }
+
+    for (const step of job.steps) {
+      if (step.status !== 'completed') {
+        step.status = 'pending';
+        delete step.error;
+      }
+    }
+
+    job.status = 'queued';
+    job.error = null;
+    job.cancelRequested = false;
+    if (socketId) job.socketId = socketId;
+
+    await this.save(job);
+    this.pending.push(job.id);
+    this.drain();
+
+    return job;
+  }
+
+  /**
+   * Resolve once a job reaches a final state
+   */
+  waitForJob(id) {
+    return new Promise((resolve) => {
+      const job = this.jobs.get(id);
+      if (job && ['completed', 'failed', 'cancelled'].includes(job.status)) {
+        return resolve(job);
+      }
+
+      const onFinished = (finishedJob) => {
+        if (finishedJob.id === id) {
+          this.off('finished', onFinished);
+          resolve(finishedJob);
+        }
+      };
+      this.on('finished', onFinished);
+    });
+  }
+
+  drain() {
+    while (this.active.size < this.concurrency && this.pending.length > 0) {
+      const id = this.pending.shift();
+      const job = this.jobs.get(id);
+      if (job && job.status === 'queued') {
+        this.run(job).catch((error) => {
+          console.error(`Job ${job.id} could not be saved:`, error);
+        });
+      }
+    }
+  }
+
+  /**
+   * Run a job's remaining steps. Its concurrency slot is freed and the next
+   * job started however this ends, even if saving the job fails.
+   */
+  async run(job) {
+    const steps = this.handlers.get(job.type);
+    const active = { cancelHandlers: [] };
+    this.active.set(job.id, active);
+
+    try {
+      const context = {
+        socket: this.getSocket(job),
+        // Steps register cleanup (e.g. killing a child process) to run on cancel
+        onCancel: (handler) => active.cancelHandlers.push(handler),
+        throwIfCancelled: () => {
+          if (job.cancelRequested) throw new JobCancelledError();
+        },
+        save: () => this.save(job)
+      };
+
+      job.status = 'running';
+      await this.save(job);
+
+      try {
+        for (const [index, step] of steps.entries()) {
+          const state = job.steps[index];
+          if (state.status === 'completed') continue;
+
+          context.throwIfCancelled();
+          context.socket = this.getSocket(job);
+
+          state.status = 'running';
+          state.startedAt = new Date().toISOString();
+          await this.save(job);
+
+          try {
+            await step.run(job, context);
+            context.throwIfCancelled();
+          } catch (error) {
+            state.status = 'failed';
+            state.error = error.message;
+            throw error;
+          } finally {
+            state.finishedAt = new Date().toISOString();
+          }
+
+          state.status = 'completed';
+          active.cancelHandlers = [];
+          await this.save(job);
+        }
+
+        job.status = 'completed';
+      } catch (error) {
+        if (error instanceof JobCancelledError) {
+          job.status = 'cancelled';
+        } else {
+          console.error(`Job ${job.id} failed:`, error);
+          job.status = 'failed';
+          job.error = error.message;
+        }
+      }
+
+      job.cancelRequested = false;
+      await this.save(job);
+    } finally {
+      // Saving the running state failed before any step could
+      if (job.status === 'running') {
+        job.status = 'failed';
+        job.error = job.error || 'Job state could not be saved';
+      }
+      this.active.delete(job.id);
+      this.emit('finished', job);
+      this.drain();
+    }
+  }
+
+  getSocket(job) {
+    return job.socketId && this.io ? this.io.sockets.sockets.get(job.socketId) || null : null;
+  }
+
+  async save(job) {
+    job.updatedAt = new Date().toISOString();
+    await writeJSON(path.join(JOBS_DIR, `${job.id}.json`), job);
+    this.emit('update', job);
+  }
+}
+
+// Create a singleton instance
+const jobQueue = new JobQueue();
+
+module.exports = jobQueue;
+module.exports.JobCancelledError = JobCancelledError;
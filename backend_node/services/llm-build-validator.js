@@ -1,31 +1,53 @@
-const { spawn } = require('child_process');
 const fs = require('fs/promises');
 const path = require('path');
-const axios = require('axios');
+const { createLLMProvider } = require('./llm-provider');
 const QuickFixChecker = require('./quick-fix-checker');
 const CSSConfigValidator = require('./css-config-validator');
 const FontFixer = require('./font-fixer');
 const ConfigFileFixer = require('./config-file-fixer');
+const FastChecker = require('./fast-check');
+const RegressionGuard = require('./regression-guard');
+const { trySnapshot } = require('./snapshot-store');
+const { applyEdits } = require('./file-edits');
+const { ContextBuilder } = require('./context-builder');
+const codeTransform = require('./code-transform');
+const projectRunner = require('./project-runner');
+const { parseDiagnostics, errorsOnly, affectedFiles, formatDiagnostics } = require('./build-diagnostics');
 
 class LLMBuildValidator {
+  /**
+   * @param {string} [apiKey] - Optional API key overriding the configured one
+   */
   constructor(apiKey) {
-    this.apiKey = apiKey;
+    this.llm = createLLMProvider('buildFix', apiKey ? { apiKey } : {});
     this.maxAttempts = 3;
+    // Extra LLM round trips per attempt for edits that didn't apply
+    this.maxPatchRetries = 1;
     this.quickFixChecker = new QuickFixChecker();
     this.cssValidator = new CSSConfigValidator();
     this.fontFixer = new FontFixer();
     this.configFixer = new ConfigFileFixer();
+    this.fastChecker = new FastChecker();
+    this.contextBuilder = new ContextBuilder();
   }
 
   /**
-   * Main validation loop - build, check errors, fix with LLM, repeat
+   * Main validation loop - check, fix with LLM, repeat. Type check and lint
+   * errors are fixed first; the full build runs once those are clean.
    */
   async validateAndFix(projectPath, prd, socket) {
     let attempt = 0;
+    // LLM fixes whose paths were outside the project or off-limits
+    const rejectedFiles = [];
+    // What each attempt found and changed
+    const report = [];
     
     // First, clean up any stale .next directory
     await this.cleanupIncompleteBuilds(projectPath, socket);
     
+    // Snapshot before the config/font/CSS fixers rewrite anything
+    await trySnapshot(projectPath, 'build-fix', 'Before configuration fixes');
+    
     // Fix config file issues (next.config.ts -> .js)
     if (socket) {
       socket.emit('output', '\n\x1b[36m> Checking configuration files...\x1b[0m\n');
@@ -65,6 +87,11 @@ class LLMBuildValidator {
       }
     }
     
+    // Reverts rounds of fixes that make things worse
+    const guard = new RegressionGuard(projectPath, { reason: 'build-fix' });
+    // Whether fixes were written since the last check
+    let unchecked = false;
+    
     while (attempt < this.maxAttempts) {
       attempt++;
       
@@ -72,28 +99,49 @@ class LLMBuildValidator {
         socket.emit('output', `\n\x1b[1;34m> Build validation attempt ${attempt}/${this.maxAttempts}...\x1b[0m\n`);
       }
       
-      // Run build and capture output
-      const buildResult = await this.runBuild(projectPath, socket);
-      
-      // If build passes, also check dev server for runtime errors
-      if (buildResult.success) {
-        const devCheckResult = await this.checkDevServer(projectPath, socket);
-        if (!devCheckResult.success) {
-          buildResult.success = false;
-          buildResult.output += "\n\nDev Server Errors:\n" + devCheckResult.output;
-        }
-      }
+      const checked = await this.runChecks(projectPath, socket);
+      unchecked = false;
       
-      if (buildResult.success) {
+      if (checked.success) {
         if (socket) {
           socket.emit('output', '\n\x1b[1;32m✓ Build successful! No errors found.\x1b[0m\n');
         }
         return {
           success: true,
-          attempts: attempt
+          attempts: attempt,
+          rejectedFiles,
+          report
         };
       }
       
+      const round = await guard.record(checked, `attempt ${attempt}`);
+      const buildResult = round.result;
+      
+      const attemptReport = {
+        attempt,
+        stage: checked.stage,
+        errors: checked.diagnostics.length,
+        verdict: round.verdict,
+        quickFixes: [],
+        applied: [],
+        rejected: []
+      };
+      report.push(attemptReport);
+      
+      if (round.verdict === 'reverted') {
+        const best = guard.best();
+        if (socket) {
+          socket.emit('output', `\n\x1b[33m⚠ The last fixes made things worse (${checked.diagnostics.length} errors at ${checked.stage}); reverted to ${best.label} (${best.errors} errors at ${best.stage})\x1b[0m\n`);
+        }
+      }
+      
+      if (round.oscillating) {
+        if (socket) {
+          socket.emit('output', '\n\x1b[33m⚠ Same errors as an earlier attempt; the fixes are going in circles. Stopping.\x1b[0m\n');
+        }
+        break;
+      }
+      
       // First try quick fixes for common errors
       if (socket) {
         socket.emit('output', '\n\x1b[36m> Checking for quick fixes...\x1b[0m\n');
@@ -102,6 +150,8 @@ class LLMBuildValidator {
       const quickFixes = await this.quickFixChecker.applyQuickFixes(buildResult.output, projectPath, socket);
       
       if (quickFixes.length > 0) {
+        attemptReport.quickFixes = quickFixes;
+        unchecked = true;
         if (socket) {
           socket.emit('output', `\x1b[32m✓ Applied ${quickFixes.length} quick fixes\x1b[0m\n`);
         }
@@ -117,36 +167,35 @@ class LLMBuildValidator {
       }
       
       try {
-        const fixes = await this.getFixesFromLLM(buildResult.output, prd, projectPath);
+        let fixes = await this.getFixesFromLLM(buildResult.output, prd, projectPath);
         
-        if (fixes && fixes.files && fixes.files.length > 0) {
-          if (socket) {
-            socket.emit('output', `\n\x1b[36m> Applying ${fixes.files.length} fixes...\x1b[0m\n`);
-          }
-          
-          // Apply fixes
-          for (const file of fixes.files) {
-            const filePath = path.join(projectPath, file.path);
-            
-            // Create directory if needed
-            await fs.mkdir(path.dirname(filePath), { recursive: true });
-            
-            // Write fixed content
-            await fs.writeFile(filePath, file.content, 'utf-8');
-            
-            if (socket) {
-              socket.emit('output', `  ✓ Fixed: ${file.path}\n`);
-            }
-          }
-          
-          // Add a small delay before next attempt
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        } else {
+        if (this.countEdits(fixes) === 0) {
           if (socket) {
             socket.emit('output', '\n\x1b[31m✗ No fixes could be generated.\x1b[0m\n');
           }
           break;
         }
+        
+        let changes = await this.applyFixes(projectPath, fixes, socket);
+        attemptReport.applied.push(...changes.applied);
+        rejectedFiles.push(...changes.unsafe);
+        
+        // Edits that didn't apply go back to the model with the reason
+        for (let retry = 0; changes.rejected.length > 0 && retry < this.maxPatchRetries; retry++) {
+          if (socket) {
+            socket.emit('output', `\n\x1b[36m> Asking for ${changes.rejected.length} rejected edits again...\x1b[0m\n`);
+          }
+          
+          fixes = await this.getFixesFromLLM(buildResult.output, prd, projectPath, changes.rejected);
+          changes = await this.applyFixes(projectPath, fixes, socket);
+          attemptReport.applied.push(...changes.applied);
+          rejectedFiles.push(...changes.unsafe);
+        }
+        attemptReport.rejected = changes.rejected;
+        unchecked = attemptReport.applied.length > 0;
+        
+        // Add a small delay before next attempt
+        await new Promise(resolve => setTimeout(resolve, 1000));
       } catch (error) {
         console.error('LLM fix generation failed:', error);
         if (socket) {
@@ -164,6 +213,43 @@ class LLMBuildValidator {
       }
     }
     
+    // The last round of fixes still needs checking before it can count as the best state
+    if (unchecked) {
+      if (socket) {
+        socket.emit('output', '\n\x1b[1;34m> Checking the last round of fixes...\x1b[0m\n');
+      }
+      
+      const checked = await this.runChecks(projectPath, socket);
+      if (checked.success) {
+        if (socket) {
+          socket.emit('output', '\n\x1b[1;32m✓ Build successful! No errors found.\x1b[0m\n');
+        }
+        return {
+          success: true,
+          attempts: attempt,
+          rejectedFiles,
+          report
+        };
+      }
+      
+      const round = await guard.record(checked, 'final check');
+      report.push({
+        attempt: 'final',
+        stage: checked.stage,
+        errors: checked.diagnostics.length,
+        verdict: round.verdict,
+        quickFixes: [],
+        applied: [],
+        rejected: []
+      });
+    }
+    
+    // Leave the project at the best state reached, not the last one
+    const best = guard.best();
+    if (socket && best) {
+      socket.emit('output', `\n\x1b[36m> Best state reached: ${best.label} (${best.errors} errors at ${best.stage})\x1b[0m\n`);
+    }
+    
     // Failed after all attempts - clean up and prepare for dev mode
     if (socket) {
       socket.emit('output', '\n\x1b[33m⚠ Build validation reached maximum attempts. Preparing development environment...\x1b[0m\n');
@@ -178,27 +264,59 @@ class LLMBuildValidator {
     return {
       success: false,
       attempts: attempt,
+      rejectedFiles,
+      report,
+      best,
       message: 'Build validation failed but development environment prepared'
     };
   }
 
+  /**
+   * Check the project: type check and lint first, then the full build and a
+   * dev server start once those are clean
+   * @returns {Promise<{success: boolean, stage: string, output: string, diagnostics: Array<Object>}>}
+   *   stage is where it failed: 'fast-check' | 'build' | 'dev-server'
+   */
+  async runChecks(projectPath, socket) {
+    // tsc/eslint report every error in seconds; only build once they pass
+    const fastResult = await this.fastChecker.check(projectPath, socket);
+    if (!fastResult.success) {
+      return { success: false, stage: 'fast-check', output: fastResult.output, diagnostics: fastResult.diagnostics };
+    }
+    
+    const buildResult = await this.runBuild(projectPath, socket);
+    if (!buildResult.success) {
+      return { ...buildResult, stage: 'build' };
+    }
+    
+    // Build passes; also check dev server for runtime errors
+    const devCheckResult = await this.checkDevServer(projectPath, socket);
+    if (!devCheckResult.success) {
+      return {
+        success: false,
+        stage: 'dev-server',
+        output: buildResult.output + "\n\nDev Server Errors:\n" + devCheckResult.output,
+        diagnostics: devCheckResult.diagnostics
+      };
+    }
+    
+    return { ...buildResult, stage: 'build' };
+  }
+
   /**
    * Run Next.js build and capture all output
    */
   async runBuild(projectPath, socket) {
     return new Promise((resolve) => {
-      const buildProcess = spawn('npm', ['run', 'build'], {
-        cwd: projectPath,
+      const buildProcess = projectRunner.spawn(projectPath, 'npm', ['run', 'build'], {
         env: {
-          ...process.env,
           CI: 'true',
           FORCE_COLOR: '0'
         },
-        shell: true
+        kind: 'build'
       });
 
       let output = '';
-      let hasErrors = false;
 
       buildProcess.stdout.on('data', (data) => {
         const chunk = data.toString();
@@ -207,20 +325,11 @@ class LLMBuildValidator {
         if (socket) {
           socket.emit('output', chunk);
         }
-        
-        // Check for error indicators
-        if (chunk.includes('Failed to compile') || 
-            chunk.includes('Module parse failed') ||
-            chunk.includes('Type error:') ||
-            chunk.includes('Error:')) {
-          hasErrors = true;
-        }
       });
 
       buildProcess.stderr.on('data', (data) => {
         const chunk = data.toString();
         output += chunk;
-        hasErrors = true;
         
         if (socket) {
           socket.emit('output', `\x1b[31m${chunk}\x1b[0m`);
@@ -228,9 +337,14 @@ class LLMBuildValidator {
       });
 
       buildProcess.on('close', (code) => {
+        if (buildProcess.timedOut) {
+          output += `\nError: Build timed out after ${Math.round(projectRunner.LIMITS.build.timeout / 1000)}s and was stopped\n`;
+        }
+        const diagnostics = errorsOnly(parseDiagnostics(output, { projectPath }));
         resolve({
-          success: code === 0 && !hasErrors,
+          success: code === 0 && diagnostics.length === 0 && !buildProcess.timedOut,
           output: output,
+          diagnostics,
           exitCode: code
         });
       });
@@ -238,14 +352,28 @@ class LLMBuildValidator {
   }
 
   /**
-   * Send build errors to LLM and get fixes
+   * Send build errors to LLM and get edits that fix them
+   * @param {Array<{path: string, reason: string}>} rejected - Edits from the previous
+   *   request that didn't apply; the model is asked to redo them
+   * @returns {Promise<{edits: Array<Object>, summary: string}>} See file-edits for the edit format
    */
-  async getFixesFromLLM(buildOutput, prd, projectPath) {
+  async getFixesFromLLM(buildOutput, prd, projectPath, rejected = []) {
     // Extract relevant error information
-    const errorSummary = this.extractErrorSummary(buildOutput);
+    const errorSummary = this.extractErrorSummary(buildOutput, projectPath);
+    
+    // Edits have to match the files exactly, so the model needs to see them
+    const diagnostics = errorsOnly(parseDiagnostics(buildOutput, { projectPath }));
+    const filePaths = [...rejected.map(entry => entry.path), ...affectedFiles(diagnostics, { includeFrames: true })];
+    const context = await this.buildFileContext(projectPath, filePaths);
+    const omittedNote = context.omitted.length > 0
+      ? `\n(Not included, over the context budget: ${context.omitted.join(', ')})`
+      : '';
     
-    // Check for common errors that need special attention
-    const hasUseClientError = buildOutput.includes('use client') || buildOutput.includes('Client Component');
+    const rejectedSection = rejected.length > 0 ? `
+YOUR PREVIOUS EDITS TO THESE FILES DID NOT APPLY:
+${rejected.map(entry => `- ${entry.path}: ${entry.reason}`).join('\n')}
+Send the edits for these files again, copying "search" text exactly from the current contents below.
+` : '';
     
     const prompt = `
 You are an expert Next.js developer. A project build failed with errors. Analyze the errors and provide fixes.
@@ -255,20 +383,28 @@ ${prd}
 
 BUILD ERRORS:
 ${errorSummary}
-
-FULL BUILD OUTPUT:
-${buildOutput}
+${rejectedSection}
+CURRENT FILE CONTENTS (files with errors, then the local files they import):
+${context.text || '(none of the files in the errors could be read)'}${omittedNote}
 
 Instructions:
 1. Analyze the build errors carefully
 2. Identify which files need to be fixed
-3. Provide the complete fixed content for each file
+3. Fix each problem with the smallest edit that resolves it; do not rewrite or reformat unrelated code
 4. Ensure all syntax errors are fixed
 5. Ensure all type errors are resolved
 6. Follow the project's coding patterns
 7. CRITICAL: ALWAYS preserve existing 'use client' directives at the top of files - NEVER remove them
 8. IMPORTANT: Add 'use client' directive at the top of any file that uses React hooks (useState, useEffect, etc.), event handlers (onClick, onChange), or browser-only features
 
+EDIT FORMAT:
+- Change existing files with search/replace edits: "search" is text copied exactly from the current file
+  (including indentation) that occurs only once in it; "replace" is what it becomes
+- Files shown as "signatures only" are abbreviated; do not copy "search" text from them
+- Include a few surrounding lines in "search" when the changed line alone is not unique
+- Several edits to the same file are applied in order
+- Only files that do not exist yet may be sent with their full "content"
+
 EXPORT/IMPORT PATTERNS - You MUST follow these rules:
 - React Components: ALWAYS use "export default function ComponentName()" or "export default ComponentName"
 - Custom Hooks: ALWAYS use "export function useHookName()" or "export const useHookName = ()"
@@ -291,11 +427,17 @@ COMMON ISSUES TO CHECK:
 
 Return ONLY a valid JSON object with this structure:
 {
-  "files": [
+  "edits": [
     {
       "path": "src/components/Example.tsx",
-      "content": "// Complete fixed file content here",
+      "search": "exact text from the current file",
+      "replace": "text to put in its place",
       "description": "Brief description of what was fixed"
+    },
+    {
+      "path": "src/lib/new-helper.ts",
+      "content": "// Full content of a new file",
+      "description": "Brief description of why the file is needed"
     }
   ],
   "summary": "Brief summary of all fixes applied"
@@ -305,32 +447,12 @@ IMPORTANT: Return ONLY the JSON object, no markdown formatting or explanations.
 `;
 
     try {
-      const response = await axios.post(
-        "https://openrouter.ai/api/v1/chat/completions",
-        {
-          model: "anthropic/claude-3.5-sonnet",
-          messages: [
-            {
-              role: "user",
-              content: prompt
-            }
-          ],
-          max_tokens: 8000,
-          temperature: 0.3 // Lower temperature for more consistent fixes
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${this.apiKey}`,
-            "Content-Type": "application/json"
-          },
-          timeout: 60000
-        }
-      );
-
-      const content = response.data.choices?.[0]?.message?.content;
-      if (!content) {
-        throw new Error("Empty response from LLM");
-      }
+      const content = await this.llm.complete({
+        prompt,
+        maxTokens: 8000,
+        temperature: 0.3, // Lower temperature for more consistent fixes
+        timeout: 60000
+      });
 
       // Parse the JSON response
       return this.parseJSON(content);
@@ -341,47 +463,132 @@ IMPORTANT: Return ONLY the JSON object, no markdown formatting or explanations.
   }
 
   /**
-   * Extract the most relevant error information from build output
+   * Prompt context for a build fix: the files the errors point at, then the
+   * local files they import, fitted into the context token budget
+   * @param {Array<string>} filePaths - Project-relative paths, most important first
+   * @returns {Promise<{text: string, included: Array, omitted: Array<string>}>} See ContextBuilder.build
    */
-  extractErrorSummary(buildOutput) {
-    const lines = buildOutput.split('\n');
-    const errorLines = [];
-    let inError = false;
-    let errorCount = 0;
-    const maxErrors = 10; // Limit to prevent token overflow
-    
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      
-      // Start of error
-      if (line.includes('Failed to compile') ||
-          line.includes('Module parse failed') ||
-          line.includes('Type error:') ||
-          line.includes('Error:') ||
-          line.includes('./src/')) {
-        inError = true;
-        errorCount++;
+  async buildFileContext(projectPath, filePaths) {
+    const files = {};
+    
+    const read = async (filePath) => {
+      if (filePath in files) return true;
+      try {
+        files[filePath] = await fs.readFile(path.join(projectPath, filePath), 'utf-8');
+        return true;
+      } catch (error) {
+        // Deleted or never created; the errors still name it
+        return false;
       }
-      
-      // Capture error context
-      if (inError) {
-        errorLines.push(line);
-        
-        // Look for end of error (empty line or new file)
-        if (line.trim() === '' || (i < lines.length - 1 && lines[i + 1].includes('./src/'))) {
-          inError = false;
-          errorLines.push(''); // Add separator
+    };
+    
+    const failing = [];
+    for (const filePath of new Set(filePaths)) {
+      if (await read(filePath)) failing.push(filePath);
+    }
+    
+    const imported = [];
+    for (const filePath of failing) {
+      for (const source of this.findImportSources(files[filePath], filePath)) {
+        const resolved = await this.resolveLocalImport(projectPath, filePath, source);
+        if (resolved && !(resolved in files) && await read(resolved)) {
+          imported.push(resolved);
         }
       }
-      
-      // Stop if we have enough errors
-      if (errorCount >= maxErrors) {
-        errorLines.push(`\n... and ${errorCount - maxErrors} more errors`);
-        break;
+    }
+    
+    return this.contextBuilder.build(files, [...failing, ...imported]);
+  }
+
+  /**
+   * Module specifiers a file imports; falls back to a regex when the file
+   * doesn't parse (it's broken, that's why we're here)
+   */
+  findImportSources(content, filePath) {
+    try {
+      return codeTransform.getImports(content, { filename: filePath }).map(entry => entry.source);
+    } catch (error) {
+      if (!(error instanceof codeTransform.TransformError)) throw error;
+      const sources = [];
+      for (const match of content.matchAll(/^\s*import\s+(?:[^'"]*?\s+from\s+)?['"]([^'"]+)['"]/gm)) {
+        sources.push(match[1]);
+      }
+      return sources;
+    }
+  }
+
+  /**
+   * Project file a relative or "@/" import points at, or null for packages
+   * and imports that don't resolve
+   */
+  async resolveLocalImport(projectPath, fromFile, source) {
+    let bases;
+    if (source.startsWith('@/')) {
+      // The create-next-app alias: "@/*" -> "./src/*", or "./*" without a src directory
+      bases = [path.posix.join('src', source.slice(2)), source.slice(2)];
+    } else if (source.startsWith('.')) {
+      bases = [path.posix.join(path.posix.dirname(fromFile), source)];
+    } else {
+      return null;
+    }
+    
+    const suffixes = ['', '.ts', '.tsx', '.js', '.jsx', '/index.ts', '/index.tsx', '/index.js', '/index.jsx'];
+    for (const base of bases) {
+      if (base.startsWith('..')) continue;
+      for (const suffix of suffixes) {
+        const stat = await fs.stat(path.join(projectPath, base + suffix)).catch(() => null);
+        if (stat && stat.isFile()) return base + suffix;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Edits in an LLM response; "files" entries from older-style responses count too
+   */
+  countEdits(fixes) {
+    return (fixes?.edits?.length || 0) + (fixes?.files?.length || 0);
+  }
+
+  /**
+   * Apply the edits from an LLM response and show what changed
+   * @returns {Promise<{applied: Array, rejected: Array, unsafe: Array}>} See file-edits
+   */
+  async applyFixes(projectPath, fixes, socket) {
+    const edits = [...(fixes?.edits || []), ...(fixes?.files || [])];
+    
+    if (socket) {
+      socket.emit('output', `\n\x1b[36m> Applying ${edits.length} edits...\x1b[0m\n`);
+    }
+    
+    const changes = await applyEdits(projectPath, edits);
+    
+    if (socket) {
+      for (const file of changes.applied) {
+        socket.emit('output', `  ✓ ${file.action === 'create' ? 'Created' : 'Fixed'}: ${file.path}\n`);
+        socket.emit('output', `\x1b[2m${file.diff}\x1b[0m`);
+      }
+      for (const entry of [...changes.rejected, ...changes.unsafe]) {
+        socket.emit('output', `  \x1b[33m⚠ Rejected: ${entry.path} (${entry.reason})\x1b[0m\n`);
       }
     }
     
-    return errorLines.join('\n');
+    return changes;
+  }
+
+  /**
+   * Extract the most relevant error information from build output
+   */
+  extractErrorSummary(buildOutput, projectPath) {
+    const diagnostics = errorsOnly(parseDiagnostics(buildOutput, { projectPath }));
+    
+    if (diagnostics.length === 0) {
+      // Nothing we recognize; the end of the output usually says what went wrong
+      return buildOutput.split('\n').slice(-40).join('\n');
+    }
+    
+    // Limit to prevent token overflow
+    return formatDiagnostics(diagnostics, { max: 10 });
   }
 
   /**
@@ -462,14 +669,11 @@ IMPORTANT: Return ONLY the JSON object, no markdown formatting or explanations.
     
     return new Promise((resolve) => {
       // Run dev command briefly to generate necessary files
-      const devProcess = spawn('npm', ['run', 'dev'], {
-        cwd: projectPath,
+      const devProcess = projectRunner.spawn(projectPath, 'npm', ['run', 'dev'], {
+        kind: 'dev',
         env: {
-          ...process.env,
-          NODE_ENV: 'development',
-          NEXT_TELEMETRY_DISABLED: '1'
-        },
-        shell: true
+          NODE_ENV: 'development'
+        }
       });
       
       let ready = false;
@@ -527,83 +731,46 @@ IMPORTANT: Return ONLY the JSON object, no markdown formatting or explanations.
     }
     
     return new Promise((resolve) => {
-      const devProcess = spawn('npm', ['run', 'dev'], {
-        cwd: projectPath,
+      const devProcess = projectRunner.spawn(projectPath, 'npm', ['run', 'dev'], {
+        kind: 'dev',
         env: {
-          ...process.env,
-          NODE_ENV: 'development',
-          NEXT_TELEMETRY_DISABLED: '1'
-        },
-        shell: true
+          NODE_ENV: 'development'
+        }
       });
       
       let output = '';
-      let hasErrors = false;
-      const errorPatterns = [
-        /Cannot apply unknown utility class/,
-        /PostCSS plugin/,
-        /Tailwind CSS/,
-        /Error:/,
-        /Module not found/,
-        /Failed to compile/
-      ];
+      let settled = false;
       
-      const timeout = setTimeout(() => {
+      const finish = () => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
         devProcess.kill();
+        
+        const diagnostics = errorsOnly(parseDiagnostics(output, { projectPath }));
         resolve({
-          success: !hasErrors,
-          output: output
+          success: diagnostics.length === 0,
+          output: output,
+          diagnostics
         });
-      }, 15000); // 15 second timeout
+      };
+      
+      const timeout = setTimeout(finish, 15000); // 15 second timeout
       
       devProcess.stdout.on('data', (data) => {
-        const chunk = data.toString();
-        output += chunk;
-        
-        // Check for errors
-        for (const pattern of errorPatterns) {
-          if (pattern.test(chunk)) {
-            hasErrors = true;
-            break;
-          }
-        }
-        
-        // Special check for ENOENT errors
-        if (chunk.includes('ENOENT') && chunk.includes('.next')) {
-          hasErrors = true;
-          output += '\nDetected missing .next directory files. Need clean rebuild.\n';
-        }
+        output += data.toString();
         
         // If ready without errors, we're good
-        if (chunk.includes('Ready in') && !hasErrors) {
-          clearTimeout(timeout);
-          devProcess.kill();
-          resolve({
-            success: true,
-            output: output
-          });
+        if (output.includes('Ready in')) {
+          finish();
         }
       });
       
       devProcess.stderr.on('data', (data) => {
-        const chunk = data.toString();
-        output += chunk;
-        
-        // Check for CSS/PostCSS errors specifically
-        if (chunk.includes('Cannot apply unknown utility class') ||
-            chunk.includes('PostCSS') ||
-            chunk.includes('tailwind')) {
-          hasErrors = true;
-        }
+        output += data.toString();
       });
       
-      devProcess.on('close', () => {
-        clearTimeout(timeout);
-        resolve({
-          success: !hasErrors,
-          output: output
-        });
-      });
+      devProcess.on('close', finish);
     });
   }
 }
@@ -0,0 +1,152 @@
+/**
+ * Record/replay ("cassette") mode for LLM calls.
+ *
+ * When LLM_CASSETTE_MODE=record, every prompt/response pair that goes
+ * through a provider is written to LLM_CASSETTE_DIR as <hash>.json, where
+ * the hash is taken from the prompt text. With LLM_CASSETTE_MODE=replay the
+ * responses are served from those files and no network call is made, so the
+ * generation pipeline can run offline.
+ *
+ * A prompt that is sent more than once (retries, identical tasks) keeps every
+ * response in order and replays them in the same order.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULT_CASSETTE_DIR = path.join(__dirname, "../tests/fixtures/cassettes/default");
+
+class LLMCassetteMissError extends Error {
+  constructor(hash, prompt) {
+    super(
+      `No recorded response for prompt ${hash} ("${prompt.slice(0, 80).replace(/\s+/g, " ").trim()}..."). ` +
+        "Re-record the cassette with LLM_CASSETTE_MODE=record."
+    );
+    this.name = "LLMCassetteMissError";
+    this.hash = hash;
+  }
+}
+
+class LLMCassette {
+  /**
+   * @param {Object} options
+   * @param {'record'|'replay'} options.mode - Cassette mode
+   * @param {string} options.dir - Directory holding the cassette files
+   */
+  constructor({ mode, dir }) {
+    this.mode = mode;
+    this.dir = dir;
+    // How many times each hash has been replayed in this process
+    this.playCounts = new Map();
+  }
+
+  /**
+   * Hash used as the cassette key for a prompt
+   */
+  static hashPrompt(prompt) {
+    return crypto.createHash("sha256").update(prompt).digest("hex").slice(0, 16);
+  }
+
+  entryPath(hash) {
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  readEntry(hash) {
+    try {
+      return JSON.parse(fs.readFileSync(this.entryPath(hash), "utf-8"));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Store a response for a prompt
+   *
+   * Writes are synchronous so concurrent calls for the same prompt
+   * can't interleave their read-modify-write of the entry file.
+   */
+  record(prompt, response, { stage, provider, model } = {}) {
+    const hash = LLMCassette.hashPrompt(prompt);
+    const entry = this.readEntry(hash) || {
+      hash,
+      stage,
+      provider,
+      model,
+      prompt,
+      responses: [],
+    };
+
+    entry.responses.push(response);
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.entryPath(hash), JSON.stringify(entry, null, 2) + "\n", "utf-8");
+  }
+
+  /**
+   * Look up the next recorded response for a prompt
+   */
+  replay(prompt) {
+    const hash = LLMCassette.hashPrompt(prompt);
+    const entry = this.readEntry(hash);
+
+    if (!entry || entry.responses.length === 0) {
+      throw new LLMCassetteMissError(hash, prompt);
+    }
+
+    const count = this.playCounts.get(hash) || 0;
+    this.playCounts.set(hash, count + 1);
+
+    // Once the recorded responses run out keep returning the last one
+    return entry.responses[Math.min(count, entry.responses.length - 1)];
+  }
+
+  /**
+   * Wrap a provider so its calls are recorded or replayed
+   */
+  wrap(provider) {
+    const cassette = this;
+    const complete = provider.complete.bind(provider);
+
+    provider.complete = async (options) => {
+      if (cassette.mode === "replay") {
+        return cassette.replay(options.prompt);
+      }
+
+      const content = await complete(options);
+      cassette.record(options.prompt, content, {
+        stage: provider.stage,
+        provider: provider.name,
+        model: provider.model,
+      });
+      return content;
+    };
+
+    return provider;
+  }
+}
+
+let activeCassette;
+
+/**
+ * Get the cassette configured by the environment, or null when disabled
+ */
+function getCassette() {
+  const mode = (process.env.LLM_CASSETTE_MODE || "").toLowerCase();
+
+  if (mode !== "record" && mode !== "replay") {
+    return null;
+  }
+
+  const dir = process.env.LLM_CASSETTE_DIR
+    ? path.resolve(process.env.LLM_CASSETTE_DIR)
+    : DEFAULT_CASSETTE_DIR;
+
+  if (!activeCassette || activeCassette.mode !== mode || activeCassette.dir !== dir) {
+    activeCassette = new LLMCassette({ mode, dir });
+  }
+
+  return activeCassette;
+}
+
+module.exports = { LLMCassette, LLMCassetteMissError, getCassette };
@@ -0,0 +1,247 @@
+/**
+ * LLM provider layer shared by every service that talks to a model.
+ *
+ * Each call site asks for a provider by stage name and gets back an object
+ * with a single `complete({ prompt, maxTokens, temperature, timeout })`
+ * method that resolves to the response text.
+ *
+ * Configuration comes from the environment. Global defaults:
+ *   LLM_PROVIDER   openrouter | openai | anthropic | local (default: openrouter)
+ *   LLM_MODEL      model ID passed to the provider
+ *   LLM_BASE_URL   override the provider's API base URL (e.g. a mock server)
+ *   LLM_API_KEY    override the provider's API key
+ *
+ * Any of these can be overridden per stage, e.g. LLM_BUILD_FIX_MODEL or
+ * LLM_TASKS_PROVIDER. Stage names are listed in STAGES below.
+ *
+ * Set LLM_CASSETTE_MODE to record or replay calls (see llm-cassette.js).
+ */
+
+const axios = require("axios");
+const { getCassette } = require("./llm-cassette");
+require("dotenv").config();
+
+// Call sites that can be configured independently
+const STAGES = {
+  ui: "UI",
+  tasks: "TASKS",
+  buildFix: "BUILD_FIX",
+  update: "UPDATE",
+  pageFix: "PAGE_FIX",
+  commandFixer: "COMMAND_FIXER",
+};
+
+class OpenAICompatibleProvider {
+  constructor({ baseURL, apiKey, model, headers = {} }) {
+    this.name = "openai";
+    this.baseURL = baseURL.replace(/\/+$/, "");
+    this.apiKey = apiKey;
+    this.model = model;
+    this.headers = headers;
+  }
+
+  async complete({ prompt, maxTokens = 4000, temperature = 0.7, timeout = 60000 }) {
+    const headers = { "Content-Type": "application/json", ...this.headers };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await axios.post(
+      `${this.baseURL}/chat/completions`,
+      {
+        model: this.model,
+        messages: [
+          {
+            role: "user",
+            content: prompt,
+          },
+        ],
+        max_tokens: maxTokens,
+        temperature,
+      },
+      { headers, timeout }
+    );
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (!content) {
+      throw new Error("Empty response from LLM");
+    }
+
+    return content;
+  }
+}
+
+class OpenRouterProvider extends OpenAICompatibleProvider {
+  constructor(options) {
+    super(options);
+    this.name = "openrouter";
+  }
+}
+
+/**
+ * Ollama and llama.cpp both serve an OpenAI-compatible chat endpoint,
+ * so the only differences are the default URL and that no key is needed.
+ */
+class LocalProvider extends OpenAICompatibleProvider {
+  constructor(options) {
+    super(options);
+    this.name = "local";
+  }
+}
+
+class AnthropicProvider {
+  constructor({ baseURL, apiKey, model }) {
+    this.name = "anthropic";
+    this.baseURL = baseURL.replace(/\/+$/, "");
+    this.apiKey = apiKey;
+    this.model = model;
+  }
+
+  async complete({ prompt, maxTokens = 4000, temperature = 0.7, timeout = 60000 }) {
+    const response = await axios.post(
+      `${this.baseURL}/messages`,
+      {
+        model: this.model,
+        messages: [
+          {
+            role: "user",
+            content: prompt,
+          },
+        ],
+        max_tokens: maxTokens,
+        temperature,
+      },
+      {
+        headers: {
+          "x-api-key": this.apiKey,
+          "anthropic-version": "2023-06-01",
+          "Content-Type": "application/json",
+        },
+        timeout,
+      }
+    );
+
+    const content = (response.data?.content || [])
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("");
+    if (!content) {
+      throw new Error("Empty response from LLM");
+    }
+
+    return content;
+  }
+}
+
+const PROVIDERS = {
+  openrouter: {
+    Provider: OpenRouterProvider,
+    baseURL: "https://openrouter.ai/api/v1",
+    apiKeyEnv: "OPENROUTER_API_KEY",
+    model: "anthropic/claude-3.5-sonnet",
+    requiresKey: true,
+  },
+  openai: {
+    Provider: OpenAICompatibleProvider,
+    baseURL: "https://api.openai.com/v1",
+    apiKeyEnv: "OPENAI_API_KEY",
+    model: "gpt-4o",
+    requiresKey: true,
+  },
+  anthropic: {
+    Provider: AnthropicProvider,
+    baseURL: "https://api.anthropic.com/v1",
+    apiKeyEnv: "ANTHROPIC_API_KEY",
+    model: "claude-3-5-sonnet-latest",
+    requiresKey: true,
+  },
+  local: {
+    Provider: LocalProvider,
+    baseURL: "http://localhost:11434/v1",
+    apiKeyEnv: "LOCAL_LLM_API_KEY",
+    model: "llama3.1",
+    requiresKey: false,
+  },
+};
+
+/**
+ * Read a setting for a stage, falling back to the global LLM_* value
+ */
+function readSetting(stage, key) {
+  const stageKey = STAGES[stage];
+  if (stageKey && process.env[`LLM_${stageKey}_${key}`]) {
+    return process.env[`LLM_${stageKey}_${key}`];
+  }
+  return process.env[`LLM_${key}`];
+}
+
+/**
+ * Resolve the provider configuration for a stage
+ * @param {string} stage - One of the keys of STAGES
+ * @returns {{provider: string, model: string, baseURL: string, apiKey: string, requiresKey: boolean}}
+ */
+function getLLMConfig(stage) {
+  if (!STAGES[stage]) {
+    throw new Error(`Unknown LLM stage: ${stage}`);
+  }
+
+  const provider = (readSetting(stage, "PROVIDER") || "openrouter").toLowerCase();
+  const defaults = PROVIDERS[provider];
+  if (!defaults) {
+    throw new Error(
+      `Unknown LLM provider "${provider}" for stage ${stage}. Expected one of: ${Object.keys(PROVIDERS).join(", ")}`
+    );
+  }
+
+  return {
+    provider,
+    model: readSetting(stage, "MODEL") || defaults.model,
+    baseURL: readSetting(stage, "BASE_URL") || defaults.baseURL,
+    apiKey: readSetting(stage, "API_KEY") || process.env[defaults.apiKeyEnv],
+    requiresKey: defaults.requiresKey,
+  };
+}
+
+/**
+ * Check whether the provider for a stage has the credentials it needs
+ */
+function isLLMConfigured(stage) {
+  const cassette = getCassette();
+  if (cassette && cassette.mode === "replay") {
+    return true;
+  }
+
+  const config = getLLMConfig(stage);
+  return !config.requiresKey || !!config.apiKey;
+}
+
+/**
+ * Create the provider for a stage
+ * @param {string} stage - One of the keys of STAGES
+ * @param {Object} overrides - Optional {model, baseURL, apiKey} overrides
+ */
+function createLLMProvider(stage, overrides = {}) {
+  const config = { ...getLLMConfig(stage), ...overrides };
+  const { Provider } = PROVIDERS[config.provider];
+
+  const provider = new Provider({
+    baseURL: config.baseURL,
+    apiKey: config.apiKey,
+    model: config.model,
+  });
+  provider.stage = stage;
+
+  const cassette = getCassette();
+  return cassette ? cassette.wrap(provider) : provider;
+}
+
+module.exports = {
+  STAGES,
+  OpenAICompatibleProvider,
+  OpenRouterProvider,
+  LocalProvider,
+  AnthropicProvider,
+  getLLMConfig,
+  isLLMConfigured,
+  createLLMProvider,
+};
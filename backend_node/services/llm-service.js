@@ -1,5 +1,5 @@
-// LLM Service using OpenRouter API
-const axios = require("axios");
+// LLM Service for UI generation
+const { createLLMProvider, getLLMConfig, isLLMConfigured } = require("./llm-provider");
 require("dotenv").config();
 
 class LLMServiceError extends Error {
@@ -11,12 +11,11 @@ class LLMServiceError extends Error {
 
 class LLMService {
   constructor() {
-    this.apiKey = process.env.OPENROUTER_API_KEY;
-    if (!this.apiKey) {
-      throw new LLMServiceError(
-        "OPENROUTER_API_KEY environment variable not set"
-      );
+    if (!isLLMConfigured("ui")) {
+      const { provider } = getLLMConfig("ui");
+      throw new LLMServiceError(`API key for LLM provider "${provider}" not set`);
     }
+    this.provider = createLLMProvider("ui");
 
     // Initialize memory to store previous generations
     this.memory = {};
@@ -142,45 +141,18 @@ Return the COMPLETE UPDATED code in the same three blocks:
 Make sure to preserve the existing functionality while adding the requested changes. Make the code clean, modern, and production-ready.`;
   }
 
-  // Generate text from OpenRouter API
+  // Generate text from the configured LLM provider
   async generateText(prompt) {
     const maxRetries = 3;
 
     for (let attempt = 0; attempt < maxRetries; attempt++) {
       try {
-        const response = await axios.post(
-          "https://openrouter.ai/api/v1/chat/completions",
-          {
-            model: "anthropic/claude-3.5-sonnet",
-            messages: [
-              {
-                role: "user",
-                content: prompt,
-              },
-            ],
-            max_tokens: 2000,
-            temperature: 0.7,
-          },
-          {
-            headers: {
-              Authorization: `Bearer ${this.apiKey}`,
-              "Content-Type": "application/json",
-            },
-            timeout: 60000, // 60 seconds
-          }
-        );
-
-        if (
-          !response.data ||
-          !response.data.choices ||
-          !response.data.choices[0]
-        ) {
-          throw new LLMServiceError(
-            "Invalid response format from OpenRouter API"
-          );
-        }
-
-        return response.data.choices[0].message.content;
+        return await this.provider.complete({
+          prompt,
+          maxTokens: 2000,
+          temperature: 0.7,
+          timeout: 60000, // 60 seconds
+        });
       } catch (error) {
         console.error(`Error on attempt ${attempt + 1}:`, error.message);
 
@@ -249,7 +221,7 @@ Example structure:
 \`\`\`
 `;
 
-      console.debug("Sending request to OpenRouter API");
+      console.debug(`Sending request to ${this.provider.name} (${this.provider.model})`);
 
       // Generate the response
       const response = await this.generateText(enhancedPrompt);
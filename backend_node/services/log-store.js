@@ -0,0 +1,156 @@
+const EventEmitter = require('events');
+
+/**
+ * Recent dev server output per project, kept in memory so any client can
+ * catch up on it: GET /api/projects/:projectName/logs, or the project's
+ * socket.io room (see server.js), which sends the backlog and then every
+ * new entry.
+ *
+ * Entries are {seq, stream, text, at}: stream is stdout, stderr or system
+ * (the backend's own messages about the server), and seq counts up per
+ * project so a client can ask for everything after the last entry it has.
+ * Only the last DEV_SERVER_LOG_LIMIT entries of each project are kept.
+ *
+ * Emits 'log' (projectName, entry) for every entry appended.
+ */
+
+const LOG_LIMIT = parseInt(process.env.DEV_SERVER_LOG_LIMIT, 10) || 2000;
+
+const STREAMS = ['stdout', 'stderr', 'system'];
+
+/**
+ * Fixed-size buffer that overwrites its oldest entry once full
+ */
+class RingBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  push(item) {
+    const index = (this.start + this.length) % this.capacity;
+    this.items[index] = item;
+    if (this.length < this.capacity) {
+      this.length += 1;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  toArray() {
+    const result = [];
+    for (let i = 0; i < this.length; i++) {
+      result.push(this.items[(this.start + i) % this.capacity]);
+    }
+    return result;
+  }
+}
+
+class LogStore extends EventEmitter {
+  constructor({ limit = LOG_LIMIT } = {}) {
+    super();
+    this.limit = limit;
+    // Project name -> {buffer, seq}
+    this.projects = new Map();
+  }
+
+  /**
+   * Add output to a project's log
+   * @param {string} projectName - Name of the project
+   * @param {string} stream - stdout | stderr | system
+   * @param {string} text - Output as received, possibly several lines or part of one
+   * @returns {Object|null} The entry, null for empty output
+   */
+  append(projectName, stream, text) {
+    if (!STREAMS.includes(stream)) {
+      throw new Error(`Unknown log stream "${stream}"`);
+    }
+    if (!text) return null;
+
+    let log = this.projects.get(projectName);
+    if (!log) {
+      log = { buffer: new RingBuffer(this.limit), seq: 0 };
+      this.projects.set(projectName, log);
+    }
+
+    log.seq += 1;
+    const entry = { seq: log.seq, stream, text, at: new Date().toISOString() };
+    log.buffer.push(entry);
+    this.emit('log', projectName, entry);
+    return entry;
+  }
+
+  /**
+   * A project's buffered log
+   * @param {string} projectName - Name of the project
+   * @param {Object} [options]
+   * @param {number|Date} [options.since] - Only entries after this seq, or logged after this time
+   * @returns {{logs: Array<Object>, lastSeq: number, truncated: boolean}}
+   *   lastSeq is the seq to ask for next time; truncated means entries after
+   *   `since` were already dropped from the buffer
+   */
+  getLogs(projectName, { since = null } = {}) {
+    const log = this.projects.get(projectName);
+    if (!log) {
+      return { logs: [], lastSeq: 0, truncated: false };
+    }
+
+    const all = log.buffer.toArray();
+    let logs = all;
+    let truncated = false;
+
+    if (typeof since === 'number') {
+      logs = all.filter(entry => entry.seq > since);
+      truncated = all.length > 0 && all[0].seq > since + 1;
+    } else if (since instanceof Date) {
+      const time = since.toISOString();
+      logs = all.filter(entry => entry.at > time);
+      // Entries were dropped once the oldest kept isn't the first
+      truncated = all.length > 0 && all[0].seq > 1 && all[0].at > time;
+    }
+
+    return { logs, lastSeq: log.seq, truncated };
+  }
+
+  /**
+   * Drop a project's log, e.g. when the project is deleted
+   */
+  clear(projectName) {
+    this.projects.delete(projectName);
+  }
+
+  /**
+   * Keep a project's log when its directory is renamed
+   */
+  rename(projectName, newName) {
+    const log = this.projects.get(projectName);
+    if (log) {
+      this.projects.delete(projectName);
+      this.projects.set(newName, log);
+    }
+  }
+}
+
+/**
+ * Parse the `since` of a logs request: a seq number or a date
+ * @param {string} value - From a query string or socket message
+ * @returns {number|Date|null} null when absent
+ * @throws {Error} If it's neither
+ */
+function parseSince(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+$/.test(String(value))) return Number(value);
+
+  const time = new Date(value);
+  if (Number.isNaN(time.getTime())) {
+    throw new Error('since must be a log seq number or a date');
+  }
+  return time;
+}
+
+module.exports = new LogStore();
+module.exports.LogStore = LogStore;
+module.exports.parseSince = parseSince;
+module.exports.STREAMS = STREAMS;
@@ -0,0 +1,222 @@
+const fs = require('fs/promises');
+const http = require('http');
+const projectManager = require('./project-manager');
+const { isValidProjectName, findProjectPath } = require('../utils/safe-path');
+const { USER_PROJECTS_DIR } = require('../utils/project-paths');
+const { previewLabelFromHost } = require('../utils/preview-origin');
+
+/**
+ * Reverse proxy from a project's preview origin (see utils/preview-origin.js)
+ * to its dev server, HTTP and websockets (so HMR works too), starting the
+ * server if it isn't running.
+ *
+ * The Host header says which project a request is for; the request is
+ * passed on unchanged, so the app runs at / with no basePath.
+ */
+
+// Hop-by-hop headers, which apply to a single connection and aren't forwarded
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'upgrade'];
+
+class PreviewError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'PreviewError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Project a request to the preview listener is for
+ * @param {string} hostHeader - The request's Host header
+ * @returns {Promise<string|null>} Project name, null for other hosts and unknown projects
+ */
+async function findPreviewProject(hostHeader) {
+  const label = previewLabelFromHost(hostHeader);
+  if (!label) return null;
+  if (projectManager.getProjectInfo(label) || await findProjectPath(label)) return label;
+
+  // Hostnames arrive lower-cased, project names may not be
+  let names;
+  try {
+    names = await fs.readdir(USER_PROJECTS_DIR);
+  } catch {
+    return null;
+  }
+  return names.find(name => name.toLowerCase() === label && isValidProjectName(name)) || null;
+}
+
+/**
+ * Port of a project's dev server, starting the server and waiting for it if needed
+ * @param {string} projectName - Name of the project
+ * @returns {Promise<number>}
+ * @throws {PreviewError} If there's no such project or its server isn't up
+ */
+async function ensurePreviewServer(projectName) {
+  const running = projectManager.getProjectInfo(projectName);
+  if (running && running.status === 'ready') {
+    return running.port;
+  }
+
+  const projectPath = await findProjectPath(projectName);
+  if (!projectPath) {
+    throw new PreviewError(`Project ${projectName} not found`, 404);
+  }
+
+  let status;
+  try {
+    ({ status } = await projectManager.startProject(projectPath));
+  } catch (error) {
+    throw new PreviewError(`Development server failed to start: ${error.message}`, 502);
+  }
+  if (status === 'starting') {
+    status = await projectManager.waitUntilReady(projectName);
+  }
+
+  const entry = projectManager.getProjectInfo(projectName);
+  if (status !== 'ready' || !entry) {
+    throw new PreviewError(`Development server for ${projectName} is not ready (${status})`, 503);
+  }
+  return entry.port;
+}
+
+function forwardedHeaders(req) {
+  const headers = { ...req.headers };
+  for (const name of HOP_BY_HOP_HEADERS) {
+    delete headers[name];
+  }
+
+  headers['x-forwarded-host'] = req.headers.host;
+  headers['x-forwarded-proto'] = req.socket.encrypted ? 'https' : 'http';
+  headers['x-forwarded-for'] = [req.headers['x-forwarded-for'], req.socket.remoteAddress]
+    .filter(Boolean)
+    .join(', ');
+  return headers;
+}
+
+/**
+ * Keep redirects from the dev server on the preview's origin
+ */
+function rewriteLocation(location, port) {
+  const local = `http://localhost:${port}`;
+  return location.startsWith(local) ? location.slice(local.length) || '/' : location;
+}
+
+/**
+ * Send an HTTP request on to a dev server, URL unchanged, and stream its response back
+ */
+function proxyRequest(req, res, { projectName, port }) {
+  const url = req.originalUrl;
+  projectManager.touch(projectName);
+
+  const upstream = http.request({
+    host: '127.0.0.1',
+    port,
+    method: req.method,
+    path: url,
+    headers: forwardedHeaders(req)
+  }, (upstreamRes) => {
+    const headers = { ...upstreamRes.headers };
+    for (const name of HOP_BY_HOP_HEADERS) {
+      delete headers[name];
+    }
+    if (headers.location) {
+      headers.location = rewriteLocation(headers.location, port);
+    }
+
+    res.writeHead(upstreamRes.statusCode, upstreamRes.statusMessage, headers);
+    upstreamRes.pipe(res);
+  });
+
+  upstream.on('error', (error) => {
+    console.error(`[${projectName}] Preview request ${req.method} ${url} failed:`, error.message);
+    if (res.headersSent) {
+      res.destroy();
+    } else {
+      res.status(502).json({ error: 'Development server did not answer', details: error.message });
+    }
+  });
+  // The browser went away (e.g. a long HMR event stream was closed)
+  res.on('close', () => {
+    if (!res.writableFinished) upstream.destroy();
+  });
+
+  req.pipe(upstream);
+}
+
+/**
+ * Connect an upgrade request (websocket) to a dev server
+ */
+function proxyUpgrade(req, socket, head, { projectName, port }) {
+  const { url } = req;
+  projectManager.touch(projectName);
+
+  const upstream = http.request({
+    host: '127.0.0.1',
+    port,
+    method: req.method,
+    path: url,
+    headers: { ...forwardedHeaders(req), connection: 'Upgrade', upgrade: req.headers.upgrade }
+  });
+
+  upstream.on('upgrade', (upstreamRes, upstreamSocket, upstreamHead) => {
+    const lines = [`HTTP/1.1 ${upstreamRes.statusCode} ${upstreamRes.statusMessage}`];
+    for (let i = 0; i < upstreamRes.rawHeaders.length; i += 2) {
+      lines.push(`${upstreamRes.rawHeaders[i]}: ${upstreamRes.rawHeaders[i + 1]}`);
+    }
+    socket.write(lines.join('\r\n') + '\r\n\r\n');
+    if (upstreamHead.length) socket.write(upstreamHead);
+    if (head.length) upstreamSocket.write(head);
+
+    upstreamSocket.on('error', () => socket.destroy());
+    socket.on('error', () => upstreamSocket.destroy());
+    // An open HMR connection means someone has the preview open
+    socket.on('data', () => projectManager.touch(projectName));
+    upstreamSocket.pipe(socket).pipe(upstreamSocket);
+  });
+
+  // Answered without upgrading
+  upstream.on('response', (upstreamRes) => {
+    socket.end(`HTTP/1.1 ${upstreamRes.statusCode} ${upstreamRes.statusMessage}\r\nConnection: close\r\n\r\n`);
+    upstreamRes.resume();
+  });
+
+  upstream.on('error', (error) => {
+    console.error(`[${projectName}] Preview websocket ${url} failed:`, error.message);
+    socket.destroy();
+  });
+
+  upstream.end();
+}
+
+/**
+ * Handle the preview listener's 'upgrade' events; upgrades for hosts that
+ * aren't a project's preview are refused
+ * @param {http.Server} server - The preview listener
+ */
+function attachPreviewUpgrades(server) {
+  server.on('upgrade', async (req, socket, head) => {
+    const projectName = await findPreviewProject(req.headers.host);
+    if (!projectName) {
+      socket.destroy();
+      return;
+    }
+
+    try {
+      const port = await ensurePreviewServer(projectName);
+      proxyUpgrade(req, socket, head, { projectName, port });
+    } catch (error) {
+      if (!(error instanceof PreviewError)) {
+        console.error(`[${projectName}] Preview websocket failed:`, error);
+      }
+      socket.end(`HTTP/1.1 ${error.statusCode || 500} ${http.STATUS_CODES[error.statusCode || 500]}\r\nConnection: close\r\n\r\n`);
+    }
+  });
+}
+
+module.exports = {
+  PreviewError,
+  findPreviewProject,
+  ensurePreviewServer,
+  proxyRequest,
+  attachPreviewUpgrades
+};
@@ -0,0 +1,153 @@
+const projectManager = require('./project-manager');
+const { listManifests } = require('./project-manifest');
+
+/**
+ * The project catalog: every project's manifest, filtered, sorted and paged
+ * for the listing endpoints.
+ *
+ * Query options (all optional):
+ *   q        text to find in the title, name, requirement, PRD or tags
+ *   tag      only projects with this tag
+ *   running  true | false
+ *   status   build status: passing | failing | unknown (never checked)
+ *   sort     created | updated (default: created)
+ *   order    asc | desc (default: desc)
+ *   offset, limit
+ */
+
+const SORT_FIELDS = {
+  created: 'createdAt',
+  updated: 'updatedAt'
+};
+
+const BUILD_STATUSES = ['passing', 'failing', 'unknown'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class CatalogQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CatalogQueryError';
+  }
+}
+
+function buildStatus(manifest) {
+  if (!manifest.lastBuild) return 'unknown';
+  return manifest.lastBuild.success ? 'passing' : 'failing';
+}
+
+/**
+ * Manifest as returned by the listing endpoints
+ */
+function toProjectSummary(manifest) {
+  return {
+    name: manifest.name,
+    title: manifest.title,
+    path: manifest.path,
+    tags: manifest.tags,
+    source: manifest.source,
+    createdAt: manifest.createdAt,
+    updatedAt: manifest.updatedAt,
+    lastBuild: manifest.lastBuild,
+    buildStatus: buildStatus(manifest),
+    hasPRD: !!manifest.prd,
+    isRunning: projectManager.isProjectRunning(manifest.name)
+  };
+}
+
+function parseInteger(value, fallback, name) {
+  if (value === undefined || value === '') return fallback;
+
+  const number = Number(value);
+  if (!Number.isInteger(number)) {
+    throw new CatalogQueryError(`${name} must be an integer`);
+  }
+  return number;
+}
+
+function oneOf(value, allowed, fallback, name) {
+  if (value === undefined || value === '') return fallback;
+  if (!allowed.includes(value)) {
+    throw new CatalogQueryError(`${name} must be one of: ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Validate listing options from a query string
+ * @param {Object} query - req.query
+ * @returns {Object} Options for queryCatalog
+ * @throws {CatalogQueryError}
+ */
+function parseCatalogQuery(query = {}) {
+  const text = (name) => (typeof query[name] === 'string' ? query[name].trim() : '');
+
+  const options = {
+    q: text('q'),
+    tag: text('tag').toLowerCase(),
+    running: oneOf(text('running'), ['true', 'false'], null, 'running'),
+    status: oneOf(text('status'), BUILD_STATUSES, null, 'status'),
+    sort: oneOf(text('sort'), Object.keys(SORT_FIELDS), 'created', 'sort'),
+    order: oneOf(text('order'), ['asc', 'desc'], 'desc', 'order'),
+    offset: parseInteger(text('offset'), 0, 'offset'),
+    limit: parseInteger(text('limit'), DEFAULT_LIMIT, 'limit')
+  };
+
+  if (options.running !== null) {
+    options.running = options.running === 'true';
+  }
+  if (options.offset < 0 || options.limit < 1 || options.limit > MAX_LIMIT) {
+    throw new CatalogQueryError(`offset must be >= 0 and limit between 1 and ${MAX_LIMIT}`);
+  }
+
+  return options;
+}
+
+function matchesText(manifest, q) {
+  const needle = q.toLowerCase();
+  return [manifest.title, manifest.name, manifest.requirement, manifest.prd, ...manifest.tags]
+    .some(value => typeof value === 'string' && value.toLowerCase().includes(needle));
+}
+
+/**
+ * A page of the catalog
+ * @param {Object} options - From parseCatalogQuery; a null limit returns
+ *   every project from offset on
+ * @returns {Promise<{projects: Array<Object>, total: number, offset: number, limit: number|null}>}
+ *   `total` counts every project that matches the filters
+ */
+async function queryCatalog({
+  q = '',
+  tag = '',
+  running = null,
+  status = null,
+  sort = 'created',
+  order = 'desc',
+  offset = 0,
+  limit = DEFAULT_LIMIT
+} = {}) {
+  const summaries = (await listManifests())
+    .filter(manifest => !q || matchesText(manifest, q))
+    .filter(manifest => !tag || manifest.tags.includes(tag))
+    .map(toProjectSummary)
+    .filter(project => running === null || project.isRunning === running)
+    .filter(project => !status || project.buildStatus === status);
+
+  const field = SORT_FIELDS[sort];
+  const direction = order === 'asc' ? 1 : -1;
+  summaries.sort((a, b) => direction * String(a[field]).localeCompare(String(b[field])));
+
+  return {
+    projects: limit === null ? summaries.slice(offset) : summaries.slice(offset, offset + limit),
+    total: summaries.length,
+    offset,
+    limit
+  };
+}
+
+module.exports = {
+  CatalogQueryError,
+  parseCatalogQuery,
+  queryCatalog
+};
@@ -0,0 +1,216 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const projectManager = require('./project-manager');
+const projectRunner = require('./project-runner');
+const jobQueue = require('./job-queue');
+const logStore = require('./log-store');
+const { createManifest, loadManifest, invalidateProject } = require('./project-manifest');
+const { STATE_DIR } = require('../utils/project-paths');
+const { resolveProjectPath } = require('../utils/safe-path');
+
+/**
+ * Deleting, duplicating and renaming whole projects.
+ *
+ * A project's dev server is stopped (and its exit awaited) before its
+ * directory is moved or removed, and projects with a generation job still
+ * queued or running are left alone.
+ */
+
+// Not copied by duplicateProject: reinstalled or linked, rebuilt, or per-project backend state
+const NOT_COPIED = new Set(['node_modules', '.next', STATE_DIR]);
+
+class ProjectConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProjectConflictError';
+  }
+}
+
+function assertNoActiveJob(projectName) {
+  const active = jobQueue.listJobs().find(job =>
+    job.data?.projectName === projectName && (job.status === 'queued' || job.status === 'running')
+  );
+  if (active) {
+    throw new ProjectConflictError(`Project ${projectName} has a ${active.type} job in progress (${active.id})`);
+  }
+}
+
+async function assertFree(projectName) {
+  const projectPath = resolveProjectPath(projectName);
+  const taken = await fs.access(projectPath).then(() => true).catch(() => false);
+  if (taken) {
+    throw new ProjectConflictError(`Project ${projectName} already exists`);
+  }
+  return projectPath;
+}
+
+/**
+ * Stop a project's dev server and remove its directory
+ * @param {string} projectPath - Path of an existing project
+ * @returns {Promise<{stopped: boolean}>} Whether a dev server was stopped
+ * @throws {ProjectConflictError} If a job is working on the project
+ */
+async function deleteProject(projectPath) {
+  const projectName = path.basename(projectPath);
+  assertNoActiveJob(projectName);
+
+  const stopped = await projectManager.stopProjectAndWait(projectName);
+  // Removing the directory drops it from the catalog on the next listing
+  await fs.rm(projectPath, { recursive: true, force: true });
+  logStore.clear(projectName);
+
+  return { stopped };
+}
+
+/**
+ * Recreate node_modules in a copy as hard links to the original's files:
+ * instant and takes no extra space. npm replaces files rather than editing
+ * them in place, so installing in one project doesn't change the other.
+ */
+async function linkTree(source, target) {
+  await fs.mkdir(target, { recursive: true });
+
+  for (const entry of await fs.readdir(source, { withFileTypes: true })) {
+    const from = path.join(source, entry.name);
+    const to = path.join(target, entry.name);
+
+    if (entry.isDirectory()) {
+      await linkTree(from, to);
+    } else if (entry.isSymbolicLink()) {
+      await fs.symlink(await fs.readlink(from), to);
+    } else {
+      await fs.link(from, to);
+    }
+  }
+}
+
+/**
+ * Give a duplicated project its dependencies: hard links to the original's
+ * node_modules where possible, a fresh `npm install` otherwise
+ * @returns {Promise<'linked'|'installed'|'none'|'failed'>}
+ */
+async function installDependencies(sourcePath, targetPath, { reinstall, socket }) {
+  const sourceModules = path.join(sourcePath, 'node_modules');
+  const hasModules = await fs.access(sourceModules).then(() => true).catch(() => false);
+
+  if (!reinstall && hasModules) {
+    try {
+      await linkTree(sourceModules, path.join(targetPath, 'node_modules'));
+      return 'linked';
+    } catch (error) {
+      // e.g. EXDEV when user-projects spans file systems
+      console.error(`Could not link node_modules into ${targetPath}, reinstalling:`, error.message);
+      await fs.rm(path.join(targetPath, 'node_modules'), { recursive: true, force: true });
+    }
+  }
+
+  const hasPackageJson = await fs.access(path.join(targetPath, 'package.json')).then(() => true).catch(() => false);
+  if (!hasPackageJson) return 'none';
+
+  if (socket) {
+    socket.emit('output', '\n\x1b[36m> Installing dependencies for the copy...\x1b[0m\n');
+  }
+
+  const result = await projectRunner.run(targetPath, 'npm', ['install'], {
+    kind: 'install'
+  });
+  if (result.code !== 0) {
+    console.error(`npm install failed in ${targetPath}:\n${result.output}`);
+    return 'failed';
+  }
+  return 'installed';
+}
+
+/**
+ * Copy a project, without its build output and backend state, under a new name
+ * @param {string} sourcePath - Path of an existing project
+ * @param {Object} options
+ * @param {string} [options.name] - Directory name of the copy; generated when omitted
+ * @param {string} [options.title] - Title of the copy; "<title> (copy)" when omitted
+ * @param {boolean} [options.reinstall] - Run npm install instead of linking node_modules
+ * @param {Socket} [options.socket] - Socket for install output
+ * @returns {Promise<{manifest: Object, dependencies: string}>}
+ * @throws {ProjectConflictError} If the name is taken or a job is working on the source
+ */
+async function duplicateProject(sourcePath, { name, title, reinstall = false, socket } = {}) {
+  const sourceName = path.basename(sourcePath);
+  assertNoActiveJob(sourceName);
+
+  const targetName = name || `project-${randomUUID().slice(0, 8)}`;
+  const targetPath = await assertFree(targetName);
+  const source = await loadManifest(sourcePath);
+
+  try {
+    await fs.cp(sourcePath, targetPath, {
+      recursive: true,
+      verbatimSymlinks: true,
+      filter: (file) => {
+        const [topLevel] = path.relative(sourcePath, file).split(path.sep);
+        return !NOT_COPIED.has(topLevel);
+      }
+    });
+
+    const dependencies = await installDependencies(sourcePath, targetPath, { reinstall, socket });
+
+    const manifest = await createManifest(targetPath, {
+      source: 'duplicate',
+      requirement: source.requirement,
+      title: title || `${source.title} (copy)`,
+      template: source.template,
+      models: source.models,
+      tags: source.tags
+    });
+
+    return { manifest, dependencies };
+  } catch (error) {
+    await fs.rm(targetPath, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+/**
+ * Move a project to a new directory name. A running dev server is stopped
+ * first and started again from the new directory (Next.js keeps absolute
+ * paths, so it can't keep running across the move), which re-keys it in the
+ * running-project map.
+ * @param {string} projectPath - Path of an existing project
+ * @param {string} newName - New directory name
+ * @param {Object} options
+ * @param {Socket} [options.socket] - Socket for dev server output
+ * @returns {Promise<{projectPath: string, restarted: boolean, port?: number, url?: string, startError?: string}>}
+ * @throws {ProjectConflictError} If the name is taken or a job is working on the project
+ */
+async function renameProject(projectPath, newName, { socket } = {}) {
+  const projectName = path.basename(projectPath);
+  if (newName === projectName) {
+    return { projectPath, restarted: false };
+  }
+
+  assertNoActiveJob(projectName);
+  const newPath = await assertFree(newName);
+
+  const wasRunning = await projectManager.stopProjectAndWait(projectName);
+  await fs.rename(projectPath, newPath);
+  invalidateProject(newPath);
+  logStore.rename(projectName, newName);
+
+  if (!wasRunning) {
+    return { projectPath: newPath, restarted: false };
+  }
+
+  try {
+    const { port, url, previewUrl } = await projectManager.startProject(newPath, socket);
+    return { projectPath: newPath, restarted: true, port, url, previewUrl };
+  } catch (error) {
+    console.error(`Failed to restart ${newName} after renaming it:`, error);
+    return { projectPath: newPath, restarted: false, startError: error.message };
+  }
+}
+
+module.exports = {
+  ProjectConflictError,
+  deleteProject,
+  duplicateProject,
+  renameProject
+};
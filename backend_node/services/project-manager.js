@@ -1,105 +1,331 @@
-const { spawn } = require('child_process');
-const { findAvailablePort } = require('../utils/port-finder');
+const EventEmitter = require('events');
+const http = require('http');
+const projectRunner = require('./project-runner');
+const logStore = require('./log-store');
+const { readJSON, writeJSON } = require('../utils/json-store');
+const { isPortAvailable } = require('../utils/port-finder');
+const { PortAllocator, parsePortRange } = require('../utils/port-allocator');
+const { previewUrl } = require('../utils/preview-origin');
 const path = require('path');
 
-class ProjectManager {
+/**
+ * Dev server status:
+ *   starting -> ready -> (crashed -> starting -> ...) -> stopped
+ *
+ * A server is ready once it has printed its "Ready in" line (or stays quiet
+ * but answers) and answers HTTP on its port. Ready servers are probed every
+ * HEALTH_CHECK_INTERVAL_MS; one that exits on its own or stops answering is
+ * crashed and restarted with exponential backoff, up to MAX_RESTARTS times
+ * in a row.
+ *
+ * Every status change is emitted as a 'status' event with the project's
+ * summary (see getAllRunningProjects).
+ *
+ * The PID, port and start time of each server are kept in
+ * .data/dev-servers.json, along with the last port each project used. After
+ * a backend restart, restore() adopts servers that are still alive and
+ * answering and forgets the rest, and a project that is started again gets
+ * its previous port back when it's free.
+ *
+ * Previews are limited too: ports come from PREVIEW_PORT_RANGE, at most
+ * PREVIEW_MAX_RUNNING servers run at once (starting one more stops the
+ * least recently used), and a server nobody has sent an HTTP request to for
+ * PREVIEW_IDLE_TIMEOUT_MS is stopped. Requests are seen in the dev server's
+ * request log and reported by anything in front of it through touch().
+ *
+ * Browsers reach a server through the preview proxy at previewUrl(name)
+ * (see utils/preview-origin.js), never on its own port.
+ */
+
+const STATE_FILE = path.join(__dirname, '../.data/dev-servers.json');
+
+// Wall-clock limit for a server to become ready before startProject gives up waiting
+const READY_TIMEOUT_MS = parseInt(process.env.DEV_SERVER_READY_TIMEOUT_MS, 10) || 60 * 1000;
+const HEALTH_CHECK_INTERVAL_MS = parseInt(process.env.DEV_SERVER_HEALTH_INTERVAL_MS, 10) || 15 * 1000;
+// Failed probes in a row before a ready server counts as hung
+const HEALTH_CHECK_FAILURES = 3;
+const PROBE_TIMEOUT_MS = 5000;
+// While starting, the port is probed this often in case the ready line never comes
+const STARTUP_PROBE_INTERVAL_MS = 1000;
+const RESTART_BASE_DELAY_MS = 1000;
+const RESTART_MAX_DELAY_MS = 30 * 1000;
+const MAX_RESTARTS = parseInt(process.env.DEV_SERVER_MAX_RESTARTS, 10) || 5;
+// A server that stayed ready this long starts its restart count over
+const RESTART_RESET_MS = 60 * 1000;
+// How long shutdown waits for servers to exit; covers the runner's SIGTERM-to-SIGKILL grace
+const SHUTDOWN_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Integer setting from the environment, where 0 is allowed (to turn a limit off)
+ */
+function readLimit(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+// 0 turns the cap or the idle timeout off
+const MAX_RUNNING_PREVIEWS = readLimit('PREVIEW_MAX_RUNNING', 5);
+const IDLE_TIMEOUT_MS = readLimit('PREVIEW_IDLE_TIMEOUT_MS', 30 * 60 * 1000);
+// Starts at 3002 to avoid conflicts with the main app
+const PORT_RANGE = parsePortRange(process.env.PREVIEW_PORT_RANGE, { start: 3002, end: 3101 });
+
+const READY_LINE = /Ready in|started server on|Local:\s+http/;
+// Request log line of `next dev`, e.g. " GET /about 200 in 35ms"
+const REQUEST_LINE = /^\s*(GET|HEAD|POST|PUT|PATCH|DELETE|OPTIONS) (\S+) \d{3} in /m;
+
+// Next.js answers unknown static assets with a 404 straight away, while a
+// page request blocks until the page has compiled
+const PROBE_PATH = '/_next/static/health-probe';
+
+/**
+ * URL of a project's app on its dev server
+ */
+function devServerUrl(port) {
+  return `http://localhost:${port}`;
+}
+
+/**
+ * Whether a dev server answers HTTP on its port; any status code counts
+ * @returns {Promise<{ok: boolean, statusCode?: number, error?: string}>}
+ */
+function probe(port, timeout = PROBE_TIMEOUT_MS) {
+  return new Promise((resolve) => {
+    const request = http.get({ host: '127.0.0.1', port, path: PROBE_PATH, timeout }, (response) => {
+      response.resume();
+      resolve({ ok: true, statusCode: response.statusCode });
+    });
+    request.on('timeout', () => {
+      request.destroy(new Error(`no response within ${timeout}ms`));
+    });
+    request.on('error', (error) => {
+      resolve({ ok: false, error: error.message });
+    });
+  });
+}
+
+class ProjectManager extends EventEmitter {
   constructor() {
+    super();
     // Store running projects with their processes and ports
     this.runningProjects = new Map();
+    // Project name -> port it last ran on, so a restart can reuse it
+    this.lastPorts = new Map();
+    this.ports = new PortAllocator(PORT_RANGE);
+    // Project name -> startProject promise, so concurrent starts share one server
+    this.pendingStarts = new Map();
+    this.healthTimer = null;
+    this.saving = Promise.resolve();
   }
 
   /**
-   * Start a Next.js project
-   * @param {string} projectPath - Path to the project
-   * @param {Socket} socket - Socket connection for terminal output
-   * @returns {Promise<{port: number, url: string}>}
+   * Adopt dev servers started before the backend restarted. Servers whose
+   * process is gone or that don't answer on their port are forgotten.
    */
-  async startProject(projectPath, socket) {
-    const projectName = path.basename(projectPath);
-    
-    // Check if project is already running
-    if (this.runningProjects.has(projectName)) {
-      const existing = this.runningProjects.get(projectName);
-      return { port: existing.port, url: existing.url };
+  async restore() {
+    const state = await readJSON(STATE_FILE, { servers: {}, ports: {} });
+    this.lastPorts = new Map(Object.entries(state.ports || {}));
+
+    for (const [projectName, server] of Object.entries(state.servers || {})) {
+      const alive = projectRunner.isProcessAlive(server.pid);
+      const answering = alive && (await probe(server.port)).ok;
+
+      if (!answering) {
+        console.log(`[${projectName}] Dev server from the previous run (pid ${server.pid}) is gone, forgetting it`);
+        continue;
+      }
+
+      console.log(`[${projectName}] Adopting dev server from the previous run (pid ${server.pid}, port ${server.port})`);
+      const entry = {
+        name: projectName,
+        projectPath: server.projectPath,
+        port: server.port,
+        url: devServerUrl(server.port),
+        socket: null,
+        process: new projectRunner.AdoptedProcess(server.pid),
+        status: 'ready',
+        adopted: true,
+        startTime: new Date(server.startTime),
+        readyAt: new Date(),
+        lastRequestAt: new Date(),
+        everReady: true,
+        restarts: 0,
+        restartTimer: null,
+        lastExit: null,
+        lastHealthCheck: null,
+        healthFailures: 0
+      };
+      entry.process.on('close', (code, signal) => this.handleExit(entry, entry.process, code, signal));
+      this.ports.reserve(server.port);
+      this.runningProjects.set(projectName, entry);
+      // Its output goes to the previous backend's pipes, which are gone
+      this.emitOutput(entry, `> Backend restarted; dev server (pid ${server.pid}) kept running, its output is no longer captured\n`);
     }
 
-    try {
-      // Find an available port starting from 3002 (to avoid conflicts with main app)
-      const port = await findAvailablePort(3002);
-      
-      if (socket) {
-        socket.emit('output', `\n\x1b[1;34m> Starting development server on port ${port}...\x1b[0m\n`);
+    if (this.runningProjects.size > 0) {
+      this.ensureHealthChecks();
+    }
+    await this.saveState();
+  }
+
+  /**
+   * Write the running servers and last ports to the state file. Writes are
+   * queued, and each one writes the state as it is when its turn comes.
+   */
+  saveState() {
+    this.saving = this.saving.then(async () => {
+      const servers = {};
+      for (const entry of this.runningProjects.values()) {
+        if (!entry.process || entry.process.exited) continue;
+        servers[entry.name] = {
+          pid: entry.process.pid,
+          port: entry.port,
+          projectPath: entry.projectPath,
+          startTime: entry.startTime
+        };
       }
 
-      // Start the Next.js development server
-      const childProcess = spawn('npm', ['run', 'dev'], {
-        cwd: projectPath,
-        env: {
-          ...process.env,
-          PORT: port.toString(),
-          // Force the port for Next.js
-          NODE_OPTIONS: `--inspect=false`
-        },
-        shell: true
-      });
+      await writeJSON(STATE_FILE, { servers, ports: Object.fromEntries(this.lastPorts) });
+    }).catch((error) => {
+      console.error('Failed to save dev server state:', error);
+    });
+    return this.saving;
+  }
 
-      // Handle stdout
-      childProcess.stdout.on('data', (data) => {
-        const output = data.toString();
-        if (socket) {
-          // Format Next.js output
-          let formattedOutput = output;
-          if (output.includes('Ready in') || output.includes('started server')) {
-            formattedOutput = `\x1b[1;32m${output}\x1b[0m`;
-          } else if (output.includes('Compiling') || output.includes('Building')) {
-            formattedOutput = `\x1b[1;36m${output}\x1b[0m`;
-          } else if (output.includes('Warning')) {
-            formattedOutput = `\x1b[1;33m${output}\x1b[0m`;
-          }
-          socket.emit('output', formattedOutput);
-        }
-        console.log(`[${projectName}]:`, output);
-      });
+  /**
+   * Remove an entry from the running projects and give back its port
+   */
+  removeEntry(entry) {
+    clearTimeout(entry.restartTimer);
+    if (this.runningProjects.get(entry.name) === entry) {
+      this.runningProjects.delete(entry.name);
+    }
+    this.ports.release(entry.port);
+  }
 
-      // Handle stderr
-      childProcess.stderr.on('data', (data) => {
-        const output = data.toString();
-        if (socket) {
-          socket.emit('output', `\x1b[1;31m${output}\x1b[0m`);
-        }
-        console.error(`[${projectName} ERROR]:`, output);
+  /**
+   * Stop least recently used previews until there's room for one more
+   * @param {string} projectName - Project about to start, never evicted
+   */
+  async makeRoom(projectName) {
+    if (MAX_RUNNING_PREVIEWS === 0) return;
+
+    // Crashed servers that gave up don't use anything
+    const active = [...this.runningProjects.values()].filter(entry =>
+      entry.name !== projectName && (entry.status !== 'crashed' || entry.restartTimer)
+    );
+    active.sort((a, b) => a.lastRequestAt - b.lastRequestAt);
+
+    while (active.length >= MAX_RUNNING_PREVIEWS) {
+      const evicted = active.shift();
+      console.log(`[${evicted.name}] Stopping to make room for ${projectName} (at most ${MAX_RUNNING_PREVIEWS} previews run at once)`);
+      this.emitOutput(evicted, `\n\x1b[1;33m> Stopping this preview to make room for ${projectName}; it was the least recently used\x1b[0m\n`);
+      await this.stopProjectAndWait(evicted.name, 'evicted');
+    }
+  }
+
+  /**
+   * Record an HTTP request to a project's preview, which keeps it from
+   * being stopped as idle or evicted first
+   * @param {string} projectName - Name of the project
+   */
+  touch(projectName) {
+    const entry = this.runningProjects.get(projectName);
+    if (entry) {
+      entry.lastRequestAt = new Date();
+    }
+  }
+
+  /**
+   * Start a Next.js project and wait until it's ready
+   * @param {string} projectPath - Path to the project
+   * @param {Socket} socket - Socket connection for terminal output
+   * @returns {Promise<{port: number, url: string, previewUrl: string, status: string}>}
+   *   previewUrl is where the backend proxies to the server, see services/preview-proxy.js
+   */
+  startProject(projectPath, socket) {
+    const projectName = path.basename(projectPath);
+
+    // Check if project is already running
+    const existing = this.runningProjects.get(projectName);
+    if (existing && existing.status !== 'crashed') {
+      return Promise.resolve({
+        port: existing.port,
+        url: existing.url,
+        previewUrl: previewUrl(projectName),
+        status: existing.status
       });
+    }
 
-      // Handle process exit
-      childProcess.on('close', (code) => {
-        console.log(`[${projectName}] Process exited with code ${code}`);
-        this.runningProjects.delete(projectName);
-        if (socket) {
-          socket.emit('output', `\n\x1b[1;33m> Development server stopped (exit code: ${code})\x1b[0m\n`);
-        }
+    if (!this.pendingStarts.has(projectName)) {
+      const pending = this.launchProject(projectPath, projectName, socket).finally(() => {
+        this.pendingStarts.delete(projectName);
       });
+      this.pendingStarts.set(projectName, pending);
+    }
+    return this.pendingStarts.get(projectName);
+  }
 
-      // Store the project info
-      const url = `http://localhost:${port}`;
-      this.runningProjects.set(projectName, {
-        process: childProcess,
-        port,
-        url,
+  async launchProject(projectPath, projectName, socket) {
+    const existing = this.runningProjects.get(projectName);
+    if (existing) {
+      // Crashed (and maybe waiting to restart): start over with a fresh restart count
+      this.removeEntry(existing);
+    }
+
+    let port = null;
+    let entry = null;
+    try {
+      await this.makeRoom(projectName);
+      port = await this.ports.allocate(this.lastPorts.get(projectName));
+      const now = new Date();
+      const starting = {
+        name: projectName,
         projectPath,
-        startTime: new Date()
-      });
+        port,
+        url: devServerUrl(port),
+        socket,
+        process: null,
+        status: 'starting',
+        startTime: now,
+        readyAt: null,
+        lastRequestAt: now,
+        everReady: false,
+        restarts: 0,
+        restartTimer: null,
+        lastExit: null,
+        lastHealthCheck: null,
+        healthFailures: 0
+      };
+      entry = starting;
+      this.runningProjects.set(projectName, entry);
 
-      // Wait a bit for the server to start
-      await new Promise(resolve => setTimeout(resolve, 3000));
+      const status = await this.launch(entry);
 
-      if (socket) {
-        socket.emit('output', `\n\x1b[1;32m✓ Development server started successfully!\x1b[0m\n`);
-        socket.emit('output', `\x1b[1;36m> Access your project at: ${url}\x1b[0m\n\n`);
+      if (status === 'ready') {
+        this.emitOutput(entry, `\n\x1b[1;32m✓ Development server started successfully!\x1b[0m\n`);
+        this.emitOutput(entry, `\x1b[1;36m> Access your project at: ${entry.url}\x1b[0m\n\n`);
+      } else if (status === 'starting') {
+        this.emitOutput(entry, `\n\x1b[1;33m⚠ Development server is not answering after ${READY_TIMEOUT_MS / 1000}s; it may still be starting\x1b[0m\n`);
+      } else if (status === 'stopped') {
+        throw new Error('Development server was stopped before it was ready');
+      } else {
+        this.removeEntry(entry);
+        this.setStatus(entry, 'stopped');
+        throw new Error(`Development server exited before it was ready (exit code: ${entry.lastExit?.code})`);
       }
 
-      return { port, url };
+      return { port: entry.port, url: entry.url, previewUrl: previewUrl(projectName), status };
     } catch (error) {
+      // Don't leave a half-started entry or its port behind; an entry that was
+      // stopped or exited has been removed already
+      if (entry && this.runningProjects.get(projectName) === entry) {
+        if (entry.process) entry.process.kill('SIGTERM');
+        this.removeEntry(entry);
+      } else if (!entry && port !== null) {
+        this.ports.release(port);
+      }
       console.error('Error starting project:', error);
+      logStore.append(projectName, 'system', `✗ Failed to start development server: ${error.message}\n`);
       if (socket) {
         socket.emit('output', `\n\x1b[1;31m✗ Failed to start development server: ${error.message}\x1b[0m\n`);
       }
@@ -107,21 +333,282 @@ class ProjectManager {
     }
   }
 
+  /**
+   * Spawn the dev server for an entry and wire up its output, exit and readiness
+   * @returns {Promise<string>} Status once it's ready, has exited, or READY_TIMEOUT_MS passed
+   */
+  launch(entry) {
+    const { name: projectName } = entry;
+
+    this.emitOutput(entry, `\n\x1b[1;34m> Starting development server on port ${entry.port}...\x1b[0m\n`);
+
+    // Start the Next.js development server
+    const childProcess = projectRunner.spawn(entry.projectPath, 'npm', ['run', 'dev'], {
+      kind: 'dev',
+      env: {
+        // Force the port for Next.js
+        PORT: entry.port.toString()
+      }
+    });
+    entry.process = childProcess;
+    entry.adopted = false;
+    entry.readyAt = null;
+    entry.healthFailures = 0;
+    this.setStatus(entry, 'starting');
+
+    let sawReadyLine = false;
+    let probing = false;
+    let settle;
+    const settled = new Promise(resolve => { settle = resolve; });
+
+    const checkReady = async () => {
+      if (probing || entry.process !== childProcess || entry.status !== 'starting') return;
+      probing = true;
+      const result = await probe(entry.port);
+      probing = false;
+      if (result.ok && entry.process === childProcess && entry.status === 'starting') {
+        entry.readyAt = new Date();
+        entry.everReady = true;
+        entry.lastHealthCheck = { ok: true, at: entry.readyAt.toISOString(), statusCode: result.statusCode };
+        this.setStatus(entry, 'ready');
+        this.ensureHealthChecks();
+        settle('ready');
+      }
+    };
+
+    const startupProbe = setInterval(checkReady, STARTUP_PROBE_INTERVAL_MS);
+    const readyTimeout = setTimeout(() => settle(entry.status), READY_TIMEOUT_MS);
+    settled.then(() => {
+      clearInterval(startupProbe);
+      clearTimeout(readyTimeout);
+    });
+
+    // Handle stdout
+    childProcess.stdout.on('data', (data) => {
+      const output = data.toString();
+      // Format Next.js output
+      let formattedOutput = output;
+      if (READY_LINE.test(output)) {
+        formattedOutput = `\x1b[1;32m${output}\x1b[0m`;
+        if (!sawReadyLine) {
+          sawReadyLine = true;
+          checkReady();
+        }
+      } else if (REQUEST_LINE.test(output) && !output.includes(PROBE_PATH)) {
+        this.touch(projectName);
+      } else if (output.includes('Compiling') || output.includes('Building')) {
+        formattedOutput = `\x1b[1;36m${output}\x1b[0m`;
+      } else if (output.includes('Warning')) {
+        formattedOutput = `\x1b[1;33m${output}\x1b[0m`;
+      }
+      this.emitOutput(entry, output, 'stdout', formattedOutput);
+      console.log(`[${projectName}]:`, output);
+    });
+
+    // Handle stderr
+    childProcess.stderr.on('data', (data) => {
+      const output = data.toString();
+      this.emitOutput(entry, output, 'stderr', `\x1b[1;31m${output}\x1b[0m`);
+      console.error(`[${projectName} ERROR]:`, output);
+    });
+
+    // Handle process exit
+    childProcess.on('close', (code, signal) => {
+      this.handleExit(entry, childProcess, code, signal);
+      settle(entry.status);
+    });
+
+    return settled;
+  }
+
+  handleExit(entry, childProcess, code, signal) {
+    console.log(`[${entry.name}] Process exited with code ${code}`);
+    // The project may have been stopped or restarted since; only handle this process
+    if (entry.process !== childProcess) return;
+
+    entry.lastExit = { code, signal, at: new Date().toISOString() };
+    this.emitOutput(entry, `\n\x1b[1;33m> Development server stopped (exit code: ${code})\x1b[0m\n`);
+
+    if (entry.status !== 'stopped') {
+      this.handleCrash(entry);
+    }
+  }
+
+  /**
+   * Mark an entry crashed and schedule a restart, unless it keeps crashing
+   */
+  handleCrash(entry) {
+    if (entry.readyAt && Date.now() - entry.readyAt.getTime() > RESTART_RESET_MS) {
+      entry.restarts = 0;
+    }
+    this.setStatus(entry, 'crashed');
+
+    // A server that never came up is startProject's failure to report, not ours to retry
+    if (!entry.everReady) return;
+
+    if (entry.restarts >= MAX_RESTARTS) {
+      console.error(`[${entry.name}] Crashed ${entry.restarts + 1} times in a row, not restarting`);
+      this.emitOutput(entry, `\x1b[1;31m✗ Development server keeps crashing; start it again once the problem is fixed\x1b[0m\n`);
+      return;
+    }
+
+    const delay = Math.min(RESTART_BASE_DELAY_MS * 2 ** entry.restarts, RESTART_MAX_DELAY_MS);
+    entry.restarts += 1;
+    this.emitOutput(entry, `\x1b[1;33m> Restarting development server in ${delay / 1000}s (attempt ${entry.restarts} of ${MAX_RESTARTS})...\x1b[0m\n`);
+
+    entry.restartTimer = setTimeout(() => {
+      entry.restartTimer = null;
+      if (this.runningProjects.get(entry.name) !== entry || entry.status !== 'crashed') return;
+      this.restart(entry).catch((error) => {
+        console.error(`[${entry.name}] Restart failed:`, error);
+      });
+    }, delay);
+    entry.restartTimer.unref();
+  }
+
+  async restart(entry) {
+    // Keep the port the browser is pointed at if it's free again
+    if (!(await isPortAvailable(entry.port))) {
+      const port = await this.ports.allocate();
+      this.ports.release(entry.port);
+      entry.port = port;
+      entry.url = devServerUrl(port);
+    }
+    // Stopped or started over in the meantime
+    if (this.runningProjects.get(entry.name) !== entry || entry.status !== 'crashed') return;
+    await this.launch(entry);
+  }
+
+  /**
+   * Run the health check timer while any server is ready
+   */
+  ensureHealthChecks() {
+    if (this.healthTimer) return;
+    this.healthTimer = setInterval(() => this.checkHealth(), HEALTH_CHECK_INTERVAL_MS);
+    this.healthTimer.unref();
+  }
+
+  /**
+   * Stop idle servers, then probe every ready one and kill those that
+   * stopped answering so they're restarted
+   */
+  async checkHealth() {
+    if (this.runningProjects.size === 0) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+      return;
+    }
+
+    const now = Date.now();
+    for (const entry of [...this.runningProjects.values()]) {
+      if (IDLE_TIMEOUT_MS > 0 && entry.status === 'ready' && now - entry.lastRequestAt > IDLE_TIMEOUT_MS) {
+        console.log(`[${entry.name}] No requests for ${Math.round(IDLE_TIMEOUT_MS / 60000)} minutes, stopping`);
+        this.emitOutput(entry, `\n\x1b[1;33m> Stopping idle preview (no requests for ${Math.round(IDLE_TIMEOUT_MS / 60000)} minutes)\x1b[0m\n`);
+        this.stopProject(entry.name, 'idle');
+      }
+    }
+
+    const ready = [...this.runningProjects.values()].filter(entry => entry.status === 'ready');
+
+    await Promise.all(ready.map(async (entry) => {
+      const result = await probe(entry.port);
+      if (entry.status !== 'ready') return;
+
+      entry.lastHealthCheck = { ...result, at: new Date().toISOString() };
+      entry.healthFailures = result.ok ? 0 : entry.healthFailures + 1;
+
+      if (entry.healthFailures >= HEALTH_CHECK_FAILURES) {
+        console.error(`[${entry.name}] Not answering on port ${entry.port} (${result.error}), restarting`);
+        this.emitOutput(entry, `\n\x1b[1;31m✗ Development server stopped answering (${result.error})\x1b[0m\n`);
+        // The exit is handled as a crash
+        entry.process.kill('SIGTERM');
+      }
+    }));
+  }
+
+  setStatus(entry, status) {
+    if (entry.status === status && status !== 'starting') return;
+    entry.status = status;
+    if (status === 'starting' || status === 'ready') {
+      this.lastPorts.set(entry.name, entry.port);
+    }
+    this.saveState();
+    this.emit('status', this.summarize(entry));
+  }
+
+  /**
+   * Add output to the project's log and show it on the socket that started the server
+   * @param {string} output - As logged
+   * @param {string} [stream] - stdout | stderr | system (our own messages)
+   * @param {string} [display] - As shown in the terminal, e.g. coloured
+   */
+  emitOutput(entry, output, stream = 'system', display = output) {
+    logStore.append(entry.name, stream, output);
+    if (entry.socket && entry.socket.connected !== false) {
+      entry.socket.emit('output', display);
+    }
+  }
+
   /**
    * Stop a running project
    * @param {string} projectName - Name of the project to stop
+   * @param {string} reason - Why, reported with the status: requested | idle | evicted | shutdown
    */
-  stopProject(projectName) {
+  stopProject(projectName, reason = 'requested') {
     const project = this.runningProjects.get(projectName);
     if (project) {
       console.log(`Stopping project: ${projectName}`);
+      project.stopReason = reason;
+      this.removeEntry(project);
+      this.setStatus(project, 'stopped');
       project.process.kill('SIGTERM');
-      this.runningProjects.delete(projectName);
       return true;
     }
     return false;
   }
 
+  /**
+   * Stop a running project and wait for its process to exit, so its
+   * directory can be moved or removed
+   * @param {string} projectName - Name of the project to stop
+   * @param {string} [reason] - As for stopProject
+   * @returns {Promise<boolean>} Whether it was running
+   */
+  async stopProjectAndWait(projectName, reason) {
+    const project = this.runningProjects.get(projectName);
+    if (!this.stopProject(projectName, reason)) return false;
+
+    if (!project.process.exited) {
+      await new Promise(resolve => project.process.once('close', resolve));
+    }
+    return true;
+  }
+
+  /**
+   * Wait for a starting server to come up
+   * @param {string} projectName - Name of the project
+   * @param {number} [timeout] - Defaults to DEV_SERVER_READY_TIMEOUT_MS
+   * @returns {Promise<string>} Status once it's no longer starting, or when the timeout passed
+   */
+  waitUntilReady(projectName, timeout = READY_TIMEOUT_MS) {
+    if (this.getProjectStatus(projectName) !== 'starting') {
+      return Promise.resolve(this.getProjectStatus(projectName));
+    }
+
+    return new Promise(resolve => {
+      const onStatus = (status) => {
+        if (status.name === projectName && status.status !== 'starting') done();
+      };
+      const done = () => {
+        clearTimeout(timer);
+        this.off('status', onStatus);
+        resolve(this.getProjectStatus(projectName));
+      };
+      const timer = setTimeout(done, timeout);
+      this.on('status', onStatus);
+    });
+  }
+
   /**
    * Get information about a running project
    * @param {string} projectName - Name of the project
@@ -131,48 +618,109 @@ class ProjectManager {
   }
 
   /**
-   * Get all running projects
+   * Whether a project's dev server is up or coming up (crashed ones aren't)
+   * @param {string} projectName - Name of the project
+   */
+  isProjectRunning(projectName) {
+    const project = this.runningProjects.get(projectName);
+    return !!project && (project.status === 'starting' || project.status === 'ready');
+  }
+
+  /**
+   * @param {string} projectName - Name of the project
+   * @returns {string} starting | ready | crashed | stopped
+   */
+  getProjectStatus(projectName) {
+    return this.runningProjects.get(projectName)?.status || 'stopped';
+  }
+
+  summarize(entry) {
+    return {
+      name: entry.name,
+      status: entry.status,
+      port: entry.port,
+      url: entry.url,
+      previewUrl: previewUrl(entry.name),
+      pid: entry.process?.pid ?? null,
+      adopted: !!entry.adopted,
+      projectPath: entry.projectPath,
+      startTime: entry.startTime,
+      readyAt: entry.readyAt,
+      restarts: entry.restarts,
+      lastRequestAt: entry.lastRequestAt,
+      stopReason: entry.status === 'stopped' ? entry.stopReason || null : null,
+      lastExit: entry.lastExit,
+      lastHealthCheck: entry.lastHealthCheck
+    };
+  }
+
+  /**
+   * Get all running projects, including crashed ones that are waiting to
+   * restart or gave up
    */
   getAllRunningProjects() {
-    const projects = [];
-    for (const [name, info] of this.runningProjects) {
-      projects.push({
-        name,
-        port: info.port,
-        url: info.url,
-        projectPath: info.projectPath,
-        startTime: info.startTime
-      });
-    }
-    return projects;
+    return [...this.runningProjects.values()].map(entry => this.summarize(entry));
   }
 
   /**
-   * Stop all running projects (cleanup)
+   * Stop all running projects and wait for them to exit, killing any that
+   * are still running once the timeout passes
+   * @param {number} [timeout] - Milliseconds to wait
    */
-  stopAllProjects() {
+  async stopAllProjects(timeout = SHUTDOWN_TIMEOUT_MS) {
     console.log('Stopping all running projects...');
-    for (const [name, project] of this.runningProjects) {
+    const processes = [];
+    for (const [name, project] of [...this.runningProjects]) {
       console.log(`Stopping ${name}...`);
-      project.process.kill('SIGTERM');
+      if (project.process && !project.process.exited) {
+        processes.push(project.process);
+        this.stopProject(name, 'shutdown');
+      } else {
+        this.removeEntry(project);
+      }
+    }
+
+    const exits = processes.map(child => new Promise(resolve => child.once('close', resolve)));
+    let timer;
+    const timedOut = new Promise(resolve => {
+      timer = setTimeout(resolve, timeout);
+    });
+    await Promise.race([Promise.all(exits), timedOut]);
+    clearTimeout(timer);
+
+    for (const child of processes.filter(child => !child.exited)) {
+      console.warn(`Dev server ${child.pid} did not exit within ${timeout / 1000}s, killing it`);
+      child.kill('SIGKILL');
     }
-    this.runningProjects.clear();
+
+    await this.saveState();
   }
 }
 
 // Create a singleton instance
 const projectManager = new ProjectManager();
 
-// Handle process termination
-process.on('SIGINT', () => {
+// Handle process termination: dev servers run in their own process groups,
+// so they have to be stopped (not just orphaned) before the backend exits
+let shuttingDown = false;
+async function shutdown() {
+  if (shuttingDown) {
+    // A second Ctrl+C doesn't wait any longer
+    process.exit(1);
+  }
+  shuttingDown = true;
   console.log('\nShutting down, stopping all projects...');
-  projectManager.stopAllProjects();
+  try {
+    await projectManager.stopAllProjects();
+  } catch (error) {
+    console.error('Failed to stop all projects:', error);
+  }
   process.exit(0);
-});
+}
 
-process.on('SIGTERM', () => {
-  projectManager.stopAllProjects();
-  process.exit(0);
-});
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
-module.exports = projectManager;
\ No newline at end of file
+module.exports = projectManager;
+module.exports.ProjectManager = ProjectManager;
+module.exports.probe = probe;
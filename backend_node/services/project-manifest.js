@@ -0,0 +1,341 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { readJSON, writeJSON } = require('../utils/json-store');
+const { USER_PROJECTS_DIR, getStatePath } = require('../utils/project-paths');
+const { isValidProjectName } = require('../utils/safe-path');
+const { getLLMConfig } = require('./llm-provider');
+
+/**
+ * Project metadata, stored at .nocode/project.json and written when a
+ * project is created:
+ *   {version, name, title, requirement, source, template: {name, flags},
+ *    models: {stage: {provider, model}}, tags, createdAt, updatedAt,
+ *    lastBuild: {success, attempts, errors, checkedAt} | null}
+ *
+ * Projects created before manifests existed get one derived from the
+ * directory and PRD.md when they're read, so listings treat both alike.
+ */
+
+const MANIFEST_VERSION = 1;
+const TITLE_MAX_LENGTH = 80;
+const MAX_TAGS = 20;
+
+// Options new projects are scaffolded with; also recorded as the manifest's template
+const CREATE_NEXT_APP_FLAGS = ['--tailwind', '--eslint', '--app', '--src-dir', '--ts', '--yes'];
+
+// Serialize writes per project so a build result and a rename don't drop each other
+const updateChains = new Map();
+
+// Listing a hundred projects shouldn't read a hundred manifests, so listings
+// come from this cache. Projects are reread when this module writes their
+// manifest, when the projects directory changes (a project was added or
+// removed), and after CATALOG_CACHE_TTL_MS for changes made elsewhere.
+const CATALOG_CACHE_TTL_MS = parseInt(process.env.CATALOG_CACHE_TTL_MS, 10) || 30000;
+const catalogCache = {
+  dirMtimeMs: null,
+  loadedAt: 0,
+  // Project directory name -> catalog entry, null when it needs reading
+  entries: new Map()
+};
+
+function getManifestPath(projectPath) {
+  return getStatePath(projectPath, 'project.json');
+}
+
+/**
+ * A short human title from a requirement or PRD: its first heading, or its first line
+ * @param {string} text
+ * @returns {string}
+ */
+function deriveTitle(text) {
+  const lines = String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+  const heading = lines.find(line => /^#{1,6}\s/.test(line));
+  const title = (heading || lines[0] || '')
+    .replace(/^#{1,6}\s+/, '')
+    .replace(/[*_`]/g, '')
+    .trim();
+
+  return truncateTitle(title);
+}
+
+/**
+ * Shorten a title to TITLE_MAX_LENGTH, ending it with an ellipsis if cut
+ */
+function truncateTitle(title) {
+  return title.length > TITLE_MAX_LENGTH
+    ? `${title.slice(0, TITLE_MAX_LENGTH - 1).trimEnd()}…`
+    : title;
+}
+
+/**
+ * Clean up tags from a request: trimmed, lowercase, unique non-empty strings
+ * @param {*} tags
+ * @returns {string[]}
+ */
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+
+  const normalized = tags
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().toLowerCase())
+    .filter(Boolean);
+
+  return [...new Set(normalized)].slice(0, MAX_TAGS);
+}
+
+/**
+ * Provider and model configured for each LLM stage a project was created with
+ * @param {string[]} stages - Keys of llm-provider STAGES
+ * @returns {Object<string, {provider: string, model: string}>}
+ */
+function describeModels(stages) {
+  const models = {};
+  for (const stage of stages) {
+    try {
+      const { provider, model } = getLLMConfig(stage);
+      models[stage] = { provider, model };
+    } catch (error) {
+      console.error(`Could not read the LLM config for stage ${stage}:`, error.message);
+    }
+  }
+  return models;
+}
+
+/**
+ * Write the manifest of a newly created project
+ * @param {string} projectPath - Path to the project
+ * @param {Object} details
+ * @param {string} details.source - Endpoint that created it, e.g. "generate-v2"
+ * @param {string} details.requirement - What the user asked for (the PRD for initialize-project)
+ * @param {string} [details.title] - Human title, shortened to TITLE_MAX_LENGTH; derived
+ *   from the requirement when omitted
+ * @param {{name: string, flags: string[]}} details.template - Scaffold the project started from
+ * @param {Object} [details.models] - From describeModels
+ * @param {string[]} [details.tags]
+ * @returns {Promise<Object>} The manifest
+ */
+async function createManifest(projectPath, { source, requirement, title, template, models = {}, tags = [] }) {
+  const now = new Date().toISOString();
+  const manifest = {
+    version: MANIFEST_VERSION,
+    name: path.basename(projectPath),
+    title: (typeof title === 'string' && title.trim()) ? truncateTitle(title.trim()) : deriveTitle(requirement),
+    requirement,
+    source,
+    template,
+    models,
+    tags: normalizeTags(tags),
+    createdAt: now,
+    updatedAt: now,
+    lastBuild: null
+  };
+
+  await writeJSON(getManifestPath(projectPath), manifest);
+  invalidateProject(projectPath);
+  return manifest;
+}
+
+/**
+ * Like createManifest, but logs and swallows errors so a missing manifest
+ * never fails the project it describes
+ */
+async function tryCreateManifest(projectPath, details) {
+  try {
+    return await createManifest(projectPath, details);
+  } catch (error) {
+    console.error(`Failed to write the manifest of ${projectPath}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Manifest for a project that predates manifests
+ */
+async function deriveManifest(projectPath) {
+  const stat = await fs.stat(projectPath);
+
+  let requirement = null;
+  try {
+    requirement = await fs.readFile(path.join(projectPath, 'PRD.md'), 'utf-8');
+  } catch {}
+
+  const name = path.basename(projectPath);
+  return {
+    version: MANIFEST_VERSION,
+    name,
+    title: (requirement && deriveTitle(requirement)) || name,
+    requirement,
+    source: null,
+    template: null,
+    models: {},
+    tags: [],
+    createdAt: stat.birthtime.toISOString(),
+    updatedAt: stat.mtime.toISOString(),
+    lastBuild: null
+  };
+}
+
+/**
+ * Read a project's manifest, deriving one if it has none
+ * @param {string} projectPath - Path to the project
+ * @returns {Promise<Object>}
+ */
+async function loadManifest(projectPath) {
+  const manifest = await readJSON(getManifestPath(projectPath));
+  if (!manifest) return deriveManifest(projectPath);
+
+  // The directory is the source of truth for the name
+  return { ...manifest, name: path.basename(projectPath) };
+}
+
+/**
+ * Change a project's manifest
+ * @param {string} projectPath - Path to the project
+ * @param {Function} mutator - Called with the manifest to change in place
+ * @returns {Promise<Object>} The updated manifest
+ */
+function updateManifest(projectPath, mutator) {
+  const previous = updateChains.get(projectPath) || Promise.resolve();
+
+  const next = previous.catch(() => {}).then(async () => {
+    const manifest = await loadManifest(projectPath);
+    mutator(manifest);
+    manifest.updatedAt = new Date().toISOString();
+    await writeJSON(getManifestPath(projectPath), manifest);
+    invalidateProject(projectPath);
+    return manifest;
+  });
+
+  updateChains.set(projectPath, next);
+  next.finally(() => {
+    if (updateChains.get(projectPath) === next) {
+      updateChains.delete(projectPath);
+    }
+  }).catch(() => {});
+
+  return next;
+}
+
+/**
+ * Give a project a new human title
+ * @returns {Promise<Object>} The updated manifest
+ */
+function setTitle(projectPath, title) {
+  return updateManifest(projectPath, (manifest) => {
+    manifest.title = title.trim();
+  });
+}
+
+/**
+ * Store the outcome of the latest build check, logging instead of throwing
+ * @param {string} projectPath - Path to the project
+ * @param {{success: boolean, attempts: number, errors: number|null}} build
+ */
+async function tryRecordBuild(projectPath, build) {
+  try {
+    await updateManifest(projectPath, (manifest) => {
+      manifest.lastBuild = {
+        success: !!build.success,
+        attempts: build.attempts ?? null,
+        errors: build.errors ?? null,
+        checkedAt: new Date().toISOString()
+      };
+    });
+  } catch (error) {
+    console.error(`Failed to record the build status of ${projectPath}:`, error);
+  }
+}
+
+/**
+ * Manifest and PRD of one project, for the catalog
+ */
+async function loadCatalogEntry(projectPath) {
+  const manifest = await loadManifest(projectPath);
+
+  let prd = null;
+  try {
+    prd = await fs.readFile(path.join(projectPath, 'PRD.md'), 'utf-8');
+  } catch {}
+
+  return { ...manifest, path: projectPath, prd };
+}
+
+async function refreshCatalog() {
+  let stat;
+  try {
+    stat = await fs.stat(USER_PROJECTS_DIR);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    catalogCache.entries.clear();
+    catalogCache.dirMtimeMs = null;
+    return;
+  }
+
+  const expired = Date.now() - catalogCache.loadedAt > CATALOG_CACHE_TTL_MS;
+  if (expired || stat.mtimeMs !== catalogCache.dirMtimeMs) {
+    const dirents = await fs.readdir(USER_PROJECTS_DIR, { withFileTypes: true });
+    const names = new Set(dirents
+      .filter(dirent => dirent.isDirectory() && isValidProjectName(dirent.name))
+      .map(dirent => dirent.name));
+
+    for (const name of catalogCache.entries.keys()) {
+      if (!names.has(name)) catalogCache.entries.delete(name);
+    }
+    for (const name of names) {
+      // Reload everything when the TTL runs out, only new projects otherwise
+      if (expired || !catalogCache.entries.has(name)) catalogCache.entries.set(name, null);
+    }
+
+    catalogCache.dirMtimeMs = stat.mtimeMs;
+    catalogCache.loadedAt = Date.now();
+  }
+
+  for (const [name, entry] of catalogCache.entries) {
+    if (entry) continue;
+
+    const projectPath = path.join(USER_PROJECTS_DIR, name);
+    try {
+      catalogCache.entries.set(name, await loadCatalogEntry(projectPath));
+    } catch (error) {
+      console.error(`Failed to read the manifest of ${projectPath}:`, error);
+      catalogCache.entries.delete(name);
+    }
+  }
+}
+
+/**
+ * Drop a project from the catalog cache so the next listing reads it again.
+ * Called for every manifest written here; call it after changing a
+ * project's PRD.md, or after adding, moving or removing a project, too.
+ * @param {string} projectPath - Path to the project
+ */
+function invalidateProject(projectPath) {
+  if (path.dirname(projectPath) !== USER_PROJECTS_DIR) return;
+  catalogCache.entries.set(path.basename(projectPath), null);
+}
+
+/**
+ * Manifests of every project, served from the catalog cache
+ * @returns {Promise<Array<Object>>} Manifests with the project `path` and
+ *   the text of its `prd` (null if it has none) added
+ */
+async function listManifests() {
+  await refreshCatalog();
+  return [...catalogCache.entries.values()].filter(Boolean);
+}
+
+module.exports = {
+  TITLE_MAX_LENGTH,
+  CREATE_NEXT_APP_FLAGS,
+  deriveTitle,
+  normalizeTags,
+  describeModels,
+  createManifest,
+  tryCreateManifest,
+  loadManifest,
+  updateManifest,
+  setTitle,
+  tryRecordBuild,
+  invalidateProject,
+  listManifests
+};
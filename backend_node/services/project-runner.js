@@ -0,0 +1,494 @@
+const { spawn, execFile } = require('child_process');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { getStatePath } = require('../utils/project-paths');
+
+/**
+ * Runs commands (npm run dev/build, npm install, ...) for generated projects
+ * without handing them the backend's environment.
+ *
+ * - The environment is rebuilt from an allowlist, so API keys never reach
+ *   the generated app or its install scripts.
+ * - Each project gets its own HOME, TMPDIR and npm cache under .nocode/,
+ *   and the project directory as its working directory. A command that
+ *   creates a project (create-next-app) uses a scratch state directory
+ *   instead, which moves into the project once it exists.
+ * - Every command is one of the kinds in LIMITS (dev, build, install,
+ *   check), which sets its memory, CPU-time and wall-clock limits; on
+ *   timeout or kill() the whole process tree is stopped, not just the npm
+ *   wrapper.
+ *
+ * The backend is chosen with PROJECT_RUNNER: "process" (default) runs
+ * commands directly, "container" runs them in a throwaway container.
+ */
+
+// Variables passed through from the backend's environment
+const ENV_ALLOWLIST = [
+  'PATH',
+  'LANG',
+  'LC_ALL',
+  'TERM',
+  'TZ',
+  'SHELL',
+  'HTTP_PROXY',
+  'HTTPS_PROXY',
+  'NO_PROXY',
+  'http_proxy',
+  'https_proxy',
+  'no_proxy',
+  'NPM_CONFIG_REGISTRY',
+  'npm_config_registry',
+  ...(process.env.PROJECT_ENV_ALLOWLIST || '').split(',').map(name => name.trim()).filter(Boolean)
+];
+
+const MEMORY_MB = parseInt(process.env.PROJECT_MEMORY_MB, 10) || 2048;
+// CPUs per command; only the container backend can enforce a share of the CPU
+const CPUS = parseFloat(process.env.PROJECT_CPUS) || null;
+
+/**
+ * Limits per kind of command:
+ *   memoryMb    memory per process (ulimit -d, or the container's --memory)
+ *   cpuSeconds  CPU time per process (ulimit -t); null for long-running servers
+ *   timeout     wall-clock milliseconds for the whole command; null for servers
+ * CPU seconds are twice the timeout because next build and tsc use more than one core.
+ */
+const LIMITS = {
+  dev: {
+    memoryMb: MEMORY_MB,
+    cpuSeconds: null,
+    timeout: null
+  },
+  build: {
+    memoryMb: parseInt(process.env.BUILD_MEMORY_MB, 10) || Math.max(MEMORY_MB, 4096),
+    cpuSeconds: null,
+    timeout: parseInt(process.env.BUILD_TIMEOUT_MS, 10) || 10 * 60 * 1000
+  },
+  install: {
+    memoryMb: MEMORY_MB,
+    cpuSeconds: null,
+    timeout: parseInt(process.env.INSTALL_TIMEOUT_MS, 10) || 5 * 60 * 1000
+  },
+  // tsc --noEmit / eslint pre-build checks
+  check: {
+    memoryMb: MEMORY_MB,
+    cpuSeconds: null,
+    timeout: parseInt(process.env.CHECK_TIMEOUT_MS, 10) || 3 * 60 * 1000
+  }
+};
+for (const limits of Object.values(LIMITS)) {
+  if (limits.timeout) {
+    limits.cpuSeconds = Math.ceil((2 * limits.timeout) / 1000);
+  }
+}
+
+// Time between SIGTERM and SIGKILL when stopping a process tree
+const KILL_GRACE_MS = 5000;
+
+/**
+ * A running command. Emits 'close' (code, signal) once and 'error' (error);
+ * `stdout` and `stderr` are readable streams.
+ */
+class RunnerProcess extends EventEmitter {
+  constructor(child, killTree) {
+    super();
+    this.child = child;
+    this.pid = child.pid;
+    this.stdout = child.stdout;
+    this.stderr = child.stderr;
+    this.timedOut = false;
+    this.exited = false;
+    this.killTree = killTree;
+
+    child.on('error', (error) => {
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      } else {
+        console.error(`Failed to run command (pid ${child.pid}):`, error);
+      }
+    });
+    child.on('close', (code, signal) => {
+      this.exited = true;
+      clearTimeout(this.timeoutTimer);
+      clearTimeout(this.escalateTimer);
+      this.emit('close', code, signal);
+    });
+  }
+
+  /**
+   * Stop the process and everything it started; escalates to SIGKILL if
+   * it's still running after a grace period
+   */
+  kill(signal = 'SIGTERM') {
+    if (this.exited) return false;
+
+    this.killTree(signal);
+    if (signal !== 'SIGKILL' && !this.escalateTimer) {
+      this.escalateTimer = setTimeout(() => {
+        if (!this.exited) this.killTree('SIGKILL');
+      }, KILL_GRACE_MS);
+      this.escalateTimer.unref();
+    }
+    return true;
+  }
+
+  setTimeout(ms) {
+    this.timeoutTimer = setTimeout(() => {
+      this.timedOut = true;
+      this.kill();
+    }, ms);
+    this.timeoutTimer.unref();
+  }
+}
+
+/**
+ * A process started by an earlier run of the backend, known only by its PID.
+ * Offers the parts of RunnerProcess that make sense without its pipes:
+ * `pid`, `exited`, kill() and a 'close' event, which fires (with no exit
+ * code) once polling finds the process gone.
+ */
+class AdoptedProcess extends EventEmitter {
+  constructor(pid, { pollInterval = 1000 } = {}) {
+    super();
+    this.pid = pid;
+    this.exited = false;
+    this.timedOut = false;
+
+    this.pollTimer = setInterval(() => {
+      if (!isProcessAlive(pid)) this.markExited();
+    }, pollInterval);
+    this.pollTimer.unref();
+  }
+
+  markExited() {
+    if (this.exited) return;
+    this.exited = true;
+    clearInterval(this.pollTimer);
+    clearTimeout(this.escalateTimer);
+    this.emit('close', null, null);
+  }
+
+  killTree(signal) {
+    try {
+      // Adopted processes were started in their own process group (see ProcessBackend)
+      process.kill(process.platform === 'win32' ? this.pid : -this.pid, signal);
+    } catch (error) {
+      if (error.code === 'ESRCH') {
+        this.markExited();
+      } else {
+        console.error(`Failed to kill adopted process ${this.pid}:`, error);
+      }
+    }
+  }
+
+  kill(signal = 'SIGTERM') {
+    if (this.exited) return false;
+
+    this.killTree(signal);
+    if (signal !== 'SIGKILL' && !this.escalateTimer) {
+      this.escalateTimer = setTimeout(() => {
+        if (!this.exited) this.killTree('SIGKILL');
+      }, KILL_GRACE_MS);
+      this.escalateTimer.unref();
+    }
+    return true;
+  }
+}
+
+/**
+ * Whether a process with this PID exists and is ours to signal; EPERM means
+ * the PID now belongs to someone else's process
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Runs commands as local child processes in their own process group
+ */
+class ProcessBackend {
+  spawn(command, args, { cwd, env, limits }) {
+    if (limits.cpus) {
+      throw new Error('The process runner cannot limit CPU share (cpus); use PROJECT_RUNNER=container or cpuSeconds');
+    }
+
+    // ulimit caps memory and CPU seconds of each process in the tree, nice
+    // keeps a runaway build from starving the backend; exec replaces the
+    // shell so signals reach the command directly. Memory is capped with -d
+    // (writable memory) rather than -v (address space): V8 and SWC reserve
+    // address ranges they never use, so -v at the real budget leaves node
+    // half of it or stops next from starting at all.
+    const script = [
+      `ulimit -d ${limits.memoryMb * 1024}`,
+      limits.cpuSeconds ? `ulimit -t ${Math.ceil(limits.cpuSeconds)}` : null,
+      'exec nice -n 10 "$0" "$@"'
+    ].filter(Boolean).join('; ');
+
+    const child = process.platform === 'win32'
+      ? spawn(command, args, { cwd, env, shell: true, stdio: ['ignore', 'pipe', 'pipe'] })
+      : spawn('sh', ['-c', script, command, ...args], {
+        cwd,
+        env,
+        detached: true,
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+    const killTree = (signal) => {
+      try {
+        if (process.platform === 'win32') {
+          execFile('taskkill', ['/pid', String(child.pid), '/T', '/F'], () => {});
+        } else {
+          // Negative PID: the whole process group started by this command
+          process.kill(-child.pid, signal);
+        }
+      } catch (error) {
+        if (error.code !== 'ESRCH') {
+          console.error(`Failed to kill process tree ${child.pid}:`, error);
+        }
+      }
+    };
+
+    return new RunnerProcess(child, killTree);
+  }
+}
+
+/**
+ * Runs commands in a throwaway container with the project mounted at /workspace.
+ * PROJECT_CONTAINER_RUNTIME picks the CLI (docker by default, podman works too)
+ * and PROJECT_CONTAINER_IMAGE the image, which must provide node and npm.
+ */
+class ContainerBackend {
+  constructor({
+    runtime = process.env.PROJECT_CONTAINER_RUNTIME || 'docker',
+    image = process.env.PROJECT_CONTAINER_IMAGE || 'node:20-bookworm-slim',
+    cpus = CPUS || 1
+  } = {}) {
+    this.runtime = runtime;
+    this.image = image;
+    this.cpus = cpus;
+  }
+
+  spawn(command, args, { cwd, env, limits, stateDir }) {
+    const name = `nocode-${randomUUID().slice(0, 12)}`;
+    const containerEnv = {
+      ...env,
+      HOME: '/nocode-state/home',
+      TMPDIR: '/nocode-state/tmp',
+      npm_config_cache: '/nocode-state/npm-cache'
+    };
+    delete containerEnv.PATH;
+
+    const runArgs = [
+      'run', '--rm', '--init',
+      '--name', name,
+      '--volume', `${cwd}:/workspace`,
+      '--volume', `${stateDir}:/nocode-state`,
+      '--workdir', '/workspace',
+      '--memory', `${limits.memoryMb}m`,
+      '--cpus', String(limits.cpus || this.cpus),
+      '--pids-limit', '1024',
+      ...(limits.cpuSeconds ? ['--ulimit', `cpu=${Math.ceil(limits.cpuSeconds)}`] : []),
+      ...(env.PORT ? ['--publish', `127.0.0.1:${env.PORT}:${env.PORT}`] : []),
+      ...Object.entries(containerEnv).flatMap(([key, value]) => ['--env', `${key}=${value}`]),
+      this.image,
+      command,
+      ...args
+    ];
+
+    const child = spawn(this.runtime, runArgs, { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    const killTree = (signal) => {
+      // Killing the CLI alone can leave the container running
+      execFile(this.runtime, ['kill', '--signal', signal, name], () => {});
+    };
+
+    return new RunnerProcess(child, killTree);
+  }
+}
+
+const BACKENDS = {
+  process: ProcessBackend,
+  container: ContainerBackend
+};
+
+class ProjectRunner {
+  /**
+   * @param {Object} options
+   * @param {Object} options.backend - Backend instance; defaults to PROJECT_RUNNER
+   */
+  constructor({ backend } = {}) {
+    if (backend) {
+      this.backend = backend;
+    } else {
+      const name = process.env.PROJECT_RUNNER || 'process';
+      const Backend = BACKENDS[name];
+      if (!Backend) {
+        throw new Error(`Unknown PROJECT_RUNNER "${name}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+      }
+      this.backend = new Backend();
+    }
+
+    if (CPUS && this.backend instanceof ProcessBackend) {
+      throw new Error('PROJECT_CPUS needs PROJECT_RUNNER=container; the process runner cannot limit CPU share');
+    }
+  }
+
+  /**
+   * Environment for a project command: allowlisted variables only, plus
+   * a per-project HOME/TMPDIR and the caller's extra variables
+   * @param {string} projectPath - Project the command runs in
+   * @param {Object} extra - Variables to set for this command
+   * @param {string} stateDir - Where HOME, TMPDIR and the npm cache go; the project's .nocode by default
+   */
+  buildEnv(projectPath, extra = {}, stateDir = getStatePath(projectPath)) {
+    const env = {};
+    for (const name of ENV_ALLOWLIST) {
+      if (process.env[name] !== undefined) {
+        env[name] = process.env[name];
+      }
+    }
+
+    const home = path.join(stateDir, 'home');
+    const tmp = path.join(stateDir, 'tmp');
+    const npmCache = path.join(stateDir, 'npm-cache');
+    for (const dir of [home, tmp, npmCache]) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    return {
+      ...env,
+      HOME: home,
+      TMPDIR: tmp,
+      // Packages installed for one project can't plant files in another's cache
+      npm_config_cache: npmCache,
+      NEXT_TELEMETRY_DISABLED: '1',
+      ...extra
+    };
+  }
+
+  /**
+   * Start a command in a project directory
+   * @param {string} projectPath - Working directory (the project root)
+   * @param {string} command - Executable, e.g. "npm"
+   * @param {Array<string>} args - Arguments (not shell-interpreted)
+   * @param {Object} options
+   * @param {string} options.kind - dev | build | install | check; picks the limits, see LIMITS
+   * @param {Object} options.env - Extra environment variables
+   * @param {string} options.stateDir - State directory when projectPath isn't the project, see createScratchStateDir
+   * @param {number} options.timeout - Wall-clock limit in ms; the process tree is killed when it passes
+   * @param {number} options.cpuSeconds - CPU time limit
+   * @param {number} options.memoryMb - Memory limit
+   * @param {number} options.cpus - CPU share (container backend only)
+   * @returns {RunnerProcess}
+   */
+  spawn(projectPath, command, args = [], options = {}) {
+    if (!LIMITS[options.kind]) {
+      throw new Error(`Unknown command kind "${options.kind}". Expected one of: ${Object.keys(LIMITS).join(', ')}`);
+    }
+
+    const limits = {
+      ...LIMITS[options.kind],
+      ...Object.fromEntries(
+        ['timeout', 'cpuSeconds', 'memoryMb', 'cpus']
+          .filter(key => options[key] !== undefined)
+          .map(key => [key, options[key]])
+      )
+    };
+
+    const stateDir = options.stateDir || getStatePath(projectPath);
+    const env = this.buildEnv(projectPath, options.env, stateDir);
+    // Keep V8's heap under the memory limit, so node collects garbage (or
+    // reports running out of heap) instead of failing an allocation
+    const heapMb = Math.floor(limits.memoryMb * 0.75);
+    env.NODE_OPTIONS = [env.NODE_OPTIONS, `--max-old-space-size=${heapMb}`].filter(Boolean).join(' ');
+
+    const runnerProcess = this.backend.spawn(command, args, { cwd: projectPath, env, limits, stateDir });
+    if (limits.timeout) {
+      runnerProcess.setTimeout(limits.timeout);
+    }
+    return runnerProcess;
+  }
+
+  /**
+   * State directory for a command that creates a project, such as
+   * create-next-app: it runs in the projects directory, and the new project
+   * can't hold .nocode/ yet because create-next-app refuses a non-empty
+   * target. Pass it as `stateDir`, then hand it to moveStateDir.
+   * @param {string} projectName - Project being created
+   * @returns {Promise<string>}
+   */
+  async createScratchStateDir(projectName) {
+    return fs.promises.mkdtemp(path.join(os.tmpdir(), `nocode-${projectName}-`));
+  }
+
+  /**
+   * Move a scratch state directory into the project it created, keeping its
+   * npm cache for later installs; removes it if the project wasn't created
+   * @param {string} stateDir - From createScratchStateDir
+   * @param {string} projectPath - The created project
+   */
+  async moveStateDir(stateDir, projectPath) {
+    const target = getStatePath(projectPath);
+    try {
+      if (fs.existsSync(projectPath) && !fs.existsSync(target)) {
+        try {
+          await fs.promises.rename(stateDir, target);
+          return;
+        } catch (error) {
+          // The temp directory can be on another filesystem
+          if (error.code !== 'EXDEV') throw error;
+          await fs.promises.cp(stateDir, target, { recursive: true });
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to move state directory ${stateDir} into ${projectPath}:`, error);
+    }
+    await fs.promises.rm(stateDir, { recursive: true, force: true });
+  }
+
+  /**
+   * Run a command to completion
+   * @param {Function} options.onOutput - (chunk, stream) for each stdout/stderr chunk
+   * @returns {Promise<{code: number, signal: string, timedOut: boolean, output: string}>}
+   */
+  run(projectPath, command, args = [], options = {}) {
+    return new Promise((resolve) => {
+      const runnerProcess = this.spawn(projectPath, command, args, options);
+      let output = '';
+
+      const collect = (stream) => (data) => {
+        const chunk = data.toString();
+        output += chunk;
+        if (options.onOutput) options.onOutput(chunk, stream);
+      };
+      runnerProcess.stdout.on('data', collect('stdout'));
+      runnerProcess.stderr.on('data', collect('stderr'));
+
+      runnerProcess.on('error', (error) => {
+        output += `\n${error.message}\n`;
+      });
+      runnerProcess.on('close', (code, signal) => {
+        resolve({ code, signal, timedOut: runnerProcess.timedOut, output });
+      });
+    });
+  }
+}
+
+// Shared instance configured from the environment
+const projectRunner = new ProjectRunner();
+
+module.exports = projectRunner;
+module.exports.ProjectRunner = ProjectRunner;
+module.exports.ProcessBackend = ProcessBackend;
+module.exports.ContainerBackend = ContainerBackend;
+module.exports.RunnerProcess = RunnerProcess;
+module.exports.AdoptedProcess = AdoptedProcess;
+module.exports.isProcessAlive = isProcessAlive;
+module.exports.LIMITS = LIMITS;
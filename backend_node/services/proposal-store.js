@@ -0,0 +1,185 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { createHash, randomUUID } = require('crypto');
+const { createTwoFilesPatch } = require('diff');
+const { readJSON, writeJSON } = require('../utils/json-store');
+const { getStatePath } = require('../utils/project-paths');
+const { trySnapshot } = require('./snapshot-store');
+const { partitionSafeFiles, resolveProjectFile } = require('../utils/safe-path');
+
+/**
+ * Pending change proposals from dry-run updates, stored at
+ * .nocode/proposals/<id>.json until someone applies (a subset of) them.
+ *
+ * Proposal status: pending -> applied
+ */
+
+/**
+ * A request to apply a proposal that can't be honoured as made (the caller's
+ * mistake, not a failure to write)
+ */
+class ProposalError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProposalError';
+  }
+}
+
+function getProposalPath(projectPath, proposalId) {
+  return getStatePath(projectPath, 'proposals', `${proposalId}.json`);
+}
+
+function hashContent(content) {
+  return content === null ? null : createHash('sha256').update(content).digest('hex');
+}
+
+async function readCurrent(projectPath, filePath) {
+  try {
+    return await fs.readFile(path.join(projectPath, filePath), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Diff proposed file actions against the project and store them as a proposal
+ * @param {string} projectPath - Path to the project
+ * @param {Object} proposal
+ * @param {string} proposal.source - Endpoint that produced it
+ * @param {string} proposal.explanation - LLM's description of the change
+ * @param {Array<{path: string, action: string, content?: string}>} proposal.files - create|update|delete actions
+ * @returns {Promise<Object>} The stored proposal; each file has its unified diff, and
+ *   `rejected` lists entries whose paths weren't safe to write
+ */
+async function createProposal(projectPath, { source, explanation = '', files }) {
+  const { accepted, rejected } = await partitionSafeFiles(projectPath, files);
+  const proposedFiles = [];
+
+  for (const file of accepted) {
+    const current = await readCurrent(projectPath, file.path);
+    const proposed = file.action === 'delete' ? null : file.content ?? '';
+
+    if (current === proposed) continue;
+
+    proposedFiles.push({
+      path: file.path,
+      action: file.action === 'delete' ? 'delete' : current === null ? 'create' : 'update',
+      content: proposed,
+      // Lets apply detect that the file changed after the proposal was made
+      baseHash: hashContent(current),
+      diff: createTwoFilesPatch(
+        current === null ? '/dev/null' : `a/${file.path}`,
+        proposed === null ? '/dev/null' : `b/${file.path}`,
+        current || '',
+        proposed || ''
+      )
+    });
+  }
+
+  const proposal = {
+    id: randomUUID(),
+    source,
+    explanation,
+    status: 'pending',
+    files: proposedFiles,
+    rejected,
+    createdAt: new Date().toISOString()
+  };
+
+  await writeJSON(getProposalPath(projectPath, proposal.id), proposal);
+  return proposal;
+}
+
+async function getProposal(projectPath, proposalId) {
+  if (!/^[\w-]+$/.test(proposalId)) return null;
+  return readJSON(getProposalPath(projectPath, proposalId));
+}
+
+/**
+ * Write the accepted files of a pending proposal to the project
+ * @param {string} projectPath - Path to the project
+ * @param {string} proposalId - Proposal ID
+ * @param {Array<string>} [acceptedPaths] - Files to apply; all of them when omitted
+ * @param {Object} options
+ * @param {boolean} options.force - Apply even if a file changed since the proposal was made
+ * @returns {Promise<{proposal: Object, applied: Array, rejected: Array, conflicts: Array, snapshotId: string|null}|null>}
+ * @throws {ProposalError} If the proposal isn't pending, or there's nothing (known) to apply
+ */
+async function applyProposal(projectPath, proposalId, acceptedPaths, { force = false } = {}) {
+  const proposal = await getProposal(projectPath, proposalId);
+  if (!proposal) return null;
+
+  if (proposal.status !== 'pending') {
+    throw new ProposalError(`Proposal ${proposalId} has already been ${proposal.status}`);
+  }
+
+  const accepted = acceptedPaths
+    ? proposal.files.filter(file => acceptedPaths.includes(file.path))
+    : proposal.files;
+  const unknown = (acceptedPaths || []).filter(filePath => !proposal.files.some(file => file.path === filePath));
+  if (unknown.length > 0) {
+    throw new ProposalError(`Files not in proposal: ${unknown.join(', ')}`);
+  }
+  // Stays pending, so it can still be applied
+  if (accepted.length === 0) {
+    throw new ProposalError(proposal.files.length === 0
+      ? 'Proposal has no files to apply'
+      : 'No files accepted; pass the paths to apply, or leave files out to apply all of them');
+  }
+
+  const conflicts = [];
+  for (const file of accepted) {
+    if (hashContent(await readCurrent(projectPath, file.path)) !== file.baseHash) {
+      conflicts.push(file.path);
+    }
+  }
+  if (conflicts.length > 0 && !force) {
+    return { proposal, applied: [], rejected: [], conflicts, snapshotId: null };
+  }
+
+  const snapshot = await trySnapshot(projectPath, 'apply-proposal', `${proposal.source} proposal ${proposal.id}`);
+
+  for (const file of accepted) {
+    // Checked again: a symlink may have appeared since the proposal was made
+    const { absolutePath: filePath } = await resolveProjectFile(projectPath, file.path);
+
+    if (file.action === 'delete') {
+      await fs.rm(filePath, { force: true });
+    } else {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, file.content, 'utf-8');
+    }
+  }
+
+  proposal.status = 'applied';
+  proposal.appliedAt = new Date().toISOString();
+  proposal.appliedFiles = accepted.map(file => file.path);
+  await writeJSON(getProposalPath(projectPath, proposal.id), proposal);
+
+  return {
+    proposal,
+    applied: accepted.map(({ path: filePath, action }) => ({ path: filePath, action })),
+    rejected: proposal.files.filter(file => !accepted.includes(file)).map(file => file.path),
+    conflicts,
+    snapshotId: snapshot?.id || null
+  };
+}
+
+/**
+ * Proposal as returned to clients: file contents are left out, the diffs say it all
+ */
+function summarizeProposal(proposal) {
+  return {
+    ...proposal,
+    files: proposal.files.map(({ content, baseHash, ...file }) => file)
+  };
+}
+
+module.exports = {
+  ProposalError,
+  createProposal,
+  getProposal,
+  applyProposal,
+  summarizeProposal
+};
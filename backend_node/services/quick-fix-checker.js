@@ -1,5 +1,10 @@
 const fs = require('fs/promises');
 const path = require('path');
+const codeTransform = require('./code-transform');
+const { CODES, parseDiagnostics, errorsOnly, affectedFiles } = require('./build-diagnostics');
+
+// Files that can carry a 'use client' directive
+const SCRIPT_FILE = /\.(?:tsx?|jsx?)$/;
 
 class QuickFixChecker {
   /**
@@ -7,9 +12,11 @@ class QuickFixChecker {
    */
   async applyQuickFixes(buildOutput, projectPath, socket) {
     const fixes = [];
+    const diagnostics = errorsOnly(parseDiagnostics(buildOutput, { projectPath }));
+    const codes = new Set(diagnostics.map(diagnostic => diagnostic.code));
     
     // Check for next.config.ts error
-    if (buildOutput.includes("next.config.ts' is not supported")) {
+    if (codes.has(CODES.NEXT_CONFIG_UNSUPPORTED)) {
       const ConfigFileFixer = require('./config-file-fixer');
       const configFixer = new ConfigFileFixer();
       const configFixes = await configFixer.fixConfigFiles(projectPath, socket);
@@ -19,19 +26,13 @@ class QuickFixChecker {
     }
     
     // Check for 'use client' errors
-    if (buildOutput.includes("use client") || 
-        buildOutput.includes("Client Component") ||
-        buildOutput.includes("This React Hook only works in a Client Component")) {
-      const useClientFixes = await this.fixUseClientErrors(buildOutput, projectPath, socket);
+    if (codes.has(CODES.CLIENT_COMPONENT_REQUIRED) || codes.has(CODES.USE_CLIENT_MISPLACED)) {
+      const useClientFixes = await this.fixUseClientErrors(diagnostics, projectPath, socket);
       fixes.push(...useClientFixes);
     }
     
     // Check for Tailwind PostCSS error
-    if (buildOutput.includes('tailwindcss` directly as a PostCSS plugin') ||
-        buildOutput.includes('@tailwindcss/postcss') ||
-        buildOutput.includes('Cannot apply unknown utility class') ||
-        buildOutput.includes('PostCSS plugin') ||
-        (buildOutput.includes('tailwind') && buildOutput.includes('postcss'))) {
+    if (codes.has(CODES.POSTCSS_PLUGIN_MOVED) || codes.has(CODES.CSS_UNKNOWN_UTILITY)) {
       const TailwindVersionDetector = require('./tailwind-version-detector');
       const detector = new TailwindVersionDetector();
       await detector.detectAndConfigurePostCSS(projectPath, socket);
@@ -48,15 +49,16 @@ class QuickFixChecker {
   /**
    * Fix missing 'use client' directives
    */
-  async fixUseClientErrors(buildOutput, projectPath, socket) {
+  async fixUseClientErrors(diagnostics, projectPath, socket) {
     const fixes = [];
     const processedFiles = new Set();
     
     console.log('=== USE CLIENT ERROR DETECTION ===');
-    console.log('Build output snippet:', buildOutput.substring(0, 500));
     
-    // Extract file paths from error output using multiple strategies
-    const filePaths = this.extractFilePathsFromError(buildOutput);
+    // The files the 'use client' errors point at
+    const useClientErrors = diagnostics.filter(diagnostic =>
+      diagnostic.code === CODES.CLIENT_COMPONENT_REQUIRED || diagnostic.code === CODES.USE_CLIENT_MISPLACED);
+    const filePaths = affectedFiles(useClientErrors).filter(filePath => SCRIPT_FILE.test(filePath));
     
     console.log('Extracted file paths:', filePaths);
     
@@ -107,31 +109,11 @@ class QuickFixChecker {
   }
   
   /**
-   * Extract file paths from error output using multiple patterns
+   * Source files that build errors point at
    */
-  extractFilePathsFromError(buildOutput) {
-    const filePaths = new Set();
-    
-    // Pattern 1: ./src/components/file.tsx format
-    const pattern1 = /\.\/?(src\/[^\s:]+\.(?:tsx?|jsx?))/g;
-    let match;
-    while ((match = pattern1.exec(buildOutput)) !== null) {
-      filePaths.add(match[1]);
-    }
-    
-    // Pattern 2: ,-[path] format
-    const pattern2 = /,-\[[^\]]*\/(src\/[^:]+\.(?:tsx?|jsx?))/g;
-    while ((match = pattern2.exec(buildOutput)) !== null) {
-      filePaths.add(match[1]);
-    }
-    
-    // Pattern 3: Direct file mentions
-    const pattern3 = /([^\/\s]+\/(src\/[^\s:]+\.(?:tsx?|jsx?)))/g;
-    while ((match = pattern3.exec(buildOutput)) !== null) {
-      filePaths.add(match[2]);
-    }
-    
-    return Array.from(filePaths);
+  extractFilePathsFromError(buildOutput, projectPath) {
+    return affectedFiles(errorsOnly(parseDiagnostics(buildOutput, { projectPath })))
+      .filter(filePath => SCRIPT_FILE.test(filePath));
   }
   
   /**
@@ -154,20 +136,13 @@ class QuickFixChecker {
    * Check if file already has 'use client' directive
    */
   checkIfHasUseClient(content) {
-    const lines = content.split('\n');
-    
-    // Check first 10 lines for 'use client'
-    for (let i = 0; i < Math.min(10, lines.length); i++) {
-      const line = lines[i].trim();
-      if (line === "'use client';" || 
-          line === '"use client";' || 
-          line === "'use client'" || 
-          line === '"use client"') {
-        return true;
-      }
+    try {
+      // Only a directive at the top counts; one below the imports is ignored by Next.js
+      return codeTransform.hasDirective(content, 'use client');
+    } catch {
+      // Unparseable files are left for the LLM fixer
+      return true;
     }
-    
-    return false;
   }
   
   /**
@@ -175,25 +150,13 @@ class QuickFixChecker {
    */
   async addUseClientDirective(fullPath, content) {
     try {
-      // Add 'use client' at the very beginning
-      const newContent = `'use client';\n\n${content}`;
+      const newContent = codeTransform.addDirective(content, 'use client', { filename: fullPath });
+      if (newContent === content) return false;
       
-      // Write the file
       await fs.writeFile(fullPath, newContent, 'utf-8');
-      
-      // Verify it was written correctly
-      const verifyContent = await fs.readFile(fullPath, 'utf-8');
-      const firstLine = verifyContent.split('\n')[0].trim();
-      
-      if (firstLine === "'use client';") {
-        console.log(`Verified 'use client' was added successfully`);
-        return true;
-      } else {
-        console.error(`Verification failed. First line is: "${firstLine}"`);
-        return false;
-      }
+      return true;
     } catch (err) {
-      console.error(`Error adding 'use client':`, err);
+      console.error(`Error adding 'use client':`, err.message);
       return false;
     }
   }
@@ -0,0 +1,176 @@
+const { trySnapshot, restoreSnapshot } = require('./snapshot-store');
+
+/**
+ * Keeps build-fix loops from making things worse.
+ *
+ * Every time the loop checks the project it records the result here. The
+ * result is scored (which stage failed, then how many errors and warnings)
+ * and compared with the best state seen so far:
+ *
+ * - better: becomes the new best
+ * - worse: the project is restored to the best state's snapshot and the
+ *   loop continues from that state's errors
+ * - an error set that was already seen means the fixes are going in
+ *   circles, and the loop should stop
+ *
+ * Results are objects with `stage` and `diagnostics`; anything else on them
+ * (build output, ...) is handed back unchanged when a revert makes an older
+ * result current again.
+ */
+
+// Later stages only run once earlier ones pass, so failing later is progress
+const STAGE_RANK = {
+  'fast-check': 3,
+  build: 2,
+  'dev-server': 1
+};
+
+const SEVERITY_WEIGHT = {
+  error: 1,
+  warning: 0.1
+};
+
+/**
+ * @returns {{rank: number, weight: number, errors: number, warnings: number}}
+ */
+function scoreResult(result) {
+  const diagnostics = result.diagnostics || [];
+  const errors = diagnostics.filter(diagnostic => diagnostic.severity !== 'warning').length;
+  const warnings = diagnostics.length - errors;
+
+  return {
+    rank: STAGE_RANK[result.stage] ?? 0,
+    // A failure we couldn't parse still counts as one error
+    weight: diagnostics.length === 0
+      ? SEVERITY_WEIGHT.error
+      : diagnostics.reduce((sum, diagnostic) => sum + (SEVERITY_WEIGHT[diagnostic.severity] ?? 1), 0),
+    errors: diagnostics.length === 0 ? 1 : errors,
+    warnings
+  };
+}
+
+/**
+ * Negative when score `a` is better than `b`
+ */
+function compareScores(a, b) {
+  return a.rank - b.rank || a.weight - b.weight;
+}
+
+/**
+ * Identifies an error set regardless of line numbers, which shift as fixes are applied
+ */
+function errorSetSignature(result) {
+  return [
+    result.stage,
+    ...(result.diagnostics || []).map(diagnostic => [diagnostic.code, diagnostic.file, diagnostic.message].join('|')).sort()
+  ].join('\n');
+}
+
+class RegressionGuard {
+  /**
+   * @param {string} projectPath - Project being fixed
+   * @param {Object} options
+   * @param {string} options.reason - Snapshot reason for checked states
+   */
+  constructor(projectPath, { reason = 'build-fix' } = {}) {
+    this.projectPath = projectPath;
+    this.reason = reason;
+    this.bestEntry = null;
+    this.currentEntry = null;
+    this.signatures = new Set();
+    this.rounds = [];
+  }
+
+  /**
+   * Record the result of checking the project's current files
+   * @param {Object} result - Check result with `stage` and `diagnostics`
+   * @param {string} label - Round name for snapshots and the report, e.g. "attempt 2"
+   * @returns {Promise<{verdict: string, result: Object, oscillating: boolean}>}
+   *   verdict is 'first' | 'improved' | 'unchanged' | 'worse' | 'reverted';
+   *   `result` is the state the loop should continue from
+   */
+  async record(result, label) {
+    const score = scoreResult(result);
+    const snapshot = await trySnapshot(
+      this.projectPath,
+      this.reason,
+      `Checked ${label}: ${score.errors} errors at ${result.stage}`
+    );
+    const entry = { result, score, label, snapshotId: snapshot?.id || null };
+
+    const signature = errorSetSignature(result);
+    const oscillating = this.signatures.has(signature);
+    this.signatures.add(signature);
+
+    let verdict;
+    if (!this.bestEntry) {
+      verdict = 'first';
+      this.bestEntry = entry;
+    } else if (compareScores(score, this.bestEntry.score) < 0) {
+      verdict = 'improved';
+      this.bestEntry = entry;
+    } else if (compareScores(score, this.bestEntry.score) > 0) {
+      verdict = 'worse';
+    } else {
+      verdict = 'unchanged';
+    }
+    this.currentEntry = entry;
+
+    if (verdict === 'worse' && await this.restoreBest()) {
+      verdict = 'reverted';
+    }
+
+    this.rounds.push({
+      label,
+      stage: result.stage,
+      errors: score.errors,
+      warnings: score.warnings,
+      verdict,
+      oscillating,
+      snapshotId: entry.snapshotId
+    });
+
+    return { verdict, result: this.currentEntry.result, oscillating };
+  }
+
+  /**
+   * Put the project back in the best recorded state if it isn't there already
+   * @returns {Promise<boolean>} Whether files were restored
+   */
+  async restoreBest() {
+    if (!this.bestEntry || this.currentEntry === this.bestEntry) return false;
+    if (!this.bestEntry.snapshotId) {
+      console.error(`Cannot restore ${this.projectPath} to ${this.bestEntry.label}: it has no snapshot`);
+      return false;
+    }
+
+    try {
+      const restored = await restoreSnapshot(this.projectPath, this.bestEntry.snapshotId);
+      if (!restored) return false;
+    } catch (error) {
+      console.error(`Failed to restore ${this.projectPath} to ${this.bestEntry.label}:`, error);
+      return false;
+    }
+
+    this.currentEntry = this.bestEntry;
+    return true;
+  }
+
+  /**
+   * Best state reached, for the loop's final report
+   * @returns {{label: string, stage: string, errors: number, warnings: number, snapshotId: string}|null}
+   */
+  best() {
+    if (!this.bestEntry) return null;
+    const { label, result, score, snapshotId } = this.bestEntry;
+    return { label, stage: result.stage, errors: score.errors, warnings: score.warnings, snapshotId };
+  }
+
+  bestResult() {
+    return this.bestEntry ? this.bestEntry.result : null;
+  }
+}
+
+module.exports = RegressionGuard;
+module.exports.scoreResult = scoreResult;
+module.exports.compareScores = compareScores;
@@ -0,0 +1,307 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { createHash, randomUUID } = require('crypto');
+const { createTwoFilesPatch } = require('diff');
+const { readJSON, writeJSON } = require('../utils/json-store');
+const { getStatePath } = require('../utils/project-paths');
+
+/**
+ * Content-addressed snapshots of a project's files.
+ *
+ * .nocode/snapshots/objects/<sha256>  - file contents, stored once
+ * .nocode/snapshots/<id>.json         - {id, reason, description, createdAt, files: {path: hash}}
+ *
+ * A snapshot is taken before every batch of AI writes so a bad change can be
+ * diffed and rolled back.
+ */
+
+// Directories that are generated, installed or our own state
+const IGNORED_DIRS = new Set(['node_modules', '.next', '.nocode', '.git', 'out', 'build', 'dist']);
+const IGNORED_EXTENSIONS = ['.tsbuildinfo', '.log'];
+const MAX_FILE_SIZE = 2 * 1024 * 1024;
+const SNAPSHOT_LIMIT = parseInt(process.env.SNAPSHOT_LIMIT, 10) || 50;
+
+// Serialize snapshot operations per project so a restore can't interleave with a capture
+const operationChains = new Map();
+
+function withProjectLock(projectPath, operation) {
+  const previous = operationChains.get(projectPath) || Promise.resolve();
+  const next = previous.catch(() => {}).then(operation);
+
+  operationChains.set(projectPath, next);
+  next.finally(() => {
+    if (operationChains.get(projectPath) === next) {
+      operationChains.delete(projectPath);
+    }
+  }).catch(() => {});
+
+  return next;
+}
+
+function getSnapshotsDir(projectPath) {
+  return getStatePath(projectPath, 'snapshots');
+}
+
+function getObjectPath(projectPath, hash) {
+  return path.join(getSnapshotsDir(projectPath), 'objects', hash);
+}
+
+/**
+ * Walk the project and return relative posix paths of the files a snapshot covers
+ */
+async function listProjectFiles(projectPath) {
+  const files = [];
+
+  const walk = async (dir) => {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRS.has(entry.name)) {
+          await walk(fullPath);
+        }
+      } else if (entry.isFile() && !IGNORED_EXTENSIONS.some(ext => entry.name.endsWith(ext))) {
+        const stats = await fs.stat(fullPath);
+        if (stats.size <= MAX_FILE_SIZE) {
+          files.push(path.relative(projectPath, fullPath).split(path.sep).join('/'));
+        }
+      }
+    }
+  };
+
+  await walk(projectPath);
+  return files.sort();
+}
+
+/**
+ * Hash the project's current files, storing any new contents
+ * @returns {Promise<Object>} Map of path -> hash
+ */
+async function captureFiles(projectPath) {
+  const files = {};
+  await fs.mkdir(path.join(getSnapshotsDir(projectPath), 'objects'), { recursive: true });
+
+  for (const filePath of await listProjectFiles(projectPath)) {
+    const content = await fs.readFile(path.join(projectPath, filePath));
+    const hash = createHash('sha256').update(content).digest('hex');
+    const objectPath = getObjectPath(projectPath, hash);
+
+    try {
+      await fs.access(objectPath);
+    } catch {
+      await fs.writeFile(objectPath, content);
+    }
+
+    files[filePath] = hash;
+  }
+
+  return files;
+}
+
+function sameFiles(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
+/**
+ * List a project's snapshots, newest first (without their file maps)
+ */
+async function listSnapshots(projectPath) {
+  let entries;
+  try {
+    entries = await fs.readdir(getSnapshotsDir(projectPath));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const snapshots = [];
+  for (const entry of entries.filter(name => name.endsWith('.json'))) {
+    const snapshot = await readJSON(path.join(getSnapshotsDir(projectPath), entry));
+    if (snapshot) {
+      const { files, ...summary } = snapshot;
+      snapshots.push({ ...summary, fileCount: Object.keys(files).length });
+    }
+  }
+
+  return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function getSnapshot(projectPath, snapshotId) {
+  if (!/^[\w-]+$/.test(snapshotId)) return null;
+  return readJSON(path.join(getSnapshotsDir(projectPath), `${snapshotId}.json`));
+}
+
+/**
+ * Delete the oldest snapshots beyond SNAPSHOT_LIMIT and any contents no snapshot references
+ */
+async function pruneSnapshots(projectPath) {
+  const snapshots = await listSnapshots(projectPath);
+  if (snapshots.length <= SNAPSHOT_LIMIT) return;
+
+  for (const snapshot of snapshots.slice(SNAPSHOT_LIMIT)) {
+    await fs.rm(path.join(getSnapshotsDir(projectPath), `${snapshot.id}.json`), { force: true });
+  }
+
+  const referenced = new Set();
+  for (const snapshot of snapshots.slice(0, SNAPSHOT_LIMIT)) {
+    const { files } = await getSnapshot(projectPath, snapshot.id);
+    Object.values(files).forEach(hash => referenced.add(hash));
+  }
+
+  const objectsDir = path.join(getSnapshotsDir(projectPath), 'objects');
+  for (const hash of await fs.readdir(objectsDir)) {
+    if (!referenced.has(hash)) {
+      await fs.rm(path.join(objectsDir, hash), { force: true });
+    }
+  }
+}
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.prune=true] - false leaves pruning to the caller,
+ *   for when it still needs an old snapshot's contents
+ */
+async function takeSnapshot(projectPath, reason, description, { prune = true } = {}) {
+  const files = await captureFiles(projectPath);
+
+  // Nothing changed since the last snapshot: reuse it rather than piling up duplicates
+  const [latest] = await listSnapshots(projectPath);
+  if (latest) {
+    const previous = await getSnapshot(projectPath, latest.id);
+    if (previous && sameFiles(previous.files, files)) {
+      return previous;
+    }
+  }
+
+  const createdAt = new Date().toISOString();
+  const snapshot = {
+    // Sortable by time, unique within the same millisecond
+    id: `${createdAt.replace(/[-:.TZ]/g, '')}-${randomUUID().slice(0, 6)}`,
+    reason,
+    description: description || '',
+    createdAt,
+    files
+  };
+
+  await writeJSON(path.join(getSnapshotsDir(projectPath), `${snapshot.id}.json`), snapshot);
+  if (prune) {
+    await pruneSnapshots(projectPath);
+  }
+
+  return snapshot;
+}
+
+/**
+ * Snapshot the project's current files
+ * @param {string} projectPath - Path to the project
+ * @param {string} reason - What is about to write (e.g. "update-project", "build-fix")
+ * @param {string} [description] - Free-form detail shown in the snapshot list
+ * @returns {Promise<Object>} The snapshot (an existing one if nothing changed)
+ */
+function createSnapshot(projectPath, reason, description) {
+  return withProjectLock(projectPath, () => takeSnapshot(projectPath, reason, description));
+}
+
+/**
+ * Like createSnapshot, but logs and swallows errors so a snapshot failure
+ * never blocks the write it was protecting
+ */
+async function trySnapshot(projectPath, reason, description) {
+  try {
+    return await createSnapshot(projectPath, reason, description);
+  } catch (error) {
+    console.error(`Failed to snapshot ${projectPath} before ${reason}:`, error);
+    return null;
+  }
+}
+
+async function readObject(projectPath, hash) {
+  return fs.readFile(getObjectPath(projectPath, hash), 'utf-8');
+}
+
+/**
+ * Unified diffs between two snapshots
+ * @param {string} fromId - Snapshot ID
+ * @param {string} toId - Snapshot ID, or "current" for the working files
+ * @returns {Promise<Array<{path: string, status: string, diff: string}>|null>} null if a snapshot doesn't exist
+ */
+async function diffSnapshots(projectPath, fromId, toId = 'current') {
+  const from = await getSnapshot(projectPath, fromId);
+  const to = toId === 'current'
+    ? { files: await withProjectLock(projectPath, () => captureFiles(projectPath)) }
+    : await getSnapshot(projectPath, toId);
+
+  if (!from || !to) return null;
+
+  const paths = [...new Set([...Object.keys(from.files), ...Object.keys(to.files)])].sort();
+  const changes = [];
+
+  for (const filePath of paths) {
+    const before = from.files[filePath];
+    const after = to.files[filePath];
+    if (before === after) continue;
+
+    const status = !before ? 'added' : !after ? 'deleted' : 'modified';
+    const oldContent = before ? await readObject(projectPath, before) : '';
+    const newContent = after ? await readObject(projectPath, after) : '';
+
+    changes.push({
+      path: filePath,
+      status,
+      diff: createTwoFilesPatch(`a/${filePath}`, `b/${filePath}`, oldContent, newContent, fromId, toId)
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Restore the project's files to a snapshot. The current state is
+ * snapshotted first, so a restore can itself be undone.
+ * @returns {Promise<{restored: Object, backup: Object, written: Array<string>, deleted: Array<string>}|null>}
+ */
+function restoreSnapshot(projectPath, snapshotId) {
+  return withProjectLock(projectPath, async () => {
+    const snapshot = await getSnapshot(projectPath, snapshotId);
+    if (!snapshot) return null;
+
+    // Pruned only once the files are copied: the backup may push the snapshot
+    // being restored, and contents only it has, past SNAPSHOT_LIMIT
+    const backup = await takeSnapshot(projectPath, 'restore', `Before restoring ${snapshotId}`, { prune: false });
+    const written = [];
+    const deleted = [];
+
+    for (const [filePath, hash] of Object.entries(snapshot.files)) {
+      if (backup.files[filePath] === hash) continue;
+
+      const target = path.join(projectPath, filePath);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, await fs.readFile(getObjectPath(projectPath, hash)));
+      written.push(filePath);
+    }
+
+    for (const filePath of Object.keys(backup.files)) {
+      if (!(filePath in snapshot.files)) {
+        await fs.rm(path.join(projectPath, filePath), { force: true });
+        deleted.push(filePath);
+      }
+    }
+
+    await pruneSnapshots(projectPath);
+
+    return { restored: snapshot, backup, written, deleted };
+  });
+}
+
+module.exports = {
+  SNAPSHOT_LIMIT,
+  createSnapshot,
+  trySnapshot,
+  listSnapshots,
+  getSnapshot,
+  diffSnapshots,
+  restoreSnapshot
+};
@@ -1,5 +1,6 @@
 const fs = require('fs/promises');
 const path = require('path');
+const codeTransform = require('./code-transform');
 
 class StructuralFixer {
   /**
@@ -82,7 +83,7 @@ class StructuralFixer {
     try {
       const hooksDir = path.join(projectPath, 'src', 'hooks');
       const hookFileName = `${source.name}.ts`;
-      const hookPath = path.join(hooksDir, hookFileName);
+      let hookPath = path.join(hooksDir, hookFileName);
       
       // Check if hook file exists
       try {
@@ -117,7 +118,7 @@ class StructuralFixer {
       }
       
       // Update the return statement
-      updatedContent = this.updateReturnStatement(updatedContent, missingProperties);
+      updatedContent = this.updateReturnStatement(updatedContent, missingProperties, source.name);
       
       if (updatedContent !== hookContent) {
         await fs.writeFile(hookPath, updatedContent, 'utf-8');
@@ -185,31 +186,29 @@ class StructuralFixer {
     return content.slice(0, lineEnd) + stateCode + content.slice(lineEnd);
   }
   
-  updateReturnStatement(content, newProperties) {
-    const returnRegex = /return\s*{\s*([^}]+)\s*}/s;
-    const match = content.match(returnRegex);
-    
-    if (!match) return content;
-    
-    const currentReturns = match[1].trim().split(',').map(s => s.trim());
-    const allReturns = [...currentReturns];
+  /**
+   * Add the new properties (and the open/close functions of modal state) to
+   * the object the hook returns
+   */
+  updateReturnStatement(content, newProperties, hookName = null) {
+    const returns = [];
     
     for (const prop of newProperties) {
-      if (!currentReturns.some(r => r.includes(prop))) {
-        allReturns.push(prop);
-        
-        // Add related functions for modal patterns
-        if (prop.startsWith('is') && prop.includes('Modal')) {
-          const modalName = prop.replace(/^is|Open$/g, '');
-          const openFunc = `open${modalName.replace('Modal', '')}Modal`;
-          const closeFunc = `close${modalName.replace('Modal', '')}Modal`;
-          allReturns.push(openFunc, closeFunc);
-        }
+      returns.push(prop);
+      
+      // Add related functions for modal patterns
+      if (prop.startsWith('is') && prop.includes('Modal')) {
+        const modalName = prop.replace(/^is|Open$/g, '');
+        returns.push(`open${modalName.replace('Modal', '')}Modal`, `close${modalName.replace('Modal', '')}Modal`);
       }
     }
     
-    const newReturn = `return {\n    ${allReturns.join(',\n    ')}\n  }`;
-    return content.replace(returnRegex, newReturn);
+    try {
+      return codeTransform.addPropertyToReturnedObject(content, hookName, returns);
+    } catch (err) {
+      console.error('Could not update hook return statement:', err.message);
+      return content;
+    }
   }
   
   async fixContextMismatch(projectPath, source, missingProperties) {
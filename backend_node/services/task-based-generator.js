@@ -1,11 +1,25 @@
-const axios = require("axios");
 const fs = require("fs/promises");
 const path = require("path");
+const { createLLMProvider } = require("./llm-provider");
+const { updateTaskState } = require("./task-store");
+const { runTaskGraph } = require("../utils/task-scheduler");
+const { ContextBuilder } = require("./context-builder");
+const { partitionSafeFiles } = require("../utils/safe-path");
+
+// Source files that are read back as context for later tasks
+const SOURCE_EXTENSIONS = [".ts", ".tsx", ".js", ".jsx", ".css"];
 
 class TaskBasedGenerator {
+  /**
+   * @param {string} [apiKey] - Optional API key overriding the configured one
+   */
   constructor(apiKey) {
-    this.apiKey = apiKey;
+    this.llm = createLLMProvider("tasks", apiKey ? { apiKey } : {});
     this.maxRetries = 3;
+    this.concurrency = parseInt(process.env.TASK_CONCURRENCY, 10) || 3;
+    // Minimum gap between task starts, to stay under provider rate limits
+    this.minTaskInterval = parseInt(process.env.TASK_MIN_INTERVAL_MS, 10) || 1000;
+    this.contextBuilder = new ContextBuilder();
   }
 
   /**
@@ -61,9 +75,13 @@ Guidelines:
 
   /**
    * Generate code for a specific task
+   * @param {Object} existingFiles - Map of path -> content already in the project
+   * @param {Array<string>} dependencyFiles - Files written by the task's dependencies, sent in full when they fit
    */
-  async generateTaskCode(task, prd, existingFiles = {}) {
+  async generateTaskCode(task, prd, existingFiles = {}, dependencyFiles = []) {
     const existingFilesList = Object.keys(existingFiles).join(", ");
+    // The task's own files come first when they already exist, since they're being updated
+    const context = this.contextBuilder.build(existingFiles, [...task.files, ...dependencyFiles]);
     
     const prompt = `
 You are an expert Next.js developer. Generate code for this specific task.
@@ -77,7 +95,10 @@ ${prd}
 
 EXISTING FILES IN PROJECT:
 ${existingFilesList || "None yet"}
-
+${context.text ? `
+EXISTING CODE (use these exact exports, props and types when importing; do not guess them):
+${context.text}
+` : ""}
 Generate ONLY the code for the files specified in this task.
 - Use Next.js 14 with App Router
 - Use TypeScript
@@ -132,11 +153,45 @@ Return ONLY a valid JSON object with this structure:
   }
 
   /**
-   * Execute tasks sequentially with progress tracking
+   * Execute tasks in dependency order with progress tracking
+   *
+   * Tasks whose dependencies have finished run concurrently (up to
+   * TASK_CONCURRENCY at once, with starts spaced TASK_MIN_INTERVAL_MS apart).
+   * Tasks whose dependencies failed are skipped.
+   *
+   * The task list and each task's result are persisted to the project's
+   * .nocode/tasks.json so failed tasks can be retried later.
+   *
+   * @param {Object} options
+   * @param {Object} options.existingFiles - Map of path -> content already in the project
+   * @param {boolean} options.retry - Keep previously persisted results instead of starting over
+   * @param {Array<string>} options.externalTaskIds - Dependency IDs that are already satisfied
+   * @param {number} options.concurrency - Override the concurrency limit
+   * @param {number} options.minTaskInterval - Override the minimum milliseconds between task starts
+   * @param {boolean} options.dryRun - Generate code without writing files or task state; the
+   *   generated files are returned as `proposedFiles`
    */
-  async executeTasks(tasks, prd, projectPath, onProgress) {
-    const results = [];
-    const generatedFiles = {};
+  async executeTasks(tasks, prd, projectPath, onProgress, options = {}) {
+    const { existingFiles = {}, retry = false, dryRun = false } = options;
+    const generatedFiles = { ...existingFiles };
+
+    const taskState = dryRun
+      ? { tasks, results: {} }
+      : await updateTaskState(projectPath, (state) => {
+        if (!retry) {
+          state.tasks = tasks;
+          state.results = {};
+        }
+      });
+
+    // Files each task wrote (or, if it hasn't run, plans to write), so a task's
+    // prompt can lead with the code its dependencies produced
+    const filesByTask = new Map(taskState.tasks.map(task => [task.id, task.files || []]));
+    for (const [taskId, result] of Object.entries(taskState.results)) {
+      if (result.files) filesByTask.set(taskId, result.files);
+    }
+    const dependencyFilesOf = (task) =>
+      (task.dependencies || []).flatMap(dependency => filesByTask.get(dependency) || []);
     
     // Filter out offline support and accessibility-specific tasks
     const filteredTasks = tasks.filter(task => {
@@ -173,129 +228,202 @@ Return ONLY a valid JSON object with this structure:
       return true;
     });
     
-    // Sort tasks by priority
+    // Sort tasks by priority; the scheduler starts ready tasks in this order
     const sortedTasks = [...filteredTasks].sort((a, b) => (a.priority || 0) - (b.priority || 0));
+    const writtenFiles = new Set();
+    const rejectedFiles = [];
+    let finishedCount = 0;
+
+    const notify = (task, status, error) => {
+      if (onProgress) {
+        onProgress({
+          currentTask: sortedTasks.indexOf(task) + 1,
+          totalTasks: sortedTasks.length,
+          completedTasks: finishedCount,
+          taskName: task.name,
+          status,
+          error
+        });
+      }
+    };
+
+    const runTask = async (task) => {
+      let result;
 
-    for (let i = 0; i < sortedTasks.length; i++) {
-      const task = sortedTasks[i];
-      
       try {
         // Notify progress
-        if (onProgress) {
-          onProgress({
-            currentTask: i + 1,
-            totalTasks: sortedTasks.length,
-            taskName: task.name,
-            status: 'generating'
-          });
-        }
+        notify(task, 'generating');
 
         // Generate code for this task
-        const result = await this.generateTaskCode(task, prd, generatedFiles);
+        const generated = await this.generateTaskCode(task, prd, generatedFiles, dependencyFilesOf(task));
+        
+        // Paths come from the LLM: keep only the ones that stay inside the project
+        const { accepted, rejected } = await partitionSafeFiles(projectPath, generated.files);
+        if (accepted.length === 0 && rejected.length > 0) {
+          throw new Error(`All generated file paths were rejected: ${rejected.map(r => r.path).join(", ")}`);
+        }
         
         // Write files to disk
-        for (const file of result.files) {
-          const filePath = path.join(projectPath, file.path);
-          
-          // Create directory if needed
-          await fs.mkdir(path.dirname(filePath), { recursive: true });
-          
-          // Write file
-          await fs.writeFile(filePath, file.content, 'utf-8');
+        for (const file of accepted) {
+          if (!dryRun) {
+            // Create directory if needed
+            await fs.mkdir(path.dirname(file.absolutePath), { recursive: true });
+            
+            // Write file
+            await fs.writeFile(file.absolutePath, file.content, 'utf-8');
+          }
           
           // Track generated files
           generatedFiles[file.path] = file.content;
+          writtenFiles.add(file.path);
         }
 
-        results.push({
+        filesByTask.set(task.id, accepted.map(f => f.path));
+        rejectedFiles.push(...rejected.map(entry => ({ ...entry, taskId: task.id })));
+
+        result = {
           taskId: task.id,
           taskName: task.name,
           success: true,
-          files: result.files.map(f => f.path),
-          description: result.description
-        });
-
-        // Notify completion
-        if (onProgress) {
-          onProgress({
-            currentTask: i + 1,
-            totalTasks: sortedTasks.length,
-            taskName: task.name,
-            status: 'completed'
-          });
-        }
-
-        // Small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 1000));
-
+          files: accepted.map(f => f.path),
+          rejectedFiles: rejected,
+          description: generated.description
+        };
       } catch (error) {
         console.error(`Task ${task.id} failed:`, error);
         
-        results.push({
+        result = {
           taskId: task.id,
           taskName: task.name,
           success: false,
           error: error.message
-        });
+        };
+      }
+
+      if (!dryRun) {
+        await this.saveTaskResult(projectPath, result);
+      }
+      finishedCount++;
 
-        // Notify error but continue with other tasks
-        if (onProgress) {
-          onProgress({
-            currentTask: i + 1,
-            totalTasks: sortedTasks.length,
-            taskName: task.name,
-            status: 'failed',
-            error: error.message
+      // Notify completion, or the error but continue with other tasks
+      notify(task, result.success ? 'completed' : 'failed', result.error);
+
+      return result;
+    };
+
+    // Dependencies on filtered-out tasks, or on tasks from an earlier run
+    // when retrying, are treated as already satisfied
+    const externalIds = [
+      ...tasks.filter(task => !filteredTasks.includes(task)).map(task => task.id),
+      ...(options.externalTaskIds || [])
+    ];
+
+    const { results: resultMap, missing, cycles } = await runTaskGraph(sortedTasks, runTask, {
+      concurrency: options.concurrency || this.concurrency,
+      minInterval: options.minTaskInterval ?? this.minTaskInterval,
+      externalIds,
+      onBlocked: (task, reason) => {
+        console.warn(`Task ${task.id} not run: ${reason}`);
+        const result = {
+          taskId: task.id,
+          taskName: task.name,
+          success: false,
+          skipped: true,
+          error: reason
+        };
+        finishedCount++;
+        notify(task, 'skipped', reason);
+        if (!dryRun) {
+          this.saveTaskResult(projectPath, result).catch(err => {
+            console.error(`Failed to save result for task ${task.id}:`, err);
           });
         }
+        return result;
       }
+    });
+
+    for (const { taskId, dependency } of missing) {
+      console.warn(`Task ${taskId} depends on unknown task ${dependency}, ignoring`);
     }
 
+    const results = sortedTasks.map(task => resultMap.get(task.id));
+
     return {
       results,
+      ...(dryRun && {
+        proposedFiles: [...writtenFiles].map(filePath => ({
+          path: filePath,
+          content: generatedFiles[filePath],
+          action: filePath in existingFiles ? 'update' : 'create'
+        }))
+      }),
       summary: {
         total: sortedTasks.length,
         successful: results.filter(r => r.success).length,
         failed: results.filter(r => !r.success).length,
-        generatedFiles: Object.keys(generatedFiles).length
+        skipped: results.filter(r => r.skipped).length,
+        generatedFiles: writtenFiles.size,
+        rejectedFiles,
+        missingDependencies: missing,
+        dependencyCycles: cycles
       }
     };
   }
 
   /**
-   * Call LLM with retry logic
+   * Persist the result of a single task
    */
-  async callLLM(prompt, maxTokens = 4000) {
-    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+  async saveTaskResult(projectPath, result) {
+    await updateTaskState(projectPath, (state) => {
+      const previous = state.results[result.taskId];
+      state.results[result.taskId] = {
+        ...result,
+        attempts: (previous?.attempts || 0) + 1,
+        updatedAt: new Date().toISOString()
+      };
+    });
+  }
+
+  /**
+   * Read the project's current source files (path -> content) to use as task context
+   */
+  async readProjectFiles(projectPath) {
+    const files = {};
+
+    const walk = async (relativeDir) => {
+      let entries;
       try {
-        const response = await axios.post(
-          "https://openrouter.ai/api/v1/chat/completions",
-          {
-            model: "anthropic/claude-3.5-sonnet",
-            messages: [
-              {
-                role: "user",
-                content: prompt
-              }
-            ],
-            max_tokens: maxTokens,
-            temperature: 0.7
-          },
-          {
-            headers: {
-              Authorization: `Bearer ${this.apiKey}`,
-              "Content-Type": "application/json"
-            },
-            timeout: 60000
-          }
-        );
+        entries = await fs.readdir(path.join(projectPath, relativeDir), { withFileTypes: true });
+      } catch (err) {
+        return;
+      }
 
-        const content = response.data.choices?.[0]?.message?.content;
-        if (!content) {
-          throw new Error("Empty response from LLM");
+      for (const entry of entries) {
+        const relativePath = path.posix.join(relativeDir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(relativePath);
+        } else if (SOURCE_EXTENSIONS.includes(path.extname(entry.name))) {
+          files[relativePath] = await fs.readFile(path.join(projectPath, relativePath), "utf-8");
         }
+      }
+    };
+
+    await walk("src");
+    return files;
+  }
 
-        return content;
+  /**
+   * Call LLM with retry logic
+   */
+  async callLLM(prompt, maxTokens = 4000) {
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      try {
+        return await this.llm.complete({
+          prompt,
+          maxTokens,
+          temperature: 0.7,
+          timeout: 60000
+        });
       } catch (error) {
         console.error(`LLM call attempt ${attempt} failed:`, error.message);
         
@@ -0,0 +1,49 @@
+const { readJSON, writeJSON } = require('../utils/json-store');
+const { getStatePath } = require('../utils/project-paths');
+
+// Serialize updates per project so concurrent task results don't overwrite each other
+const updateChains = new Map();
+
+function getTaskStatePath(projectPath) {
+  return getStatePath(projectPath, 'tasks.json');
+}
+
+/**
+ * Load the persisted task list and per-task results for a project
+ * @param {string} projectPath - Path to the project
+ * @returns {Promise<{tasks: Array, results: Object, updatedAt: string}|null>}
+ */
+async function loadTaskState(projectPath) {
+  return readJSON(getTaskStatePath(projectPath));
+}
+
+/**
+ * Apply a change to a project's task state and persist it
+ * @param {string} projectPath - Path to the project
+ * @param {Function} mutator - Receives the current state ({tasks, results}) and modifies it in place
+ */
+function updateTaskState(projectPath, mutator) {
+  const previous = updateChains.get(projectPath) || Promise.resolve();
+
+  const next = previous.catch(() => {}).then(async () => {
+    const state = (await loadTaskState(projectPath)) || { tasks: [], results: {} };
+    mutator(state);
+    state.updatedAt = new Date().toISOString();
+    await writeJSON(getTaskStatePath(projectPath), state);
+    return state;
+  });
+
+  updateChains.set(projectPath, next);
+  next.finally(() => {
+    if (updateChains.get(projectPath) === next) {
+      updateChains.delete(projectPath);
+    }
+  }).catch(() => {});
+
+  return next;
+}
+
+module.exports = {
+  loadTaskState,
+  updateTaskState
+};
@@ -1,5 +1,6 @@
 const fs = require('fs/promises');
 const path = require('path');
+const codeTransform = require('./code-transform');
 
 class TypeErrorFixer {
   constructor() {
@@ -34,7 +35,7 @@ class TypeErrorFixer {
       
       // Handle different type error patterns
       if (message.includes('is not assignable to type')) {
-        fixed = await this.fixAssignmentError(newContent, message, line);
+        fixed = await this.fixAssignmentError(newContent, message, line, error.column);
         if (fixed) {
           newContent = fixed;
         }
@@ -68,12 +69,14 @@ class TypeErrorFixer {
   /**
    * Fix assignment type errors (e.g., wrong literal values)
    */
-  async fixAssignmentError(content, errorMessage, lineNumber) {
+  async fixAssignmentError(content, errorMessage, lineNumber, column) {
     // Extract the wrong value and expected type
-    const match = errorMessage.match(/Type ['"](.*?)['"] is not assignable to type ['"](.*?)['"]/);
+    const match = errorMessage.match(/Type (['"])(.*?)\1 is not assignable to type (['"])(.*)\3/);
     if (!match) return false;
     
-    const [, wrongValue, expectedType] = match;
+    const [, , quotedValue, , expectedType] = match;
+    // TypeScript quotes literal types: Type '"decrease"' is not assignable...
+    const wrongValue = quotedValue.replace(/^['"]|['"]$/g, '');
     
     // Handle union types
     if (expectedType.includes('|')) {
@@ -81,20 +84,12 @@ class TypeErrorFixer {
       const bestMatch = this.findBestMatch(wrongValue, validValues);
       
       if (bestMatch) {
-        // Replace the wrong value
-        const lines = content.split('\n');
-        if (lineNumber && lines[lineNumber - 1]) {
-          lines[lineNumber - 1] = lines[lineNumber - 1].replace(
-            new RegExp(`(['"])${wrongValue}\\1`),
-            `$1${bestMatch}$1`
-          );
-          return lines.join('\n');
-        } else {
-          // Global replacement if no line number
-          return content.replace(
-            new RegExp(`(['"])${wrongValue}\\1`, 'g'),
-            `$1${bestMatch}$1`
-          );
+        // Replace the wrong value, only at the reported position when we know it
+        try {
+          const updated = codeTransform.renameLiteral(content, wrongValue, bestMatch, { line: lineNumber, column });
+          if (updated !== content) return updated;
+        } catch (err) {
+          console.error('Could not rename literal:', err.message);
         }
       }
     }
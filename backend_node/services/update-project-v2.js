@@ -4,6 +4,12 @@ const path = require("path");
 const TaskBasedGenerator = require("./task-based-generator");
 const CompilationChecker = require("./compilation-checker");
 const LLMBuildValidator = require("./llm-build-validator");
+const { isLLMConfigured } = require("./llm-provider");
+const { loadTaskState } = require("./task-store");
+const { trySnapshot } = require("./snapshot-store");
+const { createProposal, summarizeProposal } = require("./proposal-store");
+const { tryRecordUpdate } = require("./history-store");
+const { isValidProjectName, resolveProjectPath } = require("../utils/safe-path");
 require("dotenv").config();
 
 const router = express.Router();
@@ -11,9 +17,54 @@ const router = express.Router();
 // Store task progress for each project
 const projectProgress = new Map();
 
+/**
+ * Run the compilation check with auto-fix, then fall back to LLM
+ * validation if compilation still has errors
+ */
+async function verifyBuild(projectPath, prd, socket) {
+  if (socket) {
+    socket.emit('output', '\x1b[1;34m> Checking for compilation errors...\x1b[0m\n');
+  }
+  
+  const compilationChecker = new CompilationChecker();
+  const compilationResult = await compilationChecker.checkAndFix(projectPath, socket);
+  
+  let llmValidationResult = { success: false };
+  
+  if (!compilationResult.success) {
+    if (socket) {
+      socket.emit('output', '\n\x1b[1;33m> Compilation errors detected. Using AI to analyze and fix...\x1b[0m\n');
+    }
+    
+    const llmValidator = new LLMBuildValidator();
+    llmValidationResult = await llmValidator.validateAndFix(projectPath, prd, socket);
+  } else {
+    llmValidationResult = { success: true };
+  }
+  
+  if (!llmValidationResult.success && socket) {
+    socket.emit('output', '\n\x1b[31m✗ Some build errors could not be automatically fixed.\x1b[0m\n');
+    socket.emit('output', 'Please check the terminal output for manual resolution.\n');
+  }
+  
+  return { compilationResult, llmValidationResult };
+}
+
+/**
+ * Build outcome of verifyBuild for the project history
+ */
+function summarizeBuild(compilationResult, llmValidationResult) {
+  return {
+    success: llmValidationResult.success,
+    attempts: (compilationResult.attempts || 0) + (llmValidationResult.attempts || 0),
+    errors: llmValidationResult.success ? 0 : llmValidationResult.best?.errors ?? null
+  };
+}
+
 // POST /update-project-v2 - Task-based project update
 router.post("/update-project-v2", async (req, res) => {
-  const { projectName, requirements, socketId } = req.body;
+  // dryRun: generate the code and return it as diffs without writing anything
+  const { projectName, requirements, socketId, dryRun = false } = req.body;
 
   if (!projectName || !requirements) {
     return res.status(400).json({ 
@@ -21,11 +72,14 @@ router.post("/update-project-v2", async (req, res) => {
     });
   }
 
+  if (!isValidProjectName(projectName)) {
+    return res.status(400).json({ error: "Invalid project name" });
+  }
+
   const io = req.app.get('io');
   const socket = socketId && io ? io.sockets.sockets.get(socketId) : null;
 
-  const baseDir = path.join(__dirname, "../../client/user-projects");
-  const projectPath = path.join(baseDir, projectName);
+  const projectPath = resolveProjectPath(projectName);
   const prdPath = path.join(projectPath, "PRD.md");
 
   try {
@@ -44,13 +98,13 @@ router.post("/update-project-v2", async (req, res) => {
     console.log(`Read PRD for project ${projectName}, length: ${prd.length}`);
     
     // Check API key
-    if (!process.env.OPENROUTER_API_KEY) {
-      console.error("OPENROUTER_API_KEY not found in environment");
+    if (!isLLMConfigured("tasks")) {
+      console.error("LLM provider API key not found in environment");
       return res.status(500).json({ error: "API key not configured" });
     }
     
     // Initialize generator
-    const generator = new TaskBasedGenerator(process.env.OPENROUTER_API_KEY);
+    const generator = new TaskBasedGenerator();
     
     // Notify start
     if (socket) {
@@ -83,7 +137,8 @@ router.post("/update-project-v2", async (req, res) => {
       status: 'in_progress'
     });
 
-    // Step 2: Execute tasks with progress tracking
+    // Step 2: Execute tasks with progress tracking, after snapshotting the current files
+    const snapshot = dryRun ? null : await trySnapshot(projectPath, "update-project-v2", requirements);
     const results = await generator.executeTasks(
       tasks, 
       prd, 
@@ -92,9 +147,9 @@ router.post("/update-project-v2", async (req, res) => {
         // Update progress
         projectProgress.set(projectName, {
           totalTasks: progress.totalTasks,
-          completedTasks: progress.status === 'completed' ? progress.currentTask : progress.currentTask - 1,
+          completedTasks: progress.completedTasks,
           currentTask: progress.taskName,
-          status: progress.status === 'failed' ? 'partial' : 'in_progress'
+          status: progress.status === 'failed' || progress.status === 'skipped' ? 'partial' : 'in_progress'
         });
 
         // Send progress to socket
@@ -105,9 +160,12 @@ router.post("/update-project-v2", async (req, res) => {
             socket.emit('output', `\x1b[32m✓ Completed: ${progress.taskName}\x1b[0m\n`);
           } else if (progress.status === 'failed') {
             socket.emit('output', `\x1b[31m✗ Failed: ${progress.taskName} - ${progress.error}\x1b[0m\n`);
+          } else if (progress.status === 'skipped') {
+            socket.emit('output', `\x1b[33m- Skipped: ${progress.taskName} - ${progress.error}\x1b[0m\n`);
           }
         }
-      }
+      },
+      { dryRun }
     );
 
     // Update final progress
@@ -126,30 +184,41 @@ router.post("/update-project-v2", async (req, res) => {
       if (results.summary.failed > 0) {
         socket.emit('output', `  \x1b[31mFailed: ${results.summary.failed}\x1b[0m\n`);
       }
+      if (results.summary.skipped > 0) {
+        socket.emit('output', `  \x1b[33mSkipped (dependency failed): ${results.summary.skipped}\x1b[0m\n`);
+      }
+      for (const entry of results.summary.rejectedFiles) {
+        socket.emit('output', `  \x1b[33mRejected path: ${entry.path} (${entry.reason})\x1b[0m\n`);
+      }
+      for (const cycle of results.summary.dependencyCycles) {
+        socket.emit('output', `  \x1b[33mDependency cycle: ${cycle.join(' -> ')}\x1b[0m\n`);
+      }
       socket.emit('output', `  Files generated: ${results.summary.generatedFiles}\n\n`);
     }
 
-    // Step 3: Run compilation check and auto-fix
-    if (socket) {
-      socket.emit('output', '\x1b[1;34m> Checking for compilation errors...\x1b[0m\n');
-    }
-    
-    const compilationChecker = new CompilationChecker();
-    const compilationResult = await compilationChecker.checkAndFix(projectPath, socket);
-    
-    let llmValidationResult = { success: false };
-    
-    // Step 4: If compilation still has errors, use LLM to fix them
-    if (!compilationResult.success) {
+    if (dryRun) {
+      const proposal = await createProposal(projectPath, {
+        source: "update-project-v2",
+        explanation: results.results.filter(r => r.success).map(r => r.description).join("\n"),
+        files: results.proposedFiles
+      });
+
       if (socket) {
-        socket.emit('output', '\n\x1b[1;33m> Compilation errors detected. Using AI to analyze and fix...\x1b[0m\n');
+        socket.emit('output', `\x1b[36m> Dry run: ${proposal.files.length} file change(s) proposed, nothing written\x1b[0m\n`);
       }
-      
-      const llmValidator = new LLMBuildValidator(process.env.OPENROUTER_API_KEY);
-      llmValidationResult = await llmValidator.validateAndFix(projectPath, prd, socket);
-    } else {
-      llmValidationResult = { success: true };
+
+      return res.json({
+        message: "Dry run: no files were written",
+        dryRun: true,
+        proposalId: proposal.id,
+        files: summarizeProposal(proposal).files,
+        summary: results.summary,
+        details: results.results
+      });
     }
+
+    // Step 3 & 4: Compilation check, then LLM fixes for anything left
+    const { compilationResult, llmValidationResult } = await verifyBuild(projectPath, prd, socket);
     
     let finalMessage = results.summary.failed === 0 
       ? "Project updated successfully with all tasks completed"
@@ -159,22 +228,29 @@ router.post("/update-project-v2", async (req, res) => {
       finalMessage += " and build verification passed";
     } else {
       finalMessage += " but some build errors could not be resolved";
-      if (socket) {
-        socket.emit('output', '\n\x1b[31m✗ Some build errors could not be automatically fixed.\x1b[0m\n');
-        socket.emit('output', 'Please check the terminal output for manual resolution.\n');
-      }
     }
 
+    await tryRecordUpdate(projectPath, {
+      source: "update-project-v2",
+      prompt: requirements,
+      explanation: results.results.filter(r => r.success).map(r => r.description).join("\n"),
+      snapshotId: snapshot?.id || null,
+      build: summarizeBuild(compilationResult, llmValidationResult)
+    });
+
     // Return response
     return res.json({
       message: finalMessage,
+      snapshotId: snapshot?.id || null,
       summary: {
         ...results.summary,
         compilationSuccess: compilationResult.success,
         compilationAttempts: compilationResult.attempts,
         compilationErrors: compilationResult.errors?.length || 0,
         llmValidationSuccess: llmValidationResult.success,
-        llmValidationAttempts: llmValidationResult.attempts || 0
+        llmValidationAttempts: llmValidationResult.attempts || 0,
+        rejectedFixFiles: llmValidationResult.rejectedFiles || [],
+        fixReport: llmValidationResult.report || []
       },
       details: results.results
     });
@@ -211,6 +287,29 @@ router.get("/project-progress/:projectName", (req, res) => {
   return res.json(progress);
 });
 
+// GET /project-tasks/:projectName - Get the persisted task list and per-task results
+router.get("/project-tasks/:projectName", async (req, res) => {
+  const { projectName } = req.params;
+
+  if (!isValidProjectName(projectName)) {
+    return res.status(400).json({ error: "Invalid project name" });
+  }
+
+  const projectPath = resolveProjectPath(projectName);
+  
+  const state = await loadTaskState(projectPath);
+  if (!state) {
+    return res.status(404).json({ error: "No task history found for this project" });
+  }
+  
+  return res.json({
+    ...state,
+    failedTaskIds: state.tasks
+      .filter(task => state.results[task.id] && !state.results[task.id].success)
+      .map(task => task.id)
+  });
+});
+
 // POST /retry-failed-tasks - Retry failed tasks
 router.post("/retry-failed-tasks", async (req, res) => {
   const { projectName, taskIds, socketId } = req.body;
@@ -221,12 +320,104 @@ router.post("/retry-failed-tasks", async (req, res) => {
     });
   }
   
-  // Implementation for retrying specific failed tasks
-  // This would reuse the task-based generator to retry only failed tasks
+  if (!isValidProjectName(projectName)) {
+    return res.status(400).json({ error: "Invalid project name" });
+  }
   
-  return res.json({ 
-    message: "Task retry functionality to be implemented" 
-  });
+  const io = req.app.get('io');
+  const socket = socketId && io ? io.sockets.sockets.get(socketId) : null;
+
+  const projectPath = resolveProjectPath(projectName);
+  const prdPath = path.join(projectPath, "PRD.md");
+  
+  try {
+    const state = await loadTaskState(projectPath);
+    if (!state) {
+      return res.status(404).json({ error: "No task history found for this project" });
+    }
+    
+    const tasksToRetry = state.tasks.filter(task => taskIds.includes(task.id));
+    const unknownIds = taskIds.filter(id => !state.tasks.some(task => task.id === id));
+    if (unknownIds.length > 0) {
+      return res.status(400).json({ error: `Unknown task IDs: ${unknownIds.join(", ")}` });
+    }
+    
+    if (!isLLMConfigured("tasks")) {
+      console.error("LLM provider API key not found in environment");
+      return res.status(500).json({ error: "API key not configured" });
+    }
+    
+    const prd = await fs.readFile(prdPath, "utf-8");
+    const generator = new TaskBasedGenerator();
+    
+    if (socket) {
+      socket.emit('output', `\n\x1b[1;34m> Retrying ${tasksToRetry.length} task(s)...\x1b[0m\n`);
+    }
+    
+    const snapshot = await trySnapshot(projectPath, "retry-failed-tasks", taskIds.join(", "));
+
+    // Later tasks should see what's on disk now, including manual edits
+    const existingFiles = await generator.readProjectFiles(projectPath);
+    
+    const results = await generator.executeTasks(
+      tasksToRetry,
+      prd,
+      projectPath,
+      (progress) => {
+        if (!socket) return;
+        if (progress.status === 'generating') {
+          socket.emit('output', `\x1b[36m> Task ${progress.currentTask}/${progress.totalTasks}: ${progress.taskName}...\x1b[0m\n`);
+        } else if (progress.status === 'completed') {
+          socket.emit('output', `\x1b[32m✓ Completed: ${progress.taskName}\x1b[0m\n`);
+        } else if (progress.status === 'failed') {
+          socket.emit('output', `\x1b[31m✗ Failed: ${progress.taskName} - ${progress.error}\x1b[0m\n`);
+        } else if (progress.status === 'skipped') {
+          socket.emit('output', `\x1b[33m- Skipped: ${progress.taskName} - ${progress.error}\x1b[0m\n`);
+        }
+      },
+      // Tasks that aren't being retried keep their earlier results
+      { existingFiles, retry: true, externalTaskIds: state.tasks.map(task => task.id) }
+    );
+    
+    const { compilationResult, llmValidationResult } = await verifyBuild(projectPath, prd, socket);
+    
+    await tryRecordUpdate(projectPath, {
+      source: "retry-failed-tasks",
+      prompt: `Retry tasks: ${taskIds.join(", ")}`,
+      explanation: results.results.filter(r => r.success).map(r => r.description).join("\n"),
+      snapshotId: snapshot?.id || null,
+      build: summarizeBuild(compilationResult, llmValidationResult)
+    });
+    
+    return res.json({
+      message: results.summary.failed === 0
+        ? `Retried ${results.summary.total} task(s) successfully`
+        : `Retried ${results.summary.total} task(s), ${results.summary.failed} still failing`,
+      snapshotId: snapshot?.id || null,
+      summary: {
+        ...results.summary,
+        compilationSuccess: compilationResult.success,
+        compilationAttempts: compilationResult.attempts,
+        compilationErrors: compilationResult.errors?.length || 0,
+        llmValidationSuccess: llmValidationResult.success,
+        llmValidationAttempts: llmValidationResult.attempts || 0,
+        rejectedFixFiles: llmValidationResult.rejectedFiles || [],
+        fixReport: llmValidationResult.report || []
+      },
+      details: results.results
+    });
+  } catch (error) {
+    console.error("Error retrying tasks:", error);
+    
+    if (socket) {
+      socket.emit('output', `\n\x1b[31m✗ Error: ${error.message}\x1b[0m\n`);
+    }
+    
+    return res.status(500).json({ 
+      error: "Failed to retry tasks", 
+      details: error.message 
+    });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
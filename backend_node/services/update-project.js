@@ -1,14 +1,19 @@
 const express = require("express");
 const fs = require("fs/promises");
 const path = require("path");
-const axios = require("axios");
+const { createLLMProvider } = require("./llm-provider");
+const { trySnapshot } = require("./snapshot-store");
+const { createProposal, summarizeProposal } = require("./proposal-store");
+const { tryRecordUpdate, listHistory, clearHistory } = require("./history-store");
+const { isValidProjectName, resolveProjectPath, findProjectPath, partitionSafeFiles } = require("../utils/safe-path");
 require("dotenv").config();
 
 const router = express.Router();
 
 // POST /update-project
 router.post("/update-project", async (req, res) => {
-  const { projectName, requirements } = req.body;
+  // dryRun: return the proposed changes as diffs instead of writing them
+  const { projectName, requirements, dryRun = false } = req.body;
 
   if (!projectName || !requirements) {
     return res
@@ -16,8 +21,11 @@ router.post("/update-project", async (req, res) => {
       .json({ error: "projectName and requirements are required" });
   }
 
-  const baseDir = path.join(__dirname, "../../client/user-projects");
-  const projectPath = path.join(baseDir, projectName);
+  if (!isValidProjectName(projectName)) {
+    return res.status(400).json({ error: "Invalid project name" });
+  }
+
+  const projectPath = resolveProjectPath(projectName);
   const prdPath = path.join(projectPath, "PRD.md");
 
   try {
@@ -86,29 +94,12 @@ New Requirements:
 ${requirements}
 `;
 
-    const response = await axios.post(
-      "https://openrouter.ai/api/v1/chat/completions",
-      {
-        model: "anthropic/claude-3.5-sonnet",
-        messages: [
-          {
-            role: "user",
-            content: prompt,
-          },
-        ],
-        max_tokens: 4000,
-        temperature: 0.7,
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.OPENROUTER_API_KEY}`,
-          "Content-Type": "application/json",
-        },
-        timeout: 60000,
-      }
-    );
-
-    const completion = response.data.choices?.[0]?.message?.content;
+    const completion = await createLLMProvider("update").complete({
+      prompt,
+      maxTokens: 4000,
+      temperature: 0.7,
+      timeout: 60000,
+    });
     if (!completion) {
       return res.status(500).json({ error: "Empty response from LLM" });
     }
@@ -165,10 +156,31 @@ ${requirements}
       }
     }
 
+    // Paths come from the LLM: drop anything outside the project or off-limits
+    const { accepted, rejected } = await partitionSafeFiles(projectPath, parsed.files);
+
+    if (dryRun) {
+      const proposal = await createProposal(projectPath, {
+        source: "update-project",
+        explanation: parsed.explanation || "",
+        files: accepted,
+      });
+
+      return res.json({
+        message: "Dry run: no files were written",
+        dryRun: true,
+        proposalId: proposal.id,
+        files: summarizeProposal(proposal).files,
+        rejected,
+        explanation: proposal.explanation,
+      });
+    }
+
+    const snapshot = await trySnapshot(projectPath, "update-project", requirements);
     const changes = [];
 
-    for (const file of parsed.files) {
-      const filePath = path.join(projectPath, file.path);
+    for (const file of accepted) {
+      const filePath = file.absolutePath;
 
       switch (file.action) {
         case "create":
@@ -184,9 +196,24 @@ ${requirements}
       }
     }
 
+    await tryRecordUpdate(projectPath, {
+      source: "update-project",
+      prompt: requirements,
+      explanation: parsed.explanation || "",
+      snapshotId: snapshot?.id || null,
+      files: accepted
+        .filter((file) => ["create", "update", "delete"].includes(file.action))
+        .map((file) => ({
+          path: file.path,
+          status: file.action === "delete" ? "deleted" : file.action === "create" ? "added" : "modified",
+        })),
+    });
+
     return res.json({
       message: "Project updated successfully",
       changes,
+      rejected,
+      snapshotId: snapshot?.id || null,
       explanation: parsed.explanation || "",
     });
   } catch (err) {
@@ -197,36 +224,42 @@ ${requirements}
   }
 });
 
-router.get("/project-history/:projectName", (req, res) => {
-  const { projectName } = req.params;
+// GET /project-history/:projectName?offset=0&limit=20 - Recorded updates, newest first
+router.get("/project-history/:projectName", async (req, res) => {
+  const projectPath = await findProjectPath(req.params.projectName);
+  if (!projectPath) {
+    return res.status(404).json({ error: "Project not found" });
+  }
 
-  if (!projectName) {
-    return res.status(400).json({ error: "Project name is required" });
+  const offset = parseInt(req.query.offset, 10) || 0;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  if (offset < 0 || limit < 1 || limit > 100) {
+    return res.status(400).json({ error: "offset must be >= 0 and limit between 1 and 100" });
   }
 
-  const history = projectHistory[projectName] || { updates: [] };
-  return res.json(history);
+  try {
+    const history = await listHistory(projectPath, { offset, limit });
+    return res.json({ projectName: req.params.projectName, ...history });
+  } catch (err) {
+    console.error("Error reading project history:", err);
+    return res.status(500).json({ error: "Failed to read project history", details: err.message });
+  }
 });
 
 // DELETE /clear-project-history/:projectName - Clear history for a specific project
 router.delete("/clear-project-history/:projectName", async (req, res) => {
-  const { projectName } = req.params;
-
-  if (!projectName) {
-    return res.status(400).json({ error: "Project name is required" });
+  const projectPath = await findProjectPath(req.params.projectName);
+  if (!projectPath) {
+    return res.status(404).json({ error: "Project not found" });
   }
 
-  if (projectHistory[projectName]) {
-    // Keep the original PRD but clear updates
-    projectHistory[projectName].updates = [];
-
-    // Save the updated history
-    await saveProjectHistory();
-
-    return res.json({ message: `History cleared for project ${projectName}` });
+  try {
+    const removed = await clearHistory(projectPath);
+    return res.json({ message: `History cleared for project ${req.params.projectName}`, removed });
+  } catch (err) {
+    console.error("Error clearing project history:", err);
+    return res.status(500).json({ error: "Failed to clear project history", details: err.message });
   }
-
-  return res.status(404).json({ error: "Project history not found" });
 });
 
 module.exports = router;
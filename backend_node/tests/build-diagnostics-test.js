@@ -0,0 +1,94 @@
+/**
+ * Corpus test for the build diagnostics parser
+ *
+ * Every fixtures/build-logs/<name>.log with a <name>.json next to it is
+ * parsed and compared with the records in the JSON file (code frames are
+ * left out of the comparison). To add a case, save the build output as a
+ * .log and write down the diagnostics it should produce.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const assert = require('assert');
+
+const { parseDiagnostics, formatDiagnostics } = require('../services/build-diagnostics');
+
+const LOG_DIR = path.join(__dirname, 'fixtures/build-logs');
+
+class BuildDiagnosticsTest {
+  constructor() {
+    this.failures = [];
+  }
+
+  check(condition, description) {
+    console.log(`  ${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+      this.failures.push(description);
+    }
+  }
+
+  async run() {
+    console.log('🔎 Build diagnostics corpus\n');
+
+    const logs = (await fs.readdir(LOG_DIR)).filter(file => file.endsWith('.log')).sort();
+
+    for (const log of logs) {
+      const expectedPath = path.join(LOG_DIR, log.replace(/\.log$/, '.json'));
+      const expected = await fs.readFile(expectedPath, 'utf-8').then(JSON.parse).catch(() => null);
+      if (!expected) {
+        this.check(false, `${log}: has expected diagnostics`);
+        continue;
+      }
+
+      const output = await fs.readFile(path.join(LOG_DIR, log), 'utf-8');
+      const actual = parseDiagnostics(output).map(({ excerpt, ...diagnostic }) => diagnostic);
+
+      try {
+        assert.deepStrictEqual(actual, expected);
+        this.check(true, `${log}: ${expected.map(diagnostic => diagnostic.code).join(', ')}`);
+      } catch (error) {
+        this.check(false, `${log}: diagnostics match`);
+        console.log(`\n--- expected\n${JSON.stringify(expected, null, 2)}\n--- actual\n${JSON.stringify(actual, null, 2)}\n`);
+      }
+    }
+
+    console.log('\n📋 Paths and formatting');
+    const projectPath = '/home/builder/client/user-projects/project-counter';
+    const output = await fs.readFile(path.join(LOG_DIR, 'use-client-missing.log'), 'utf-8');
+    const [diagnostic] = parseDiagnostics(output, { projectPath });
+    this.check(diagnostic.file === 'src/components/Counter.tsx', 'absolute paths are made project-relative');
+    this.check(diagnostic.excerpt.includes("import { useState } from 'react';"), 'code frames are kept as excerpts');
+
+    const formatted = formatDiagnostics(parseDiagnostics(
+      await fs.readFile(path.join(LOG_DIR, 'type-error.log'), 'utf-8')
+    ));
+    this.check(
+      formatted.startsWith('[TYPE_ERROR] src/components/Counter.tsx:14:27: Type \'"decrease"\''),
+      'formatted diagnostics lead with code and location'
+    );
+
+    const repeated = `${output}\n${output}`;
+    this.check(parseDiagnostics(repeated).length === 1, 'repeated errors are reported once');
+
+    const sameMessage = formatDiagnostics(parseDiagnostics([
+      "src/app/page.tsx(3,24): error TS2307: Cannot find module 'framer-motion' or its corresponding type declarations.",
+      "src/components/Card.tsx(1,24): error TS2307: Cannot find module 'framer-motion' or its corresponding type declarations."
+    ].join('\n')));
+    this.check(
+      sameMessage.split('[TS2307]').length === 2 && sameMessage.includes('also at src/components/Card.tsx:1:24'),
+      'the same error in several files is summarized once'
+    );
+
+    const passed = this.failures.length === 0;
+    console.log(`\nOverall: ${passed ? '✅ PASSED' : `❌ ${this.failures.length} CHECK(S) FAILED`}`);
+    return passed;
+  }
+}
+
+if (require.main === module) {
+  new BuildDiagnosticsTest().run().then(passed => {
+    process.exitCode = passed ? 0 : 1;
+  });
+}
+
+module.exports = BuildDiagnosticsTest;
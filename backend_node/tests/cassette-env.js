@@ -0,0 +1,32 @@
+const path = require('path');
+
+const COUNTER_APP_CASSETTE = path.join(__dirname, 'fixtures/cassettes/counter-app');
+
+/**
+ * Point the LLM providers at a recorded cassette (replay mode unless
+ * LLM_CASSETTE_MODE says otherwise) for the length of one test, so suites
+ * run together by test-runner.js don't inherit the setting
+ * @param {string} [dir] - Cassette directory, unless LLM_CASSETTE_DIR is set
+ * @returns {Function} Restores the environment as it was
+ */
+function useCassette(dir = COUNTER_APP_CASSETTE) {
+  const previous = {
+    LLM_CASSETTE_MODE: process.env.LLM_CASSETTE_MODE,
+    LLM_CASSETTE_DIR: process.env.LLM_CASSETTE_DIR
+  };
+
+  process.env.LLM_CASSETTE_MODE = previous.LLM_CASSETTE_MODE || 'replay';
+  process.env.LLM_CASSETTE_DIR = previous.LLM_CASSETTE_DIR || dir;
+
+  return () => {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  };
+}
+
+module.exports = { useCassette };
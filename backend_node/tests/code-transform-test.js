@@ -0,0 +1,162 @@
+/**
+ * Fixture tests for the AST code transforms and the fixers built on them
+ *
+ * Each directory in fixtures/code-transform holds an input file and the
+ * expected output; CASES below says what to run on it. Fixers that work on
+ * a project directory get a temporary project with the input in place.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const codeTransform = require('../services/code-transform');
+const FontFixer = require('../services/font-fixer');
+const StructuralFixer = require('../services/structural-fixer');
+const TypeErrorFixer = require('../services/type-error-fixer');
+const ConfigFileFixer = require('../services/config-file-fixer');
+const QuickFixChecker = require('../services/quick-fix-checker');
+const CompilationChecker = require('../services/compilation-checker');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures/code-transform');
+
+/**
+ * Run a project-level fixer on a temporary project containing one file
+ * and return the content of the file it should produce
+ */
+async function inTempProject(inputPath, content, outputPath, fix) {
+  const projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'transform-project-'));
+
+  try {
+    await fs.mkdir(path.dirname(path.join(projectPath, inputPath)), { recursive: true });
+    await fs.writeFile(path.join(projectPath, inputPath), content, 'utf-8');
+    await fix(projectPath);
+    return await fs.readFile(path.join(projectPath, outputPath), 'utf-8');
+  } finally {
+    await fs.rm(projectPath, { recursive: true, force: true });
+  }
+}
+
+const CASES = {
+  'add-directive': {
+    description: "QuickFixChecker adds 'use client' above leading comments and imports",
+    run: (code) => inTempProject('src/Counter.tsx', code, 'src/Counter.tsx', (projectPath) =>
+      new QuickFixChecker().addUseClientDirective(path.join(projectPath, 'src/Counter.tsx'), code))
+  },
+  'misplaced-directive': {
+    description: "'use client' below the imports is moved to the top",
+    run: (code) => codeTransform.addDirective(code, 'use client')
+  },
+  'remove-import-multiline': {
+    description: 'removing a specifier keeps a multi-line import intact',
+    run: (code) => codeTransform.removeImportSpecifier(code, 'react', 'useEffect')
+  },
+  'hook-return-nested-braces': {
+    description: 'StructuralFixer adds modal state to a return object with nested braces',
+    run: (code) => new StructuralFixer().updateReturnStatement(code, ['count', 'isSettingsModal'], 'useCounter')
+  },
+  'hook-reset-modal': {
+    description: 'CompilationChecker adds reset modal state to a hook with nested braces',
+    run: (code) => inTempProject('src/hooks/useCounter.ts', code, 'src/hooks/useCounter.ts', (projectPath) =>
+      new CompilationChecker().fixHookStructuralMismatch(projectPath, 'src/app/page.tsx', 'useCounter', 'isResetModalOpen'))
+  },
+  'rename-literal': {
+    description: 'TypeErrorFixer renames only the literal at the reported position',
+    run: (code) => new TypeErrorFixer().fixAssignmentError(
+      code,
+      `Type '"decrease"' is not assignable to type '"increment" | "decrement"'.`,
+      7,
+      22
+    )
+  },
+  'font-layout': {
+    description: 'FontFixer removes Geist fonts from a multi-line import and className',
+    run: (code) => inTempProject('src/app/layout.tsx', code, 'src/app/layout.tsx', (projectPath) =>
+      new FontFixer().fixFontIssues(projectPath))
+  },
+  'next-config-ts': {
+    description: 'ConfigFileFixer converts next.config.ts to CommonJS',
+    run: (code) => inTempProject('next.config.ts', code, 'next.config.js', (projectPath) =>
+      new ConfigFileFixer().fixConfigFiles(projectPath))
+  },
+  'next-config-ts-imports': {
+    description: 'ConfigFileFixer keeps configs with imports as ES modules',
+    run: (code) => inTempProject('next.config.ts', code, 'next.config.mjs', (projectPath) =>
+      new ConfigFileFixer().fixConfigFiles(projectPath))
+  }
+};
+
+class CodeTransformTest {
+  constructor() {
+    this.failures = [];
+  }
+
+  check(condition, description) {
+    console.log(`  ${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+      this.failures.push(description);
+    }
+  }
+
+  async findFile(caseDir, name) {
+    const files = await fs.readdir(caseDir);
+    const file = files.find(entry => path.parse(entry).name === name);
+    return file ? path.join(caseDir, file) : null;
+  }
+
+  async run() {
+    console.log('🧩 Code transform fixtures\n');
+
+    const caseNames = (await fs.readdir(FIXTURE_DIR)).sort();
+
+    for (const caseName of caseNames) {
+      const testCase = CASES[caseName];
+      if (!testCase) {
+        this.check(false, `${caseName}: no case defined for fixture`);
+        continue;
+      }
+
+      const caseDir = path.join(FIXTURE_DIR, caseName);
+      const inputPath = await this.findFile(caseDir, 'input');
+      const expectedPath = await this.findFile(caseDir, 'expected');
+      const input = await fs.readFile(inputPath, 'utf-8');
+      const expected = await fs.readFile(expectedPath, 'utf-8');
+
+      try {
+        const output = await testCase.run(input);
+        const passed = output === expected;
+        this.check(passed, `${caseName}: ${testCase.description}`);
+        if (!passed) {
+          console.log(`\n--- expected\n${expected}\n--- actual\n${output}\n`);
+        }
+      } catch (error) {
+        this.check(false, `${caseName}: ${testCase.description} (${error.message})`);
+      }
+    }
+
+    console.log('\n📋 Unparseable input');
+    try {
+      codeTransform.addDirective('export default function () { return <div>; }', 'use client');
+      this.check(false, 'syntax errors throw a TransformError');
+    } catch (error) {
+      this.check(error instanceof codeTransform.TransformError, 'syntax errors throw a TransformError');
+    }
+
+    const brokenHook = "import { useState } from 'react';\n\nexport function useCounter() {\n  const [count, setCount] = useState(0);\n  return { count,\n}\n";
+    const hookAfterFix = await inTempProject('src/hooks/useCounter.ts', brokenHook, 'src/hooks/useCounter.ts', (projectPath) =>
+      new CompilationChecker().fixHookStructuralMismatch(projectPath, 'src/app/page.tsx', 'useCounter', 'isResetModalOpen'));
+    this.check(hookAfterFix === brokenHook, 'CompilationChecker leaves a hook it cannot parse alone');
+
+    const passed = this.failures.length === 0;
+    console.log(`\nOverall: ${passed ? '✅ PASSED' : `❌ ${this.failures.length} CHECK(S) FAILED`}`);
+    return passed;
+  }
+}
+
+if (require.main === module) {
+  new CodeTransformTest().run().then(passed => {
+    process.exitCode = passed ? 0 : 1;
+  });
+}
+
+module.exports = CodeTransformTest;
@@ -0,0 +1,187 @@
+/**
+ * Fixture tests for the prompt context builder
+ *
+ * fixtures/context-builder/project is a small todo app; signatures/ holds
+ * the expected extractSignatures output for some of its files. The build
+ * checks run the builder on the project with different token budgets and
+ * priority lists and check what was sent in full, as signatures, or left out.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const { useCassette } = require('./cassette-env');
+const { ContextBuilder, extractSignatures, estimateTokens } = require('../services/context-builder');
+const LLMBuildValidator = require('../services/llm-build-validator');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures/context-builder');
+const PROJECT_DIR = path.join(FIXTURE_DIR, 'project');
+
+const PROJECT_FILES = [
+  'src/app/globals.css',
+  'src/app/page.tsx',
+  'src/components/TodoItem.tsx',
+  'src/hooks/useTodos.ts',
+  'src/lib/format.ts'
+];
+
+const SIGNATURE_CASES = {
+  'TodoItem.tsx': 'src/components/TodoItem.tsx',
+  'useTodos.ts': 'src/hooks/useTodos.ts',
+  'format.ts': 'src/lib/format.ts'
+};
+
+const describe = (context) => context.included.map(file => `${file.path}:${file.mode}`).join(', ');
+
+class ContextBuilderTest {
+  constructor() {
+    this.failures = [];
+  }
+
+  check(condition, description) {
+    console.log(`  ${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+      this.failures.push(description);
+    }
+  }
+
+  async loadFiles() {
+    const files = {};
+    for (const filePath of PROJECT_FILES) {
+      files[filePath] = await fs.readFile(path.join(PROJECT_DIR, filePath), 'utf-8');
+    }
+    return files;
+  }
+
+  async testSignatures(files) {
+    console.log('Signatures:');
+
+    for (const [name, filePath] of Object.entries(SIGNATURE_CASES)) {
+      const expected = await fs.readFile(path.join(FIXTURE_DIR, 'signatures', `${name}.txt`), 'utf-8');
+      const actual = extractSignatures(files[filePath]);
+      this.check(actual === expected.trimEnd(), `${filePath} is reduced to its exports, props and types`);
+      if (actual !== expected.trimEnd()) {
+        console.log(`    --- expected ---\n${expected}\n    --- actual ---\n${actual}`);
+      }
+    }
+  }
+
+  testOrdering(files) {
+    console.log('\nOrdering:');
+
+    const context = new ContextBuilder({ tokenBudget: 100000 })
+      .build(files, ['src/hooks/useTodos.ts', 'src/components/TodoItem.tsx']);
+    this.check(
+      describe(context) === [
+        'src/hooks/useTodos.ts:full',
+        'src/components/TodoItem.tsx:full',
+        'src/app/page.tsx:signatures',
+        'src/lib/format.ts:signatures'
+      ].join(', '),
+      `priority files come first, in order and in full; the rest follow as signatures (${describe(context)})`
+    );
+    this.check(
+      context.text.indexOf('--- src/hooks/useTodos.ts ---') < context.text.indexOf('--- src/components/TodoItem.tsx ---'),
+      'the prompt text follows the same order'
+    );
+    this.check(
+      context.omitted.join(',') === 'src/app/globals.css',
+      'stylesheets outside the priority list are left out'
+    );
+
+    // As generateTaskCode calls it: the task's files (not written yet), then its dependencies' files
+    const task = new ContextBuilder({ tokenBudget: 100000 })
+      .build(files, ['src/components/TodoList.tsx', 'src/lib/format.ts', 'src/lib/format.ts']);
+    this.check(
+      describe(task).startsWith('src/lib/format.ts:full, src/app/page.tsx:signatures')
+        && task.included.length === 4,
+      'missing and repeated priority paths are ignored'
+    );
+  }
+
+  testBudget(files) {
+    console.log('\nToken budget:');
+
+    const priority = ['src/components/TodoItem.tsx', 'src/hooks/useTodos.ts'];
+    const fullCost = estimateTokens(files['src/components/TodoItem.tsx']);
+
+    // Room for the signatures of everything, not for TodoItem in full
+    const tight = new ContextBuilder({ tokenBudget: fullCost - 20 }).build(files, priority);
+    const todoItem = tight.included.find(file => file.path === 'src/components/TodoItem.tsx');
+    this.check(todoItem && todoItem.mode === 'signatures', 'a priority file too large for the budget falls back to signatures');
+    this.check(
+      tight.text.includes('--- src/components/TodoItem.tsx (signatures only) ---')
+        && !tight.text.includes('useState(false)'),
+      'signature sections are labelled and leave out bodies'
+    );
+    this.check(
+      estimateTokens(tight.text) <= fullCost - 20 + tight.included.length,
+      `the text stays within the budget (${estimateTokens(tight.text)} of ${fullCost - 20} tokens)`
+    );
+
+    const tiny = new ContextBuilder({ tokenBudget: 10 }).build(files, priority);
+    this.check(
+      tiny.text === '' && tiny.included.length === 0 && tiny.omitted.length === PROJECT_FILES.length,
+      'files that fit in no form are all reported as omitted'
+    );
+
+    const previous = process.env.LLM_CONTEXT_TOKEN_BUDGET;
+    process.env.LLM_CONTEXT_TOKEN_BUDGET = '1234';
+    this.check(new ContextBuilder().tokenBudget === 1234, 'LLM_CONTEXT_TOKEN_BUDGET sets the default budget');
+    if (previous === undefined) {
+      delete process.env.LLM_CONTEXT_TOKEN_BUDGET;
+    } else {
+      process.env.LLM_CONTEXT_TOKEN_BUDGET = previous;
+    }
+  }
+
+  async testBuildFixContext() {
+    console.log('\nBuild-fix context:');
+
+    // An LLMBuildValidator needs a provider; this one never calls the LLM
+    const restoreEnv = useCassette();
+    let context;
+    try {
+      context = await new LLMBuildValidator().buildFileContext(PROJECT_DIR, [
+        'src/components/TodoItem.tsx',
+        'src/components/Deleted.tsx'
+      ]);
+    } finally {
+      restoreEnv();
+    }
+    this.check(
+      describe(context) === [
+        'src/components/TodoItem.tsx:full',
+        'src/hooks/useTodos.ts:full',
+        'src/lib/format.ts:full'
+      ].join(', '),
+      `the failing file comes first, then the local files it imports, in import order (${describe(context)})`
+    );
+  }
+
+  async run() {
+    console.log('🧩 Context builder\n');
+
+    try {
+      const files = await this.loadFiles();
+      await this.testSignatures(files);
+      this.testOrdering(files);
+      this.testBudget(files);
+      await this.testBuildFixContext();
+    } catch (error) {
+      this.check(false, `context builder runs without errors (${error.message})`);
+    }
+
+    const passed = this.failures.length === 0;
+    console.log(`\nOverall: ${passed ? '✅ PASSED' : `❌ ${this.failures.length} CHECK(S) FAILED`}`);
+    return passed;
+  }
+}
+
+if (require.main === module) {
+  new ContextBuilderTest().run().then(passed => {
+    process.exitCode = passed ? 0 : 1;
+  });
+}
+
+module.exports = ContextBuilderTest;
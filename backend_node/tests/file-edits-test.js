@@ -0,0 +1,142 @@
+/**
+ * Fixture tests for applying LLM edits
+ *
+ * Each directory in fixtures/file-edits is a case: before/ is the project the
+ * edits are applied to, edits.json the edits and which files should be
+ * applied, rejected (with the reason) or refused as unsafe, and after/ the
+ * project as it should be afterwards. Cases without after/ must leave the
+ * project untouched.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { applyEdits } = require('../services/file-edits');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures/file-edits');
+
+const CASES = {
+  'search-replace': 'a search that matches once is replaced',
+  'search-ambiguous': 'a search that matches more than once is rejected',
+  'search-not-found': 'a search that is not in the file is rejected',
+  'content-for-existing': 'full content for an existing file is rejected',
+  'edit-missing-file': 'search/replace for a missing file is rejected; full content creates one',
+  'diff': 'a diff whose hunks match is applied',
+  'diff-mismatch': 'a diff whose hunks do not match is rejected',
+  'multi-edit-rollback': 'one failing edit leaves its whole file untouched, other files still change',
+  'use-client-guard': "edits removing 'use client' are rejected",
+  'unsafe-and-config': 'config files can be edited; off-limits paths, in any case, and non-entries are refused'
+};
+
+/**
+ * Relative path -> content of every file under a directory
+ */
+async function readTree(dir, prefix = '') {
+  const files = {};
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const relativePath = path.posix.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      Object.assign(files, await readTree(path.join(dir, entry.name), relativePath));
+    } else {
+      files[relativePath] = await fs.readFile(path.join(dir, entry.name), 'utf-8');
+    }
+  }
+  return files;
+}
+
+async function exists(filePath) {
+  return fs.access(filePath).then(() => true, () => false);
+}
+
+class FileEditsTest {
+  constructor() {
+    this.failures = [];
+  }
+
+  check(condition, description) {
+    console.log(`  ${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+      this.failures.push(description);
+    }
+  }
+
+  async runCase(name, title) {
+    console.log(`${title}:`);
+
+    const caseDir = path.join(FIXTURE_DIR, name);
+    const spec = JSON.parse(await fs.readFile(path.join(caseDir, 'edits.json'), 'utf-8'));
+    const afterDir = path.join(caseDir, (await exists(path.join(caseDir, 'after'))) ? 'after' : 'before');
+
+    // The project sits one level down so edits reaching outside it stay in the temp dir
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-edits-test-'));
+    const projectPath = path.join(tempDir, 'project');
+    try {
+      await fs.cp(path.join(caseDir, 'before'), projectPath, { recursive: true });
+
+      const { applied, rejected, unsafe } = await applyEdits(projectPath, spec.edits);
+
+      const appliedPaths = applied.map(entry => entry.path).sort();
+      this.check(
+        appliedPaths.join(',') === (spec.applied || []).slice().sort().join(','),
+        `applied: ${appliedPaths.join(', ') || 'none'}`
+      );
+
+      const expectedRejected = spec.rejected || {};
+      this.check(
+        rejected.length === Object.keys(expectedRejected).length
+          && rejected.every(entry => expectedRejected[entry.path] === entry.reason),
+        `rejected: ${rejected.map(entry => `${entry.path} (${entry.reason})`).join(', ') || 'none'}`
+      );
+
+      const unsafePaths = unsafe.map(entry => entry.path).sort();
+      this.check(
+        unsafePaths.join(',') === (spec.unsafe || []).slice().sort().join(','),
+        `unsafe: ${unsafePaths.join(', ') || 'none'}`
+      );
+
+      const expected = await readTree(afterDir);
+      const actual = await readTree(projectPath);
+      const mismatched = [...new Set([...Object.keys(expected), ...Object.keys(actual)])]
+        .filter(filePath => expected[filePath] !== actual[filePath]);
+      this.check(
+        mismatched.length === 0,
+        `project matches ${path.basename(afterDir)}/${mismatched.length ? ` (differs: ${mismatched.join(', ')})` : ''}`
+      );
+      this.check(!(await exists(path.join(tempDir, 'outside.txt'))), 'nothing is written outside the project');
+
+      for (const entry of applied) {
+        this.check(
+          entry.diff.includes(`+++ b/${entry.path}`) && entry.action === (entry.diff.includes('--- /dev/null') ? 'create' : 'update'),
+          `${entry.path} is reported as ${entry.action} with its diff`
+        );
+      }
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  async run() {
+    console.log('✏️  File edits\n');
+
+    for (const [name, title] of Object.entries(CASES)) {
+      try {
+        await this.runCase(name, title);
+      } catch (error) {
+        this.check(false, `${name} runs without errors (${error.message})`);
+      }
+      console.log('');
+    }
+
+    const passed = this.failures.length === 0;
+    console.log(`Overall: ${passed ? '✅ PASSED' : `❌ ${this.failures.length} CHECK(S) FAILED`}`);
+    return passed;
+  }
+}
+
+if (require.main === module) {
+  new FileEditsTest().run().then(passed => {
+    process.exitCode = passed ? 0 : 1;
+  });
+}
+
+module.exports = FileEditsTest;
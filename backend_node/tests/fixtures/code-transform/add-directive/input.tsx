@@ -0,0 +1,9 @@
+// Counter shown on the home page
+import { useState } from 'react';
+import { Button } from '@/components/Button';
+
+export default function Counter() {
+  const [count, setCount] = useState(0);
+
+  return <Button onClick={() => setCount(count + 1)}>{count}</Button>;
+}
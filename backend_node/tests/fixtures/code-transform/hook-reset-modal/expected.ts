@@ -0,0 +1,23 @@
+import { useState } from 'react';
+
+export function useCounter() {
+  const [count, setCount] = useState(0);
+  const [isResetModalOpen, setIsResetModalOpen] = useState(false);
+  
+  const openResetModal = () => setIsResetModalOpen(true);
+  const closeResetModal = () => setIsResetModalOpen(false);
+
+  const reset = () => {
+    setCount(0);
+    closeResetModal();
+  };
+
+  return {
+    count,
+    stats: { doubled: count * 2, label: `Count: ${count}` },
+    reset,
+    isResetModalOpen,
+    openResetModal,
+    closeResetModal
+  };
+}
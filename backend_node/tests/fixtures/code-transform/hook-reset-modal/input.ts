@@ -0,0 +1,17 @@
+import { useState } from 'react';
+
+export function useCounter() {
+  const [count, setCount] = useState(0);
+
+  const reset = () => {
+    if (window.confirm('Reset the counter?')) {
+      setCount(0);
+    }
+  };
+
+  return {
+    count,
+    stats: { doubled: count * 2, label: `Count: ${count}` },
+    reset
+  };
+}
@@ -0,0 +1,22 @@
+import { useState } from 'react';
+
+export function useCounter(initial = 0) {
+  const [count, setCount] = useState(initial);
+  const [isSettingsModal, setSettingsModal] = useState(false);
+
+  const openSettingsModal = () => setSettingsModal(true);
+  const closeSettingsModal = () => setSettingsModal(false);
+
+  const increment = () => {
+    setCount((value) => value + 1);
+  };
+
+  return {
+    count,
+    limits: { min: 0, max: 10 },
+    format: (value: number) => {
+      return { label: `${value}` };
+    },
+    increment,
+  };
+}
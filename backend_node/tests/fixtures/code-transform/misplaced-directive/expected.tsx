@@ -0,0 +1,14 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import type { Todo } from '@/types';
+
+export function useTodos() {
+  const [todos, setTodos] = useState<Todo[]>([]);
+
+  useEffect(() => {
+    setTodos(JSON.parse(localStorage.getItem('todos') || '[]'));
+  }, []);
+
+  return { todos, setTodos };
+}
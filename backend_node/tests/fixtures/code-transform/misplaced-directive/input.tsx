@@ -0,0 +1,14 @@
+import { useEffect, useState } from 'react';
+import type { Todo } from '@/types';
+
+"use client";
+
+export function useTodos() {
+  const [todos, setTodos] = useState<Todo[]>([]);
+
+  useEffect(() => {
+    setTodos(JSON.parse(localStorage.getItem('todos') || '[]'));
+  }, []);
+
+  return { todos, setTodos };
+}
@@ -0,0 +1,7 @@
+import createMDX from "@next/mdx";
+
+const withMDX = createMDX({});
+
+export default withMDX({
+  pageExtensions: ["ts", "tsx", "md", "mdx"],
+});
@@ -0,0 +1,8 @@
+import { type NextConfig } from "next";
+import createMDX from "@next/mdx";
+
+const withMDX = createMDX({});
+
+export default withMDX({
+  pageExtensions: ["ts", "tsx", "md", "mdx"],
+} satisfies NextConfig);
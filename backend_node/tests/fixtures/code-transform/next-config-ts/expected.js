@@ -0,0 +1,8 @@
+const nextConfig = {
+  reactStrictMode: true,
+  images: {
+    remotePatterns: [{ protocol: "https", hostname: "images.example.com" }],
+  },
+};
+
+module.exports = nextConfig;
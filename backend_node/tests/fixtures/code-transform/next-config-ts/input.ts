@@ -0,0 +1,10 @@
+import type { NextConfig } from "next";
+
+const nextConfig: NextConfig = {
+  reactStrictMode: true,
+  images: {
+    remotePatterns: [{ protocol: "https", hostname: "images.example.com" }],
+  },
+};
+
+export default nextConfig;
@@ -0,0 +1,14 @@
+'use client';
+
+import {
+  useCallback,
+  useState,
+} from 'react';
+import { format } from 'date-fns';
+
+export default function Clock() {
+  const [now, setNow] = useState(new Date());
+  const tick = useCallback(() => setNow(new Date()), []);
+
+  return <time onClick={tick}>{format(now, 'HH:mm')}</time>;
+}
@@ -0,0 +1,10 @@
+import { CounterButton } from './CounterButton';
+
+export default function Controls({ onChange }: { onChange: (action: string) => void }) {
+  return (
+    <div className="flex gap-2">
+      <CounterButton variant="increase" onClick={() => onChange('increase')} />
+      <CounterButton variant="decrement" onClick={() => onChange('decrease')} />
+    </div>
+  );
+}
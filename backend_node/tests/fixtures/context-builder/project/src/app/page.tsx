@@ -0,0 +1,9 @@
+import TodoList from '@/components/TodoList';
+
+export default function Home() {
+  return (
+    <main className="mx-auto max-w-xl p-8">
+      <TodoList />
+    </main>
+  );
+}
@@ -0,0 +1,32 @@
+'use client';
+
+import { useState } from 'react';
+import type { Todo } from '@/hooks/useTodos';
+import { formatDate } from '@/lib/format';
+
+interface TodoItemProps {
+  todo: Todo;
+  onToggle: (id: string) => void;
+  onDelete?: (id: string) => void;
+}
+
+export default function TodoItem({ todo, onToggle, onDelete }: TodoItemProps) {
+  const [hovered, setHovered] = useState(false);
+
+  return (
+    <li
+      className={`flex items-center gap-2 ${todo.done ? 'line-through' : ''}`}
+      onMouseEnter={() => setHovered(true)}
+      onMouseLeave={() => setHovered(false)}
+    >
+      <input type="checkbox" checked={todo.done} onChange={() => onToggle(todo.id)} />
+      <span>{todo.title}</span>
+      <time className="text-xs text-gray-500">{formatDate(todo.createdAt)}</time>
+      {hovered && onDelete && (
+        <button onClick={() => onDelete(todo.id)} aria-label="Delete todo">
+          {'{ × }'}
+        </button>
+      )}
+    </li>
+  );
+}
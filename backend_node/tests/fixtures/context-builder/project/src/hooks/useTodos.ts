@@ -0,0 +1,31 @@
+'use client';
+
+import { useCallback, useState } from 'react';
+
+export interface Todo {
+  id: string;
+  title: string;
+  done: boolean;
+  createdAt: Date;
+}
+
+export type Filter = 'all' | 'active' | 'done';
+
+export const MAX_TODOS = 100;
+
+// Keeps todos in memory; persisted by the caller
+export function useTodos(initial: Todo[] = []): { todos: Todo[]; add: (title: string) => void; toggle: (id: string) => void } {
+  const [todos, setTodos] = useState<Todo[]>(initial);
+
+  const add = useCallback((title: string) => {
+    setTodos(current => current.length >= MAX_TODOS
+      ? current
+      : [...current, { id: crypto.randomUUID(), title, done: false, createdAt: new Date() }]);
+  }, []);
+
+  const toggle = useCallback((id: string) => {
+    setTodos(current => current.map(todo => (todo.id === id ? { ...todo, done: !todo.done } : todo)));
+  }, []);
+
+  return { todos, add, toggle };
+}
@@ -0,0 +1,13 @@
+const formatter = new Intl.DateTimeFormat('en-US', { month: 'short', day: 'numeric' });
+
+export const formatDate = (date: Date): string => {
+  // "}" in a string must not end the body early
+  const suffix = '}';
+  return formatter.format(date) + suffix.slice(1);
+};
+
+export async function sleep(ms: number) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export { formatter };
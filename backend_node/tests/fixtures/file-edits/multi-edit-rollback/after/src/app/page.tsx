@@ -0,0 +1,9 @@
+import Counter from '@/components/Counter';
+
+export default function Home() {
+  return (
+    <main className="p-8">
+      <Counter />
+    </main>
+  );
+}
@@ -0,0 +1,5 @@
+import Counter from '@/components/Counter';
+
+export default function Home() {
+  return <Counter />;
+}
@@ -0,0 +1,171 @@
+/**
+ * Tests for the dev server log store
+ *
+ * Fills small stores past their limit and checks which entries are kept and
+ * in what order, what `since` (a seq or a date) returns, when a reply says
+ * it's truncated, and how `since` is parsed from a request.
+ */
+
+const { LogStore, parseSince } = require('../services/log-store');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class LogStoreTest {
+  constructor() {
+    this.failures = [];
+  }
+
+  check(condition, description) {
+    console.log(`  ${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+      this.failures.push(description);
+    }
+  }
+
+  seqs(logs) {
+    return logs.map(entry => entry.seq).join(',');
+  }
+
+  testWraparound() {
+    console.log('Ring buffer:');
+
+    const store = new LogStore({ limit: 3 });
+    const emitted = [];
+    store.on('log', (projectName, entry) => emitted.push(`${projectName}:${entry.seq}`));
+
+    for (let i = 1; i <= 5; i++) {
+      store.append('app', i % 2 ? 'stdout' : 'stderr', `line ${i}\n`);
+    }
+    const { logs, lastSeq } = store.getLogs('app');
+    this.check(
+      this.seqs(logs) === '3,4,5' && logs.map(entry => entry.text).join('') === 'line 3\nline 4\nline 5\n',
+      'only the last entries are kept, oldest first'
+    );
+    this.check(lastSeq === 5, 'seq keeps counting past the limit');
+    this.check(emitted.join(' ') === 'app:1 app:2 app:3 app:4 app:5', "every entry is emitted as 'log'");
+
+    for (let i = 6; i <= 7; i++) {
+      store.append('app', 'system', `line ${i}\n`);
+    }
+    this.check(this.seqs(store.getLogs('app').logs) === '5,6,7', 'the buffer keeps wrapping around');
+
+    this.check(store.append('app', 'stdout', '') === null, 'empty output is not logged');
+    let unknownStream = null;
+    try {
+      store.append('app', 'stdin', 'x');
+    } catch (error) {
+      unknownStream = error;
+    }
+    this.check(unknownStream !== null, 'an unknown stream throws');
+
+    const other = store.getLogs('other');
+    this.check(other.logs.length === 0 && other.lastSeq === 0 && !other.truncated, 'a project without output has an empty log');
+  }
+
+  testSinceSeq() {
+    console.log('\nSince a seq:');
+
+    const store = new LogStore({ limit: 3 });
+    for (let i = 1; i <= 5; i++) {
+      store.append('app', 'stdout', `line ${i}\n`);
+    }
+
+    const after2 = store.getLogs('app', { since: 2 });
+    this.check(this.seqs(after2.logs) === '3,4,5' && !after2.truncated, 'entries after the seq; nothing missing right after the oldest kept');
+
+    const after1 = store.getLogs('app', { since: 1 });
+    this.check(this.seqs(after1.logs) === '3,4,5' && after1.truncated, 'truncated when entries after the seq were dropped');
+
+    const after0 = store.getLogs('app', { since: 0 });
+    this.check(after0.truncated, 'since 0 is truncated once the buffer has wrapped');
+
+    const after4 = store.getLogs('app', { since: 4 });
+    this.check(this.seqs(after4.logs) === '5' && !after4.truncated, 'only newer entries');
+
+    const upToDate = store.getLogs('app', { since: 5 });
+    this.check(upToDate.logs.length === 0 && upToDate.lastSeq === 5 && !upToDate.truncated, 'nothing when the client is up to date');
+  }
+
+  async testSinceDate() {
+    console.log('\nSince a date:');
+
+    const store = new LogStore({ limit: 3 });
+    const beforeAll = new Date();
+    await sleep(5);
+    store.append('app', 'stdout', 'line 1\n');
+    await sleep(5);
+    store.append('app', 'stdout', 'line 2\n');
+    await sleep(5);
+    const between = new Date();
+    await sleep(5);
+    store.append('app', 'stdout', 'line 3\n');
+
+    const notFull = store.getLogs('app', { since: beforeAll });
+    this.check(this.seqs(notFull.logs) === '1,2,3' && !notFull.truncated, 'everything after the date, not truncated while the buffer has room');
+
+    const later = store.getLogs('app', { since: between });
+    this.check(this.seqs(later.logs) === '3' && !later.truncated, 'only entries logged after the date');
+
+    await sleep(5);
+    store.append('app', 'stdout', 'line 4\n');
+    const wrapped = store.getLogs('app', { since: beforeAll });
+    this.check(this.seqs(wrapped.logs) === '2,3,4' && wrapped.truncated, 'truncated once older entries after the date were dropped');
+  }
+
+  testRenameAndClear() {
+    console.log('\nRename and clear:');
+
+    const store = new LogStore({ limit: 3 });
+    store.append('old-name', 'stdout', 'line 1\n');
+    store.rename('old-name', 'new-name');
+    const renamed = store.getLogs('new-name');
+    this.check(this.seqs(renamed.logs) === '1' && store.getLogs('old-name').lastSeq === 0, 'a renamed project keeps its log');
+    this.check(store.append('new-name', 'stdout', 'line 2\n').seq === 2, 'and its seq');
+
+    store.clear('new-name');
+    this.check(store.getLogs('new-name').lastSeq === 0, 'clearing drops the log');
+  }
+
+  testParseSince() {
+    console.log('\nParsing since:');
+
+    this.check(parseSince('42') === 42, 'digits are a seq');
+    const date = parseSince('2026-01-02T03:04:05.000Z');
+    this.check(date instanceof Date && date.toISOString() === '2026-01-02T03:04:05.000Z', 'anything else is a date');
+    this.check(parseSince(undefined) === null && parseSince('') === null, 'absent is null');
+
+    let invalid = null;
+    try {
+      parseSince('yesterday-ish');
+    } catch (error) {
+      invalid = error;
+    }
+    this.check(invalid !== null, 'neither a seq nor a date throws');
+  }
+
+  async run() {
+    console.log('📜 Log store\n');
+
+    try {
+      this.testWraparound();
+      this.testSinceSeq();
+      await this.testSinceDate();
+      this.testRenameAndClear();
+      this.testParseSince();
+    } catch (error) {
+      this.check(false, `log store runs without errors (${error.message})`);
+    }
+
+    const passed = this.failures.length === 0;
+    console.log(`\nOverall: ${passed ? '✅ PASSED' : `❌ ${this.failures.length} CHECK(S) FAILED`}`);
+    return passed;
+  }
+}
+
+if (require.main === module) {
+  new LogStoreTest().run().then(passed => {
+    process.exitCode = passed ? 0 : 1;
+  });
+}
+
+module.exports = LogStoreTest;
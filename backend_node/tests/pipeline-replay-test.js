@@ -0,0 +1,123 @@
+/**
+ * Offline pipeline test using recorded LLM responses
+ *
+ * Runs PRD -> task list -> task code -> build-fix edits against the
+ * counter-app cassette, so regressions in prompt building, parseJSON or
+ * the task executor show up without calling a real LLM.
+ *
+ * To re-record after changing a prompt:
+ *   LLM_CASSETTE_MODE=record node tests/pipeline-replay-test.js
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { useCassette } = require('./cassette-env');
+const TaskBasedGenerator = require('../services/task-based-generator');
+const LLMBuildValidator = require('../services/llm-build-validator');
+const { applyEdits } = require('../services/file-edits');
+
+class PipelineReplayTest {
+  constructor() {
+    this.failures = [];
+  }
+
+  check(condition, description) {
+    console.log(`  ${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+      this.failures.push(description);
+    }
+  }
+
+  async run() {
+    const restoreEnv = useCassette();
+    try {
+      return await this.runWithCassette();
+    } finally {
+      restoreEnv();
+    }
+  }
+
+  async runWithCassette() {
+    console.log(`🎞  Pipeline replay test (${process.env.LLM_CASSETTE_MODE} mode)\n`);
+
+    if (process.env.LLM_CASSETTE_MODE === 'record') {
+      // Start from an empty cassette so stale prompts don't linger
+      await fs.rm(process.env.LLM_CASSETTE_DIR, { recursive: true, force: true });
+    }
+
+    const prd = await fs.readFile(path.join(__dirname, 'fixtures/counter-app-prd.md'), 'utf-8');
+    const projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'replay-project-'));
+
+    try {
+      const generator = new TaskBasedGenerator();
+
+      console.log('📋 Task list');
+      const { tasks } = await generator.createTaskList(prd);
+      this.check(Array.isArray(tasks) && tasks.length > 0, 'createTaskList returns tasks');
+
+      console.log('\n📋 Task execution');
+      const execution = await generator.executeTasks(tasks, prd, projectPath);
+      this.check(execution.summary.failed === 0, 'all tasks succeed');
+
+      for (const result of execution.results) {
+        for (const file of result.files || []) {
+          const exists = await fs.access(path.join(projectPath, file)).then(() => true).catch(() => false);
+          this.check(exists, `${file} written by ${result.taskId}`);
+        }
+      }
+
+      console.log('\n📋 Build fix');
+      const buildOutput = await fs.readFile(path.join(__dirname, 'fixtures/build-logs/type-error.log'), 'utf-8');
+      const validator = new LLMBuildValidator();
+      const context = await validator.buildFileContext(projectPath, ['src/components/Counter.tsx']);
+      this.check(
+        context.included.map(file => file.path).join(',') === 'src/components/Counter.tsx,src/hooks/useCounter.ts',
+        'fix context has the failing file and the files it imports'
+      );
+
+      const fixes = await validator.getFixesFromLLM(buildOutput, prd, projectPath);
+      this.check(Array.isArray(fixes.edits) && fixes.edits.length > 0, 'getFixesFromLLM returns edits');
+
+      const changes = await validator.applyFixes(projectPath, fixes);
+      this.check(
+        changes.applied.length === 1 && /^\+.*disabled=\{count <= 0\}/m.test(changes.applied[0].diff),
+        'matching edits are applied and reported as a diff'
+      );
+      this.check(
+        changes.rejected.length === 1 && changes.rejected[0].path === 'src/app/page.tsx',
+        'edits whose search text is missing are rejected'
+      );
+
+      const retry = await validator.getFixesFromLLM(buildOutput, prd, projectPath, changes.rejected);
+      const retried = await validator.applyFixes(projectPath, retry);
+      this.check(retried.applied.length === 1 && retried.rejected.length === 0, 'rejected edits are redone after feedback');
+
+      const guarded = await applyEdits(projectPath, [
+        { path: 'src/components/Counter.tsx', search: "'use client';\n", replace: '' },
+        { path: 'src/hooks/useCounter.ts', content: 'export {};\n' }
+      ]);
+      this.check(
+        guarded.applied.length === 0 && guarded.rejected.length === 2,
+        "edits that drop 'use client' or rewrite existing files are rejected"
+      );
+    } catch (error) {
+      this.check(false, `pipeline completes without errors (${error.message})`);
+    } finally {
+      await fs.rm(projectPath, { recursive: true, force: true });
+    }
+
+    const passed = this.failures.length === 0;
+    console.log(`\nOverall: ${passed ? '✅ PASSED' : `❌ ${this.failures.length} CHECK(S) FAILED`}`);
+    return passed;
+  }
+}
+
+if (require.main === module) {
+  new PipelineReplayTest().run().then(passed => {
+    process.exitCode = passed ? 0 : 1;
+  });
+}
+
+module.exports = PipelineReplayTest;
@@ -0,0 +1,162 @@
+/**
+ * Tests for renaming projects
+ *
+ * Works on small projects in client/user-projects whose "dev" script is a
+ * stand-in server that prints Next.js's ready line, so a rename can be
+ * checked with a dev server running: the server is restarted from the new
+ * directory under the new name, the log follows the project, and a name
+ * that's taken is refused without touching either project.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { randomUUID } = require('crypto');
+const projectManager = require('../services/project-manager');
+const logStore = require('../services/log-store');
+const { renameProject, ProjectConflictError } = require('../services/project-lifecycle');
+const { USER_PROJECTS_DIR } = require('../utils/project-paths');
+
+const DEV_SERVER = `const http = require('http');
+http.createServer((req, res) => {
+  res.statusCode = 404;
+  res.end();
+}).listen(process.env.PORT, () => console.log('Ready in 1ms'));
+`;
+
+async function exists(filePath) {
+  return fs.access(filePath).then(() => true, () => false);
+}
+
+async function createProject(projectName) {
+  const projectPath = path.join(USER_PROJECTS_DIR, projectName);
+  await fs.mkdir(projectPath, { recursive: true });
+  await fs.writeFile(path.join(projectPath, 'package.json'), JSON.stringify({
+    name: projectName,
+    private: true,
+    scripts: { dev: 'node dev-server.js' }
+  }, null, 2));
+  await fs.writeFile(path.join(projectPath, 'dev-server.js'), DEV_SERVER);
+  return projectPath;
+}
+
+class ProjectLifecycleTest {
+  constructor() {
+    this.failures = [];
+  }
+
+  check(condition, description) {
+    console.log(`  ${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+      this.failures.push(description);
+    }
+  }
+
+  async testRenameRunning(names) {
+    console.log('Renaming a running project:');
+
+    const projectPath = await createProject(names.original);
+    const started = await projectManager.startProject(projectPath);
+    this.check(started.status === 'ready', `the dev server starts (${started.status})`);
+    const logged = logStore.getLogs(names.original).lastSeq;
+
+    const result = await renameProject(projectPath, names.renamed);
+    const newPath = path.join(USER_PROJECTS_DIR, names.renamed);
+    this.check(
+      result.projectPath === newPath && (await exists(newPath)) && !(await exists(projectPath)),
+      'the directory is moved'
+    );
+
+    const entry = projectManager.getProjectInfo(names.renamed);
+    this.check(
+      result.restarted && entry && entry.status === 'ready' && entry.projectPath === newPath,
+      'the dev server is restarted from the new directory'
+    );
+    this.check(!projectManager.getProjectInfo(names.original), 'nothing runs under the old name');
+    this.check(result.previewUrl && result.previewUrl.includes(names.renamed), 'the preview URL has the new name');
+
+    const logs = logStore.getLogs(names.renamed);
+    this.check(
+      logged > 0 && logs.logs[0].seq === 1 && logs.lastSeq > logged,
+      'the log is kept under the new name and continues'
+    );
+    this.check(logStore.getLogs(names.original).lastSeq === 0, 'no log is left under the old name');
+
+    return newPath;
+  }
+
+  async testRenameConflict(projectPath, names) {
+    console.log('\nRenaming to a name that is taken:');
+
+    await createProject(names.taken);
+    let conflict = null;
+    try {
+      await renameProject(projectPath, names.taken);
+    } catch (error) {
+      conflict = error;
+    }
+    this.check(conflict instanceof ProjectConflictError, 'a ProjectConflictError is thrown');
+    this.check(
+      (await exists(path.join(projectPath, 'dev-server.js')))
+        && (await fs.readFile(path.join(USER_PROJECTS_DIR, names.taken, 'package.json'), 'utf-8')).includes(names.taken),
+      'both projects are left as they were'
+    );
+    this.check(
+      projectManager.getProjectInfo(path.basename(projectPath))?.status === 'ready',
+      'the dev server keeps running'
+    );
+  }
+
+  async testRenameStopped(names) {
+    console.log('\nRenaming a project that is not running:');
+
+    const projectPath = await createProject(names.stopped);
+    logStore.append(names.stopped, 'system', 'earlier output\n');
+
+    const result = await renameProject(projectPath, names.stoppedRenamed);
+    this.check(
+      !result.restarted && (await exists(path.join(USER_PROJECTS_DIR, names.stoppedRenamed))),
+      'the directory is moved and nothing is started'
+    );
+    this.check(!projectManager.getProjectInfo(names.stoppedRenamed), 'no dev server runs');
+    this.check(logStore.getLogs(names.stoppedRenamed).logs[0]?.text === 'earlier output\n', 'the log moves with it');
+  }
+
+  async run() {
+    console.log('🚚 Project lifecycle\n');
+
+    const prefix = `zz-lifecycle-test-${randomUUID().slice(0, 8)}`;
+    const names = {
+      original: `${prefix}-original`,
+      renamed: `${prefix}-renamed`,
+      taken: `${prefix}-taken`,
+      stopped: `${prefix}-stopped`,
+      stoppedRenamed: `${prefix}-stopped-renamed`
+    };
+
+    try {
+      const renamedPath = await this.testRenameRunning(names);
+      await this.testRenameConflict(renamedPath, names);
+      await this.testRenameStopped(names);
+    } catch (error) {
+      this.check(false, `project lifecycle runs without errors (${error.message})`);
+    } finally {
+      for (const name of Object.values(names)) {
+        await projectManager.stopProjectAndWait(name);
+        logStore.clear(name);
+        await fs.rm(path.join(USER_PROJECTS_DIR, name), { recursive: true, force: true });
+      }
+    }
+
+    const passed = this.failures.length === 0;
+    console.log(`\nOverall: ${passed ? '✅ PASSED' : `❌ ${this.failures.length} CHECK(S) FAILED`}`);
+    return passed;
+  }
+}
+
+if (require.main === module) {
+  new ProjectLifecycleTest().run().then(passed => {
+    process.exitCode = passed ? 0 : 1;
+  });
+}
+
+module.exports = ProjectLifecycleTest;
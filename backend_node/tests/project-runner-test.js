@@ -0,0 +1,141 @@
+/**
+ * Tests for the environment project commands run with
+ *
+ * Builds the environment for a temporary project with API keys set in the
+ * backend's own environment, runs a real command to see what it receives,
+ * and checks that a create-next-app style scratch state directory ends up in
+ * the project it created.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const projectRunner = require('../services/project-runner');
+const { getStatePath } = require('../utils/project-paths');
+
+const SECRETS = {
+  OPENROUTER_API_KEY: 'test-openrouter-key',
+  OPENAI_API_KEY: 'test-openai-key',
+  ANTHROPIC_API_KEY: 'test-anthropic-key'
+};
+
+async function exists(filePath) {
+  return fs.access(filePath).then(() => true, () => false);
+}
+
+function isInside(dir, filePath) {
+  const relative = path.relative(dir, filePath);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+class ProjectRunnerTest {
+  constructor() {
+    this.failures = [];
+  }
+
+  check(condition, description) {
+    console.log(`  ${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+      this.failures.push(description);
+    }
+  }
+
+  checkEnv(env, stateDir) {
+    this.check(
+      Object.keys(SECRETS).every(name => !(name in env)),
+      'no API keys from the backend environment'
+    );
+    this.check(
+      ['HOME', 'TMPDIR', 'npm_config_cache'].every(name => isInside(stateDir, env[name])),
+      `HOME, TMPDIR and the npm cache are inside ${path.basename(path.dirname(stateDir))}/${path.basename(stateDir)}`
+    );
+  }
+
+  async testBuildEnv(projectPath) {
+    console.log('Environment:');
+
+    const env = projectRunner.buildEnv(projectPath, { PORT: '3100' });
+    this.checkEnv(env, getStatePath(projectPath));
+    this.check(env.PATH === process.env.PATH && env.PORT === '3100', 'allowlisted and extra variables are set');
+    this.check(
+      (await exists(env.HOME)) && (await exists(env.TMPDIR)) && (await exists(env.npm_config_cache)),
+      'the state directories are created'
+    );
+  }
+
+  async testCommandEnv(projectPath) {
+    console.log('\nA command\'s environment:');
+
+    const script = 'console.log(JSON.stringify({ cwd: process.cwd(), env: process.env }))';
+    const result = await projectRunner.run(projectPath, process.execPath, ['-e', script], { kind: 'check' });
+    this.check(result.code === 0, `the command runs (exit code ${result.code})`);
+
+    const { cwd, env } = JSON.parse(result.output);
+    this.check(cwd === await fs.realpath(projectPath), 'it runs in the project directory');
+    this.checkEnv(env, await fs.realpath(getStatePath(projectPath)));
+  }
+
+  async testScratchStateDir(projectsDir) {
+    console.log('\nCreating a project:');
+
+    const projectPath = path.join(projectsDir, 'created-app');
+    const stateDir = await projectRunner.createScratchStateDir('created-app');
+    this.check(!isInside(projectsDir, stateDir), 'the scratch state directory is outside the projects directory');
+
+    // Stands in for create-next-app, which fills the npm cache while creating the project
+    const script = [
+      "const fs = require('fs');",
+      "fs.mkdirSync('created-app');",
+      "fs.writeFileSync(require('path').join(process.env.npm_config_cache, 'cached'), '');"
+    ].join(' ');
+    const result = await projectRunner.run(projectsDir, process.execPath, ['-e', script], { kind: 'install', stateDir });
+    this.check(result.code === 0, `the command runs (exit code ${result.code})`);
+
+    await projectRunner.moveStateDir(stateDir, projectPath);
+    this.check(
+      (await exists(getStatePath(projectPath, 'npm-cache', 'cached'))) && !(await exists(stateDir)),
+      'it moves into the new project afterwards'
+    );
+    this.check(!(await exists(path.join(projectsDir, '.nocode'))), 'nothing is written to the projects directory itself');
+
+    const failedState = await projectRunner.createScratchStateDir('failed-app');
+    await projectRunner.moveStateDir(failedState, path.join(projectsDir, 'failed-app'));
+    this.check(!(await exists(failedState)), 'it is removed when the project was not created');
+  }
+
+  async run() {
+    console.log('🏃 Project runner\n');
+
+    const saved = Object.fromEntries(Object.keys(SECRETS).map(name => [name, process.env[name]]));
+    Object.assign(process.env, SECRETS);
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'project-runner-test-'));
+
+    try {
+      const projectPath = path.join(tempDir, 'app');
+      await fs.mkdir(projectPath);
+      await this.testBuildEnv(projectPath);
+      await this.testCommandEnv(projectPath);
+      await this.testScratchStateDir(tempDir);
+    } catch (error) {
+      this.check(false, `project runner runs without errors (${error.message})`);
+    } finally {
+      for (const [name, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    const passed = this.failures.length === 0;
+    console.log(`\nOverall: ${passed ? '✅ PASSED' : `❌ ${this.failures.length} CHECK(S) FAILED`}`);
+    return passed;
+  }
+}
+
+if (require.main === module) {
+  new ProjectRunnerTest().run().then(passed => {
+    process.exitCode = passed ? 0 : 1;
+  });
+}
+
+module.exports = ProjectRunnerTest;
@@ -0,0 +1,108 @@
+/**
+ * Tests for the fix-loop regression guard
+ *
+ * Plays a fix loop on a temporary project: each round writes a file and
+ * records a made-up check result, then checks what the guard decided and
+ * which version of the file is left on disk.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const RegressionGuard = require('../services/regression-guard');
+
+function errors(count, stage = 'fast-check') {
+  return {
+    stage,
+    diagnostics: Array.from({ length: count }, (_, i) => ({
+      code: 'TS2322',
+      severity: 'error',
+      file: 'src/app/page.tsx',
+      line: i + 1,
+      message: `error ${i + 1}`
+    }))
+  };
+}
+
+class RegressionGuardTest {
+  constructor() {
+    this.failures = [];
+  }
+
+  check(condition, description) {
+    console.log(`  ${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+      this.failures.push(description);
+    }
+  }
+
+  async run() {
+    console.log('🛡  Regression guard\n');
+
+    const projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'guard-project-'));
+    const pagePath = path.join(projectPath, 'src/app/page.tsx');
+    const writePage = (content) => fs.writeFile(pagePath, content, 'utf-8');
+    const readPage = () => fs.readFile(pagePath, 'utf-8');
+
+    try {
+      await fs.mkdir(path.dirname(pagePath), { recursive: true });
+      const guard = new RegressionGuard(projectPath);
+
+      await writePage('// two errors\n');
+      let round = await guard.record(errors(2), 'attempt 1');
+      this.check(round.verdict === 'first', 'first round becomes the best state');
+
+      await writePage('// nine errors\n');
+      round = await guard.record(errors(9), 'attempt 2');
+      this.check(round.verdict === 'reverted', 'a round with more errors is reverted');
+      this.check(await readPage() === '// two errors\n', 'reverting restores the best files');
+      this.check(round.result.diagnostics.length === 2, 'the loop continues from the best state\'s errors');
+
+      await writePage('// one build error\n');
+      round = await guard.record(errors(1, 'build'), 'attempt 3');
+      this.check(round.verdict === 'improved', 'fewer errors is an improvement');
+
+      await writePage('// clean type check, many build errors\n');
+      round = await guard.record(errors(4, 'build'), 'attempt 4');
+      this.check(round.verdict === 'reverted', 'more errors at the same stage is worse');
+
+      round = await guard.record(errors(9, 'build'), 'attempt 5');
+      this.check(!round.oscillating, 'a new error set is not oscillation');
+      round = await guard.record(errors(4, 'build'), 'attempt 6');
+      this.check(round.oscillating, 'seeing an error set twice is oscillation');
+
+      const best = guard.best();
+      this.check(best.label === 'attempt 3' && best.errors === 1, 'the best state is reported, not the last');
+
+      const warningsOnly = {
+        stage: 'build',
+        diagnostics: [{ code: 'LINT_ERROR', severity: 'warning', file: 'a.ts', message: 'w' }]
+      };
+      this.check(
+        RegressionGuard.compareScores(RegressionGuard.scoreResult(warningsOnly), RegressionGuard.scoreResult(errors(1, 'build'))) < 0,
+        'warnings weigh less than errors'
+      );
+      this.check(
+        RegressionGuard.compareScores(RegressionGuard.scoreResult(errors(5, 'build')), RegressionGuard.scoreResult(errors(1))) < 0,
+        'failing at a later stage beats failing the type check'
+      );
+    } catch (error) {
+      this.check(false, `guard runs without errors (${error.message})`);
+    } finally {
+      await fs.rm(projectPath, { recursive: true, force: true });
+    }
+
+    const passed = this.failures.length === 0;
+    console.log(`\nOverall: ${passed ? '✅ PASSED' : `❌ ${this.failures.length} CHECK(S) FAILED`}`);
+    return passed;
+  }
+}
+
+if (require.main === module) {
+  new RegressionGuardTest().run().then(passed => {
+    process.exitCode = passed ? 0 : 1;
+  });
+}
+
+module.exports = RegressionGuardTest;
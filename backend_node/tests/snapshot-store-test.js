@@ -0,0 +1,181 @@
+/**
+ * Tests for project snapshots
+ *
+ * Works on small temporary projects: takes snapshots around file changes,
+ * then checks the diffs between them, restores, reuse of an unchanged
+ * snapshot, and restoring the oldest snapshot once SNAPSHOT_LIMIT are kept.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const snapshotStore = require('../services/snapshot-store');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function writeFiles(projectPath, files) {
+  for (const [filePath, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(projectPath, filePath)), { recursive: true });
+    await fs.writeFile(path.join(projectPath, filePath), content, 'utf-8');
+  }
+}
+
+async function readFileOrNull(filePath) {
+  return fs.readFile(filePath, 'utf-8').catch(() => null);
+}
+
+class SnapshotStoreTest {
+  constructor() {
+    this.failures = [];
+  }
+
+  check(condition, description) {
+    console.log(`  ${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+      this.failures.push(description);
+    }
+  }
+
+  async testTakeAndDiff(projectPath) {
+    console.log('Take and diff:');
+
+    await writeFiles(projectPath, {
+      'src/app/page.tsx': 'export default function Home() {\n  return <h1>Hello</h1>;\n}\n',
+      'src/lib/format.ts': 'export const format = (n: number) => `${n}`;\n',
+      'node_modules/react/index.js': 'module.exports = {};\n',
+      '.next/cache/build.log': 'cached\n'
+    });
+
+    const first = await snapshotStore.createSnapshot(projectPath, 'test', 'Initial files');
+    this.check(
+      Object.keys(first.files).join(',') === 'src/app/page.tsx,src/lib/format.ts',
+      'a snapshot covers the project files, not installed or generated ones'
+    );
+
+    const again = await snapshotStore.createSnapshot(projectPath, 'test', 'Nothing changed');
+    this.check(again.id === first.id, 'a snapshot with no changes reuses the latest one');
+    this.check((await snapshotStore.listSnapshots(projectPath)).length === 1, 'and stores nothing new');
+
+    await sleep(5);
+    await writeFiles(projectPath, {
+      'src/app/page.tsx': 'export default function Home() {\n  return <h1>Hello, world</h1>;\n}\n',
+      'src/components/Button.tsx': 'export function Button() {\n  return <button />;\n}\n'
+    });
+    await fs.rm(path.join(projectPath, 'src/lib/format.ts'));
+    const second = await snapshotStore.createSnapshot(projectPath, 'test', 'Edited');
+
+    const changes = await snapshotStore.diffSnapshots(projectPath, first.id, second.id);
+    this.check(
+      changes.map(change => `${change.path}:${change.status}`).join(', ')
+        === 'src/app/page.tsx:modified, src/components/Button.tsx:added, src/lib/format.ts:deleted',
+      'the diff lists added, modified and deleted files'
+    );
+    const page = changes.find(change => change.path === 'src/app/page.tsx');
+    this.check(
+      page.diff.includes('-  return <h1>Hello</h1>;') && page.diff.includes('+  return <h1>Hello, world</h1>;'),
+      'each change comes with its unified diff'
+    );
+
+    const fromCurrent = await snapshotStore.diffSnapshots(projectPath, first.id);
+    this.check(fromCurrent.length === 3, 'diffing against "current" uses the working files');
+    this.check(await snapshotStore.diffSnapshots(projectPath, 'missing', second.id) === null, 'an unknown snapshot gives null');
+
+    return { first, second };
+  }
+
+  async testRestore(projectPath, { first, second }) {
+    console.log('\nRestore:');
+
+    await writeFiles(projectPath, { 'src/app/page.tsx': 'export default function Home() {\n  return null;\n}\n' });
+    await sleep(5);
+    const result = await snapshotStore.restoreSnapshot(projectPath, first.id);
+
+    this.check(
+      result.written.sort().join(',') === 'src/app/page.tsx,src/lib/format.ts'
+        && result.deleted.join(',') === 'src/components/Button.tsx',
+      'restoring writes changed files back and deletes added ones'
+    );
+    this.check(
+      (await readFileOrNull(path.join(projectPath, 'src/app/page.tsx'))) === 'export default function Home() {\n  return <h1>Hello</h1>;\n}\n'
+        && (await readFileOrNull(path.join(projectPath, 'src/components/Button.tsx'))) === null,
+      'the project matches the snapshot afterwards'
+    );
+    this.check(
+      result.backup.id !== second.id && result.backup.files['src/app/page.tsx'] !== second.files['src/app/page.tsx'],
+      'the state before the restore is kept as a backup'
+    );
+    this.check(
+      (await readFileOrNull(path.join(projectPath, 'node_modules/react/index.js'))) !== null,
+      'ignored directories are left alone'
+    );
+    this.check(await snapshotStore.restoreSnapshot(projectPath, 'missing') === null, 'an unknown snapshot gives null');
+  }
+
+  async testRestoreOldestAtLimit(projectPath) {
+    const limit = snapshotStore.SNAPSHOT_LIMIT;
+    console.log(`\nRestoring the oldest of ${limit} snapshots:`);
+
+    // The oldest snapshot is the only one with this content
+    await writeFiles(projectPath, { 'src/version.ts': 'export const version = "oldest";\n' });
+    const oldest = await snapshotStore.createSnapshot(projectPath, 'test', 'Oldest');
+    for (let i = 1; i < limit; i++) {
+      await sleep(2);
+      await writeFiles(projectPath, { 'src/version.ts': `export const version = ${i};\n` });
+      await snapshotStore.createSnapshot(projectPath, 'test', `Version ${i}`);
+    }
+    this.check((await snapshotStore.listSnapshots(projectPath)).length === limit, `${limit} snapshots are kept`);
+
+    await sleep(2);
+    await writeFiles(projectPath, { 'src/version.ts': 'export const version = "latest";\n' });
+    const result = await snapshotStore.restoreSnapshot(projectPath, oldest.id);
+
+    this.check(
+      result && result.written.join(',') === 'src/version.ts'
+        && (await readFileOrNull(path.join(projectPath, 'src/version.ts'))) === 'export const version = "oldest";\n',
+      'the oldest snapshot is restored in full although its backup goes past the limit'
+    );
+
+    const remaining = await snapshotStore.listSnapshots(projectPath);
+    this.check(
+      remaining.length === limit && !remaining.some(snapshot => snapshot.id === oldest.id)
+        && remaining[0].id === result.backup.id,
+      'pruning happens after the restore and keeps the backup'
+    );
+  }
+
+  async run() {
+    console.log('📸 Snapshot store\n');
+
+    const tempDirs = [];
+    const tempProject = async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'snapshot-test-'));
+      tempDirs.push(dir);
+      return dir;
+    };
+
+    try {
+      const projectPath = await tempProject();
+      const snapshots = await this.testTakeAndDiff(projectPath);
+      await this.testRestore(projectPath, snapshots);
+      await this.testRestoreOldestAtLimit(await tempProject());
+    } catch (error) {
+      this.check(false, `snapshot store runs without errors (${error.message})`);
+    } finally {
+      for (const dir of tempDirs) {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    }
+
+    const passed = this.failures.length === 0;
+    console.log(`\nOverall: ${passed ? '✅ PASSED' : `❌ ${this.failures.length} CHECK(S) FAILED`}`);
+    return passed;
+  }
+}
+
+if (require.main === module) {
+  new SnapshotStoreTest().run().then(passed => {
+    process.exitCode = passed ? 0 : 1;
+  });
+}
+
+module.exports = SnapshotStoreTest;
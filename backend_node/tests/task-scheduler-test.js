@@ -0,0 +1,218 @@
+/**
+ * Tests for the dependency-aware task scheduler
+ *
+ * Runs made-up task graphs with fake async tasks that record when they
+ * start and finish, then checks the order, what was skipped and why, and
+ * how many ran at once.
+ */
+
+const { analyzeDependencies, runTaskGraph } = require('../utils/task-scheduler');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Fake task runner: each task takes `duration` ms (default 10) and fails
+ * when it has `fails` set, or throws when it has `throws` set
+ */
+function fakeRunner() {
+  const log = { started: [], finished: [], startTimes: new Map(), maxRunning: 0 };
+  let running = 0;
+
+  const runTask = async (task) => {
+    running++;
+    log.maxRunning = Math.max(log.maxRunning, running);
+    log.started.push(task.id);
+    log.startTimes.set(task.id, Date.now());
+
+    await sleep(task.duration ?? 10);
+
+    running--;
+    log.finished.push(task.id);
+    if (task.throws) throw new Error(`${task.id} threw`);
+    return { success: !task.fails };
+  };
+
+  return { log, runTask };
+}
+
+class TaskSchedulerTest {
+  constructor() {
+    this.failures = [];
+  }
+
+  check(condition, description) {
+    console.log(`  ${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+      this.failures.push(description);
+    }
+  }
+
+  testAnalyzeDependencies() {
+    console.log('Dependency analysis:');
+
+    const { missing, cycles } = analyzeDependencies([
+      { id: 'a', dependencies: ['ghost', 'setup'] },
+      { id: 'b', dependencies: ['c'] },
+      { id: 'c', dependencies: ['d'] },
+      { id: 'd', dependencies: ['b'] },
+      { id: 'e', dependencies: ['a'] }
+    ], ['setup']);
+
+    this.check(
+      missing.length === 1 && missing[0].taskId === 'a' && missing[0].dependency === 'ghost',
+      'unknown dependency IDs are reported with the task that named them'
+    );
+    this.check(
+      cycles.length === 1 && cycles[0].join(' -> ') === 'b -> c -> d -> b',
+      'a cycle is reported as its path'
+    );
+
+    const selfCycle = analyzeDependencies([{ id: 'a', dependencies: ['a'] }]);
+    this.check(selfCycle.cycles.length === 1, 'a task depending on itself is a cycle');
+  }
+
+  async testOrder() {
+    console.log('\nDependency order:');
+    const { log, runTask } = fakeRunner();
+
+    const { results } = await runTaskGraph([
+      { id: 'page', dependencies: ['header', 'store'] },
+      { id: 'header', duration: 30 },
+      { id: 'store', duration: 5 },
+      { id: 'footer' }
+    ], runTask, { concurrency: 4 });
+
+    const pageStart = log.started.indexOf('page');
+    this.check(
+      log.finished.indexOf('header') < pageStart && log.finished.indexOf('store') < pageStart
+        && log.started.length === 4,
+      'a task starts only after all its dependencies finished'
+    );
+    this.check(log.started[0] === 'header', 'ready tasks start in list order');
+    this.check([...results.values()].every(result => result.success), 'every task has a result');
+  }
+
+  async testCycles() {
+    console.log('\nCycles:');
+    const { log, runTask } = fakeRunner();
+
+    const { results, cycles } = await runTaskGraph([
+      { id: 'a', dependencies: ['b'] },
+      { id: 'b', dependencies: ['a'] },
+      { id: 'after', dependencies: ['a'] },
+      { id: 'free' }
+    ], runTask, { concurrency: 2 });
+
+    this.check(cycles.length === 1, 'the cycle is returned');
+    this.check(
+      !log.started.includes('a') && !log.started.includes('b')
+        && /Dependency cycle detected: a -> b -> a/.test(results.get('a').error),
+      'tasks in a cycle never run and say why'
+    );
+    this.check(results.get('after').skipped && !log.started.includes('after'), 'tasks depending on a cycle are skipped');
+    this.check(results.get('free').success, 'unrelated tasks still run');
+  }
+
+  async testFailures() {
+    console.log('\nFailed dependencies:');
+    const { log, runTask } = fakeRunner();
+    const blocked = [];
+
+    const { results } = await runTaskGraph([
+      { id: 'types', fails: true },
+      { id: 'store', dependencies: ['types'] },
+      { id: 'page', dependencies: ['store'] },
+      { id: 'api', throws: true },
+      { id: 'client', dependencies: ['api'] },
+      { id: 'styles' }
+    ], runTask, {
+      concurrency: 3,
+      onBlocked: (task, reason) => {
+        blocked.push(task.id);
+        return { success: false, skipped: true, error: reason };
+      }
+    });
+
+    this.check(
+      results.get('store').error === 'Skipped because dependency types failed' && !log.started.includes('store'),
+      'a task whose dependency failed is skipped'
+    );
+    this.check(
+      results.get('page').error === 'Skipped because dependency store failed',
+      'skips propagate to tasks further down the graph'
+    );
+    this.check(
+      results.get('api').success === false && results.get('api').error === 'api threw'
+        && results.get('client').skipped,
+      'a task that throws counts as failed'
+    );
+    this.check(
+      blocked.sort().join(',') === 'client,page,store',
+      'onBlocked is called once for each skipped task'
+    );
+    this.check(results.get('styles').success, 'independent tasks are unaffected');
+  }
+
+  async testConcurrency() {
+    console.log('\nConcurrency:');
+    const tasks = Array.from({ length: 6 }, (_, i) => ({ id: `t${i}`, duration: 15 }));
+
+    const capped = fakeRunner();
+    await runTaskGraph(tasks, capped.runTask, { concurrency: 2 });
+    this.check(capped.log.maxRunning === 2, 'no more than `concurrency` tasks run at once');
+    this.check(capped.log.finished.length === 6, 'every task runs');
+
+    const serial = fakeRunner();
+    await runTaskGraph(tasks, serial.runTask);
+    this.check(serial.log.maxRunning === 1, 'tasks run one at a time by default');
+  }
+
+  async testRateLimit() {
+    console.log('\nRate limit:');
+    const { log, runTask } = fakeRunner();
+    const minInterval = 40;
+    const calledAt = Date.now();
+
+    await runTaskGraph(
+      ['a', 'b', 'c', 'd'].map(id => ({ id, duration: 1 })),
+      runTask,
+      { concurrency: 4, minInterval }
+    );
+
+    // Start n is due minInterval * n after the call; a late timer makes one
+    // gap shorter but never moves a start ahead of its slot (timers may fire
+    // a millisecond early)
+    const offsets = [...log.startTimes.values()].sort((a, b) => a - b).map(time => time - calledAt);
+    this.check(
+      offsets.length === 4 && offsets.every((offset, n) => offset >= minInterval * n - 2),
+      `the nth start waits at least ${minInterval}ms * n (started after ${offsets.join(', ')}ms)`
+    );
+  }
+
+  async run() {
+    console.log('🗓  Task scheduler\n');
+
+    try {
+      this.testAnalyzeDependencies();
+      await this.testOrder();
+      await this.testCycles();
+      await this.testFailures();
+      await this.testConcurrency();
+      await this.testRateLimit();
+    } catch (error) {
+      this.check(false, `scheduler runs without errors (${error.message})`);
+    }
+
+    const passed = this.failures.length === 0;
+    console.log(`\nOverall: ${passed ? '✅ PASSED' : `❌ ${this.failures.length} CHECK(S) FAILED`}`);
+    return passed;
+  }
+}
+
+if (require.main === module) {
+  new TaskSchedulerTest().run().then(passed => {
+    process.exitCode = passed ? 0 : 1;
+  });
+}
+
+module.exports = TaskSchedulerTest;
@@ -4,6 +4,17 @@
  */
 
 const GenerationRulesTester = require('./generation-rules-tester');
+const PipelineReplayTest = require('./pipeline-replay-test');
+const CodeTransformTest = require('./code-transform-test');
+const BuildDiagnosticsTest = require('./build-diagnostics-test');
+const RegressionGuardTest = require('./regression-guard-test');
+const TaskSchedulerTest = require('./task-scheduler-test');
+const ContextBuilderTest = require('./context-builder-test');
+const FileEditsTest = require('./file-edits-test');
+const SnapshotStoreTest = require('./snapshot-store-test');
+const ProjectRunnerTest = require('./project-runner-test');
+const LogStoreTest = require('./log-store-test');
+const ProjectLifecycleTest = require('./project-lifecycle-test');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -190,6 +201,105 @@ class TestRunner {
     return true;
   }
 
+  /**
+   * Test 6: Replay the recorded generation pipeline offline
+   */
+  async testPipelineReplay() {
+    console.log('\n📋 TEST 6: Offline Pipeline Replay\n');
+
+    return new PipelineReplayTest().run();
+  }
+
+  /**
+   * Test 7: AST code transforms and the fixers that use them
+   */
+  async testCodeTransforms() {
+    console.log('\n📋 TEST 7: Code Transforms\n');
+
+    return new CodeTransformTest().run();
+  }
+
+  /**
+   * Test 8: Build diagnostics parsed from the captured build logs
+   */
+  async testBuildDiagnostics() {
+    console.log('\n📋 TEST 8: Build Diagnostics\n');
+
+    return new BuildDiagnosticsTest().run();
+  }
+
+  /**
+   * Test 9: Fix rounds that make things worse are reverted
+   */
+  async testRegressionGuard() {
+    console.log('\n📋 TEST 9: Regression Guard\n');
+
+    return new RegressionGuardTest().run();
+  }
+
+  /**
+   * Test 10: Generation tasks run in dependency order within the limits
+   */
+  async testTaskScheduler() {
+    console.log('\n📋 TEST 10: Task Scheduler\n');
+
+    return new TaskSchedulerTest().run();
+  }
+
+  /**
+   * Test 11: Prompt context fits the token budget, most relevant files first
+   */
+  async testContextBuilder() {
+    console.log('\n📋 TEST 11: Context Builder\n');
+
+    return new ContextBuilderTest().run();
+  }
+
+  /**
+   * Test 12: Test targeted LLM edits against project fixtures
+   */
+  async testFileEdits() {
+    console.log('\n📋 TEST 12: File Edits\n');
+
+    return new FileEditsTest().run();
+  }
+
+  /**
+   * Test 13: Take, diff and restore project snapshots
+   */
+  async testSnapshotStore() {
+    console.log('\n📋 TEST 13: Snapshot Store\n');
+
+    return new SnapshotStoreTest().run();
+  }
+
+  /**
+   * Test 14: Environment of project commands and create-next-app state
+   */
+  async testProjectRunner() {
+    console.log('\n📋 TEST 14: Project Runner\n');
+
+    return new ProjectRunnerTest().run();
+  }
+
+  /**
+   * Test 15: Dev server log buffer, since filtering and truncation
+   */
+  async testLogStore() {
+    console.log('\n📋 TEST 15: Log Store\n');
+
+    return new LogStoreTest().run();
+  }
+
+  /**
+   * Test 16: Renaming projects with and without a running dev server
+   */
+  async testProjectLifecycle() {
+    console.log('\n📋 TEST 16: Project Lifecycle\n');
+
+    return new ProjectLifecycleTest().run();
+  }
+
   /**
    * Run all tests
    */
@@ -225,6 +335,61 @@ class TestRunner {
       name: 'Error Pattern Detection',
       passed: await this.testErrorPatternDetection()
     });
+
+    testResults.push({
+      name: 'Offline Pipeline Replay',
+      passed: await this.testPipelineReplay()
+    });
+
+    testResults.push({
+      name: 'Code Transforms',
+      passed: await this.testCodeTransforms()
+    });
+
+    testResults.push({
+      name: 'Build Diagnostics',
+      passed: await this.testBuildDiagnostics()
+    });
+
+    testResults.push({
+      name: 'Regression Guard',
+      passed: await this.testRegressionGuard()
+    });
+
+    testResults.push({
+      name: 'Task Scheduler',
+      passed: await this.testTaskScheduler()
+    });
+
+    testResults.push({
+      name: 'Context Builder',
+      passed: await this.testContextBuilder()
+    });
+
+    testResults.push({
+      name: 'File Edits',
+      passed: await this.testFileEdits()
+    });
+
+    testResults.push({
+      name: 'Snapshot Store',
+      passed: await this.testSnapshotStore()
+    });
+
+    testResults.push({
+      name: 'Project Runner',
+      passed: await this.testProjectRunner()
+    });
+
+    testResults.push({
+      name: 'Log Store',
+      passed: await this.testLogStore()
+    });
+
+    testResults.push({
+      name: 'Project Lifecycle',
+      passed: await this.testProjectLifecycle()
+    });
     
     // Summary
     console.log('\n' + '=' .repeat(60));
@@ -3,10 +3,10 @@
  * Converted from TypeScript to JavaScript for backend use
  */
 
-const axios = require("axios");
+const { createLLMProvider, getLLMConfig, isLLMConfigured } = require("../services/llm-provider");
 
 /**
- * A helper function that uses the OpenRouter API to suggest corrected commands
+ * A helper function that uses the configured LLM provider to suggest corrected commands
  * based on the user's original input, exit code, and error output.
  * This function is generic and works with any command type (shell, Python, Node.js, etc.).
  *
@@ -20,14 +20,14 @@ async function commandFixerAgent(
   exitCode,
   stderr
 ) {
-  // Get the API key from environment variable
-  const apiKey = process.env.OPENROUTER_API_KEY;
+  const llmConfig = getLLMConfig("commandFixer");
 
   console.log("🔄 Command fixer agent called with:", {
     userCommand,
     exitCode,
     stderr: stderr.substring(0, 100), // Truncate long errors
-    apiKeyAvailable: !!apiKey,
+    provider: llmConfig.provider,
+    apiKeyAvailable: isLLMConfigured("commandFixer"),
     timestamp: new Date().toISOString(),
   });
 
@@ -47,9 +47,9 @@ async function commandFixerAgent(
     throw new Error("Empty command passed to commandFixerAgent");
   }
 
-  if (!apiKey) {
+  if (!isLLMConfigured("commandFixer")) {
     console.error(
-      "OpenRouter API key not found. Set OPENROUTER_API_KEY in your environment."
+      `API key for LLM provider "${llmConfig.provider}" not found. Set it in your environment.`
     );
     throw new Error(
       "API key not found. Please configure the API key in your environment."
@@ -77,40 +77,18 @@ Do not add any explanation or markdown.`;
   console.log("🔤 Formatted prompt:", prompt);
 
   try {
-    console.log("Making API call to OpenRouter...");
+    console.log(`Making API call to ${llmConfig.provider}...`);
 
-    // Direct call to OpenRouter API
-    const response = await axios.post(
-      "https://openrouter.ai/api/v1/chat/completions",
-      {
-        model: "anthropic/claude-3.5-sonnet",
-        messages: [
-          {
-            role: "user",
-            content: prompt,
-          },
-        ],
-        max_tokens: 150,
-        temperature: 0.2,
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          "Content-Type": "application/json",
-        },
-        timeout: 15000, // 15-second timeout to accommodate more complex commands
-      }
-    );
+    const completion = await createLLMProvider("commandFixer").complete({
+      prompt,
+      maxTokens: 150,
+      temperature: 0.2,
+      timeout: 15000, // 15-second timeout to accommodate more complex commands
+    });
 
-    // Extract the response text from the API response
-    console.log("✅ Received OpenRouter API response successfully!");
-
-    if (!response.data || !response.data.choices || !response.data.choices[0]) {
-      console.error("Invalid API response format:", response.data);
-      throw new Error("Invalid API response format");
-    }
+    console.log("✅ Received LLM response successfully!");
 
-    const suggestionsText = response.data.choices[0].message.content.trim();
+    const suggestionsText = completion.trim();
     console.log("Raw suggestions text:", suggestionsText);
 
     // Parse the suggestions into an array of command objects
@@ -130,7 +108,7 @@ Do not add any explanation or markdown.`;
 
     return suggestions;
   } catch (error) {
-    console.error("Error calling OpenRouter API:", error);
+    console.error("Error calling LLM provider:", error);
     // Instead of returning default suggestions, throw the error to be handled by the caller
     throw error;
   }
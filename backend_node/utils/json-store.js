@@ -0,0 +1,35 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - File to read
+ * @param {*} fallback - Value returned when the file is missing or invalid
+ */
+async function readJSON(filePath, fallback = null) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (err) {
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON file atomically (write to a temp file, then rename)
+ * so a crash mid-write never leaves a truncated file behind
+ * @param {string} filePath - File to write
+ * @param {*} data - JSON-serializable data
+ */
+async function writeJSON(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${randomUUID().slice(0, 8)}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf-8');
+  await fs.rename(tempPath, filePath);
+}
+
+module.exports = {
+  readJSON,
+  writeJSON
+};
@@ -0,0 +1,95 @@
+const { isPortAvailable } = require('./port-finder');
+
+/**
+ * Hands out ports from a fixed range and remembers which ones it gave out.
+ *
+ * A port stays reserved from allocate() until release(), so two servers
+ * that are both still starting (and not listening yet) never get the same
+ * port. Searches start after the last port handed out instead of at the
+ * bottom of the range, which keeps a just-released port from being reused
+ * straight away while a browser may still point at it.
+ */
+class PortAllocator {
+  /**
+   * @param {Object} range
+   * @param {number} range.start - First port, inclusive
+   * @param {number} range.end - Last port, inclusive
+   */
+  constructor({ start, end }) {
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end > 65535 || start > end) {
+      throw new Error(`Invalid port range ${start}-${end}`);
+    }
+    this.start = start;
+    this.end = end;
+    this.reserved = new Set();
+    this.cursor = start;
+  }
+
+  get size() {
+    return this.end - this.start + 1;
+  }
+
+  inRange(port) {
+    return Number.isInteger(port) && port >= this.start && port <= this.end;
+  }
+
+  /**
+   * Reserve a free port
+   * @param {number} [preferred] - Port to use if it's in range and free
+   * @returns {Promise<number>}
+   * @throws {Error} When every port in the range is reserved or in use
+   */
+  async allocate(preferred) {
+    if (this.inRange(preferred) && !this.reserved.has(preferred) && await isPortAvailable(preferred)) {
+      this.reserved.add(preferred);
+      return preferred;
+    }
+
+    for (let i = 0; i < this.size; i++) {
+      const port = this.start + ((this.cursor - this.start + i) % this.size);
+      if (this.reserved.has(port)) continue;
+
+      // Reserve before the check so a concurrent allocate() skips it
+      this.reserved.add(port);
+      if (await isPortAvailable(port)) {
+        this.cursor = port + 1 > this.end ? this.start : port + 1;
+        return port;
+      }
+      this.reserved.delete(port);
+    }
+
+    throw new Error(`All ${this.size} preview ports (${this.start}-${this.end}) are in use`);
+  }
+
+  /**
+   * Mark a port as taken without checking it, e.g. for a server that's already listening
+   */
+  reserve(port) {
+    this.reserved.add(port);
+  }
+
+  release(port) {
+    this.reserved.delete(port);
+  }
+}
+
+/**
+ * Parse a "start-end" port range, e.g. "3002-3101"
+ * @param {string} value
+ * @param {{start: number, end: number}} fallback - Used when value is empty
+ * @returns {{start: number, end: number}}
+ */
+function parsePortRange(value, fallback) {
+  if (!value) return fallback;
+
+  const match = /^\s*(\d+)\s*-\s*(\d+)\s*$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid port range "${value}", expected e.g. 3002-3101`);
+  }
+  return { start: parseInt(match[1], 10), end: parseInt(match[2], 10) };
+}
+
+module.exports = {
+  PortAllocator,
+  parsePortRange
+};
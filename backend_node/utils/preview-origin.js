@@ -0,0 +1,72 @@
+const { isValidProjectName } = require('./safe-path');
+
+/**
+ * Where previews are served.
+ *
+ * Each project's preview has an origin of its own,
+ * http://<projectName>.<PREVIEW_HOST>:<PREVIEW_PORT>/, on a listener separate
+ * from the API. Code generated into a preview therefore can't call the
+ * backend's API (which runs shell commands with the backend's environment)
+ * or read another project's preview, and the app runs at / as it would
+ * anywhere else.
+ *
+ * Browsers resolve *.localhost to the loopback address. Any other
+ * PREVIEW_HOST needs a wildcard DNS record pointing at the backend.
+ */
+
+const PREVIEW_PORT = parseInt(process.env.PREVIEW_PORT, 10) || 5002;
+const PREVIEW_HOST = (process.env.PREVIEW_HOST || 'localhost').toLowerCase();
+
+/**
+ * URL of a project's preview
+ * @param {string} projectName
+ */
+function previewUrl(projectName) {
+  return `http://${projectName.toLowerCase()}.${PREVIEW_HOST}:${PREVIEW_PORT}/`;
+}
+
+/**
+ * Project name in a preview's hostname, as the browser sent it
+ * @param {string} hostname - Without the port
+ * @returns {string|null} Lower-cased, since hostnames are; null for other hosts
+ */
+function previewLabel(hostname) {
+  const suffix = `.${PREVIEW_HOST}`;
+  const host = String(hostname || '').toLowerCase();
+  if (!host.endsWith(suffix)) return null;
+
+  const label = host.slice(0, -suffix.length);
+  return isValidProjectName(label) ? label : null;
+}
+
+/**
+ * Project name a request to the preview listener is for, from its Host header
+ * @returns {string|null} Lower-cased, see previewLabel
+ */
+function previewLabelFromHost(hostHeader) {
+  return previewLabel(String(hostHeader || '').replace(/:\d+$/, ''));
+}
+
+/**
+ * Whether a request was made by a page served from a preview, going by its
+ * Origin or Referer header
+ * @param {http.IncomingMessage} req
+ */
+function isPreviewRequest(req) {
+  return [req.headers.origin, req.headers.referer].some((url) => {
+    if (!url) return false;
+    try {
+      return previewLabel(new URL(url).hostname) !== null;
+    } catch {
+      return false;
+    }
+  });
+}
+
+module.exports = {
+  PREVIEW_PORT,
+  PREVIEW_HOST,
+  previewUrl,
+  previewLabelFromHost,
+  isPreviewRequest
+};
@@ -0,0 +1,22 @@
+const path = require('path');
+
+// Directory holding all generated projects
+const USER_PROJECTS_DIR = path.join(__dirname, '../../client/user-projects');
+
+// Per-project state written by the backend (task results, history, ...)
+const STATE_DIR = '.nocode';
+
+/**
+ * Get a path inside a project's backend state directory
+ * @param {string} projectPath - Path to the project
+ * @param {...string} parts - Path segments inside the state directory
+ */
+function getStatePath(projectPath, ...parts) {
+  return path.join(projectPath, STATE_DIR, ...parts);
+}
+
+module.exports = {
+  USER_PROJECTS_DIR,
+  STATE_DIR,
+  getStatePath
+};
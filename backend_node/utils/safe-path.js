@@ -0,0 +1,210 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { USER_PROJECTS_DIR } = require('./project-paths');
+
+/**
+ * Guards for paths that come from requests or LLM responses.
+ *
+ * Every file an LLM asks us to write or delete goes through resolveProjectFile,
+ * and every projectName from a request through resolveProjectPath, so neither
+ * can reach outside client/user-projects/<name>.
+ */
+
+class UnsafePathError extends Error {
+  constructor(requestedPath, reason) {
+    super(`Rejected path "${requestedPath}": ${reason}`);
+    this.name = 'UnsafePathError';
+    this.path = requestedPath;
+    this.reason = reason;
+  }
+}
+
+// Generated, installed or backend-owned directories, anywhere in the path.
+// These and the config names below are compared lower-cased, since on
+// case-insensitive filesystems Node_Modules is node_modules.
+const BLOCKED_DIRS = new Set(['node_modules', '.next', '.git', '.nocode']);
+
+// Root-level files that look like configuration but may be edited
+const ALLOWED_CONFIG_FILES = new Set([
+  'next.config.js',
+  'next.config.mjs',
+  'next.config.ts',
+  'tailwind.config.js',
+  'tailwind.config.ts',
+  'tailwind.config.mjs',
+  'tailwind.config.cjs',
+  // The build-fix prompt asks for PostCSS plugin fixes (Tailwind v3 vs v4) here
+  'postcss.config.js',
+  'postcss.config.mjs',
+  'postcss.config.cjs',
+  'tsconfig.json'
+]);
+
+// Root-level names treated as configuration (eslint.config.mjs, package.json, .env.local, ...)
+const CONFIG_FILE_PATTERN = /(^|\.)config\.[cm]?[jt]s$|\.json$|\.ya?ml$|\.lock$|^\.(env|npmrc|yarnrc|eslintrc|babelrc|prettierrc|nvmrc)/;
+
+const PROJECT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/;
+
+/**
+ * Check a project name from a request
+ * @param {string} projectName
+ * @returns {boolean}
+ */
+function isValidProjectName(projectName) {
+  return typeof projectName === 'string'
+    && PROJECT_NAME_PATTERN.test(projectName)
+    && !projectName.includes('..');
+}
+
+/**
+ * Resolve a project name to its directory
+ * @param {string} projectName
+ * @returns {string} Absolute project path (which may not exist yet)
+ * @throws {UnsafePathError} If the name isn't a plain directory name
+ */
+function resolveProjectPath(projectName) {
+  if (!isValidProjectName(projectName)) {
+    throw new UnsafePathError(String(projectName), 'invalid project name');
+  }
+  return path.join(USER_PROJECTS_DIR, projectName);
+}
+
+/**
+ * Path of an existing project
+ * @param {string} projectName - Project directory name
+ * @returns {Promise<string|null>} null if the name is invalid or the project doesn't exist
+ */
+async function findProjectPath(projectName) {
+  if (!isValidProjectName(projectName)) return null;
+
+  const projectPath = resolveProjectPath(projectName);
+  try {
+    await fs.access(projectPath);
+    return projectPath;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normalize a project-relative path, rejecting anything that could escape
+ * the project or touch files we don't let generated code write
+ * @param {string} relativePath - Path as supplied by the LLM
+ * @returns {string} Normalized posix path relative to the project root
+ * @throws {UnsafePathError}
+ */
+function normalizeProjectFile(relativePath) {
+  if (typeof relativePath !== 'string' || relativePath.trim() === '') {
+    throw new UnsafePathError(String(relativePath), 'empty path');
+  }
+
+  if (relativePath.includes('\0')) {
+    throw new UnsafePathError(relativePath, 'contains a null byte');
+  }
+
+  const unixPath = relativePath.trim().replace(/\\/g, '/');
+  if (unixPath.startsWith('/') || /^[A-Za-z]:/.test(unixPath) || unixPath.startsWith('~')) {
+    throw new UnsafePathError(relativePath, 'absolute paths are not allowed');
+  }
+
+  const segments = unixPath.split('/').filter(segment => segment !== '' && segment !== '.');
+  if (segments.includes('..')) {
+    throw new UnsafePathError(relativePath, 'parent directory references are not allowed');
+  }
+  if (segments.length === 0) {
+    throw new UnsafePathError(relativePath, 'empty path');
+  }
+
+  const blocked = segments.find(segment => BLOCKED_DIRS.has(segment.toLowerCase()));
+  if (blocked) {
+    throw new UnsafePathError(relativePath, `writes into ${blocked} are not allowed`);
+  }
+
+  const rootName = segments.length === 1 ? segments[0].toLowerCase() : null;
+  if (rootName && CONFIG_FILE_PATTERN.test(rootName) && !ALLOWED_CONFIG_FILES.has(rootName)) {
+    throw new UnsafePathError(relativePath, `${segments[0]} is a protected configuration file`);
+  }
+
+  return segments.join('/');
+}
+
+/**
+ * Real path of the deepest part of `target` that exists
+ */
+async function realpathOfExisting(target) {
+  let current = target;
+
+  for (;;) {
+    try {
+      return path.join(await fs.realpath(current), path.relative(current, target));
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+      const parent = path.dirname(current);
+      if (parent === current) return target;
+      current = parent;
+    }
+  }
+}
+
+/**
+ * Resolve an LLM-supplied path inside a project
+ * @param {string} projectPath - Project root
+ * @param {string} relativePath - Path as supplied by the LLM
+ * @returns {Promise<{path: string, absolutePath: string}>} Normalized relative path and the absolute path to use
+ * @throws {UnsafePathError}
+ */
+async function resolveProjectFile(projectPath, relativePath) {
+  const normalized = normalizeProjectFile(relativePath);
+  const absolutePath = path.join(projectPath, normalized);
+
+  // Symlinks inside the project must not lead out of it
+  const projectRoot = await fs.realpath(projectPath);
+  const realTarget = await realpathOfExisting(absolutePath);
+  const fromRoot = path.relative(projectRoot, realTarget);
+  if (fromRoot === '..' || fromRoot.startsWith(`..${path.sep}`) || path.isAbsolute(fromRoot)) {
+    throw new UnsafePathError(relativePath, 'resolves outside the project through a symlink');
+  }
+
+  return { path: normalized, absolutePath };
+}
+
+/**
+ * Split LLM-proposed files into ones that are safe to write and ones that aren't
+ * @param {string} projectPath - Project root
+ * @param {Array<{path: string}>} files - Entries with an LLM-supplied `path`
+ * @returns {Promise<{accepted: Array, rejected: Array<{path: string, reason: string}>}>}
+ *   Accepted entries keep their fields, with `path` normalized and `absolutePath` added;
+ *   entries that aren't objects are rejected
+ */
+async function partitionSafeFiles(projectPath, files) {
+  const accepted = [];
+  const rejected = [];
+
+  for (const file of files) {
+    if (!file || typeof file !== 'object') {
+      console.warn(`Rejected file entry ${JSON.stringify(file)}: not an object`);
+      rejected.push({ path: String(file), reason: 'not a file entry' });
+      continue;
+    }
+    try {
+      const resolved = await resolveProjectFile(projectPath, file.path);
+      accepted.push({ ...file, ...resolved });
+    } catch (error) {
+      if (!(error instanceof UnsafePathError)) throw error;
+      console.warn(error.message);
+      rejected.push({ path: String(file.path), reason: error.reason });
+    }
+  }
+
+  return { accepted, rejected };
+}
+
+module.exports = {
+  UnsafePathError,
+  isValidProjectName,
+  resolveProjectPath,
+  findProjectPath,
+  normalizeProjectFile,
+  resolveProjectFile,
+  partitionSafeFiles
+};
@@ -0,0 +1,165 @@
+/**
+ * Dependency-aware scheduler for generation tasks.
+ *
+ * Tasks are objects with an `id` and an optional `dependencies` array of
+ * task IDs. Independent tasks run concurrently up to a concurrency limit,
+ * and task starts are spaced out by a minimum interval to stay under the
+ * LLM provider's rate limit.
+ */
+
+/**
+ * Check a task list for dependency problems
+ * @param {Array} tasks - Tasks with id and dependencies
+ * @param {Iterable<string>} externalIds - IDs outside this list that count as already satisfied
+ * @returns {{missing: Array<{taskId: string, dependency: string}>, cycles: Array<Array<string>>}}
+ */
+function analyzeDependencies(tasks, externalIds = []) {
+  const ids = new Set(tasks.map(task => task.id));
+  const external = new Set(externalIds);
+  const missing = [];
+
+  for (const task of tasks) {
+    for (const dependency of task.dependencies || []) {
+      if (!ids.has(dependency) && !external.has(dependency)) {
+        missing.push({ taskId: task.id, dependency });
+      }
+    }
+  }
+
+  // Depth-first search; a back edge to a task on the current path is a cycle
+  const cycles = [];
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const byId = new Map(tasks.map(task => [task.id, task]));
+
+  const visit = (id, stack) => {
+    state.set(id, 'visiting');
+    stack.push(id);
+
+    for (const dependency of byId.get(id).dependencies || []) {
+      if (!byId.has(dependency)) continue;
+
+      if (state.get(dependency) === 'visiting') {
+        cycles.push([...stack.slice(stack.indexOf(dependency)), dependency]);
+      } else if (!state.has(dependency)) {
+        visit(dependency, stack);
+      }
+    }
+
+    stack.pop();
+    state.set(id, 'done');
+  };
+
+  for (const task of tasks) {
+    if (!state.has(task.id)) {
+      visit(task.id, []);
+    }
+  }
+
+  return { missing, cycles };
+}
+
+/**
+ * Run tasks in dependency order
+ * @param {Array} tasks - Tasks in preferred start order
+ * @param {Function} runTask - async (task) => result; a result with success === false counts as a failure
+ * @param {Object} options
+ * @param {number} options.concurrency - Maximum number of tasks running at once
+ * @param {number} options.minInterval - Minimum milliseconds between task starts
+ * @param {Iterable<string>} options.externalIds - Dependency IDs to treat as already satisfied
+ * @param {Function} options.onBlocked - (task, reason) => result for tasks that can't run
+ * @returns {Promise<{results: Map<string, Object>, missing: Array, cycles: Array}>}
+ */
+function runTaskGraph(tasks, runTask, options = {}) {
+  const {
+    concurrency = 1,
+    minInterval = 0,
+    externalIds = [],
+    onBlocked = (task, reason) => ({ success: false, skipped: true, error: reason })
+  } = options;
+
+  const { missing, cycles } = analyzeDependencies(tasks, externalIds);
+  const ids = new Set(tasks.map(task => task.id));
+  const results = new Map();
+
+  // Only dependencies inside this task list gate execution
+  const dependenciesOf = (task) =>
+    (task.dependencies || []).filter(dependency => ids.has(dependency) && dependency !== task.id);
+
+  for (const cycle of cycles) {
+    for (const id of cycle) {
+      if (!results.has(id)) {
+        const task = tasks.find(t => t.id === id);
+        results.set(id, onBlocked(task, `Dependency cycle detected: ${cycle.join(' -> ')}`));
+      }
+    }
+  }
+
+  let pending = tasks.filter(task => !results.has(task.id));
+  let running = 0;
+  let nextStartAt = 0;
+
+  return new Promise((resolve) => {
+    const schedule = () => {
+      // Skip anything whose dependencies failed (repeat until nothing changes,
+      // so skips propagate down the graph)
+      let changed = true;
+      while (changed) {
+        changed = false;
+        for (const task of pending) {
+          const failed = dependenciesOf(task).find(
+            dependency => results.has(dependency) && !results.get(dependency).success
+          );
+          if (failed) {
+            results.set(task.id, onBlocked(task, `Skipped because dependency ${failed} failed`));
+            pending = pending.filter(t => t !== task);
+            changed = true;
+          }
+        }
+      }
+
+      while (running < concurrency) {
+        const index = pending.findIndex(task =>
+          dependenciesOf(task).every(dependency => results.get(dependency)?.success)
+        );
+        if (index === -1) break;
+
+        const [task] = pending.splice(index, 1);
+        start(task);
+      }
+
+      if (running === 0) {
+        // Nothing running and nothing ready: whatever is left can never run
+        for (const task of pending) {
+          results.set(task.id, onBlocked(task, 'Unresolvable dependencies'));
+        }
+        resolve({ results, missing, cycles });
+      }
+    };
+
+    const start = (task) => {
+      running++;
+
+      const now = Date.now();
+      const delay = Math.max(0, nextStartAt - now);
+      nextStartAt = Math.max(now, nextStartAt) + minInterval;
+
+      setTimeout(() => {
+        Promise.resolve()
+          .then(() => runTask(task))
+          .catch(error => ({ success: false, error: error.message }))
+          .then((result) => {
+            results.set(task.id, result);
+            running--;
+            schedule();
+          });
+      }, delay);
+    };
+
+    schedule();
+  });
+}
+
+module.exports = {
+  analyzeDependencies,
+  runTaskGraph
+};
@@ -9,6 +9,7 @@ import { Layout, WorkspaceLayout } from "./components/Layout";
 import { PRDPanel } from "./components/PRDPanel";
 import TerminalWithHeader from "./components/TerminalWithHeader";
 import RunningProjects from "./components/RunningProjects";
+import { API_BASE_URL, previewUrl } from "./config";
 import { darkTheme } from "./theme";
 import { Message } from "./types/chat";
 import { CommandSuggestion } from "./types/terminal";
@@ -162,7 +163,7 @@ function App() {
     try {
       // Generate PRD first
       const prdResult = await axios.post<PRDResponse>(
-        "http://localhost:5001/generate-prd",
+        `${API_BASE_URL}/generate-prd`,
         { requirement: message }
       );
 
@@ -203,7 +204,7 @@ function App() {
     setLoading(true);
     try {
       const result = await axios.post<GenerateResponse>(
-        "http://localhost:5001/approve-prd",
+        `${API_BASE_URL}/approve-prd`,
         { requirement, prd, approved }
       );
 
@@ -266,20 +267,24 @@ function App() {
       addMessage(`Initializing project with socket ID: ${socketId}`, false);
 
       const result = await axios.post(
-        "http://localhost:5001/api/initialize-project",
+        `${API_BASE_URL}/api/initialize-project`,
         { prd, socketId }
       );
 
       const projectName = result.data.projectName;
       addMessage(`Project "${projectName}" created successfully!`, false);
 
-      // Check if project URL is available (dev server started)
-      if (result.data.url) {
-        addMessage(`🚀 Development server running at: ${result.data.url}`, false);
+      // Check if the preview is available (dev server started); it's proxied
+      // through the backend
+      const projectPreviewUrl = result.data.previewUrl
+        ? previewUrl(projectName)
+        : null;
+      if (projectPreviewUrl) {
+        addMessage(`🚀 Development server running at: ${projectPreviewUrl}`, false);
         addMessage(`You can open your project in the browser at the above URL.`, false);
         
         // Open the project in a new tab (optional - you can comment this out if you don't want auto-open)
-        // window.open(result.data.url, '_blank');
+        // window.open(projectPreviewUrl, '_blank');
       }
 
       // Update the project with the PRD content using task-based approach
@@ -290,7 +295,7 @@ function App() {
       try {
         // Try the new v2 endpoint first
         updateResult = await axios.post(
-          "http://localhost:5001/api/update-project-v2",
+          `${API_BASE_URL}/api/update-project-v2`,
           {
             projectName,
             requirements: prd,
@@ -323,7 +328,7 @@ function App() {
         // Fallback to original update-project endpoint
         try {
           updateResult = await axios.post(
-            "http://localhost:5001/api/update-project",
+            `${API_BASE_URL}/api/update-project`,
             {
               projectName,
               requirements: prd,
@@ -351,9 +356,9 @@ function App() {
       // Add the project path to the terminal messages
       addMessage(`📁 Project Path: ${result.data.projectPath}`, false);
       
-      // Remind about the dev server URL if available
-      if (result.data.url) {
-        addMessage(`🔗 Access your project at: ${result.data.url}`, false);
+      // Remind about the preview URL if available
+      if (previewUrl) {
+        addMessage(`🔗 Access your project at: ${previewUrl}`, false);
       }
 
       // Set selected project to the newly created one
@@ -396,9 +401,19 @@ function App() {
   // Extract fetchProjects as a reusable function
   const fetchProjects = async () => {
     try {
-      const result = await axios.get("http://localhost:5001/api/list-projects");
-      console.log("Fetched projects:", result.data);
-      setProjects(result.data.projects || []);
+      // The catalog comes in pages of at most 100; fetch them all
+      const allProjects: Project[] = [];
+      let total = Infinity;
+      while (allProjects.length < total) {
+        const result = await axios.get(`${API_BASE_URL}/api/projects`, {
+          params: { offset: allProjects.length, limit: 100 },
+        });
+        const page: Project[] = result.data.projects || [];
+        allProjects.push(...page);
+        total = page.length ? result.data.total : allProjects.length;
+      }
+      console.log("Fetched projects:", allProjects.length);
+      setProjects(allProjects);
     } catch (err) {
       console.error("Error fetching projects:", err);
       setError("Failed to fetch projects");
@@ -420,7 +435,7 @@ function App() {
     setLoading(true);
     try {
       const result = await axios.post(
-        "http://localhost:5001/api/update-project",
+        `${API_BASE_URL}/api/update-project`,
         {
           projectName: selectedProject,
           requirements: updateRequirement,
@@ -464,7 +479,7 @@ function App() {
   const handleClearHistory = async (projectName: string) => {
     try {
       const result = await axios.delete(
-        `http://localhost:5001/api/clear-project-history/${projectName}`
+        `${API_BASE_URL}/api/clear-project-history/${projectName}`
       );
 
       if (result.data && result.data.message) {
@@ -534,7 +549,7 @@ function App() {
                 onClick={async () => {
                   try {
                     const response = await axios.post(
-                      "http://localhost:5001/api/fix-page-integration",
+                      `${API_BASE_URL}/api/fix-page-integration`,
                       { projectName: selectedProject }
                     );
                     addMessage(`✅ ${response.data.message}`, false);
@@ -1,6 +1,7 @@
 import React, { useEffect, useState } from 'react';
 import axios from 'axios';
 import styled from '@emotion/styled';
+import { API_BASE_URL, previewUrl } from '../config';
 
 const Container = styled.div`
   background: #2a2a2a;
@@ -106,6 +107,7 @@ interface RunningProject {
   name: string;
   port: number;
   url: string;
+  previewUrl: string;
   projectPath: string;
   startTime: string;
 }
@@ -121,7 +123,7 @@ const RunningProjects: React.FC<RunningProjectsProps> = ({ onProjectStopped }) =
 
   const fetchRunningProjects = async () => {
     try {
-      const response = await axios.get('http://localhost:5001/api/running-projects');
+      const response = await axios.get(`${API_BASE_URL}/api/running-projects`);
       setProjects(response.data.projects || []);
     } catch (error) {
       console.error('Error fetching running projects:', error);
@@ -138,7 +140,7 @@ const RunningProjects: React.FC<RunningProjectsProps> = ({ onProjectStopped }) =
   const handleStopProject = async (projectName: string) => {
     setStoppingProject(projectName);
     try {
-      await axios.post('http://localhost:5001/api/stop-project', { projectName });
+      await axios.post(`${API_BASE_URL}/api/stop-project`, { projectName });
       await fetchRunningProjects();
       if (onProjectStopped) {
         onProjectStopped();
@@ -165,8 +167,8 @@ const RunningProjects: React.FC<RunningProjectsProps> = ({ onProjectStopped }) =
             <ProjectItem key={project.name}>
               <ProjectInfo>
                 <ProjectName>{project.name}</ProjectName>
-                <ProjectUrl href={project.url} target="_blank" rel="noopener noreferrer">
-                  {project.url}
+                <ProjectUrl href={previewUrl(project.name)} target="_blank" rel="noopener noreferrer">
+                  {previewUrl(project.name)}
                 </ProjectUrl>
               </ProjectInfo>
               <StopButton
@@ -0,0 +1,18 @@
+// Backend the client talks to; set REACT_APP_API_URL at build time to move it
+export const API_BASE_URL =
+  process.env.REACT_APP_API_URL || "http://localhost:5001";
+
+// Where the backend serves previews (its PREVIEW_HOST and PREVIEW_PORT);
+// each project gets its own origin under it, see previewUrl
+export const PREVIEW_BASE_URL =
+  process.env.REACT_APP_PREVIEW_URL || "http://localhost:5002";
+
+/**
+ * URL of a project's preview, which the backend proxies to its dev server:
+ * http://<project>.localhost:5002/ by default
+ */
+export function previewUrl(projectName: string): string {
+  const url = new URL(PREVIEW_BASE_URL);
+  url.hostname = `${projectName.toLowerCase()}.${url.hostname}`;
+  return url.toString();
+}